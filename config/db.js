@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Category = require('../models/Category');
 
 /**
  * Connect to MongoDB using Mongoose
@@ -16,6 +17,12 @@ const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI, options);
     
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // A fresh database gets the default category tree so listings can be created
+    const seeded = await Category.ensureDefaults();
+    if (seeded > 0) {
+      console.log(`Seeded ${seeded} default categories`);
+    }
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
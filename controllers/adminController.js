@@ -0,0 +1,770 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Purchase = require('../models/Purchase');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const { emit } = require('../utils/notifications');
+const { notifyBackInStock, dispatch } = require('../utils/wishlistAlerts');
+const { escapeRegex } = require('../utils/search');
+
+const STAFF_ROLES = ['moderator', 'admin'];
+
+const RESOLUTION_MESSAGES = {
+  dismiss: 'Reports dismissed',
+  hide: 'Listing hidden',
+  remove: 'Listing removed'
+};
+
+/**
+ * Read page and limit from the query string
+ * @param {Object} query - Express request query
+ * @returns {Object} - { page, limit }
+ */
+const getPaging = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit) || 20))
+});
+
+/**
+ * Build the pagination block shared by the admin list endpoints
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @param {number} total - Total matching records
+ * @returns {Object} - Pagination metadata
+ */
+const toPagination = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    limit
+  };
+};
+
+/**
+ * Build the staff view of a user account
+ * @param {Object} user - User document
+ * @returns {Object} - Account summary including role and suspension
+ */
+const toAdminUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  username: user.username,
+  avatar: user.avatar,
+  role: user.role,
+  suspendedAt: user.suspendedAt,
+  suspensionReason: user.suspensionReason,
+  createdAt: user.createdAt
+});
+
+/**
+ * Find the target user of an admin action, replying with 400/404 if there is none
+ * @param {Object} req - Express request object with the user ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - The user, or null once a response was sent
+ */
+const findTargetUser = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID format'
+    });
+    return null;
+  }
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Find the target product of a moderation action, replying with 400/404 if there is none
+ * @param {Object} req - Express request object with the product ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - The product, or null once a response was sent
+ */
+const findTargetProduct = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid product ID format'
+    });
+    return null;
+  }
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  return product;
+};
+
+/**
+ * List user accounts with optional search, role and suspension filters
+ * @route GET /api/admin/users
+ * @access Moderator, Admin
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { search, role, status } = req.query;
+
+    const filter = {};
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (User.getRoles().includes(role)) filter.role = role;
+    if (status === 'suspended') filter.suspendedAt = { $ne: null };
+    if (status === 'active') filter.suspendedAt = null;
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: {
+        users: users.map(toAdminUser),
+        pagination: toPagination(page, limit, totalUsers)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PUT /api/admin/users/:id/role
+ * @access Admin
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // An admin demoting themselves could leave nobody able to manage roles
+    if (user._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await ModerationLog.record({
+      actor: req.user.id,
+      action: 'role_changed',
+      targetType: 'User',
+      target: user._id,
+      details: { from: previousRole, to: user.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.username} is now ${user.role === 'admin' ? 'an' : 'a'} ${user.role}`,
+      data: toAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Suspend a user: they are signed out everywhere and cannot log in again
+ * @route PUT /api/admin/users/:id/suspend
+ * @access Moderator, Admin
+ */
+const suspendUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    // Moderators handle regular users; only admins can suspend staff
+    if (STAFF_ROLES.includes(user.role) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can suspend moderators and admins'
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspendedBy = req.user.id;
+    user.suspensionReason = req.body.reason || '';
+    await user.save();
+
+    const revokedSessions = await Session.revokeAllForUser(user._id);
+
+    await ModerationLog.record({
+      actor: req.user.id,
+      action: 'user_suspended',
+      targetType: 'User',
+      target: user._id,
+      reason: user.suspensionReason,
+      details: { revokedSessions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.username} has been suspended`,
+      data: {
+        user: toAdminUser(user),
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to suspend user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Lift a user's suspension so they can log in again
+ * @route PUT /api/admin/users/:id/unsuspend
+ * @access Moderator, Admin
+ */
+const unsuspendUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (STAFF_ROLES.includes(user.role) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can lift the suspension of moderators and admins'
+      });
+    }
+
+    if (!user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.suspendedAt = null;
+    user.suspendedBy = undefined;
+    user.suspensionReason = '';
+    await user.save();
+
+    await ModerationLog.record({
+      actor: req.user.id,
+      action: 'user_unsuspended',
+      targetType: 'User',
+      target: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.username} can log in again`,
+      data: toAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to lift suspension',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List every listing, including sold, hidden and taken-down ones
+ * @route GET /api/admin/products
+ * @access Moderator, Admin
+ */
+const getProducts = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { search, status } = req.query;
+
+    const filter = {};
+    if (search && search.trim()) {
+      filter.title = new RegExp(escapeRegex(search.trim()), 'i');
+    }
+    if (status === 'available') Object.assign(filter, Product.getListedFilter());
+    if (status === 'unavailable') Object.assign(filter, { isAvailable: false, takenDownAt: null });
+    if (status === 'hidden') filter.hiddenAt = { $ne: null };
+    if (status === 'taken_down') filter.takenDownAt = { $ne: null };
+
+    const [products, totalProducts] = await Promise.all([
+      Product.find(filter)
+        .populate('user', 'username email')
+        .populate('takenDownBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Products retrieved successfully',
+      data: {
+        products,
+        pagination: toPagination(page, limit, totalProducts)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve products',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Take a listing down: it leaves browse and search and the seller cannot relist it
+ * @route PUT /api/admin/products/:id/takedown
+ * @access Moderator, Admin
+ */
+const takeDownProduct = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await findTargetProduct(req, res);
+    if (!product) return;
+
+    if (product.isTakenDown) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is already taken down'
+      });
+    }
+
+    await product.takeDown(req.user.id, req.body.reason || '');
+    // Taking a listing down settles any reports on it
+    const actionedReports = await Report.resolveForProduct(product._id, 'actioned', req.user.id);
+
+    await ModerationLog.record({
+      actor: req.user.id,
+      action: 'listing_removed',
+      targetType: 'Product',
+      target: product._id,
+      reason: product.takedownReason,
+      details: { actionedReports }
+    });
+    emit('listing.taken_down', { product, reason: product.takedownReason });
+    await product.populate('user', 'username email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Product taken down',
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Admin take down product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to take down product',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Restore a hidden or taken-down listing; open reports on it are dismissed
+ * @route PUT /api/admin/products/:id/restore
+ * @access Moderator, Admin
+ */
+const restoreProduct = async (req, res) => {
+  try {
+    const product = await findTargetProduct(req, res);
+    if (!product) return;
+
+    if (!product.isTakenDown && !product.isHidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is not hidden or taken down'
+      });
+    }
+
+    await product.restore();
+    // Otherwise the next report would hide it again straight away
+    const dismissedReports = await Report.resolveForProduct(product._id, 'dismissed', req.user.id);
+
+    await ModerationLog.record({
+      actor: req.user.id,
+      action: 'listing_restored',
+      targetType: 'Product',
+      target: product._id,
+      details: { dismissedReports }
+    });
+    emit('listing.restored', { product });
+    dispatch(notifyBackInStock(product));
+    await product.populate('user', 'username email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Product restored',
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Admin restore product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to restore product',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List every purchase on the marketplace, newest first
+ * @route GET /api/admin/purchases
+ * @access Admin
+ */
+const getPurchases = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { status } = req.query;
+
+    const filter = {};
+    if (Purchase.getStatuses().includes(status)) filter.status = status;
+
+    const [purchases, totalPurchases] = await Promise.all([
+      Purchase.find(filter)
+        .populate('user', 'username email')
+        .populate('products.seller', 'username email')
+        .sort({ purchasedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Purchase.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchases retrieved successfully',
+      data: {
+        purchases,
+        pagination: toPagination(page, limit, totalPurchases)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get purchases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve purchases',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the moderation queue: open reports grouped per listing or per seller
+ * @route GET /api/admin/reports
+ * @access Moderator, Admin
+ */
+const getReportQueue = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const groupBy = req.query.groupBy === 'seller' ? 'seller' : 'product';
+
+    const { groups, total } = await Report.getQueue(groupBy, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Report queue retrieved successfully',
+      data: {
+        groupBy,
+        groups,
+        pagination: toPagination(page, limit, total)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get report queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve report queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get every report on a listing together with its moderation history
+ * @route GET /api/admin/reports/products/:id
+ * @access Moderator, Admin
+ */
+const getProductReports = async (req, res) => {
+  try {
+    const product = await findTargetProduct(req, res);
+    if (!product) return;
+
+    const [reports, history] = await Promise.all([
+      Report.find({ product: product._id })
+        .populate('reporter', 'username')
+        .populate('resolvedBy', 'username')
+        .sort({ createdAt: -1 }),
+      ModerationLog.getEntries({ targetType: 'Product', target: product._id }, { limit: 50 })
+    ]);
+    await product.populate('user', 'username email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Product reports retrieved successfully',
+      data: {
+        product,
+        reports,
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get product reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve product reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Close the open reports on a listing by dismissing them, hiding the listing
+ * or removing it
+ * @route PUT /api/admin/reports/products/:id/resolve
+ * @access Moderator, Admin
+ */
+const resolveReports = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await findTargetProduct(req, res);
+    if (!product) return;
+
+    const { action } = req.body;
+    const reason = req.body.reason || '';
+
+    const openReports = await Report.countOpenForProduct(product._id);
+    if (openReports === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing has no open reports'
+      });
+    }
+
+    if (action === 'remove' && product.isTakenDown) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is already taken down'
+      });
+    }
+
+    const entry = { actor: req.user.id, targetType: 'Product', target: product._id, reason };
+
+    if (action === 'dismiss') {
+      // Reports were unfounded, so an automatic hide is lifted
+      const unhide = product.isHidden && !product.isTakenDown;
+      if (unhide) await product.restore();
+
+      const reportCount = await Report.resolveForProduct(product._id, 'dismissed', req.user.id);
+      await ModerationLog.record({ ...entry, action: 'reports_dismissed', details: { reportCount, unhidden: unhide } });
+
+      if (unhide) {
+        emit('listing.restored', { product });
+        dispatch(notifyBackInStock(product));
+      }
+    }
+
+    if (action === 'hide') {
+      const hideReason = reason || 'Hidden by a moderator';
+      const hideNow = !product.isHidden;
+      if (hideNow) await product.hide(hideReason);
+
+      const reportCount = await Report.resolveForProduct(product._id, 'actioned', req.user.id);
+      await ModerationLog.record({ ...entry, reason: hideReason, action: 'listing_hidden', details: { reportCount } });
+
+      if (hideNow) emit('listing.hidden', { product, reason: hideReason });
+    }
+
+    if (action === 'remove') {
+      await product.takeDown(req.user.id, reason);
+
+      const reportCount = await Report.resolveForProduct(product._id, 'actioned', req.user.id);
+      await ModerationLog.record({ ...entry, action: 'listing_removed', details: { reportCount } });
+
+      emit('listing.taken_down', { product, reason });
+    }
+
+    await product.populate('user', 'username email');
+
+    res.status(200).json({
+      success: true,
+      message: RESOLUTION_MESSAGES[action],
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Admin resolve reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to resolve reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the moderation audit trail, newest first
+ * @route GET /api/admin/moderation-log
+ * @access Moderator, Admin
+ */
+const getModerationLog = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { targetType, target, action } = req.query;
+
+    const filter = {};
+    if (['Product', 'User'].includes(targetType)) filter.targetType = targetType;
+    if (target && target.match(/^[0-9a-fA-F]{24}$/)) filter.target = target;
+    if (ModerationLog.getActions().includes(action)) filter.action = action;
+
+    const [entries, totalEntries] = await Promise.all([
+      ModerationLog.getEntries(filter, { page, limit }),
+      ModerationLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Moderation log retrieved successfully',
+      data: {
+        entries,
+        pagination: toPagination(page, limit, totalEntries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get moderation log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve moderation log',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  getProducts,
+  takeDownProduct,
+  restoreProduct,
+  getPurchases,
+  getReportQueue,
+  getProductReports,
+  resolveReports,
+  getModerationLog
+};
@@ -1,39 +1,79 @@
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendMail } = require('../utils/mailer');
+const { hasPoint } = require('../utils/geocode');
 
 /**
- * Generate JWT Token
+ * Generate short-lived JWT access token
  * @param {string} userId - User ID to include in token payload
+ * @param {string} sessionId - Session the token belongs to, checked on every request
  * @returns {string} - JWT token
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
 /**
- * Send token response
+ * Describe the device making the request, stored on its session
+ * @param {Object} req - Express request object
+ * @returns {Object} - { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip || ''
+});
+
+/**
+ * Reply to a suspended user trying to sign in
+ * @param {Object} user - Suspended user
+ * @param {Object} res - Express response object
+ */
+const sendSuspendedResponse = (user, res) => {
+  res.status(403).json({
+    success: false,
+    message: 'Your account has been suspended',
+    code: 'ACCOUNT_SUSPENDED',
+    reason: user.suspensionReason || null
+  });
+};
+
+/**
+ * Start a new session and send token response
  * @param {Object} user - User object
  * @param {number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {string} message - Optional message overriding the register/login default
  */
-const sendTokenResponse = (user, statusCode, res) => {
+const sendTokenResponse = async (user, statusCode, req, res, message) => {
+  const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+  
   // Generate token
-  const token = generateToken(user._id);
+  const token = generateToken(user._id, session._id);
   
   // Response data
   const response = {
     success: true,
-    message: statusCode === 201 ? 'User registered successfully' : 'Login successful',
+    message: message || (statusCode === 201 ? 'User registered successfully' : 'Login successful'),
     token,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRE || '15m',
     user: {
       id: user._id,
       email: user.email,
       username: user.username,
+      role: user.role,
+      preferredCurrency: user.preferredCurrency,
+      locale: user.locale,
+      location: user.location,
+      // False when the location isn't in the place table, so "near me" search can't use it
+      locationFound: hasPoint(user.geoLocation),
       createdAt: user.createdAt
     }
   };
@@ -79,7 +119,7 @@ const register = async (req, res) => {
     await user.save();
     
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
     
   } catch (error) {
     console.error('Register error:', error);
@@ -148,8 +188,12 @@ const login = async (req, res) => {
       });
     }
     
+    if (user.isSuspended) {
+      return sendSuspendedResponse(user, res);
+    }
+    
     // Send token response
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
     
   } catch (error) {
     console.error('Login error:', error);
@@ -184,6 +228,12 @@ const getMe = async (req, res) => {
         id: user._id,
         email: user.email,
         username: user.username,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency,
+        locale: user.locale,
+        location: user.location,
+        // False when the location isn't in the place table, so "near me" search can't use it
+        locationFound: hasPoint(user.geoLocation),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -199,18 +249,69 @@ const getMe = async (req, res) => {
 };
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    let rotated;
+    try {
+      rotated = await Session.rotate(req.body.refreshToken);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    const { session, refreshToken } = rotated;
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: generateToken(session.user, session._id),
+      refreshToken,
+      expiresIn: process.env.JWT_EXPIRE || '15m'
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error refreshing token'
+    });
+  }
+};
+
+/**
+ * @desc    Logout user by revoking the current session
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = async (req, res) => {
   try {
-    // Since we're using JWT, logout is handled client-side by removing the token
-    // This endpoint confirms the logout action
+    await Session.updateOne(
+      { _id: req.user.sessionId, user: req.user.id },
+      { $set: { revokedAt: new Date() } }
+    );
+    
     res.status(200).json({
       success: true,
-      message: 'User logged out successfully',
-      hint: 'Please remove the token from client-side storage'
+      message: 'User logged out successfully'
     });
     
   } catch (error) {
@@ -222,9 +323,293 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Change password for the logged in user
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { currentPassword, newPassword } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Check current password
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+    
+    user.password = newPassword; // Will be hashed by pre-save middleware
+    await user.save();
+    
+    // Sign out every other device; this one gets a fresh session
+    await Session.revokeAllForUser(user._id);
+    await sendTokenResponse(user, 200, req, res, 'Password changed successfully');
+    
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error changing password'
+    });
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+    
+    const user = await User.findByEmail(req.body.email);
+    
+    if (!user) {
+      return res.status(200).json(response);
+    }
+    
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'}/${resetToken}`;
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your EcoFinds password',
+        text: `Hi ${user.username},\n\n` +
+          `We received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+          `The link expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60} minutes. ` +
+          'If you did not ask for this, you can ignore this email.'
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the user never received it
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw mailError;
+    }
+    
+    res.status(200).json(response);
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to send password reset email'
+    });
+  }
+};
+
+/**
+ * @desc    Reset password using the token from the reset email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findByResetToken(req.params.token);
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+    
+    user.password = req.body.password; // Will be hashed by pre-save middleware
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    
+    // Whoever knew the old password should not stay signed in
+    await Session.revokeAllForUser(user._id);
+    
+    // The new password takes effect, but a suspended account still cannot sign in
+    if (user.isSuspended) {
+      return sendSuspendedResponse(user, res);
+    }
+    
+    await sendTokenResponse(user, 200, req, res, 'Password reset successfully');
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error resetting password'
+    });
+  }
+};
+
+/**
+ * @desc    Logout from every device by revoking all sessions
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedCount }
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.user.sessionId.toString()
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error retrieving sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+    
+    const session = await Session.findOne({ _id: id, user: req.user.id, revokedAt: null });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await session.revoke();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        id: session._id,
+        current: session._id.toString() === req.user.sessionId.toString()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error revoking session'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  forgotPassword,
+  resetPassword
 };
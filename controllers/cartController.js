@@ -1,6 +1,11 @@
 const { validationResult } = require('express-validator');
 const CartItem = require('../models/CartItem');
 const Product = require('../models/Product');
+const Offer = require('../models/Offer');
+const Purchase = require('../models/Purchase');
+const { emit } = require('../utils/notifications');
+const { convert, formatMoney } = require('../utils/currency');
+const { sumMoney, multiplyMoney } = require('../utils/money');
 
 /**
  * Add item to cart
@@ -31,7 +36,7 @@ const addToCart = async (req, res) => {
       });
     }
 
-    if (!product.isAvailable) {
+    if (!product.isListed) {
       return res.status(400).json({
         success: false,
         message: 'Product is no longer available'
@@ -47,12 +52,17 @@ const addToCart = async (req, res) => {
     }
 
     // Add or update cart item
+    const alreadyInCart = await CartItem.exists({ user: userId, product: productId });
     const cartItem = await CartItem.addOrUpdateItem(userId, productId, quantity);
+
+    if (!alreadyInCart) {
+      emit('cart.item_added', { product });
+    }
     
     // Populate product info for response
     await cartItem.populate({
       path: 'product',
-      select: 'title description price image category condition isAvailable',
+      select: 'title description price currency image category condition location delivery isAvailable hiddenAt',
       populate: {
         path: 'user',
         select: 'username avatar'
@@ -86,18 +96,19 @@ const addToCart = async (req, res) => {
 const getCart = async (req, res) => {
   try {
     const userId = req.user.id;
+    const { currency, locale } = req.user;
 
     // Get cart with total calculation
-    const cartData = await CartItem.calculateCartTotal(userId);
+    const cartData = await CartItem.calculateCartTotal(userId, currency);
     
     // Filter out items with unavailable products
     const availableItems = cartData.items.filter(item => 
-      item.product && item.product.isAvailable
+      item.product && item.product.isListed
     );
     
     // Remove unavailable items from cart
     const unavailableItems = cartData.items.filter(item => 
-      !item.product || !item.product.isAvailable
+      !item.product || !item.product.isListed
     );
     
     if (unavailableItems.length > 0) {
@@ -105,24 +116,83 @@ const getCart = async (req, res) => {
       await CartItem.deleteMany({ _id: { $in: unavailableIds } });
     }
 
-    // Recalculate total with only available items
-    let total = 0;
+    // Accepted offers replace the list price, matching what checkout will charge
+    await Offer.expireStale();
+    const acceptedOffers = await Offer.getAcceptedOffers(userId, availableItems.map(item => item.product._id));
+
+    // Recalculate total with only available items. Each item is charged in its
+    // listing currency; the total shows the lot in the user's currency.
+    const convertedSubtotals = [];
     let itemCount = 0;
+    const chargesByCurrency = new Map();
     
-    for (const item of availableItems) {
-      total += item.quantity * item.product.price;
+    const items = availableItems.map(item => {
+      const offer = acceptedOffers.get(item.product._id.toString());
+      const unitPrice = offer ? offer.amount : item.product.price;
+      const itemCurrency = item.product.currency;
+      const subtotal = multiplyMoney(unitPrice, item.quantity);
+      
+      convertedSubtotals.push(convert(subtotal, itemCurrency, currency));
       itemCount += item.quantity;
+      chargesByCurrency.set(itemCurrency, sumMoney([chargesByCurrency.get(itemCurrency) || 0, subtotal]));
+      
+      return {
+        ...item.toJSON(),
+        unitPrice,
+        currency: itemCurrency,
+        subtotal,
+        formattedSubtotal: formatMoney(subtotal, itemCurrency, locale),
+        offer: offer ? { _id: offer._id, amount: offer.amount, expiresAt: offer.expiresAt } : null
+      };
+    });
+
+    const total = sumMoney(convertedSubtotals);
+    const charges = [...chargesByCurrency].map(([chargeCurrency, amount]) => ({
+      currency: chargeCurrency,
+      total: amount,
+      formattedTotal: formatMoney(amount, chargeCurrency, locale)
+    }));
+
+    // Checkout creates one order per seller and currency; each is picked up or
+    // shipped, and shipping adds the listings' flat fees to that order
+    const listingsByOrder = new Map();
+    for (const item of availableItems) {
+      const seller = item.product.user;
+      const orderKey = `${seller._id}:${item.product.currency}`;
+      if (!listingsByOrder.has(orderKey)) {
+        listingsByOrder.set(orderKey, { seller, currency: item.product.currency, listings: [] });
+      }
+      listingsByOrder.get(orderKey).listings.push(item.product);
     }
 
+    const orders = [...listingsByOrder.values()].map(({ seller, currency: orderCurrency, listings }) => {
+      const { methods, shippingFee } = Purchase.getDeliveryQuote(listings);
+      const convertedShippingFee = convert(shippingFee, orderCurrency, currency);
+      return {
+        seller: { _id: seller._id, username: seller.username },
+        currency: orderCurrency,
+        productIds: listings.map(listing => listing._id),
+        deliveryMethods: methods,
+        pickupLocation: listings[0].location || '',
+        shippingFee,
+        formattedShippingFee: formatMoney(shippingFee, orderCurrency, locale),
+        convertedShippingFee,
+        formattedConvertedShippingFee: formatMoney(convertedShippingFee, currency, locale)
+      };
+    });
+
     res.status(200).json({
       success: true,
       message: 'Cart retrieved successfully',
       data: {
-        items: availableItems,
+        items,
         summary: {
           itemCount,
-          total: Math.round(total * 100) / 100,
-          formattedTotal: `$${(Math.round(total * 100) / 100).toFixed(2)}`
+          total,
+          currency,
+          formattedTotal: formatMoney(total, currency, locale),
+          charges,
+          orders
         },
         removedUnavailableItems: unavailableItems.length
       }
@@ -178,7 +248,7 @@ const updateCartItem = async (req, res) => {
 
     // Check if product is still available
     const product = await Product.findById(cartItem.product);
-    if (!product || !product.isAvailable) {
+    if (!product || !product.isListed) {
       // Remove item if product is no longer available
       await CartItem.findByIdAndDelete(id);
       return res.status(400).json({
@@ -194,7 +264,7 @@ const updateCartItem = async (req, res) => {
     // Populate for response
     await cartItem.populate({
       path: 'product',
-      select: 'title description price image category condition isAvailable',
+      select: 'title description price currency image category condition location delivery isAvailable hiddenAt',
       populate: {
         path: 'user',
         select: 'username avatar'
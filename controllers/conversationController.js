@@ -0,0 +1,399 @@
+const { validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const User = require('../models/User');
+
+/**
+ * Load a conversation the current user takes part in
+ * @param {string} conversationId - Conversation ID from the URL
+ * @param {string} userId - Current user ID
+ * @returns {Object|null} - Conversation with participants and product populated, or null
+ */
+const findUserConversation = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId)
+    .populate('buyer', 'username avatar')
+    .populate('seller', 'username avatar')
+    .populate('product', 'title image images price currency isAvailable');
+
+  if (!conversation || !conversation.hasParticipant(userId)) return null;
+  return conversation;
+};
+
+/**
+ * Respond 403 for a locked thread
+ * @param {Object} res - Express response
+ * @param {string} lockReason - Why the thread is locked
+ */
+const sendLocked = (res, lockReason) => res.status(403).json({
+  success: false,
+  message: Conversation.getLockMessage(lockReason),
+  code: 'CONVERSATION_LOCKED',
+  lockReason
+});
+
+/**
+ * Create a message, update the thread and return the populated message
+ * @param {Object} conversation - Conversation document
+ * @param {string} senderId - Sender user ID
+ * @param {string} body - Message text
+ * @returns {Object} - Saved message with sender populated
+ */
+const postMessage = async (conversation, senderId, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body
+  });
+
+  await conversation.recordMessage(message);
+  return message.populate('sender', 'username avatar');
+};
+
+/**
+ * Get the current user's conversations
+ * @route GET /api/conversations
+ * @access Protected
+ */
+const getConversations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const [conversations, totalConversations, unread] = await Promise.all([
+      Conversation.getUserConversations(userId, page, limit),
+      Conversation.countDocuments({ $or: [{ buyer: userId }, { seller: userId }] }),
+      Conversation.getUnreadSummary(userId)
+    ]);
+    const lockReasons = await Conversation.getLockReasons(conversations);
+    const totalPages = Math.ceil(totalConversations / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversations retrieved successfully',
+      data: {
+        conversations: conversations.map(conversation =>
+          conversation.toSummary(userId, lockReasons.get(conversation._id.toString()))
+        ),
+        unread,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalConversations,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve conversations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get unread message counts for the header badge
+ * @route GET /api/conversations/unread-count
+ * @access Protected
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unread = await Conversation.getUnreadSummary(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Unread count retrieved successfully',
+      data: unread
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start a conversation with a product's seller, or return the existing one
+ * @route POST /api/conversations
+ * @access Protected
+ */
+const startConversation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const buyerId = req.user.id;
+    const { productId, message } = req.body;
+
+    const product = await Product.findById(productId).select('title image user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.isOwnedBy(buyerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot start a conversation about your own product'
+      });
+    }
+
+    let conversation = await Conversation.findOne({ product: productId, buyer: buyerId });
+    const isNew = !conversation;
+
+    if (isNew) {
+      if (await User.isBlockedBetween(buyerId, product.user)) {
+        return sendLocked(res, 'blocked');
+      }
+
+      try {
+        conversation = await Conversation.create({
+          product: product._id,
+          buyer: buyerId,
+          seller: product.user,
+          productSnapshot: { title: product.title, image: product.image }
+        });
+      } catch (error) {
+        // Two requests raced to open the same thread; use the one that won
+        if (error.code !== 11000) throw error;
+        conversation = await Conversation.findOne({ product: productId, buyer: buyerId });
+      }
+    }
+
+    const lockReason = await Conversation.getLockReason(conversation);
+
+    if (message) {
+      if (lockReason) {
+        return sendLocked(res, lockReason);
+      }
+      await postMessage(conversation, buyerId, message);
+    }
+
+    await conversation.populate([
+      { path: 'buyer', select: 'username avatar' },
+      { path: 'seller', select: 'username avatar' },
+      { path: 'product', select: 'title image images price currency isAvailable' }
+    ]);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Conversation started successfully' : 'Conversation retrieved successfully',
+      data: conversation.toSummary(buyerId, lockReason)
+    });
+
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to start conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a conversation with its messages and mark it read
+ * @route GET /api/conversations/:id
+ * @access Protected
+ */
+const getConversation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID format'
+      });
+    }
+
+    const conversation = await findUserConversation(id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const [messages, totalMessages, lockReason] = await Promise.all([
+      Message.getConversationMessages(conversation._id, page, limit),
+      Message.countDocuments({ conversation: conversation._id }),
+      Conversation.getLockReason(conversation)
+    ]);
+    const totalPages = Math.ceil(totalMessages / limit);
+
+    // Opening the newest page means the user has seen everything
+    if (page === 1) {
+      await conversation.markReadBy(userId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation retrieved successfully',
+      data: {
+        conversation: conversation.toSummary(userId, lockReason),
+        messages,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalMessages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * @route POST /api/conversations/:id/messages
+ * @access Protected
+ */
+const sendMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID format'
+      });
+    }
+
+    const conversation = await findUserConversation(id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const lockReason = await Conversation.getLockReason(conversation);
+
+    if (lockReason) {
+      return sendLocked(res, lockReason);
+    }
+
+    const message = await postMessage(conversation, userId, req.body.body);
+
+    // Replying implies the sender has read the thread
+    await conversation.markReadBy(userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to send message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark a conversation as read
+ * @route PUT /api/conversations/:id/read
+ * @access Protected
+ */
+const markConversationRead = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID format'
+      });
+    }
+
+    const conversation = await findUserConversation(id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    await conversation.markReadBy(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: await Conversation.getUnreadSummary(userId)
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to mark conversation as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getConversations,
+  getUnreadCount,
+  startConversation,
+  getConversation,
+  sendMessage,
+  markConversationRead
+};
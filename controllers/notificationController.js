@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getChannelNames } = require('../utils/notifications');
+
+/**
+ * Build the preferences response; the webhook secret is only shown to its owner
+ * @param {Object} user - User with notificationPreferences and webhookSecret selected
+ * @returns {Object} - Preferences with the available channels and types
+ */
+const toPreferences = (user) => {
+  const { channels, webhookUrl, webhookSecret, mutedTypes } = user.notificationPreferences;
+
+  return {
+    channels: {
+      inApp: channels.inApp,
+      email: channels.email,
+      webhook: channels.webhook
+    },
+    webhookUrl,
+    webhookSecret: webhookUrl ? webhookSecret : null,
+    mutedTypes,
+    availableChannels: getChannelNames(),
+    availableTypes: Notification.getTypes()
+  };
+};
+
+/**
+ * Get the user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Protected
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const unreadOnly = req.query.unread === 'true';
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.getUserNotifications(userId, { page, limit, unreadOnly }),
+      Notification.countDocuments(unreadOnly ? { user: userId, readAt: null } : { user: userId }),
+      Notification.getUnreadCount(userId)
+    ]);
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the number of unread notifications, for the header bell
+ * @route GET /api/notifications/unread-count
+ * @access Protected
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Unread count retrieved successfully',
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get notification unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark one notification as read
+ * @route PUT /api/notifications/:id/read
+ * @access Protected
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark every notification as read
+ * @route PUT /api/notifications/read-all
+ * @access Protected
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { markedCount: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete a notification
+ * @route DELETE /api/notifications/:id
+ * @access Protected
+ */
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    const result = await Notification.deleteOne({ _id: id, user: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted',
+      data: { id }
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to delete notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the user's notification channel preferences
+ * @route GET /api/notifications/preferences
+ * @access Protected
+ */
+const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+notificationPreferences.webhookSecret');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences retrieved successfully',
+      data: toPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update which channels notifications are delivered on and which types are muted
+ * @route PUT /api/notifications/preferences
+ * @access Protected
+ */
+const updatePreferences = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+notificationPreferences.webhookSecret');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const preferences = user.notificationPreferences;
+    const { channels = {}, webhookUrl, mutedTypes } = req.body;
+
+    for (const name of ['inApp', 'email', 'webhook']) {
+      if (channels[name] !== undefined) preferences.channels[name] = channels[name];
+    }
+
+    if (webhookUrl !== undefined && webhookUrl !== preferences.webhookUrl) {
+      // A new destination gets a new signing secret
+      preferences.webhookUrl = webhookUrl;
+      preferences.webhookSecret = webhookUrl ? crypto.randomBytes(32).toString('hex') : undefined;
+      if (!webhookUrl) preferences.channels.webhook = false;
+    }
+
+    if (preferences.channels.webhook && !preferences.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a webhook URL before turning on webhook notifications'
+      });
+    }
+
+    if (mutedTypes !== undefined) {
+      preferences.mutedTypes = [...new Set(mutedTypes)];
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: toPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
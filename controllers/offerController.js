@@ -0,0 +1,303 @@
+const { validationResult } = require('express-validator');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+
+/**
+ * Serialize an offer with the current user's role and next possible actions
+ * @param {Object} offer - Offer document
+ * @param {string} userId - Current user ID
+ * @returns {Object} - Offer JSON with role and allowedActions
+ */
+const withAllowedActions = (offer, userId) => {
+  const role = offer.getRole(userId);
+  return {
+    ...offer.toJSON(),
+    role,
+    allowedActions: offer.getAllowedActions(role)
+  };
+};
+
+/**
+ * Make an offer on a product
+ * @route POST /api/offers
+ * @access Protected
+ */
+const createOffer = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const buyerId = req.user.id;
+    const { productId, amount, message } = req.body;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    let offer;
+    try {
+      offer = await Offer.makeOffer(product, buyerId, parseFloat(amount), message);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          offerId: error.offerId
+        });
+      }
+      throw error;
+    }
+
+    await offer.populate([
+      { path: 'product', select: 'title image images price currency isAvailable' },
+      { path: 'seller', select: 'username avatar' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer sent successfully',
+      data: withAllowedActions(offer, buyerId)
+    });
+
+  } catch (error) {
+    console.error('Create offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to make offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get offers the current user made (role=buyer) or received (role=seller)
+ * @route GET /api/offers
+ * @access Protected
+ */
+const getOffers = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const role = req.query.role === 'seller' ? 'seller' : 'buyer';
+    const { status, productId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    if (status && !Offer.getStatuses().includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Offer.getStatuses().join(', ')}`
+      });
+    }
+
+    if (productId && !productId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    await Offer.expireStale();
+
+    const filter = { [role]: userId };
+    if (status) filter.status = status;
+    if (productId) filter.product = productId;
+
+    const [offers, totalOffers] = await Promise.all([
+      Offer.getUserOffers(userId, role, { status, productId, page, limit }),
+      Offer.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalOffers / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offers retrieved successfully',
+      data: {
+        offers: offers.map(offer => withAllowedActions(offer, userId)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalOffers,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve offers',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a single offer
+ * @route GET /api/offers/:id
+ * @access Protected
+ */
+const getOffer = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid offer ID format'
+      });
+    }
+
+    await Offer.expireStale();
+
+    const offer = await Offer.findById(id)
+      .populate('product', 'title image images price currency isAvailable')
+      .populate('buyer', 'username avatar')
+      .populate('seller', 'username avatar');
+
+    if (!offer || !offer.getRole(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer retrieved successfully',
+      data: withAllowedActions(offer, userId)
+    });
+
+  } catch (error) {
+    console.error('Get offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const RESPONSE_MESSAGES = {
+  accept: 'Offer accepted',
+  counter: 'Counter-offer sent',
+  decline: 'Offer declined',
+  withdraw: 'Offer withdrawn'
+};
+
+/**
+ * Build a handler for one negotiation step
+ * @param {string} action - 'accept', 'counter', 'decline' or 'withdraw'
+ * @returns {Function} - Express handler
+ * @route PUT /api/offers/:id/{accept|counter|decline|withdraw}
+ * @access Protected
+ */
+const respondToOffer = (action) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { amount, message } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid offer ID format'
+      });
+    }
+
+    const offer = await Offer.findById(id);
+    const role = offer ? offer.getRole(userId) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    // Neither side can agree a price for a listing that is no longer for sale
+    if (action === 'accept') {
+      const product = await Product.findById(offer.product).select('isAvailable hiddenAt');
+      if (!product || !product.isListed) {
+        return res.status(400).json({
+          success: false,
+          message: 'This product is no longer available'
+        });
+      }
+    }
+
+    try {
+      await offer.respond(action, {
+        role,
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        message
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          allowedActions: error.allowedActions
+        });
+      }
+      throw error;
+    }
+
+    await offer.populate([
+      { path: 'product', select: 'title image images price currency isAvailable' },
+      { path: 'buyer', select: 'username avatar' },
+      { path: 'seller', select: 'username avatar' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: RESPONSE_MESSAGES[action],
+      data: withAllowedActions(offer, userId)
+    });
+
+  } catch (error) {
+    console.error(`Offer ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createOffer,
+  getOffers,
+  getOffer,
+  acceptOffer: respondToOffer('accept'),
+  counterOffer: respondToOffer('counter'),
+  declineOffer: respondToOffer('decline'),
+  withdrawOffer: respondToOffer('withdraw')
+};
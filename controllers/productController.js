@@ -1,5 +1,100 @@
 const { validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Purchase = require('../models/Purchase');
+const WishlistItem = require('../models/WishlistItem');
+const SavedSearch = require('../models/SavedSearch');
+const { removeByUrls } = require('../utils/storage');
+const { notifyPriceDrop, notifyBackInStock, dispatch } = require('../utils/wishlistAlerts');
+const savedSearchAlerts = require('../utils/savedSearchAlerts');
+const { getBaseCurrency, getSupportedCurrencies, isSupportedCurrency, getRates, roundMoney } = require('../utils/currency');
+const { fromCents } = require('../utils/money');
+const { geocode, parseCoordinates, distanceKm, hasPoint } = require('../utils/geocode');
+const { highlight } = require('../utils/search');
+const { findPage } = require('../utils/pagination');
+
+// Radius of a "near" search when none is given, and the accepted range, in kilometres
+const DEFAULT_NEAR_RADIUS_KM = 25;
+const MIN_NEAR_RADIUS_KM = 1;
+const MAX_NEAR_RADIUS_KM = 500;
+
+/**
+ * Normalize the ordered image list from a request body.
+ * Older clients send a single `image` URL instead of `images`.
+ * @param {Array} images - Ordered images from the request
+ * @param {string} image - Legacy single image URL
+ * @returns {Array|undefined} - Images to store, or undefined if neither was sent
+ */
+const toProductImages = (images, image) => {
+  if (images !== undefined) {
+    return images.map(({ url, thumbnailUrl, width, height }) => ({ url, thumbnailUrl, width, height }));
+  }
+  if (image !== undefined) {
+    return image ? [{ url: image }] : [];
+  }
+  return undefined;
+};
+
+/**
+ * Pick the delivery settings a request may change, leaving the others as they are
+ * @param {Object} delivery - Delivery options from the request
+ * @returns {Object} - { pickup, shipping, shippingFee } with only the sent keys
+ */
+const toDeliveryUpdate = (delivery) => {
+  const update = {};
+  ['pickup', 'shipping', 'shippingFee'].forEach(key => {
+    if (delivery[key] !== undefined) update[key] = delivery[key];
+  });
+  return update;
+};
+
+/**
+ * Tidy listing attribute values from a request body; text values are trimmed
+ * @param {Object} attributes - Attribute values by key, already validated
+ * @returns {Object} - Values to store
+ */
+const toAttributeValues = (attributes) => Object.fromEntries(
+  Object.entries(attributes).map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+);
+
+/**
+ * Work out the point a "near" search starts from: "me" is the signed-in user's
+ * location, "lat,lng" is taken as coordinates and anything else is geocoded
+ * @param {string} near - Value of the near query parameter
+ * @param {Object} user - req.user, if signed in
+ * @returns {Object} - { point } or { message } saying why there is none
+ */
+const resolveNearPoint = async (near, user) => {
+  if (near === 'me') {
+    if (!user) {
+      return { message: 'Sign in to search near your location' };
+    }
+    const profile = await User.findById(user.id).select('geoLocation');
+    return profile && hasPoint(profile.geoLocation)
+      ? { point: { type: 'Point', coordinates: [...profile.geoLocation.coordinates] } }
+      : { message: 'Add a town or postcode we recognise to your profile to search near you' };
+  }
+
+  const point = parseCoordinates(near) || geocode(near);
+  return point ? { point } : { message: `Unknown location "${near}". Try a town, city or postcode` };
+};
+
+/**
+ * Delete stored image files a product no longer uses.
+ * Files of products that have been sold are kept because purchase history links to them.
+ * @param {Object} product - Product document
+ * @param {Array} images - Images being dropped
+ */
+const removeProductImages = async (product, images) => {
+  if (images.length === 0) return;
+
+  const sold = await Purchase.exists({ 'products.product': product._id });
+  if (sold) return;
+
+  const ownerId = product.user._id || product.user;
+  await removeByUrls(images.flatMap(image => [image.url, image.thumbnailUrl]), `products/${ownerId}/`);
+};
 
 /**
  * @desc    Create a new product
@@ -24,23 +119,30 @@ const createProduct = async (req, res) => {
       description,
       category,
       price,
+      currency,
       condition,
       image,
+      images,
       location,
-      tags
+      tags,
+      attributes,
+      delivery
     } = req.body;
 
-    // Create new product with authenticated user as owner
+    // Create new product with authenticated user as owner, priced in their currency unless they chose one
     const product = new Product({
       user: req.user.id,
       title,
       description,
       category,
       price,
+      currency: currency || req.user.currency,
       condition,
-      image,
+      images: toProductImages(images, image) || [],
       location,
-      tags: tags || []
+      tags: tags || [],
+      attributes: attributes ? toAttributeValues(attributes) : {},
+      delivery: delivery ? toDeliveryUpdate(delivery) : undefined
     });
 
     await product.save();
@@ -48,6 +150,9 @@ const createProduct = async (req, res) => {
     // Populate user information for response
     await product.populate('user', 'username avatar');
 
+    // Record the listing on other users' matching saved searches in the background
+    savedSearchAlerts.dispatch(savedSearchAlerts.matchNewListing(product));
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -75,7 +180,7 @@ const createProduct = async (req, res) => {
 };
 
 /**
- * @desc    Get all products (public)
+ * @desc    Get all products (public), with facet counts for the matching listings
  * @route   GET /api/products
  * @access  Public
  */
@@ -87,18 +192,50 @@ const getProducts = async (req, res) => {
     const category = req.query.category;
     const minPrice = parseFloat(req.query.minPrice);
     const maxPrice = parseFloat(req.query.maxPrice);
+    // Price bounds are given in this currency
+    const currency = req.query.currency || getBaseCurrency();
     const condition = req.query.condition;
-    const search = req.query.search;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
     const location = req.query.location;
     const tags = req.query.tags ? req.query.tags.split(',').map(tag => tag.trim()) : null;
     const sortBy = req.query.sortBy || 'createdAt';
     const sortOrder = req.query.sortOrder || 'desc';
+    const near = typeof req.query.near === 'string' ? req.query.near.trim() : '';
+    const radiusKm = req.query.radius !== undefined ? parseFloat(req.query.radius) : DEFAULT_NEAR_RADIUS_KM;
+    // Continues after the last listing of a previous page instead of using `page`
+    const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : '';
+
+    // A category includes its subcategories
+    const categoryNames = category ? await Category.getSubtreeNames(category) : null;
+    if (category && !categoryNames) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category "${category}". GET /api/products/meta lists the categories`
+      });
+    }
 
-    // Validate category if provided
-    if (category && !Product.getCategories().includes(category)) {
+    // Attributes are defined per category, so filtering on them needs one
+    const attributeQuery = req.query.attributes;
+    if (attributeQuery !== undefined && (typeof attributeQuery !== 'object' || Array.isArray(attributeQuery))) {
       return res.status(400).json({
         success: false,
-        message: `Invalid category. Valid categories are: ${Product.getCategories().join(', ')}`
+        message: 'Attribute filters must be given as attributes[key]=value'
+      });
+    }
+    if (attributeQuery && !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filtering by attributes needs a category'
+      });
+    }
+
+    const attributeSchema = category ? await Category.getAttributeSchema(category) : [];
+    const { filters: attributeFilters, problems } = Product.getAttributeFilters(attributeSchema, attributeQuery);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attribute filters',
+        errors: problems
       });
     }
 
@@ -110,6 +247,13 @@ const getProducts = async (req, res) => {
       });
     }
 
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid currency. Supported currencies are: ${getSupportedCurrencies().join(', ')}`
+      });
+    }
+
     // Validate price range
     if (!isNaN(minPrice) && !isNaN(maxPrice) && minPrice > maxPrice) {
       return res.status(400).json({
@@ -119,7 +263,7 @@ const getProducts = async (req, res) => {
     }
 
     // Validate sort field
-    const allowedSortFields = ['createdAt', 'price', 'title', 'views', 'updatedAt'];
+    const allowedSortFields = ['createdAt', 'price', 'title', 'views', 'updatedAt', 'distance'];
     if (!allowedSortFields.includes(sortBy)) {
       return res.status(400).json({
         success: false,
@@ -127,39 +271,62 @@ const getProducts = async (req, res) => {
       });
     }
 
-    // Use advanced search method
+    // Validate distance search
+    if (sortBy === 'distance' && !near) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by distance needs a location to search near'
+      });
+    }
+    if (sortBy === 'distance' && search) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search results are sorted by relevance and cannot also be sorted by distance'
+      });
+    }
+    if (near && (isNaN(radiusKm) || radiusKm < MIN_NEAR_RADIUS_KM || radiusKm > MAX_NEAR_RADIUS_KM)) {
+      return res.status(400).json({
+        success: false,
+        message: `Radius must be between ${MIN_NEAR_RADIUS_KM} and ${MAX_NEAR_RADIUS_KM} km`
+      });
+    }
+
+    const { point: nearPoint, message: nearProblem } = near ? await resolveNearPoint(near, req.user) : {};
+    if (nearProblem) {
+      return res.status(400).json({
+        success: false,
+        message: nearProblem
+      });
+    }
+
     const searchOptions = {
       search,
-      category,
+      category: categoryNames,
       condition,
       minPrice: !isNaN(minPrice) ? minPrice : undefined,
       maxPrice: !isNaN(maxPrice) ? maxPrice : undefined,
+      currency,
       location,
       tags,
+      attributeFilters,
+      near: nearPoint ? { point: nearPoint, radiusKm } : undefined,
       sortBy,
       sortOrder,
       page,
-      limit
+      limit,
+      cursor
     };
 
-    const products = await Product.advancedSearch(searchOptions);
+    // One query serves the results, the total and the facets
+    const listingQuery = await Product.buildListingQuery(searchOptions);
+    const { products, nextCursor } = await Product.findListings(listingQuery, searchOptions);
 
-    // Get total count for pagination (need to build same filter for count)
-    let countFilter = { isAvailable: true };
-    if (search) countFilter.$text = { $search: search.trim() };
-    if (category) countFilter.category = category;
-    if (condition) countFilter.condition = condition;
-    if (!isNaN(minPrice) || !isNaN(maxPrice)) {
-      countFilter.price = {};
-      if (!isNaN(minPrice)) countFilter.price.$gte = minPrice;
-      if (!isNaN(maxPrice)) countFilter.price.$lte = maxPrice;
-    }
-    if (location) countFilter.location = { $regex: new RegExp(location.trim(), 'i') };
-    if (tags && tags.length > 0) countFilter.tags = { $in: tags };
-
-    const totalProducts = await Product.countDocuments(countFilter);
+    const totalProducts = await Product.countDocuments(listingQuery.filter);
     const totalPages = Math.ceil(totalProducts / limit);
 
+    // Counts per category and attribute value, for narrowing the results
+    const facets = await Product.getFacets(listingQuery.facetFilter, attributeFilters, attributeSchema);
+
     // Build response with applied filters for transparency
     const appliedFilters = {
       search: search || null,
@@ -167,10 +334,13 @@ const getProducts = async (req, res) => {
       condition: condition || null,
       priceRange: {
         min: !isNaN(minPrice) ? minPrice : null,
-        max: !isNaN(maxPrice) ? maxPrice : null
+        max: !isNaN(maxPrice) ? maxPrice : null,
+        currency
       },
       location: location || null,
       tags: tags || null,
+      attributes: attributeQuery || null,
+      near: nearPoint ? { query: near, radiusKm } : null,
       sortBy,
       sortOrder
     };
@@ -178,21 +348,43 @@ const getProducts = async (req, res) => {
     res.status(200).json({
       success: true,
       message: `Products retrieved successfully${search ? ` for search: "${search}"` : ''}`,
-      data: products,
+      // Searches mark where each listing matched, and near searches say how far
+      // away it is, rounded to 100 m
+      data: search || nearPoint
+        ? products.map(product => ({
+          ...product.toJSON(),
+          ...(search && { highlights: highlight(search, product) }),
+          ...(nearPoint && {
+            distanceKm: hasPoint(product.geoLocation)
+              ? Math.round(distanceKm(nearPoint, product.geoLocation) * 10) / 10
+              : null
+          })
+        }))
+        : products,
       filters: appliedFilters,
+      facets,
+      // Pages read by cursor have no page number
       pagination: {
-        currentPage: page,
+        currentPage: cursor ? null : page,
         totalPages,
         totalProducts,
         itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        nextPage: page < totalPages ? page + 1 : null,
-        prevPage: page > 1 ? page - 1 : null
+        hasNextPage: cursor ? nextCursor !== null : page < totalPages,
+        hasPrevPage: cursor ? true : page > 1,
+        nextPage: !cursor && page < totalPages ? page + 1 : null,
+        prevPage: !cursor && page > 1 ? page - 1 : null,
+        nextCursor
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get products error:', error);
     res.status(500).json({
       success: false,
@@ -219,9 +411,15 @@ const getProductById = async (req, res) => {
     }
 
     // Find product and populate user information
-    const product = await Product.findById(id).populate('user', 'username avatar createdAt');
+    const product = await Product.findById(id).populate('user', 'username avatar createdAt sellerRating');
 
-    if (!product) {
+    // Hidden and taken-down listings are only visible to their seller and to staff
+    const canSeeModerated = Boolean(req.user && product) && (
+      product.user._id.toString() === req.user.id.toString() ||
+      ['moderator', 'admin'].includes(req.user.role)
+    );
+
+    if (!product || ((product.isTakenDown || product.isHidden) && !canSeeModerated)) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -314,23 +512,58 @@ const updateProduct = async (req, res) => {
       price,
       condition,
       image,
+      images,
       location,
       tags,
+      attributes,
+      delivery,
       isAvailable
     } = req.body;
 
+    if (isAvailable && product.isTakenDown) {
+      return res.status(403).json({
+        success: false,
+        message: 'This listing was taken down by a moderator and cannot be relisted',
+        reason: product.takedownReason || null
+      });
+    }
+
+    const previousPrice = product.price;
+    const wasAvailable = product.isAvailable;
+    const nextImages = toProductImages(images, image);
+    const droppedImages = nextImages === undefined ? [] : product.images.filter(
+      current => !nextImages.some(next => next.url === current.url)
+    );
+
     // Update fields if provided
     if (title !== undefined) product.title = title;
     if (description !== undefined) product.description = description;
+    // Attributes belong to a category, so moving category without new ones clears them
+    if (attributes !== undefined) {
+      product.attributes = toAttributeValues(attributes);
+    } else if (category !== undefined && category !== product.category) {
+      product.attributes = {};
+    }
     if (category !== undefined) product.category = category;
     if (price !== undefined) product.price = price;
     if (condition !== undefined) product.condition = condition;
-    if (image !== undefined) product.image = image;
+    if (nextImages !== undefined) product.images = nextImages;
     if (location !== undefined) product.location = location;
     if (tags !== undefined) product.tags = tags;
+    if (delivery !== undefined) {
+      Object.entries(toDeliveryUpdate(delivery)).forEach(([key, value]) => product.set(`delivery.${key}`, value));
+    }
     if (isAvailable !== undefined) product.isAvailable = isAvailable;
 
     await product.save();
+    await removeProductImages(product, droppedImages);
+
+    // Let users who saved the product know; a relisting alert already includes the new price
+    if (!wasAvailable && product.isAvailable) {
+      dispatch(notifyBackInStock(product));
+    } else if (product.price < previousPrice) {
+      dispatch(notifyPriceDrop(product, previousPrice));
+    }
 
     // Populate user information for response
     await product.populate('user', 'username avatar');
@@ -397,6 +630,9 @@ const deleteProduct = async (req, res) => {
     }
 
     await Product.findByIdAndDelete(id);
+    await WishlistItem.deleteMany({ product: id });
+    await SavedSearch.removeMatchesFor([product._id]);
+    await removeProductImages(product, product.images);
 
     res.status(200).json({
       success: true,
@@ -425,13 +661,15 @@ const getMyProducts = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : '';
 
     // Find products owned by current user
-    const products = await Product.find({ user: req.user.id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const { items: products, nextCursor } = await findPage(
+      Product,
+      { user: req.user.id },
+      { createdAt: -1, _id: -1 },
+      { page, limit, cursor }
+    );
 
     // Get total count
     const totalProducts = await Product.countDocuments({ user: req.user.id });
@@ -442,15 +680,23 @@ const getMyProducts = async (req, res) => {
       message: 'Your products retrieved successfully',
       data: products,
       pagination: {
-        currentPage: page,
+        currentPage: cursor ? null : page,
         totalPages,
         totalProducts,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
+        hasNextPage: cursor ? nextCursor !== null : page < totalPages,
+        hasPrevPage: cursor ? true : page > 1,
+        nextCursor
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get my products error:', error);
     res.status(500).json({
       success: false,
@@ -460,21 +706,26 @@ const getMyProducts = async (req, res) => {
 };
 
 /**
- * @desc    Get product categories and conditions
+ * @desc    Get the category tree with each category's attributes, conditions, currencies and exchange rates
  * @route   GET /api/products/meta
  * @access  Public
  */
 const getProductMeta = async (req, res) => {
   try {
-    const categories = Product.getCategories();
+    const categories = await Category.getTree();
     const conditions = Product.getConditions();
+    const { base, rates } = getRates();
 
     res.status(200).json({
       success: true,
       message: 'Product metadata retrieved successfully',
       data: {
         categories,
-        conditions
+        conditions,
+        deliveryMethods: Product.getDeliveryMethods(),
+        currencies: getSupportedCurrencies(),
+        baseCurrency: base,
+        exchangeRates: rates
       }
     });
 
@@ -494,23 +745,24 @@ const getProductMeta = async (req, res) => {
  */
 const getSearchSuggestions = async (req, res) => {
   try {
-    const { q: query, limit = 5 } = req.query;
+    const { q: query } = req.query;
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit) || 5));
 
-    if (!query || query.trim().length < 2) {
+    if (typeof query !== 'string' || query.trim().length < 2) {
       return res.status(400).json({
         success: false,
         message: 'Query must be at least 2 characters long'
       });
     }
 
-    const suggestions = await Product.getSearchSuggestions(query, parseInt(limit));
+    const suggestions = await Product.getSearchSuggestions(query.trim(), limit);
 
     res.status(200).json({
       success: true,
       message: 'Search suggestions retrieved successfully',
       data: {
         query: query.trim(),
-        suggestions: suggestions.length > 0 ? suggestions[0].suggestions : []
+        suggestions
       }
     });
 
@@ -536,10 +788,11 @@ const getCategoryStats = async (req, res) => {
     const formattedStats = stats.map(stat => ({
       category: stat._id,
       productCount: stat.count,
-      averagePrice: Math.round(stat.averagePrice * 100) / 100,
+      // Prices are compared in the base currency
+      averagePrice: roundMoney(fromCents(stat.averagePrice)),
       priceRange: {
-        min: stat.minPrice,
-        max: stat.maxPrice
+        min: fromCents(stat.minPrice),
+        max: fromCents(stat.maxPrice)
       }
     }));
 
@@ -551,6 +804,7 @@ const getCategoryStats = async (req, res) => {
       message: 'Category statistics retrieved successfully',
       data: {
         totalProducts,
+        currency: getBaseCurrency(),
         categories: formattedStats
       }
     });
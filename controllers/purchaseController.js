@@ -1,7 +1,54 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Purchase = require('../models/Purchase');
+const User = require('../models/User');
 const CartItem = require('../models/CartItem');
 const Product = require('../models/Product');
+const Offer = require('../models/Offer');
+const Review = require('../models/Review');
+const { notifyProductsRestocked, dispatch } = require('../utils/wishlistAlerts');
+const { emit } = require('../utils/notifications');
+const { convert, roundMoney, formatMoney, convertExpression } = require('../utils/currency');
+const { fromCents, sumMoney } = require('../utils/money');
+const { getPaymentProvider, WEBHOOK_EVENTS } = require('../utils/payments');
+
+/**
+ * Serialize a purchase with the status changes the buyer may make next, and
+ * the review state of each item
+ * @param {Object} purchase - Purchase document
+ * @param {Map} reviews - Purchase line ID -> review, from Review.getReviewsForPurchases
+ * @returns {Object} - Purchase JSON with allowedTransitions
+ */
+const withBuyerTransitions = (purchase, reviews = new Map()) => {
+  const json = purchase.toJSON();
+  const reviewable = purchase.status === Review.getReviewableStatus();
+
+  return {
+    ...json,
+    products: json.products.map(line => {
+      const review = reviews.get(line._id.toString()) || null;
+      return { ...line, review, canReview: reviewable && !review };
+    }),
+    allowedTransitions: purchase.getAllowedTransitions('buyer')
+  };
+};
+
+/**
+ * Finish checkout for orders whose payment was captured: settle their offers,
+ * take their products out of the buyer's cart and tell each seller
+ * @param {Array} purchases - Placed purchases
+ * @param {string} buyerName - Buyer's username for the seller notification
+ */
+const completePaidOrders = async (purchases, buyerName) => {
+  if (purchases.length === 0) return;
+
+  await Offer.settleForPurchases(purchases);
+
+  for (const purchase of purchases) {
+    await CartItem.removeProducts(purchase.user, purchase.products.map(item => item.product));
+    emit('order.placed', { purchase, buyerName });
+  }
+};
 
 /**
  * Create purchase from user's cart
@@ -21,7 +68,18 @@ const createPurchase = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { notes } = req.body;
+    const { notes, deliveryMethods = {}, addressId, paymentMethod } = req.body;
+
+    // Shipped orders go to the chosen address, or the default one
+    const buyer = await User.findById(userId).select('addresses');
+    const shippingAddress = buyer ? buyer.getShippingAddress(addressId) : null;
+
+    if (addressId && !shippingAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address not found'
+      });
+    }
 
     // Get user's cart
     const cartItems = await CartItem.getUserCart(userId);
@@ -46,7 +104,7 @@ const createPurchase = async (req, res) => {
         continue;
       }
 
-      if (!cartItem.product.isAvailable) {
+      if (!cartItem.product.isListed) {
         unavailableItems.push({
           cartItemId: cartItem._id,
           productTitle: cartItem.product.title,
@@ -83,20 +141,85 @@ const createPurchase = async (req, res) => {
       });
     }
 
-    // Create purchase from valid cart items
-    const purchase = await Purchase.createFromCart(userId, validItems);
-    
-    // Add notes if provided
-    if (notes && notes.trim()) {
-      purchase.notes = notes.trim();
-      await purchase.save();
+    // Offers whose checkout window has passed must not set the price
+    await Offer.expireStale();
+    // Earlier checkouts that never finished paying give their products back
+    await Purchase.failStalePayments();
+
+    // Reserve every product and write one purchase per seller all-or-nothing
+    const session = await mongoose.startSession();
+    let purchases;
+
+    try {
+      await session.withTransaction(async () => {
+        const conflicts = [];
+
+        for (const cartItem of validItems) {
+          const reserved = await Product.reserveForPurchase(cartItem.product._id, session);
+          if (!reserved) {
+            conflicts.push({
+              productId: cartItem.product._id,
+              productTitle: cartItem.product.title,
+              reason: 'Product was purchased by another buyer'
+            });
+          }
+        }
+
+        if (conflicts.length > 0) {
+          const conflictError = new Error('Some items in your cart are no longer available');
+          conflictError.statusCode = 409;
+          conflictError.conflicts = conflicts;
+          throw conflictError;
+        }
+
+        const acceptedOffers = await Offer.getAcceptedOffers(
+          userId,
+          validItems.map(cartItem => cartItem.product._id),
+          session
+        );
+
+        purchases = await Purchase.createFromCart(userId, validItems, {
+          session,
+          notes: notes ? notes.trim() : '',
+          acceptedOffers,
+          deliveryMethods: new Map(Object.entries(deliveryMethods)),
+          shippingAddress
+        });
+      });
+    } catch (error) {
+      // A delivery method the listings don't offer, or shipping without an address
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          conflicts: error.conflicts,
+          removedUnavailableItems: unavailableItems.length > 0 ? unavailableItems : undefined
+        });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    // Charge each order; only paid orders are placed, and the rest stay in the cart
+    const paid = [];
+    const failed = [];
+
+    for (const purchase of purchases) {
+      const captured = await purchase.collectPayment(paymentMethod);
+      (captured ? paid : failed).push(purchase);
     }
 
-    // Clear user's cart after successful purchase
-    await CartItem.clearUserCart(userId);
+    await completePaidOrders(paid, req.user.username);
 
     // Populate purchase data for response
-    await purchase.populate([
+    await Promise.all(purchases.map(purchase => purchase.populate([
       {
         path: 'products.product',
         select: 'title description category condition image'
@@ -105,21 +228,38 @@ const createPurchase = async (req, res) => {
         path: 'products.seller',
         select: 'username avatar'
       }
-    ]);
+    ])));
+
+    const failedPurchases = failed.length > 0 ? failed.map(purchase => withBuyerTransitions(purchase)) : undefined;
+
+    if (paid.length === 0) {
+      const lastAttempt = failed[0].payment.attempts[failed[0].payment.attempts.length - 1];
+      return res.status(402).json({
+        success: false,
+        message: lastAttempt && lastAttempt.message ? `Payment failed: ${lastAttempt.message}` : 'Payment failed',
+        data: { failedPurchases }
+      });
+    }
+
+    // Each order is charged in its own currency; the summary totals them in the user's
+    const { currency, locale } = req.user;
+    const total = sumMoney(paid.map(purchase => convert(purchase.total, purchase.currency, currency)));
 
     res.status(201).json({
       success: true,
-      message: 'Purchase created successfully',
+      message: failed.length > 0 ? 'Some orders could not be paid for and are still in your cart' : 'Purchase created successfully',
       data: {
-        purchase,
+        purchases: paid.map(purchase => withBuyerTransitions(purchase)),
         summary: {
-          purchaseId: purchase._id,
-          totalItems: purchase.totalItems,
-          total: purchase.total,
-          formattedTotal: purchase.formattedTotal,
-          sellersCount: purchase.sellersCount,
-          purchasedAt: purchase.purchasedAt
+          purchaseIds: paid.map(purchase => purchase._id),
+          totalItems: paid.reduce((sum, purchase) => sum + purchase.totalItems, 0),
+          total,
+          currency,
+          formattedTotal: formatMoney(total, currency, locale),
+          sellersCount: paid.length,
+          purchasedAt: paid[0].purchasedAt
         },
+        failedPurchases,
         removedUnavailableItems: unavailableItems.length > 0 ? unavailableItems : undefined
       }
     });
@@ -142,48 +282,60 @@ const createPurchase = async (req, res) => {
 const getPurchases = async (req, res) => {
   try {
     const userId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 10;
 
     // Validate pagination parameters
     if (page < 1) page = 1;
     if (limit < 1 || limit > 50) limit = 10;
+    // Continues after the last purchase of a previous page instead of using `page`
+    const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : '';
 
     // Get purchases with pagination
-    const purchases = await Purchase.getUserPurchases(userId, page, limit);
+    const { purchases, nextCursor } = await Purchase.getUserPurchases(userId, { page, limit, cursor });
     
     // Get total count for pagination info
     const totalPurchases = await Purchase.countDocuments({ user: userId });
     const totalPages = Math.ceil(totalPurchases / limit);
 
     // Get user purchase statistics
-    const stats = await Purchase.getUserPurchaseStats(userId);
+    const stats = await Purchase.getUserPurchaseStats(userId, req.user.currency);
+    const reviews = await Review.getReviewsForPurchases(purchases.map(purchase => purchase._id));
 
     res.status(200).json({
       success: true,
       message: 'Purchase history retrieved successfully',
       data: {
-        purchases,
+        purchases: purchases.map(purchase => withBuyerTransitions(purchase, reviews)),
         pagination: {
-          currentPage: page,
+          currentPage: cursor ? null : page,
           totalPages,
           totalPurchases,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1,
-          limit
+          hasNextPage: cursor ? nextCursor !== null : page < totalPages,
+          hasPrevPage: cursor ? true : page > 1,
+          limit,
+          nextCursor
         },
         stats: {
           totalPurchases: stats.totalPurchases,
           totalSpent: stats.totalSpent,
           totalItems: stats.totalItems,
           averageOrderValue: stats.avgOrderValue,
-          formattedTotalSpent: `$${stats.totalSpent.toFixed(2)}`,
-          formattedAvgOrderValue: `$${stats.avgOrderValue.toFixed(2)}`
+          currency: req.user.currency,
+          formattedTotalSpent: formatMoney(stats.totalSpent, req.user.currency, req.user.locale),
+          formattedAvgOrderValue: formatMoney(stats.avgOrderValue, req.user.currency, req.user.locale)
         }
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get purchases error:', error);
     res.status(500).json({
       success: false,
@@ -223,12 +375,13 @@ const getPurchaseById = async (req, res) => {
 
     // Get detailed purchase info
     await purchase.getDetailedPurchase();
+    const reviews = await Review.getReviewsForPurchases([purchase._id]);
 
     res.status(200).json({
       success: true,
       message: 'Purchase details retrieved successfully',
       data: {
-        purchase,
+        purchase: withBuyerTransitions(purchase, reviews),
         summary: purchase.summary
       }
     });
@@ -243,6 +396,100 @@ const getPurchaseById = async (req, res) => {
   }
 };
 
+/**
+ * Update order status as the buyer (cancel or confirm receipt)
+ * @route PUT /api/purchases/:id/status
+ * @access Protected
+ */
+const updatePurchaseStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { status, note } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase ID format'
+      });
+    }
+
+    const purchase = await Purchase.findById(id);
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+
+    // Check ownership
+    if (!purchase.belongsToUser(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own purchases'
+      });
+    }
+
+    try {
+      await purchase.transitionTo(status, { userId, role: 'buyer', note });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          allowedTransitions: error.allowedTransitions
+        });
+      }
+      // The payment provider refused to refund a cancelled order
+      if (error.statusCode === 502) {
+        return res.status(502).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    emit('order.status_changed', { purchase, status, changedBy: 'buyer' });
+
+    // Cancelled items go back on sale
+    if (status === 'cancelled') {
+      dispatch(notifyProductsRestocked(purchase.products.map(item => item.product)));
+    }
+
+    await purchase.getDetailedPurchase();
+    const reviews = await Review.getReviewsForPurchases([purchase._id]);
+
+    res.status(200).json({
+      success: true,
+      message: `Order marked as ${status}`,
+      data: {
+        purchase: withBuyerTransitions(purchase, reviews)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update purchase status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update order status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get purchase statistics for dashboard
  * @route GET /api/purchases/stats
@@ -252,17 +499,19 @@ const getPurchaseStats = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const stats = await Purchase.getUserPurchaseStats(userId);
+    const stats = await Purchase.getUserPurchaseStats(userId, req.user.currency);
 
     // Get recent purchases (last 5)
-    const recentPurchases = await Purchase.getUserPurchases(userId, 1, 5);
+    const { purchases: recentPurchases } = await Purchase.getUserPurchases(userId, { limit: 5 });
 
     // Get monthly spending for the current year
     const currentYear = new Date().getFullYear();
     const monthlySpending = await Purchase.aggregate([
       {
         $match: {
-          user: userId,
+          // Aggregation does not cast, so the ID must already be an ObjectId
+          user: new mongoose.Types.ObjectId(userId),
+          status: { $nin: Purchase.getInactiveStatuses() },
           purchasedAt: {
             $gte: new Date(`${currentYear}-01-01`),
             $lte: new Date(`${currentYear}-12-31`)
@@ -272,7 +521,7 @@ const getPurchaseStats = async (req, res) => {
       {
         $group: {
           _id: { $month: '$purchasedAt' },
-          totalSpent: { $sum: '$total' },
+          totalSpent: { $sum: convertExpression('$total', '$currency', req.user.currency) },
           purchaseCount: { $sum: 1 }
         }
       },
@@ -290,23 +539,29 @@ const getPurchaseStats = async (req, res) => {
           totalSpent: stats.totalSpent,
           totalItems: stats.totalItems,
           averageOrderValue: stats.avgOrderValue,
-          formattedTotalSpent: `$${stats.totalSpent.toFixed(2)}`,
-          formattedAvgOrderValue: `$${stats.avgOrderValue.toFixed(2)}`
+          currency: req.user.currency,
+          formattedTotalSpent: formatMoney(stats.totalSpent, req.user.currency, req.user.locale),
+          formattedAvgOrderValue: formatMoney(stats.avgOrderValue, req.user.currency, req.user.locale)
         },
         recentPurchases: recentPurchases.map(purchase => ({
           id: purchase._id,
           total: purchase.total,
-          formattedTotal: purchase.formattedTotal,
+          currency: purchase.currency,
+          formattedTotal: formatMoney(purchase.total, purchase.currency, req.user.locale),
           totalItems: purchase.totalItems,
           purchasedAt: purchase.purchasedAt,
           status: purchase.status
         })),
-        monthlySpending: monthlySpending.map(month => ({
-          month: month._id,
-          totalSpent: Math.round(month.totalSpent * 100) / 100,
-          formattedTotalSpent: `$${(Math.round(month.totalSpent * 100) / 100).toFixed(2)}`,
-          purchaseCount: month.purchaseCount
-        }))
+        monthlySpending: monthlySpending.map(month => {
+          // Aggregated from stored cents
+          const totalSpent = roundMoney(fromCents(month.totalSpent), req.user.currency);
+          return {
+            month: month._id,
+            totalSpent,
+            formattedTotalSpent: formatMoney(totalSpent, req.user.currency, req.user.locale),
+            purchaseCount: month.purchaseCount
+          };
+        })
       }
     });
 
@@ -320,9 +575,71 @@ const getPurchaseStats = async (req, res) => {
   }
 };
 
+/**
+ * Apply a payment status update sent by the payment provider
+ * @route POST /api/payments/webhook
+ * @access Public (signed by the payment provider)
+ */
+const handlePaymentWebhook = async (req, res) => {
+  let event;
+
+  try {
+    event = getPaymentProvider().verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Webhook rejected: ${error.message}`
+    });
+  }
+
+  try {
+    // Acknowledge events we don't act on so the provider stops retrying them
+    if (!WEBHOOK_EVENTS.includes(event.type)) {
+      return res.status(200).json({
+        success: true,
+        message: `Ignored ${event.type || 'unknown'} event`
+      });
+    }
+
+    const { purchase, placed } = await Purchase.applyPaymentEvent(event);
+
+    if (!purchase) {
+      return res.status(200).json({
+        success: true,
+        message: 'No order matches this payment'
+      });
+    }
+
+    if (placed) {
+      const buyer = await User.findById(purchase.user).select('username');
+      await completePaidOrders([purchase], buyer ? buyer.username : 'A buyer');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook processed',
+      data: {
+        purchaseId: purchase._id,
+        status: purchase.status,
+        paymentStatus: purchase.payment.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to process payment webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   createPurchase,
   getPurchases,
   getPurchaseById,
-  getPurchaseStats
+  updatePurchaseStatus,
+  getPurchaseStats,
+  handlePaymentWebhook
 };
@@ -0,0 +1,134 @@
+const { validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const Product = require('../models/Product');
+const ModerationLog = require('../models/ModerationLog');
+const { emit } = require('../utils/notifications');
+
+/**
+ * Hide a listing once its open reports reach the threshold, pending moderator review
+ * @param {Object} product - Reported product
+ * @returns {boolean} - True if the listing was hidden now
+ */
+const hideIfOverThreshold = async (product) => {
+  if (product.isHidden || product.isTakenDown) return false;
+
+  const reportCount = await Report.countOpenForProduct(product._id);
+  if (reportCount < Report.getHideThreshold()) return false;
+
+  const reason = `Hidden automatically after ${reportCount} reports`;
+  await product.hide(reason);
+  await ModerationLog.record({
+    action: 'listing_hidden',
+    targetType: 'Product',
+    target: product._id,
+    reason,
+    details: { automatic: true, reportCount }
+  });
+  emit('listing.hidden', { product, reason });
+
+  return true;
+};
+
+/**
+ * Report a listing to the moderators
+ * @route POST /api/reports
+ * @access Protected
+ */
+const createReport = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { productId, reason, details } = req.body;
+    const userId = req.user.id;
+
+    const product = await Product.findById(productId);
+
+    // Listings already out of view can't be reported by buyers
+    if (!product || product.isTakenDown || product.isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.isOwnedBy(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own listing'
+      });
+    }
+
+    const existing = await Report.exists({ product: productId, reporter: userId, status: 'open' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this listing'
+      });
+    }
+
+    const report = await Report.create({
+      product: productId,
+      seller: product.user,
+      reporter: userId,
+      reason,
+      details
+    });
+
+    await hideIfOverThreshold(product);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, our moderators will review this listing',
+      data: {
+        id: report._id,
+        product: report.product,
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    // Lost a race with a duplicate report from the same user
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this listing'
+      });
+    }
+
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to submit report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the reasons a listing can be reported for
+ * @route GET /api/reports/reasons
+ * @access Public
+ */
+const getReportReasons = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Report reasons retrieved successfully',
+    data: Report.getReasons()
+  });
+};
+
+module.exports = {
+  createReport,
+  getReportReasons
+};
@@ -0,0 +1,197 @@
+const { validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Purchase = require('../models/Purchase');
+const User = require('../models/User');
+
+/**
+ * Review a seller for one item of a received order
+ * @route POST /api/reviews
+ * @access Protected
+ */
+const createReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reviewerId = req.user.id;
+    const { purchaseId, lineId, rating, comment } = req.body;
+
+    const purchase = await Purchase.findById(purchaseId);
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+
+    let review;
+    try {
+      review = await Review.createForPurchaseLine(purchase, lineId, reviewerId, {
+        rating: parseInt(rating),
+        comment
+      });
+    } catch (error) {
+      if ([400, 403, 404, 409].includes(error.statusCode)) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          reviewId: error.reviewId
+        });
+      }
+      throw error;
+    }
+
+    await review.populate('reviewer', 'username avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to post review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a seller's reviews and rating breakdown
+ * @route GET /api/reviews/seller/:sellerId
+ * @access Public
+ */
+const getSellerReviews = async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    // Validate ObjectId format
+    if (!sellerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid seller ID format'
+      });
+    }
+
+    const seller = await User.exists({ _id: sellerId });
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+
+    const [reviews, summary] = await Promise.all([
+      Review.getSellerReviews(sellerId, page, limit),
+      Review.getRatingSummary(sellerId)
+    ]);
+    const totalPages = Math.ceil(summary.count / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reviews retrieved successfully',
+      data: {
+        reviews,
+        summary,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReviews: summary.count,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get seller reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reply publicly to a review of your sales, replacing any earlier reply
+ * @route PUT /api/reviews/:id/reply
+ * @access Protected
+ */
+const replyToReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID format'
+      });
+    }
+
+    const review = await Review.findById(id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!review.isAboutSeller(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reviewed seller can reply'
+      });
+    }
+
+    await review.setReply(req.body.body);
+    await review.populate('reviewer', 'username avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to save reply',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createReview,
+  getSellerReviews,
+  replyToReview
+};
@@ -0,0 +1,333 @@
+const { validationResult } = require('express-validator');
+const Purchase = require('../models/Purchase');
+const Product = require('../models/Product');
+const { notifyProductsRestocked, dispatch } = require('../utils/wishlistAlerts');
+const { emit } = require('../utils/notifications');
+const { getBaseCurrency, formatMoney } = require('../utils/currency');
+const { sumMoney, multiplyMoney } = require('../utils/money');
+
+/**
+ * Build the seller's view of a purchase: buyer info plus only the lines they sold
+ * @param {Object} purchase - Purchase document with populated buyer
+ * @param {string} sellerId - Current seller ID
+ * @param {string} locale - Locale to format money for
+ * @returns {Object} - Sale summary with delivery details, in the order's currency
+ */
+const toSale = (purchase, sellerId, locale) => {
+  const items = purchase.getSellerItems(sellerId).map(item => ({
+    product: item.product,
+    title: item.title,
+    image: item.image,
+    quantity: item.quantity,
+    priceAtPurchase: item.priceAtPurchase,
+    subtotal: multiplyMoney(item.priceAtPurchase, item.quantity)
+  }));
+
+  // Orders are placed per seller, so the shipping fee is this seller's to collect
+  const { delivery } = purchase.toJSON();
+  const shippingFee = delivery.fee || 0;
+  const total = sumMoney([...items.map(item => item.subtotal), shippingFee]);
+
+  return {
+    purchaseId: purchase._id,
+    buyer: purchase.user,
+    status: purchase.status,
+    paymentStatus: purchase.payment.status || null,
+    purchasedAt: purchase.purchasedAt,
+    items,
+    totalItems: items.reduce((sum, item) => sum + item.quantity, 0),
+    delivery,
+    shippingFee,
+    total,
+    currency: purchase.currency,
+    formattedTotal: formatMoney(total, purchase.currency, locale),
+    allowedTransitions: purchase.getAllowedTransitions('seller')
+  };
+};
+
+/**
+ * Get current user's sales history
+ * @route GET /api/users/me/sales
+ * @access Protected
+ */
+const getMySales = async (req, res) => {
+  try {
+    const sellerId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const purchases = await Purchase.getSellerSales(sellerId, page, limit);
+    const totalSales = await Purchase.countDocuments({
+      'products.seller': sellerId,
+      status: { $nin: Purchase.getUnpaidStatuses() }
+    });
+    const totalPages = Math.ceil(totalSales / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales history retrieved successfully',
+      data: {
+        sales: purchases.map(purchase => toSale(purchase, sellerId, req.user.locale)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalSales,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve sales history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get sales statistics for the seller dashboard
+ * @route GET /api/users/me/sales/stats
+ * @access Protected
+ */
+const getMySalesStats = async (req, res) => {
+  try {
+    const sellerId = req.user.id;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    // Sales in every currency are totalled in the seller's preferred one
+    const { currency, locale } = req.user;
+
+    const [stats, monthlyRevenue, topProducts] = await Promise.all([
+      Purchase.getSellerSalesStats(sellerId, currency),
+      Purchase.getSellerMonthlyRevenue(sellerId, year, currency),
+      Purchase.getSellerTopProducts(sellerId, 5, currency)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales statistics retrieved successfully',
+      data: {
+        overview: {
+          ...stats,
+          currency,
+          formattedTotalRevenue: formatMoney(stats.totalRevenue, currency, locale),
+          formattedAvgOrderValue: formatMoney(stats.avgOrderValue, currency, locale)
+        },
+        year,
+        monthlyRevenue: monthlyRevenue.map(month => ({
+          month: month._id,
+          revenue: month.revenue,
+          formattedRevenue: formatMoney(month.revenue, currency, locale),
+          itemsSold: month.itemsSold,
+          orderCount: month.orderCount
+        })),
+        topProducts: topProducts.map(product => ({
+          productId: product._id,
+          title: product.title,
+          image: product.image,
+          quantitySold: product.quantitySold,
+          revenue: product.revenue,
+          lastSoldAt: product.lastSoldAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sales stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve sales statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get sale details for one of the current user's products
+ * @route GET /api/users/me/sales/products/:productId
+ * @access Protected
+ */
+const getProductSaleDetails = async (req, res) => {
+  try {
+    const sellerId = req.user.id;
+    const { productId } = req.params;
+
+    // Validate ObjectId format
+    if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    // The listing may have been deleted since it sold, so fall back to the purchase snapshot
+    const product = await Product.findById(productId).select('title image price currency category condition isAvailable user');
+
+    if (product && !product.isOwnedBy(sellerId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view sales of your own products'
+      });
+    }
+
+    const purchases = await Purchase.getProductSales(sellerId, productId);
+
+    if (!product && purchases.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // A listing's currency never changes, so all its sales share it
+    const currency = product ? product.currency : (purchases[0].currency || getBaseCurrency());
+
+    const sales = purchases.map(purchase => {
+      const line = purchase.getSellerItems(sellerId)
+        .find(item => item.product.toString() === productId);
+
+      return {
+        purchaseId: purchase._id,
+        buyer: purchase.user,
+        status: purchase.status,
+        purchasedAt: purchase.purchasedAt,
+        quantity: line.quantity,
+        priceAtPurchase: line.priceAtPurchase,
+        subtotal: multiplyMoney(line.priceAtPurchase, line.quantity)
+      };
+    });
+
+    const completedSales = sales.filter(sale => Purchase.isActiveStatus(sale.status));
+    const quantitySold = completedSales.reduce((sum, sale) => sum + sale.quantity, 0);
+    const revenue = sumMoney(completedSales.map(sale => sale.subtotal));
+
+    res.status(200).json({
+      success: true,
+      message: 'Product sale details retrieved successfully',
+      data: {
+        product: product || {
+          _id: productId,
+          title: purchases[0].getSellerItems(sellerId)
+            .find(item => item.product.toString() === productId).title,
+          deleted: true
+        },
+        sales,
+        summary: {
+          quantitySold,
+          revenue,
+          currency,
+          formattedRevenue: formatMoney(revenue, currency, req.user.locale),
+          lastSoldAt: sales.length > 0 ? sales[0].purchasedAt : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product sale details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve product sale details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update order status as the seller (confirm, ship, cancel or refund)
+ * @route PUT /api/users/me/sales/:purchaseId/status
+ * @access Protected
+ */
+const updateSaleStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sellerId = req.user.id;
+    const { purchaseId } = req.params;
+    const { status, note } = req.body;
+
+    // Validate ObjectId format
+    if (!purchaseId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase ID format'
+      });
+    }
+
+    const purchase = await Purchase.findById(purchaseId);
+
+    // Orders the buyer has not paid for are not sales yet
+    if (!purchase || !purchase.isSoldBy(sellerId) || Purchase.getUnpaidStatuses().includes(purchase.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    try {
+      await purchase.transitionTo(status, { userId: sellerId, role: 'seller', note });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          allowedTransitions: error.allowedTransitions
+        });
+      }
+      // The payment provider refused the refund
+      if (error.statusCode === 502) {
+        return res.status(502).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    emit('order.status_changed', { purchase, status, changedBy: 'seller' });
+
+    // Cancelled items go back on sale
+    if (status === 'cancelled') {
+      dispatch(notifyProductsRestocked(purchase.products.map(item => item.product)));
+    }
+
+    await purchase.populate([
+      { path: 'user', select: 'username avatar' },
+      { path: 'products.product', select: 'title image' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Order marked as ${status}`,
+      data: {
+        sale: toSale(purchase, sellerId, req.user.locale)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update sale status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update order status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMySales,
+  getMySalesStats,
+  getProductSaleDetails,
+  updateSaleStatus
+};
@@ -0,0 +1,293 @@
+const { validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+
+const FILTER_FIELDS = ['search', 'category', 'condition', 'minPrice', 'maxPrice', 'currency', 'location', 'tags'];
+
+/**
+ * Keep the known filters from a request body, dropping blank ones
+ * @param {Object} filters - Filters from the request
+ * @param {string} currency - Currency price bounds are in when the filters don't say
+ * @returns {Object} - Filters to store
+ */
+const toSearchFilters = (filters = {}, currency) => {
+  const result = {};
+
+  for (const field of FILTER_FIELDS) {
+    let value = filters[field];
+    if (typeof value === 'string') value = value.trim();
+    if (field === 'tags' && Array.isArray(value)) value = value.map(tag => tag.trim());
+
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    result[field] = value;
+  }
+
+  if (result.minPrice === undefined && result.maxPrice === undefined) {
+    delete result.currency;
+  } else if (!result.currency) {
+    result.currency = currency;
+  }
+
+  return result;
+};
+
+/**
+ * Summarize a saved search for listing, without its full match list
+ * @param {Object} search - SavedSearch document
+ * @returns {Object} - Search with matchCount and newMatchCount
+ */
+const toSearchSummary = (search) => {
+  const { matches, ...summary } = search.toJSON();
+  return { ...summary, matchCount: matches.length };
+};
+
+/**
+ * Get the user's saved searches with how many new listings each has matched
+ * @route GET /api/saved-searches
+ * @access Protected
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved searches retrieved successfully',
+      data: searches.map(toSearchSummary)
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve saved searches',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Save a filter combination
+ * @route POST /api/saved-searches
+ * @access Protected
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const maxSearches = SavedSearch.getMaxPerUser();
+
+    if (await SavedSearch.countDocuments({ user: userId }) >= maxSearches) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${maxSearches} searches. Delete one to save another.`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: userId,
+      name: req.body.name,
+      filters: toSearchFilters(req.body.filters, req.user.currency),
+      digestFrequency: req.body.digestFrequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data: toSearchSummary(search)
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to save search',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Rename a saved search or change how often its digest is emailed
+ * @route PUT /api/saved-searches/:id
+ * @access Protected
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID format'
+      });
+    }
+
+    const search = await SavedSearch.findOne({ _id: id, user: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const { name, digestFrequency } = req.body;
+
+    if (name !== undefined) search.name = name;
+    if (digestFrequency !== undefined && digestFrequency !== search.digestFrequency) {
+      // The first digest on the new schedule only covers listings from now on
+      search.digestFrequency = digestFrequency;
+      search.lastDigestAt = new Date();
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated',
+      data: toSearchSummary(search)
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update saved search',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete a saved search
+ * @route DELETE /api/saved-searches/:id
+ * @access Protected
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID format'
+      });
+    }
+
+    const result = await SavedSearch.deleteOne({ _id: id, user: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted',
+      data: { id }
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to delete saved search',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the listings a saved search has matched since it was saved, and mark them seen
+ * @route GET /api/saved-searches/:id/matches
+ * @access Protected
+ */
+const getSavedSearchMatches = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID format'
+      });
+    }
+
+    const search = await SavedSearch.findOne({ _id: id, user: req.user.id })
+      .populate({
+        path: 'matches.product',
+        populate: {
+          path: 'user',
+          select: 'username avatar sellerRating'
+        }
+      });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const matches = search.matches
+      .filter(match => match.product)
+      .map(match => ({
+        product: match.product,
+        matchedAt: match.matchedAt,
+        isNew: match.matchedAt > search.lastSeenAt
+      }));
+
+    await SavedSearch.updateOne({ _id: search._id }, { $set: { lastSeenAt: new Date() } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search matches retrieved successfully',
+      data: {
+        search: toSearchSummary(search),
+        matches
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved search matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve saved search matches',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches
+};
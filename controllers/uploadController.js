@@ -0,0 +1,96 @@
+const { storeImage } = require('../utils/images');
+const { removeByUrls } = require('../utils/storage');
+
+/**
+ * Store every uploaded file, rolling back the ones already stored if any fails
+ * @param {Array} files - Multer files
+ * @param {string} prefix - Storage key prefix
+ * @param {Object} options - Passed to storeImage
+ * @returns {Array} - Stored images in upload order
+ */
+const storeAll = async (files, prefix, options) => {
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file, prefix, options));
+    }
+  } catch (error) {
+    await removeByUrls(stored.flatMap(image => [image.url, image.thumbnailUrl]), prefix);
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * Upload product images
+ * @route POST /api/uploads/images
+ * @access Protected
+ */
+const uploadProductImages = async (req, res) => {
+  try {
+    const images = await storeAll(req.files, `products/${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${images.length} image${images.length !== 1 ? 's' : ''} uploaded successfully`,
+      data: { images }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to upload images',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Upload an avatar image
+ * @route POST /api/uploads/avatar
+ * @access Protected
+ */
+const uploadAvatar = async (req, res) => {
+  try {
+    const [avatar] = await storeAll(req.files, `avatars/${req.user.id}`, {
+      maxDimension: 512,
+      thumbnailSize: 128
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: { image: avatar }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to upload avatar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  uploadProductImages,
+  uploadAvatar
+};
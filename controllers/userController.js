@@ -1,5 +1,20 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Product = require('../models/Product');
+const CartItem = require('../models/CartItem');
+const Purchase = require('../models/Purchase');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Offer = require('../models/Offer');
+const Review = require('../models/Review');
+const WishlistItem = require('../models/WishlistItem');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const { hasPoint } = require('../utils/geocode');
+const { removeByUrls } = require('../utils/storage');
 
 /**
  * @desc    Get current user profile
@@ -28,6 +43,13 @@ const getUserProfile = async (req, res) => {
         username: user.username,
         bio: user.bio,
         avatar: user.avatar,
+        phone: user.phone,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency,
+        locale: user.locale,
+        location: user.location,
+        // False when the location isn't in the place table, so "near me" search can't use it
+        locationFound: hasPoint(user.geoLocation),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -70,7 +92,7 @@ const updateUserProfile = async (req, res) => {
     }
     
     // Extract updatable fields from request body
-    const { username, bio, avatar } = req.body;
+    const { username, bio, avatar, phone, preferredCurrency, locale, location } = req.body;
     
     // Check if username is being changed and if it already exists
     if (username && username !== user.username) {
@@ -91,6 +113,10 @@ const updateUserProfile = async (req, res) => {
     if (username !== undefined) user.username = username;
     if (bio !== undefined) user.bio = bio;
     if (avatar !== undefined) user.avatar = avatar;
+    if (phone !== undefined) user.phone = phone;
+    if (preferredCurrency !== undefined) user.preferredCurrency = preferredCurrency;
+    if (locale !== undefined) user.locale = locale;
+    if (location !== undefined) user.location = location;
     
     // Save updated user
     await user.save();
@@ -105,6 +131,13 @@ const updateUserProfile = async (req, res) => {
         username: user.username,
         bio: user.bio,
         avatar: user.avatar,
+        phone: user.phone,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency,
+        locale: user.locale,
+        location: user.location,
+        // False when the location isn't in the place table, so "near me" search can't use it
+        locationFound: hasPoint(user.geoLocation),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -139,6 +172,124 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Delete current user account
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Require the password so a stolen token alone can't delete the account
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    const userId = user._id;
+    const session = await mongoose.startSession();
+    let summary;
+    let reviewedSellers = [];
+    let refundIds = [];
+    let uploadedUrls = [];
+    
+    try {
+      await session.withTransaction(async () => {
+        // Open orders can no longer be fulfilled; completed ones stay as the other party's record
+        const closedOrders = await Purchase.cancelOpenOrdersForUser(userId, session);
+        refundIds = closedOrders.refundIds;
+        
+        // Remove listings and any copies of them sitting in other users' carts
+        const products = await Product.find({ user: userId }).select('image images').session(session);
+        const productIds = products.map(product => product._id);
+        // Photos of sold listings are kept because the buyer's purchase history links to them
+        const soldIds = new Set((await Purchase.find({ 'products.product': { $in: productIds } })
+          .distinct('products.product').session(session)).map(id => id.toString()));
+        uploadedUrls = products
+          .filter(product => !soldIds.has(product._id.toString()))
+          .flatMap(product => [product.image, ...product.images.flatMap(image => [image.url, image.thumbnailUrl])]);
+        const removedFromCarts = await CartItem.deleteMany({ product: { $in: productIds } }, { session });
+        await WishlistItem.deleteMany({ $or: [{ product: { $in: productIds } }, { user: userId }] }, { session });
+        await SavedSearch.removeMatchesFor(productIds, session);
+        await SavedSearch.deleteMany({ user: userId }, { session });
+        await Notification.deleteMany({ user: userId }, { session });
+        await Report.deleteMany({ $or: [{ reporter: userId }, { seller: userId }] }, { session });
+        const deletedProducts = await Product.deleteMany({ user: userId }, { session });
+        
+        await CartItem.deleteMany({ user: userId }, { session });
+        await Session.deleteMany({ user: userId }, { session });
+        
+        // Threads can't continue without one side, and the other party's block list shouldn't keep a dangling ID
+        const conversationIds = await Conversation.find({ $or: [{ buyer: userId }, { seller: userId }] })
+          .distinct('_id').session(session);
+        await Message.deleteMany({ conversation: { $in: conversationIds } }, { session });
+        await Conversation.deleteMany({ _id: { $in: conversationIds } }, { session });
+        await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } }, { session });
+        await Offer.deleteMany({ $or: [{ buyer: userId }, { seller: userId }], status: { $ne: 'completed' } }, { session });
+        reviewedSellers = await Review.deleteForUser(userId, session);
+        await User.deleteOne({ _id: userId }, { session });
+        
+        summary = {
+          deletedProducts: deletedProducts.deletedCount,
+          removedFromOtherCarts: removedFromCarts.deletedCount,
+          cancelledOrders: closedOrders.cancelledOrders,
+          failedOrders: closedOrders.failedOrders
+        };
+      });
+    } finally {
+      await session.endSession();
+    }
+    
+    // Uploaded files go once nothing points at them; only this user's own uploads can match
+    await removeByUrls(uploadedUrls, `products/${userId}/`);
+    await removeByUrls([user.avatar], `avatars/${userId}/`);
+    
+    // Refunds go out once the cancellations are committed; any the provider
+    // refuses stay pending for `npm run settle-refunds`
+    const refunds = await Purchase.settlePendingRefunds(refundIds);
+    summary.refundedOrders = refunds.refunded;
+    summary.pendingRefunds = refunds.pending;
+    
+    // Sellers this user reviewed lose the review from their rating
+    await Promise.all(reviewedSellers.map(sellerId => Review.updateSellerRating(sellerId)));
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: summary
+    });
+    
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error deleting account'
+    });
+  }
+};
+
 /**
  * @desc    Get user by ID (public profile)
  * @route   GET /api/users/:id
@@ -175,6 +326,10 @@ const getUserById = async (req, res) => {
         username: user.username,
         bio: user.bio,
         avatar: user.avatar,
+        rating: {
+          average: user.sellerRating.average,
+          count: user.sellerRating.count
+        },
         createdAt: user.createdAt
         // Note: email and other sensitive info excluded from public profile
       }
@@ -189,6 +344,336 @@ const getUserById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get users the current user has blocked
+ * @route   GET /api/users/me/blocked
+ * @access  Private
+ */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+blockedUsers')
+      .populate('blockedUsers', 'username avatar');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Blocked users retrieved successfully',
+      data: {
+        blockedUsers: user.blockedUsers.map(blocked => ({
+          id: blocked._id,
+          username: blocked.username,
+          avatar: blocked.avatar
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error retrieving blocked users'
+    });
+  }
+};
+
+/**
+ * @desc    Block a user from messaging the current user
+ * @route   POST /api/users/me/blocked/:userId
+ * @access  Private
+ */
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    // Validate ObjectId format
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+    
+    const exists = await User.exists({ _id: userId });
+    
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // $addToSet makes blocking the same user twice a no-op
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { blockedUsers: userId } });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User blocked successfully'
+    });
+    
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error blocking user'
+    });
+  }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/users/me/blocked/:userId
+ * @access  Private
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    // Validate ObjectId format
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: userId } });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+    
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error unblocking user'
+    });
+  }
+};
+
+// Address fields a user may set; isDefault is handled separately
+const ADDRESS_FIELDS = ['label', 'fullName', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+/**
+ * Respond with a mongoose validation error from saving the address book
+ * @param {Object} res - Express response
+ * @param {Object} error - ValidationError
+ */
+const sendAddressValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(err => err.message)
+});
+
+/**
+ * @desc    Get the current user's saved addresses
+ * @route   GET /api/users/me/addresses
+ * @access  Private
+ */
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Addresses retrieved successfully',
+      data: {
+        addresses: user.addresses
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error retrieving addresses'
+    });
+  }
+};
+
+/**
+ * @desc    Save a new address; the first one saved becomes the default
+ * @route   POST /api/users/me/addresses
+ * @access  Private
+ */
+const addAddress = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('addresses');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.addresses.length >= User.getMaxAddresses()) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${User.getMaxAddresses()} addresses`
+      });
+    }
+    
+    const fields = {};
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    if (req.body.isDefault) user.setDefaultAddress(address);
+    
+    await user.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      data: {
+        address,
+        addresses: user.addresses
+      }
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendAddressValidationError(res, error);
+    }
+    
+    console.error('Add address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error saving address'
+    });
+  }
+};
+
+/**
+ * @desc    Edit a saved address or make it the default
+ * @route   PUT /api/users/me/addresses/:addressId
+ * @access  Private
+ */
+const updateAddress = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('addresses');
+    const address = user && user.addresses.id(req.params.addressId);
+    
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+    // Clearing the flag is ignored: another address has to be made the default instead
+    if (req.body.isDefault) user.setDefaultAddress(address);
+    
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      data: {
+        address,
+        addresses: user.addresses
+      }
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendAddressValidationError(res, error);
+    }
+    
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error updating address'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a saved address; past orders keep their own copy
+ * @route   DELETE /api/users/me/addresses/:addressId
+ * @access  Private
+ */
+const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    const address = user && user.addresses.id(req.params.addressId);
+    
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    // The pre-save hook promotes another address if this was the default
+    address.deleteOne();
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully',
+      data: {
+        addresses: user.addresses
+      }
+    });
+    
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error deleting address'
+    });
+  }
+};
+
 /**
  * @desc    Get user profile statistics (for dashboard)
  * @route   GET /api/users/me/stats
@@ -196,7 +681,9 @@ const getUserById = async (req, res) => {
  */
 const getUserStats = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const userId = req.user.id;
+    const months = Math.min(24, Math.max(1, parseInt(req.query.months) || 12));
+    const user = await User.findById(userId);
     
     if (!user) {
       return res.status(404).json({
@@ -205,16 +692,42 @@ const getUserStats = async (req, res) => {
       });
     }
     
-    // Calculate user statistics
-    // Note: These will be enhanced in later steps when we have products, purchases, etc.
+    // Trends start at the beginning of the oldest month shown
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+    
+    // Money is totalled in the user's preferred currency
+    const currency = user.preferredCurrency;
+    const soldProductIds = await Purchase.getSoldProductIds(userId);
+    const [listings, sales, purchases, monthlyListings, monthlyOrders] = await Promise.all([
+      Product.getSellerListingStats(userId, soldProductIds),
+      Purchase.getSellerSalesStats(userId, currency),
+      Purchase.getUserPurchaseStats(userId, currency),
+      Product.getMonthlyListingCounts(userId, since),
+      Purchase.getUserMonthlyTrends(userId, since, currency)
+    ]);
+    
     const stats = {
       profileCompleteness: calculateProfileCompleteness(user),
       memberSince: user.createdAt,
       lastUpdated: user.updatedAt,
-      // TODO: Add product counts, purchase history, etc. in later steps
-      productsListed: 0, // Placeholder
-      productsSold: 0,   // Placeholder  
-      purchasesMade: 0   // Placeholder
+      productsListed: listings.total,
+      productsSold: sales.itemsSold,
+      purchasesMade: purchases.totalPurchases,
+      currency,
+      listings,
+      sales: {
+        itemsSold: sales.itemsSold,
+        totalOrders: sales.totalOrders,
+        totalRevenue: sales.totalRevenue
+      },
+      purchases: {
+        totalPurchases: purchases.totalPurchases,
+        totalItems: purchases.totalItems,
+        totalSpent: purchases.totalSpent,
+        avgOrderValue: purchases.avgOrderValue
+      },
+      trends: buildMonthlyTrends(since, months, monthlyListings, monthlyOrders)
     };
     
     res.status(200).json({
@@ -232,6 +745,46 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * Merge monthly aggregates into one entry per month, filling months with no activity
+ * @param {Date} since - First day of the first month (UTC)
+ * @param {number} months - Number of months to return
+ * @param {Array} listed - Product.getMonthlyListingCounts results
+ * @param {Object} orders - Purchase.getUserMonthlyTrends results
+ * @returns {Array} - [{ month: 'YYYY-MM', listed, itemsSold, revenue, purchases, spent }], oldest first
+ */
+const buildMonthlyTrends = (since, months, listed, { spending, sales }) => {
+  const keyOf = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+  const trends = new Map();
+  
+  for (let i = 0; i < months; i++) {
+    const date = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + i, 1));
+    const month = keyOf({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 });
+    trends.set(month, { month, listed: 0, itemsSold: 0, revenue: 0, purchases: 0, spent: 0 });
+  }
+  
+  for (const entry of listed) {
+    const trend = trends.get(keyOf(entry._id));
+    if (trend) trend.listed = entry.listed;
+  }
+  for (const entry of sales) {
+    const trend = trends.get(keyOf(entry._id));
+    if (trend) {
+      trend.itemsSold = entry.itemsSold;
+      trend.revenue = entry.revenue;
+    }
+  }
+  for (const entry of spending) {
+    const trend = trends.get(keyOf(entry._id));
+    if (trend) {
+      trend.purchases = entry.purchases;
+      trend.spent = entry.spent;
+    }
+  }
+  
+  return Array.from(trends.values());
+};
+
 /**
  * Calculate profile completeness percentage
  * @param {Object} user - User object
@@ -250,6 +803,14 @@ const calculateProfileCompleteness = (user) => {
 module.exports = {
   getUserProfile,
   updateUserProfile,
+  deleteAccount,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
   getUserById,
   getUserStats
 };
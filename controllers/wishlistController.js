@@ -0,0 +1,190 @@
+const { validationResult } = require('express-validator');
+const WishlistItem = require('../models/WishlistItem');
+const Product = require('../models/Product');
+
+/**
+ * Get user's saved products
+ * @route GET /api/wishlist
+ * @access Protected
+ */
+const getWishlist = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const [items, totalItems] = await Promise.all([
+      WishlistItem.getUserWishlist(userId, page, limit),
+      WishlistItem.countDocuments({ user: userId })
+    ]);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved items retrieved successfully',
+      data: {
+        // Listings deleted since they were saved are left out
+        items: items.filter(item => item.product),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve saved items',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the IDs of every product the user has saved, for marking saved listings
+ * @route GET /api/wishlist/ids
+ * @access Protected
+ */
+const getWishlistIds = async (req, res) => {
+  try {
+    const productIds = await WishlistItem.getSavedProductIds(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved product IDs retrieved successfully',
+      data: { productIds }
+    });
+
+  } catch (error) {
+    console.error('Get wishlist IDs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retrieve saved items',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Save a product to the wishlist
+ * @route POST /api/wishlist
+ * @access Protected
+ */
+const addToWishlist = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { productId } = req.body;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.isOwnedBy(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot save your own product'
+      });
+    }
+
+    // Saving twice keeps the original save and its price
+    let item = await WishlistItem.findOne({ user: userId, product: productId });
+    const created = !item;
+
+    if (!item) {
+      try {
+        item = await WishlistItem.create({
+          user: userId,
+          product: productId,
+          priceWhenSaved: product.price
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        item = await WishlistItem.findOne({ user: userId, product: productId });
+      }
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Product saved' : 'Product is already saved',
+      data: item
+    });
+
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to save product',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove a product from the wishlist
+ * @route DELETE /api/wishlist/:productId
+ * @access Protected
+ */
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    // Validate ObjectId format
+    if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const result = await WishlistItem.deleteOne({ user: req.user.id, product: productId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in your saved items'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Product removed from saved items',
+      data: { productId }
+    });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to remove saved item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWishlist,
+  getWishlistIds,
+  addToWishlist,
+  removeFromWishlist
+};
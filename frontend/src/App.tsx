@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { AppProvider } from './contexts/AppContext';
@@ -6,33 +6,22 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout/Layout';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
 import Browse from './pages/Browse';
 import AddProduct from './pages/AddProduct';
 import EditProduct from './pages/EditProduct';
 import MyListings from './pages/MyListings';
+import Sales from './pages/Sales';
 import Cart from './pages/Cart';
 import Purchases from './pages/Purchases';
 import Dashboard from './pages/Dashboard';
-
-// Initialize sample data
-const initializeSampleData = () => {
-  const existingUsers = localStorage.getItem('ecofinds_users');
-  if (!existingUsers) {
-    const sampleUsers = [
-      {
-        id: 'demo_user',
-        email: 'admin@ecofinds.com',
-        username: 'admin',
-        fullName: 'EcoFinds Admin',
-        phone: '+1 (555) 123-4567',
-        address: '123 Green Street, EcoCity, EC 12345',
-        bio: 'Passionate about sustainable living and helping others find great second-hand treasures!',
-        joinedDate: new Date('2024-01-01').toISOString(),
-      }
-    ];
-    localStorage.setItem('ecofinds_users', JSON.stringify(sampleUsers));
-  }
-};
+import Inbox from './pages/Inbox';
+import Offers from './pages/Offers';
+import SellerProfile from './pages/SellerProfile';
+import Saved from './pages/Saved';
+import SavedSearches from './pages/SavedSearches';
+import Admin from './pages/Admin';
 
 const AppContent: React.FC = () => {
   const { currentUser } = useAuth();
@@ -42,6 +31,8 @@ const AppContent: React.FC = () => {
       <Routes>
         <Route path="/login" element={currentUser ? <Navigate to="/" replace /> : <Login />} />
         <Route path="/register" element={currentUser ? <Navigate to="/" replace /> : <Register />} />
+        <Route path="/forgot-password" element={currentUser ? <Navigate to="/" replace /> : <ForgotPassword />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
         
         <Route path="/" element={
           <ProtectedRoute>
@@ -52,9 +43,21 @@ const AppContent: React.FC = () => {
           <Route path="add-product" element={<AddProduct />} />
           <Route path="edit-product/:id" element={<EditProduct />} />
           <Route path="my-listings" element={<MyListings />} />
+          <Route path="sales" element={<Sales />} />
           <Route path="cart" element={<Cart />} />
           <Route path="purchases" element={<Purchases />} />
           <Route path="dashboard" element={<Dashboard />} />
+          <Route path="inbox" element={<Inbox />} />
+          <Route path="inbox/:id" element={<Inbox />} />
+          <Route path="offers" element={<Offers />} />
+          <Route path="sellers/:id" element={<SellerProfile />} />
+          <Route path="saved" element={<Saved />} />
+          <Route path="searches" element={<SavedSearches />} />
+          <Route path="admin" element={
+            <ProtectedRoute roles={['moderator', 'admin']}>
+              <Admin />
+            </ProtectedRoute>
+          } />
         </Route>
 
         <Route path="*" element={<Navigate to="/" replace />} />
@@ -64,10 +67,6 @@ const AppContent: React.FC = () => {
 };
 
 function App() {
-  useEffect(() => {
-    initializeSampleData();
-  }, []);
-
   return (
     <AuthProvider>
       <AppProvider>
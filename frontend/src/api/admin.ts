@@ -0,0 +1,285 @@
+import {
+  AdminPage,
+  AdminPurchase,
+  AdminUser,
+  ListingReport,
+  ModerationAction,
+  ModerationLogEntry,
+  OrderStatus,
+  Product,
+  ReportQueueGroup,
+  ReportReason,
+  ReportResolution,
+  UserRole,
+} from '../types';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { ApiResponse, request } from './client';
+import { toProduct } from './mappers';
+import { ApiProduct } from './types';
+
+interface ApiAdminPagination {
+  currentPage: number;
+  totalPages: number;
+  total: number;
+}
+
+interface ApiAdminUser {
+  id: string;
+  email: string;
+  username: string;
+  avatar?: string;
+  role: UserRole;
+  suspendedAt: string | null;
+  suspensionReason?: string;
+  createdAt: string;
+}
+
+interface ApiAdminPurchase {
+  _id: string;
+  user: { _id: string; username: string; email: string } | null;
+  products: Array<{
+    title: string;
+    quantity: number;
+    priceAtPurchase: number;
+    seller: { _id: string; username: string } | null;
+  }>;
+  total: number;
+  currency?: string;
+  status: OrderStatus;
+  purchasedAt: string;
+}
+
+interface ApiQueueProduct {
+  _id: string;
+  title: string;
+  image: string;
+  price: number;
+  currency?: string;
+  category: string;
+  hiddenAt?: string | null;
+  takenDownAt?: string | null;
+}
+
+interface ApiQueueSeller {
+  _id: string;
+  username: string;
+  suspendedAt?: string | null;
+}
+
+interface ApiReportQueueGroup {
+  _id: string;
+  // Missing when the listing or seller has since been deleted
+  product?: ApiQueueProduct;
+  seller?: ApiQueueSeller;
+  productCount?: number;
+  reportCount: number;
+  reasons: Partial<Record<ReportReason, number>>;
+  lastReportedAt: string;
+}
+
+interface ApiListingReport {
+  _id: string;
+  reporter: { _id: string; username: string } | null;
+  reason: ReportReason;
+  details?: string;
+  status: ListingReport['status'];
+  createdAt: string;
+}
+
+interface ApiModerationLogEntry {
+  _id: string;
+  actor: { _id: string; username: string } | null;
+  action: ModerationAction;
+  targetType: ModerationLogEntry['targetType'];
+  target: string;
+  reason?: string;
+  details?: Record<string, unknown>;
+  createdAt: string;
+}
+
+const toAdminUser = (user: ApiAdminUser): AdminUser => ({
+  id: user.id,
+  email: user.email,
+  username: user.username,
+  avatar: user.avatar ?? '',
+  role: user.role,
+  suspendedAt: user.suspendedAt,
+  suspensionReason: user.suspensionReason ?? '',
+  createdAt: user.createdAt,
+});
+
+// Deleted accounts leave a null buyer or seller on old orders
+const toAdminPurchase = (purchase: ApiAdminPurchase): AdminPurchase => ({
+  id: purchase._id,
+  buyerName: purchase.user?.username ?? 'Deleted user',
+  buyerEmail: purchase.user?.email ?? '',
+  sellerNames: [...new Set(purchase.products.map((line) => line.seller?.username ?? 'Deleted user'))],
+  items: purchase.products.map(({ title, quantity, priceAtPurchase }) => ({ title, quantity, priceAtPurchase })),
+  total: purchase.total,
+  currency: purchase.currency ?? DEFAULT_CURRENCY,
+  status: purchase.status,
+  purchasedAt: purchase.purchasedAt,
+});
+
+const toQueueGroup = (group: ApiReportQueueGroup): ReportQueueGroup => ({
+  id: group._id,
+  product: group.product
+    ? {
+      id: group.product._id,
+      title: group.product.title,
+      thumbnailUrl: group.product.image,
+      price: group.product.price,
+      currency: group.product.currency ?? DEFAULT_CURRENCY,
+      category: group.product.category,
+      isHidden: Boolean(group.product.hiddenAt),
+      isTakenDown: Boolean(group.product.takenDownAt),
+    }
+    : null,
+  sellerId: group.seller?._id ?? '',
+  sellerName: group.seller?.username ?? 'Deleted user',
+  sellerSuspended: Boolean(group.seller?.suspendedAt),
+  productCount: group.productCount ?? 1,
+  reportCount: group.reportCount,
+  reasons: group.reasons,
+  lastReportedAt: group.lastReportedAt,
+});
+
+const toListingReport = (report: ApiListingReport): ListingReport => ({
+  id: report._id,
+  reporterName: report.reporter?.username ?? 'Deleted user',
+  reason: report.reason,
+  details: report.details ?? '',
+  status: report.status,
+  createdAt: report.createdAt,
+});
+
+const toLogEntry = (entry: ApiModerationLogEntry): ModerationLogEntry => ({
+  id: entry._id,
+  actorName: entry.actor?.username ?? null,
+  action: entry.action,
+  targetType: entry.targetType,
+  targetId: entry.target,
+  reason: entry.reason ?? '',
+  details: entry.details ?? {},
+  createdAt: entry.createdAt,
+});
+
+const toPage = <T, U>(items: T[], pagination: ApiAdminPagination, map: (item: T) => U): AdminPage<U> => ({
+  items: items.map(map),
+  currentPage: pagination.currentPage,
+  totalPages: pagination.totalPages,
+  total: pagination.total,
+});
+
+export interface UserFilters {
+  search?: string;
+  role?: UserRole | '';
+  status?: 'active' | 'suspended' | '';
+  page?: number;
+}
+
+export const listUsers = async (filters: UserFilters = {}): Promise<AdminPage<AdminUser>> => {
+  const response = await request<ApiResponse<{ users: ApiAdminUser[]; pagination: ApiAdminPagination }>>(
+    '/admin/users',
+    { query: { ...filters } },
+  );
+  return toPage(response.data.users, response.data.pagination, toAdminUser);
+};
+
+export const updateRole = async (userId: string, role: UserRole): Promise<AdminUser> => {
+  const response = await request<ApiResponse<ApiAdminUser>>(`/admin/users/${userId}/role`, {
+    method: 'PUT',
+    body: { role },
+  });
+  return toAdminUser(response.data);
+};
+
+export const suspendUser = async (userId: string, reason: string): Promise<AdminUser> => {
+  const response = await request<ApiResponse<{ user: ApiAdminUser }>>(`/admin/users/${userId}/suspend`, {
+    method: 'PUT',
+    body: { reason },
+  });
+  return toAdminUser(response.data.user);
+};
+
+export const unsuspendUser = async (userId: string): Promise<AdminUser> => {
+  const response = await request<ApiResponse<ApiAdminUser>>(`/admin/users/${userId}/unsuspend`, { method: 'PUT' });
+  return toAdminUser(response.data);
+};
+
+export interface ProductFilters {
+  search?: string;
+  status?: 'available' | 'unavailable' | 'hidden' | 'taken_down' | '';
+  page?: number;
+}
+
+export const listProducts = async (filters: ProductFilters = {}): Promise<AdminPage<Product>> => {
+  const response = await request<ApiResponse<{ products: ApiProduct[]; pagination: ApiAdminPagination }>>(
+    '/admin/products',
+    { query: { ...filters } },
+  );
+  return toPage(response.data.products, response.data.pagination, toProduct);
+};
+
+export const takeDownProduct = async (productId: string, reason: string): Promise<Product> => {
+  const response = await request<ApiResponse<ApiProduct>>(`/admin/products/${productId}/takedown`, {
+    method: 'PUT',
+    body: { reason },
+  });
+  return toProduct(response.data);
+};
+
+export const restoreProduct = async (productId: string): Promise<Product> => {
+  const response = await request<ApiResponse<ApiProduct>>(`/admin/products/${productId}/restore`, { method: 'PUT' });
+  return toProduct(response.data);
+};
+
+export const listPurchases = async (status: OrderStatus | '' = '', page = 1): Promise<AdminPage<AdminPurchase>> => {
+  const response = await request<ApiResponse<{ purchases: ApiAdminPurchase[]; pagination: ApiAdminPagination }>>(
+    '/admin/purchases',
+    { query: { status, page } },
+  );
+  return toPage(response.data.purchases, response.data.pagination, toAdminPurchase);
+};
+
+export type ReportGrouping = 'product' | 'seller';
+
+export const listReportQueue = async (groupBy: ReportGrouping = 'product', page = 1): Promise<AdminPage<ReportQueueGroup>> => {
+  const response = await request<ApiResponse<{ groups: ApiReportQueueGroup[]; pagination: ApiAdminPagination }>>(
+    '/admin/reports',
+    { query: { groupBy, page } },
+  );
+  return toPage(response.data.groups, response.data.pagination, toQueueGroup);
+};
+
+export const getProductReports = async (productId: string): Promise<{ reports: ListingReport[]; history: ModerationLogEntry[] }> => {
+  const response = await request<ApiResponse<{ reports: ApiListingReport[]; history: ApiModerationLogEntry[] }>>(
+    `/admin/reports/products/${productId}`,
+  );
+  return {
+    reports: response.data.reports.map(toListingReport),
+    history: response.data.history.map(toLogEntry),
+  };
+};
+
+export const resolveReports = async (productId: string, action: ReportResolution, reason = ''): Promise<Product> => {
+  const response = await request<ApiResponse<ApiProduct>>(`/admin/reports/products/${productId}/resolve`, {
+    method: 'PUT',
+    body: { action, reason },
+  });
+  return toProduct(response.data);
+};
+
+export interface LogFilters {
+  targetType?: ModerationLogEntry['targetType'] | '';
+  action?: ModerationAction | '';
+  page?: number;
+}
+
+export const listModerationLog = async (filters: LogFilters = {}): Promise<AdminPage<ModerationLogEntry>> => {
+  const response = await request<ApiResponse<{ entries: ApiModerationLogEntry[]; pagination: ApiAdminPagination }>>(
+    '/admin/moderation-log',
+    { query: { ...filters } },
+  );
+  return toPage(response.data.entries, response.data.pagination, toLogEntry);
+};
@@ -0,0 +1,81 @@
+import { Session, User } from '../types';
+import { ApiResponse, clearToken, request, setToken } from './client';
+import { toUser } from './mappers';
+import { ApiUser } from './types';
+
+interface AuthResponse {
+  success: boolean;
+  message: string;
+  token: string;
+  refreshToken: string;
+  user: ApiUser;
+}
+
+export const register = async (email: string, username: string, password: string): Promise<User> => {
+  const response = await request<AuthResponse>('/auth/register', {
+    method: 'POST',
+    body: { email, username, password },
+  });
+  setToken(response.token, response.refreshToken);
+  return toUser(response.user);
+};
+
+export const login = async (email: string, password: string): Promise<User> => {
+  const response = await request<AuthResponse>('/auth/login', {
+    method: 'POST',
+    body: { email, password },
+  });
+  setToken(response.token, response.refreshToken);
+  return toUser(response.user);
+};
+
+export const changePassword = async (currentPassword: string, newPassword: string, confirmPassword: string) => {
+  const response = await request<AuthResponse>('/auth/password', {
+    method: 'PUT',
+    body: { currentPassword, newPassword, confirmPassword },
+  });
+  // Older tokens stop working once the password changes
+  setToken(response.token, response.refreshToken);
+};
+
+export const forgotPassword = async (email: string): Promise<string> => {
+  const response = await request<{ success: boolean; message: string }>('/auth/forgot-password', {
+    method: 'POST',
+    body: { email },
+  });
+  return response.message;
+};
+
+export const resetPassword = async (token: string, password: string, confirmPassword: string): Promise<User> => {
+  const response = await request<AuthResponse>(`/auth/reset-password/${token}`, {
+    method: 'POST',
+    body: { password, confirmPassword },
+  });
+  setToken(response.token, response.refreshToken);
+  return toUser(response.user);
+};
+
+export const logout = async () => {
+  try {
+    await request('/auth/logout', { method: 'POST' });
+  } finally {
+    clearToken();
+  }
+};
+
+export const logoutAll = async () => {
+  try {
+    await request('/auth/logout-all', { method: 'POST' });
+  } finally {
+    clearToken();
+  }
+};
+
+export const listSessions = async (): Promise<Session[]> => {
+  const response = await request<ApiResponse<{ sessions: Session[] }>>('/auth/sessions');
+  return response.data.sessions;
+};
+
+export const revokeSession = async (id: string) => {
+  await request(`/auth/sessions/${id}`, { method: 'DELETE' });
+};
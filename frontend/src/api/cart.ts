@@ -0,0 +1,73 @@
+import { CartItem, CartTotal, DeliveryMethod } from '../types';
+import { ApiResponse, request } from './client';
+import { toCartItem } from './mappers';
+import { ApiCartItem, ApiProduct, ApiUserRef } from './types';
+
+interface CartResponse {
+  items: Array<ApiCartItem & { product: ApiProduct }>;
+  summary: {
+    itemCount: number;
+    total: number;
+    currency: string;
+    formattedTotal: string;
+    charges: Array<{ currency: string; total: number; formattedTotal: string }>;
+    orders: Array<{
+      seller: ApiUserRef;
+      currency: string;
+      productIds: string[];
+      deliveryMethods: DeliveryMethod[];
+      pickupLocation: string;
+      shippingFee: number;
+      convertedShippingFee: number;
+    }>;
+  };
+  removedUnavailableItems: number;
+}
+
+export interface Cart {
+  items: CartItem[];
+  itemCount: number;
+  total: CartTotal;
+  removedUnavailableItems: number;
+}
+
+export const get = async (): Promise<Cart> => {
+  const response = await request<ApiResponse<CartResponse>>('/cart');
+  const { items, summary, removedUnavailableItems } = response.data;
+  return {
+    items: items.map(toCartItem),
+    itemCount: summary.itemCount,
+    total: {
+      amount: summary.total,
+      currency: summary.currency,
+      charges: summary.charges.map(({ currency, total }) => ({ currency, amount: total })),
+      orders: summary.orders.map((order) => ({
+        sellerId: order.seller._id,
+        sellerName: order.seller.username,
+        currency: order.currency,
+        productIds: order.productIds,
+        deliveryMethods: order.deliveryMethods,
+        pickupLocation: order.pickupLocation,
+        shippingFee: order.shippingFee,
+        convertedShippingFee: order.convertedShippingFee,
+      })),
+    },
+    removedUnavailableItems,
+  };
+};
+
+export const add = async (productId: string, quantity = 1) => {
+  await request('/cart', { method: 'POST', body: { productId, quantity } });
+};
+
+export const updateQuantity = async (cartItemId: string, quantity: number) => {
+  await request(`/cart/${cartItemId}`, { method: 'PUT', body: { quantity } });
+};
+
+export const remove = async (cartItemId: string) => {
+  await request(`/cart/${cartItemId}`, { method: 'DELETE' });
+};
+
+export const clear = async () => {
+  await request('/cart', { method: 'DELETE' });
+};
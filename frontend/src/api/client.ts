@@ -0,0 +1,191 @@
+const API_BASE_URL = `${import.meta.env.VITE_API_URL ?? ''}/api`;
+const TOKEN_KEY = 'ecofinds_token';
+const REFRESH_TOKEN_KEY = 'ecofinds_refresh_token';
+
+/**
+ * Standard response envelope returned by the EcoFinds API:
+ * `{ success, message, data }` plus endpoint-specific top-level fields.
+ */
+export interface ApiResponse<T = undefined> {
+  success: boolean;
+  message: string;
+  data: T;
+}
+
+/**
+ * A single validation problem. The backend reports express-validator errors
+ * as objects (`{ path, msg }`) and Mongoose validation errors as plain strings;
+ * both are normalized to this shape.
+ */
+export interface FieldError {
+  field?: string;
+  message: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+  errors: FieldError[];
+  body: Record<string, unknown>;
+
+  constructor(message: string, status: number, errors: FieldError[] = [], body: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+    this.body = body;
+  }
+}
+
+export const getToken = (): string | null => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = (): string | null => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const setToken = (token: string, refreshToken?: string) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+export const clearToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+let unauthorizedHandler: (() => void) | null = null;
+
+/**
+ * Register a callback that runs whenever an authenticated request is rejected
+ * with 401, so the auth state can be reset in one place.
+ */
+export const onUnauthorized = (handler: (() => void) | null) => {
+  unauthorizedHandler = handler;
+};
+
+const normalizeErrors = (errors: unknown): FieldError[] => {
+  if (!Array.isArray(errors)) return [];
+
+  return errors.map((error) => {
+    if (typeof error === 'string') {
+      return { message: error };
+    }
+    const { path, param, msg, message } = (error ?? {}) as Record<string, string | undefined>;
+    return { field: path ?? param, message: msg ?? message ?? 'Invalid value' };
+  });
+};
+
+type QueryValue = string | number | boolean | undefined | null;
+
+interface RequestOptions {
+  method?: 'GET' | 'POST' | 'PUT' | 'DELETE';
+  body?: unknown;
+  query?: Record<string, QueryValue>;
+}
+
+const buildUrl = (path: string, query?: Record<string, QueryValue>) => {
+  const params = new URLSearchParams();
+  if (query) {
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, String(value));
+      }
+    });
+  }
+  const queryString = params.toString();
+  return `${API_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+};
+
+let refreshInFlight: Promise<boolean> | null = null;
+
+/**
+ * Swap the stored refresh token for a new token pair. Concurrent callers share
+ * one request, because the server rejects a refresh token once it has been rotated.
+ */
+const refreshSession = (): Promise<boolean> => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(buildUrl('/auth/refresh'), {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (response) => {
+        const payload = (await response.json().catch(() => ({}))) as Record<string, unknown>;
+        if (!response.ok || !payload.token) return false;
+        setToken(payload.token as string, payload.refreshToken as string);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+
+  return refreshInFlight;
+};
+
+/**
+ * Perform a request against the API and return the parsed JSON body.
+ * An expired access token is refreshed once and the request retried.
+ * Throws an ApiError when the request fails or the envelope reports `success: false`.
+ */
+export const request = async <T>(path: string, options: RequestOptions = {}, retried = false): Promise<T> => {
+  const { method = 'GET', body, query } = options;
+  const headers: Record<string, string> = { Accept: 'application/json' };
+  const token = getToken();
+
+  // FormData bodies (file uploads) set their own multipart boundary header
+  const isFormData = body instanceof FormData;
+  if (body !== undefined && !isFormData) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(buildUrl(path, query), {
+      method,
+      headers,
+      body: isFormData ? body : body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    throw new ApiError('Unable to reach the server. Please check your connection.', 0);
+  }
+
+  const payload = (await response.json().catch(() => ({}))) as Record<string, unknown>;
+
+  if (!response.ok || payload.success === false) {
+    if (response.status === 401 && token) {
+      if (payload.code === 'TOKEN_EXPIRED' && !retried && await refreshSession()) {
+        return request<T>(path, options, true);
+      }
+      clearToken();
+      unauthorizedHandler?.();
+    }
+    throw new ApiError(
+      (payload.message as string) || `Request failed with status ${response.status}`,
+      response.status,
+      normalizeErrors(payload.errors),
+      payload
+    );
+  }
+
+  return payload as T;
+};
+
+/**
+ * Turn any thrown value into something a form can display.
+ */
+export const describeError = (error: unknown, fallback = 'Something went wrong. Please try again.') => {
+  if (error instanceof ApiError) {
+    return {
+      message: error.message,
+      details: error.errors.map((fieldError) => fieldError.message),
+    };
+  }
+  return { message: fallback, details: [] as string[] };
+};
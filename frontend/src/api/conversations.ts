@@ -0,0 +1,114 @@
+import { Conversation, ConversationLockReason, Message, UnreadSummary } from '../types';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { ApiResponse, request } from './client';
+import { ApiPagination, ApiProduct, ApiUserRef } from './types';
+
+interface ApiConversation {
+  _id: string;
+  productId: string;
+  product: Pick<ApiProduct, '_id' | 'title' | 'image' | 'price' | 'currency' | 'isAvailable'> & { images?: ApiProduct['images'] } | null;
+  productSnapshot: { title: string; image: string };
+  role: 'buyer' | 'seller';
+  counterpart: ApiUserRef | null;
+  lastMessage: { body: string; sender: string; sentAt: string } | null;
+  lastMessageAt: string;
+  unreadCount: number;
+  locked: boolean;
+  lockReason: ConversationLockReason | null;
+  lockMessage: string | null;
+}
+
+interface ApiMessage {
+  _id: string;
+  sender: ApiUserRef | null;
+  body: string;
+  createdAt: string;
+}
+
+interface ConversationListResponse {
+  conversations: ApiConversation[];
+  unread: UnreadSummary;
+  pagination: ApiPagination & { totalConversations: number; limit: number };
+}
+
+interface ConversationDetailResponse {
+  conversation: ApiConversation;
+  messages: ApiMessage[];
+  pagination: ApiPagination & { totalMessages: number; limit: number };
+}
+
+const toConversation = (conversation: ApiConversation): Conversation => {
+  const counterpartId = conversation.counterpart?._id ?? '';
+  return {
+    id: conversation._id,
+    productId: conversation.productId,
+    productTitle: conversation.product?.title ?? conversation.productSnapshot.title,
+    productImageUrl: conversation.product?.images?.[0]?.thumbnailUrl
+      || conversation.product?.image
+      || conversation.productSnapshot.image,
+    productPrice: conversation.product?.price ?? null,
+    productCurrency: conversation.product?.currency ?? DEFAULT_CURRENCY,
+    role: conversation.role,
+    counterpartId,
+    counterpartName: conversation.counterpart?.username ?? 'Deleted user',
+    lastMessage: conversation.lastMessage?.body ?? null,
+    lastMessageAt: conversation.lastMessageAt,
+    lastMessageFromMe: Boolean(conversation.lastMessage) && conversation.lastMessage?.sender !== counterpartId,
+    unreadCount: conversation.unreadCount,
+    lockReason: conversation.lockReason,
+    lockMessage: conversation.lockMessage,
+  };
+};
+
+const toMessage = (message: ApiMessage): Message => ({
+  id: message._id,
+  senderId: message.sender?._id ?? '',
+  senderName: message.sender?.username ?? 'Deleted user',
+  body: message.body,
+  createdAt: message.createdAt,
+});
+
+export const list = async (page = 1, limit = 20) => {
+  const response = await request<ApiResponse<ConversationListResponse>>('/conversations', { query: { page, limit } });
+  return {
+    conversations: response.data.conversations.map(toConversation),
+    unread: response.data.unread,
+    pagination: response.data.pagination,
+  };
+};
+
+export const getUnreadCount = async (): Promise<UnreadSummary> => {
+  const response = await request<ApiResponse<UnreadSummary>>('/conversations/unread-count');
+  return response.data;
+};
+
+/** Open the thread about a product with its seller, optionally sending a first message. */
+export const start = async (productId: string, message?: string): Promise<Conversation> => {
+  const response = await request<ApiResponse<ApiConversation>>('/conversations', {
+    method: 'POST',
+    body: { productId, message },
+  });
+  return toConversation(response.data);
+};
+
+export const get = async (id: string, page = 1, limit = 50) => {
+  const response = await request<ApiResponse<ConversationDetailResponse>>(`/conversations/${id}`, { query: { page, limit } });
+  return {
+    conversation: toConversation(response.data.conversation),
+    messages: response.data.messages.map(toMessage),
+    pagination: response.data.pagination,
+  };
+};
+
+export const send = async (id: string, body: string): Promise<Message> => {
+  const response = await request<ApiResponse<ApiMessage>>(`/conversations/${id}/messages`, {
+    method: 'POST',
+    body: { body },
+  });
+  return toMessage(response.data);
+};
+
+export const markRead = async (id: string): Promise<UnreadSummary> => {
+  const response = await request<ApiResponse<UnreadSummary>>(`/conversations/${id}/read`, { method: 'PUT' });
+  return response.data;
+};
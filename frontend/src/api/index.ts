@@ -0,0 +1,17 @@
+export * as authApi from './auth';
+export * as usersApi from './users';
+export * as productsApi from './products';
+export * as cartApi from './cart';
+export * as purchasesApi from './purchases';
+export * as salesApi from './sales';
+export * as uploadsApi from './uploads';
+export * as conversationsApi from './conversations';
+export * as offersApi from './offers';
+export * as reviewsApi from './reviews';
+export * as wishlistApi from './wishlist';
+export * as savedSearchesApi from './savedSearches';
+export * as notificationsApi from './notifications';
+export * as reportsApi from './reports';
+export * as adminApi from './admin';
+export { ApiError, describeError, getToken, onUnauthorized } from './client';
+export type { FieldError } from './client';
@@ -0,0 +1,153 @@
+import { Address, CartItem, Category, OrderDelivery, Product, Purchase, User } from '../types';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { ApiAddress, ApiCartItem, ApiCategory, ApiOrderDelivery, ApiProduct, ApiPurchase, ApiUser, ApiUserRef } from './types';
+
+const refId = (ref: ApiUserRef | string) => (typeof ref === 'string' ? ref : ref._id);
+const refName = (ref: ApiUserRef | string) => (typeof ref === 'string' ? '' : ref.username);
+
+export const toUser = (user: ApiUser): User => ({
+  id: (user.id ?? user._id) as string,
+  email: user.email,
+  username: user.username,
+  role: user.role ?? 'user',
+  bio: user.bio ?? '',
+  avatar: user.avatar ?? '',
+  phone: user.phone ?? '',
+  joinedDate: user.createdAt,
+  preferredCurrency: user.preferredCurrency ?? DEFAULT_CURRENCY,
+  locale: user.locale ?? navigator.language,
+  location: user.location ?? '',
+  locationFound: user.locationFound ?? false,
+});
+
+export const toAddress = (address: ApiAddress): Address => ({
+  id: address._id,
+  label: address.label ?? '',
+  fullName: address.fullName,
+  line1: address.line1,
+  line2: address.line2 ?? '',
+  city: address.city,
+  region: address.region ?? '',
+  postalCode: address.postalCode,
+  country: address.country,
+  phone: address.phone ?? '',
+  isDefault: address.isDefault,
+});
+
+// Orders placed before delivery options existed have no method
+export const toOrderDelivery = (delivery: ApiOrderDelivery = {}): OrderDelivery => ({
+  method: delivery.method ?? null,
+  fee: delivery.fee ?? 0,
+  address: delivery.address?.line1
+    ? {
+        fullName: delivery.address.fullName ?? '',
+        line1: delivery.address.line1,
+        line2: delivery.address.line2 ?? '',
+        city: delivery.address.city ?? '',
+        region: delivery.address.region ?? '',
+        postalCode: delivery.address.postalCode ?? '',
+        country: delivery.address.country ?? '',
+        phone: delivery.address.phone ?? '',
+      }
+    : null,
+  pickupLocation: delivery.pickupLocation ?? '',
+});
+
+export const toCategory = (category: ApiCategory): Category => ({
+  id: category._id,
+  name: category.name,
+  slug: category.slug,
+  description: category.description ?? '',
+  image: category.image ?? '',
+  parentId: category.parent,
+  attributes: category.attributes,
+  children: category.children.map(toCategory),
+});
+
+export const toProduct = (product: ApiProduct): Product => ({
+  id: product._id,
+  title: product.title,
+  description: product.description,
+  category: product.category,
+  price: product.price,
+  currency: product.currency ?? DEFAULT_CURRENCY,
+  condition: product.condition,
+  imageUrl: product.image,
+  thumbnailUrl: product.thumbnail || product.image,
+  images: (product.images ?? []).map((image) => ({ ...image, thumbnailUrl: image.thumbnailUrl || image.url })),
+  location: product.location ?? '',
+  distanceKm: product.distanceKm ?? null,
+  highlights: product.highlights ?? null,
+  tags: product.tags ?? [],
+  attributes: product.attributes ?? {},
+  // Listings from before delivery options existed are pickup only
+  delivery: product.delivery ?? { pickup: true, shipping: false, shippingFee: 0 },
+  sellerId: refId(product.user),
+  sellerName: refName(product.user),
+  sellerRating: typeof product.user === 'string' ? null : product.user.sellerRating ?? null,
+  createdAt: product.createdAt,
+  isAvailable: product.isAvailable,
+  isTakenDown: Boolean(product.takenDownAt),
+  takedownReason: product.takedownReason ?? '',
+  isHidden: Boolean(product.hiddenAt),
+  hiddenReason: product.hiddenReason ?? '',
+});
+
+export const toCartItem = (item: ApiCartItem & { product: ApiProduct }): CartItem => ({
+  id: item._id,
+  product: toProduct(item.product),
+  quantity: item.quantity,
+  addedAt: item.addedAt,
+  unitPrice: item.unitPrice ?? item.product.price,
+  offerPrice: item.offer?.amount ?? null,
+});
+
+export const toPurchase = (purchase: ApiPurchase): Purchase => ({
+  id: purchase._id,
+  products: purchase.products.map((line) => ({
+    lineId: line._id,
+    // Fall back to the snapshot stored on the purchase when the listing was deleted
+    product: {
+      id: line.product?._id ?? '',
+      title: line.product?.title ?? line.title,
+      description: line.product?.description ?? '',
+      category: line.product?.category ?? '',
+      price: line.priceAtPurchase,
+      currency: purchase.currency ?? DEFAULT_CURRENCY,
+      condition: line.product?.condition ?? '',
+      imageUrl: line.product?.image || line.image,
+      thumbnailUrl: line.product?.image || line.image,
+      images: [],
+      location: '',
+      distanceKm: null,
+      highlights: null,
+      tags: [],
+      attributes: {},
+      delivery: { pickup: false, shipping: false, shippingFee: 0 },
+      sellerId: refId(line.seller),
+      sellerName: refName(line.seller),
+      sellerRating: null,
+      createdAt: purchase.purchasedAt,
+      isAvailable: false,
+      isTakenDown: false,
+      takedownReason: '',
+      isHidden: false,
+      hiddenReason: '',
+    },
+    quantity: line.quantity,
+    priceAtPurchase: line.priceAtPurchase,
+    review: line.review ? { id: line.review._id, rating: line.review.rating } : null,
+    canReview: line.canReview ?? false,
+  })),
+  totalAmount: purchase.total,
+  currency: purchase.currency ?? DEFAULT_CURRENCY,
+  delivery: toOrderDelivery(purchase.delivery),
+  purchaseDate: purchase.purchasedAt,
+  buyerId: purchase.user,
+  sellerName: purchase.products.length > 0 ? refName(purchase.products[0].seller) : '',
+  status: purchase.status,
+  paymentStatus: purchase.payment?.status ?? null,
+  paymentError: purchase.status === 'payment_failed' ? purchase.payment?.attempts?.slice(-1)[0]?.message ?? '' : '',
+  allowedTransitions: purchase.allowedTransitions ?? [],
+  notes: purchase.notes,
+});
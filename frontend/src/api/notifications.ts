@@ -0,0 +1,77 @@
+import { AppNotification, NotificationChannels, NotificationPreferences, NotificationType } from '../types';
+import { ApiResponse, request } from './client';
+import { ApiPagination } from './types';
+
+interface ApiNotification {
+  _id: string;
+  type: NotificationType;
+  title: string;
+  body: string;
+  link: string;
+  isRead: boolean;
+  createdAt: string;
+}
+
+interface NotificationListResponse {
+  notifications: ApiNotification[];
+  unreadCount: number;
+  pagination: ApiPagination & { totalNotifications: number; limit: number };
+}
+
+const toNotification = (notification: ApiNotification): AppNotification => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.body,
+  link: notification.link,
+  isRead: notification.isRead,
+  createdAt: notification.createdAt,
+});
+
+export const list = async (page = 1, limit = 20, unreadOnly = false) => {
+  const response = await request<ApiResponse<NotificationListResponse>>('/notifications', {
+    query: { page, limit, unread: unreadOnly || undefined },
+  });
+  return {
+    notifications: response.data.notifications.map(toNotification),
+    unreadCount: response.data.unreadCount,
+    pagination: response.data.pagination,
+  };
+};
+
+export const getUnreadCount = async (): Promise<number> => {
+  const response = await request<ApiResponse<{ unreadCount: number }>>('/notifications/unread-count');
+  return response.data.unreadCount;
+};
+
+export const markRead = async (id: string) => {
+  await request(`/notifications/${id}/read`, { method: 'PUT' });
+};
+
+export const markAllRead = async () => {
+  await request('/notifications/read-all', { method: 'PUT' });
+};
+
+export const remove = async (id: string) => {
+  await request(`/notifications/${id}`, { method: 'DELETE' });
+};
+
+export const getPreferences = async (): Promise<NotificationPreferences> => {
+  const response = await request<ApiResponse<NotificationPreferences>>('/notifications/preferences');
+  return response.data;
+};
+
+export interface PreferencesUpdate {
+  channels?: Partial<NotificationChannels>;
+  webhookUrl?: string;
+  mutedTypes?: NotificationType[];
+}
+
+/** Changing the webhook URL issues a new signing secret. */
+export const updatePreferences = async (updates: PreferencesUpdate): Promise<NotificationPreferences> => {
+  const response = await request<ApiResponse<NotificationPreferences>>('/notifications/preferences', {
+    method: 'PUT',
+    body: updates,
+  });
+  return response.data;
+};
@@ -0,0 +1,82 @@
+import { Offer, OfferAction, OfferHistoryEntry, OfferStatus } from '../types';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { ApiResponse, request } from './client';
+import { ApiPagination, ApiProduct, ApiUserRef } from './types';
+
+interface ApiOffer {
+  _id: string;
+  product: (Pick<ApiProduct, '_id' | 'title' | 'image' | 'price' | 'currency' | 'isAvailable'> & { images?: ApiProduct['images'] }) | string | null;
+  buyer: ApiUserRef | string;
+  seller: ApiUserRef | string;
+  amount: number;
+  listPrice: number;
+  currency?: string;
+  status: OfferStatus;
+  awaitingResponseFrom: 'buyer' | 'seller' | null;
+  role: 'buyer' | 'seller';
+  allowedActions: OfferAction[];
+  expiresAt: string;
+  updatedAt: string;
+  history: OfferHistoryEntry[];
+}
+
+interface OfferListResponse {
+  offers: ApiOffer[];
+  pagination: ApiPagination & { totalOffers: number; limit: number };
+}
+
+const userName = (ref: ApiUserRef | string) => (typeof ref === 'string' ? '' : ref.username);
+
+const toOffer = (offer: ApiOffer): Offer => {
+  const product = offer.product && typeof offer.product === 'object' ? offer.product : null;
+  return {
+    id: offer._id,
+    productId: product?._id ?? (typeof offer.product === 'string' ? offer.product : ''),
+    productTitle: product?.title ?? 'Deleted listing',
+    productImageUrl: product?.images?.[0]?.thumbnailUrl || product?.image || '',
+    listPrice: offer.listPrice,
+    amount: offer.amount,
+    currency: offer.currency ?? DEFAULT_CURRENCY,
+    status: offer.status,
+    awaitingResponseFrom: offer.awaitingResponseFrom,
+    role: offer.role,
+    allowedActions: offer.allowedActions,
+    buyerName: userName(offer.buyer),
+    sellerName: userName(offer.seller),
+    expiresAt: offer.expiresAt,
+    updatedAt: offer.updatedAt,
+    history: offer.history,
+  };
+};
+
+export interface OfferFilters {
+  status?: OfferStatus;
+  productId?: string;
+  page?: number;
+  limit?: number;
+}
+
+/** Offers the current user made (`buyer`) or received on their listings (`seller`). */
+export const list = async (role: 'buyer' | 'seller', filters: OfferFilters = {}) => {
+  const response = await request<ApiResponse<OfferListResponse>>('/offers', { query: { role, ...filters } });
+  return {
+    offers: response.data.offers.map(toOffer),
+    pagination: response.data.pagination,
+  };
+};
+
+export const create = async (productId: string, amount: number, message?: string): Promise<Offer> => {
+  const response = await request<ApiResponse<ApiOffer>>('/offers', {
+    method: 'POST',
+    body: { productId, amount, message },
+  });
+  return toOffer(response.data);
+};
+
+export const respond = async (id: string, action: OfferAction, options: { amount?: number; message?: string } = {}): Promise<Offer> => {
+  const response = await request<ApiResponse<ApiOffer>>(`/offers/${id}/${action}`, {
+    method: 'PUT',
+    body: options,
+  });
+  return toOffer(response.data);
+};
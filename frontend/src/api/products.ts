@@ -0,0 +1,135 @@
+import {
+  AttributeFilter,
+  AttributeValue,
+  Category,
+  DeliveryMethod,
+  DeliveryOptions,
+  Product,
+  ProductFacets,
+  ProductImage,
+} from '../types';
+import { ApiResponse, request } from './client';
+import { toCategory, toProduct } from './mappers';
+import { ApiCategory, ApiPagination, ApiProduct } from './types';
+
+export interface ProductFilters {
+  search?: string;
+  category?: string;
+  condition?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  // Currency the price bounds are in; defaults to the base currency
+  currency?: string;
+  location?: string;
+  // A place, postcode, "lat,lng" or "me" for the signed-in user's location
+  near?: string;
+  // Kilometres around `near`; defaults to 25
+  radius?: number;
+  tags?: string[];
+  // Needs a category; keyed by attribute key
+  attributes?: Record<string, AttributeFilter>;
+  // 'distance' needs `near` and can't be combined with `search`
+  sortBy?: string;
+  sortOrder?: 'asc' | 'desc';
+  page?: number;
+  limit?: number;
+}
+
+export interface ProductInput {
+  title: string;
+  description: string;
+  category: string;
+  price: number;
+  // Only accepted when listing; a listing's currency can't change afterwards
+  currency?: string;
+  condition?: string;
+  image?: string;
+  images?: ProductImage[];
+  location?: string;
+  tags?: string[];
+  attributes?: Record<string, AttributeValue>;
+  delivery?: Partial<DeliveryOptions>;
+}
+
+interface ProductListResponse extends ApiResponse<ApiProduct[]> {
+  pagination: ApiPagination & { totalProducts: number };
+  facets?: ProductFacets;
+}
+
+export interface ProductPage {
+  products: Product[];
+  pagination: ProductListResponse['pagination'];
+}
+
+export interface ProductSearchResult extends ProductPage {
+  facets: ProductFacets;
+}
+
+// The API reads attribute filters as attributes[size]=M,L and attributes[year][min]=2015
+const toAttributeQuery = (attributes: Record<string, AttributeFilter> = {}) => {
+  const query: Record<string, string | number | undefined> = {};
+  Object.entries(attributes).forEach(([key, filter]) => {
+    if (Array.isArray(filter)) {
+      query[`attributes[${key}]`] = filter.join(',');
+    } else {
+      query[`attributes[${key}][min]`] = filter.min;
+      query[`attributes[${key}][max]`] = filter.max;
+    }
+  });
+  return query;
+};
+
+export const list = async (filters: ProductFilters = {}): Promise<ProductSearchResult> => {
+  const { tags, attributes, ...rest } = filters;
+  const response = await request<ProductListResponse>('/products', {
+    query: { ...rest, tags: tags?.join(','), ...toAttributeQuery(attributes) },
+  });
+  return {
+    products: response.data.map(toProduct),
+    pagination: response.pagination,
+    facets: response.facets ?? { categories: [], attributes: [] },
+  };
+};
+
+export const listMine = async (page = 1, limit = 50): Promise<ProductPage> => {
+  const response = await request<ProductListResponse>('/products/my', { query: { page, limit } });
+  return { products: response.data.map(toProduct), pagination: response.pagination };
+};
+
+export const create = async (input: ProductInput): Promise<Product> => {
+  const response = await request<ApiResponse<ApiProduct>>('/products', { method: 'POST', body: input });
+  return toProduct(response.data);
+};
+
+export const update = async (id: string, updates: Partial<ProductInput> & { isAvailable?: boolean }): Promise<Product> => {
+  const response = await request<ApiResponse<ApiProduct>>(`/products/${id}`, { method: 'PUT', body: updates });
+  return toProduct(response.data);
+};
+
+export interface ProductMeta {
+  // Top-level categories with their subcategories nested under `children`
+  categories: Category[];
+  conditions: string[];
+  deliveryMethods: DeliveryMethod[];
+  currencies: string[];
+  baseCurrency: string;
+  // Units of each currency per one unit of the base currency
+  exchangeRates: Record<string, number>;
+}
+
+export const getMeta = async (): Promise<ProductMeta> => {
+  const response = await request<ApiResponse<Omit<ProductMeta, 'categories'> & { categories: ApiCategory[] }>>('/products/meta');
+  return { ...response.data, categories: response.data.categories.map(toCategory) };
+};
+
+// Completions of a partly typed search, most used first
+export const suggest = async (query: string, limit = 5): Promise<string[]> => {
+  const response = await request<ApiResponse<{ query: string; suggestions: string[] }>>('/products/suggestions', {
+    query: { q: query, limit },
+  });
+  return response.data.suggestions;
+};
+
+export const remove = async (id: string) => {
+  await request(`/products/${id}`, { method: 'DELETE' });
+};
@@ -0,0 +1,50 @@
+import { DeliveryMethod, OrderStatus, Purchase } from '../types';
+import { ApiResponse, request } from './client';
+import { toPurchase } from './mappers';
+import { ApiPagination, ApiPurchase } from './types';
+
+interface PurchaseListResponse {
+  purchases: ApiPurchase[];
+  pagination: ApiPagination & { totalPurchases: number; limit: number };
+}
+
+export const list = async (page = 1, limit = 50): Promise<Purchase[]> => {
+  const response = await request<ApiResponse<PurchaseListResponse>>('/purchases', { query: { page, limit } });
+  return response.data.purchases.map(toPurchase);
+};
+
+export interface CheckoutOptions {
+  notes?: string;
+  // Seller ID -> how that seller's order is delivered; omitted sellers default to pickup where offered
+  deliveryMethods?: Record<string, DeliveryMethod>;
+  // Shipped orders go to this address, or the default one
+  addressId?: string;
+  // Token from the payment provider; the mock provider declines checkout without one
+  paymentMethod?: string;
+}
+
+export interface CheckoutResult {
+  placed: Purchase[];
+  // Orders whose payment failed; their items stay in the cart
+  failed: Purchase[];
+}
+
+// Checkout creates one order per seller and charges each separately
+export const checkout = async (options: CheckoutOptions = {}): Promise<CheckoutResult> => {
+  const response = await request<ApiResponse<{ purchases: ApiPurchase[]; failedPurchases?: ApiPurchase[] }>>('/purchases', {
+    method: 'POST',
+    body: options,
+  });
+  return {
+    placed: response.data.purchases.map(toPurchase),
+    failed: (response.data.failedPurchases ?? []).map(toPurchase),
+  };
+};
+
+export const updateStatus = async (id: string, status: OrderStatus, note?: string): Promise<Purchase> => {
+  const response = await request<ApiResponse<{ purchase: ApiPurchase }>>(`/purchases/${id}/status`, {
+    method: 'PUT',
+    body: { status, note },
+  });
+  return toPurchase(response.data.purchase);
+};
@@ -0,0 +1,9 @@
+import { ReportReason } from '../types';
+import { ApiResponse, request } from './client';
+
+export const create = async (productId: string, reason: ReportReason, details?: string): Promise<void> => {
+  await request<ApiResponse<unknown>>('/reports', {
+    method: 'POST',
+    body: { productId, reason, details },
+  });
+};
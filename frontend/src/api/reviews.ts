@@ -0,0 +1,64 @@
+import { RatingSummary, Review } from '../types';
+import { ApiResponse, request } from './client';
+import { ApiPagination, ApiUserRef } from './types';
+
+interface ApiReview {
+  _id: string;
+  reviewer: ApiUserRef | string | null;
+  rating: number;
+  comment: string;
+  productTitle: string;
+  createdAt: string;
+  reply?: { body?: string; repliedAt?: string };
+}
+
+interface ReviewListResponse {
+  reviews: ApiReview[];
+  summary: RatingSummary;
+  pagination: ApiPagination & { totalReviews: number; limit: number };
+}
+
+const toReview = (review: ApiReview): Review => {
+  const reviewer = review.reviewer && typeof review.reviewer === 'object' ? review.reviewer : null;
+  return {
+    id: review._id,
+    rating: review.rating,
+    comment: review.comment,
+    productTitle: review.productTitle,
+    reviewerName: reviewer?.username ?? 'Former member',
+    reviewerAvatar: reviewer?.avatar ?? '',
+    createdAt: review.createdAt,
+    reply: review.reply?.body && review.reply.repliedAt
+      ? { body: review.reply.body, repliedAt: review.reply.repliedAt }
+      : null,
+  };
+};
+
+export const listForSeller = async (sellerId: string, page = 1, limit = 10) => {
+  const response = await request<ApiResponse<ReviewListResponse>>(`/reviews/seller/${sellerId}`, {
+    query: { page, limit },
+  });
+  return {
+    reviews: response.data.reviews.map(toReview),
+    summary: response.data.summary,
+    pagination: response.data.pagination,
+  };
+};
+
+export interface NewReview {
+  purchaseId: string;
+  lineId: string;
+  rating: number;
+  comment?: string;
+}
+
+/** Reviews are limited to one per item of a received order. */
+export const create = async (review: NewReview): Promise<Review> => {
+  const response = await request<ApiResponse<ApiReview>>('/reviews', { method: 'POST', body: review });
+  return toReview(response.data);
+};
+
+export const reply = async (id: string, body: string): Promise<Review> => {
+  const response = await request<ApiResponse<ApiReview>>(`/reviews/${id}/reply`, { method: 'PUT', body: { body } });
+  return toReview(response.data);
+};
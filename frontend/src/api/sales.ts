@@ -0,0 +1,107 @@
+import { OrderStatus, ProductSaleDetails, Sale, SalesStats } from '../types';
+import { ApiResponse, request } from './client';
+import { toOrderDelivery } from './mappers';
+import { ApiOrderDelivery, ApiPagination, ApiUserRef } from './types';
+
+interface ApiSale {
+  purchaseId: string;
+  buyer: ApiUserRef | null;
+  status: OrderStatus;
+  allowedTransitions: OrderStatus[];
+  purchasedAt: string;
+  items: Array<{
+    product: { _id: string; image?: string } | null;
+    title: string;
+    image: string;
+    quantity: number;
+    priceAtPurchase: number;
+    subtotal: number;
+  }>;
+  totalItems: number;
+  delivery?: ApiOrderDelivery;
+  total: number;
+  currency: string;
+}
+
+interface SalesListResponse {
+  sales: ApiSale[];
+  pagination: ApiPagination & { totalSales: number; limit: number };
+}
+
+interface ApiSalesStats {
+  overview: SalesStats['overview'] & { currency: string };
+  year: number;
+  monthlyRevenue: SalesStats['monthlyRevenue'];
+  topProducts: Array<Omit<SalesStats['topProducts'][number], 'imageUrl'> & { image: string }>;
+}
+
+interface ApiProductSaleDetails {
+  product: { _id: string; title: string; deleted?: boolean };
+  sales: Array<Omit<ProductSaleDetails['sales'][number], 'buyerName'> & { buyer: ApiUserRef | null }>;
+  summary: {
+    quantitySold: number;
+    revenue: number;
+    currency: string;
+  };
+}
+
+const toSale = (sale: ApiSale): Sale => ({
+  id: sale.purchaseId,
+  buyerName: sale.buyer?.username ?? 'Deleted user',
+  status: sale.status,
+  allowedTransitions: sale.allowedTransitions,
+  purchasedAt: sale.purchasedAt,
+  items: sale.items.map((item) => ({
+    productId: item.product?._id ?? '',
+    title: item.title,
+    imageUrl: item.product?.image || item.image,
+    quantity: item.quantity,
+    priceAtPurchase: item.priceAtPurchase,
+    subtotal: item.subtotal,
+  })),
+  totalItems: sale.totalItems,
+  delivery: toOrderDelivery(sale.delivery),
+  total: sale.total,
+  currency: sale.currency,
+});
+
+export const list = async (page = 1, limit = 10) => {
+  const response = await request<ApiResponse<SalesListResponse>>('/users/me/sales', { query: { page, limit } });
+  return {
+    sales: response.data.sales.map(toSale),
+    pagination: response.data.pagination,
+  };
+};
+
+export const updateStatus = async (purchaseId: string, status: OrderStatus, note?: string): Promise<Sale> => {
+  const response = await request<ApiResponse<{ sale: ApiSale }>>(`/users/me/sales/${purchaseId}/status`, {
+    method: 'PUT',
+    body: { status, note },
+  });
+  return toSale(response.data.sale);
+};
+
+export const getStats = async (year?: number): Promise<SalesStats> => {
+  const response = await request<ApiResponse<ApiSalesStats>>('/users/me/sales/stats', { query: { year } });
+  const { topProducts, overview: { currency, ...overview }, ...rest } = response.data;
+  return {
+    ...rest,
+    currency,
+    overview,
+    topProducts: topProducts.map(({ image, ...product }) => ({ ...product, imageUrl: image })),
+  };
+};
+
+export const getProductDetails = async (productId: string): Promise<ProductSaleDetails> => {
+  const response = await request<ApiResponse<ApiProductSaleDetails>>(`/users/me/sales/products/${productId}`);
+  const { product, sales, summary } = response.data;
+  return {
+    productId: product._id,
+    title: product.title,
+    isDeleted: Boolean(product.deleted),
+    sales: sales.map(({ buyer, ...sale }) => ({ ...sale, buyerName: buyer?.username ?? 'Deleted user' })),
+    quantitySold: summary.quantitySold,
+    revenue: summary.revenue,
+    currency: summary.currency,
+  };
+};
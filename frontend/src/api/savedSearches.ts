@@ -0,0 +1,68 @@
+import { DigestFrequency, SavedSearch, SavedSearchFilters, SavedSearchMatch } from '../types';
+import { ApiResponse, request } from './client';
+import { toProduct } from './mappers';
+import { ApiProduct } from './types';
+
+interface ApiSavedSearch {
+  _id: string;
+  name: string;
+  filters?: SavedSearchFilters;
+  digestFrequency: DigestFrequency;
+  matchCount: number;
+  newMatchCount: number;
+  createdAt: string;
+}
+
+interface ApiSavedSearchMatch {
+  product: ApiProduct;
+  matchedAt: string;
+  isNew: boolean;
+}
+
+const toSavedSearch = (search: ApiSavedSearch): SavedSearch => ({
+  id: search._id,
+  name: search.name,
+  filters: search.filters ?? {},
+  digestFrequency: search.digestFrequency,
+  matchCount: search.matchCount,
+  newMatchCount: search.newMatchCount,
+  createdAt: search.createdAt,
+});
+
+export const list = async (): Promise<SavedSearch[]> => {
+  const response = await request<ApiResponse<ApiSavedSearch[]>>('/saved-searches');
+  return response.data.map(toSavedSearch);
+};
+
+export interface NewSavedSearch {
+  name: string;
+  filters: SavedSearchFilters;
+  digestFrequency?: DigestFrequency;
+}
+
+export const create = async (search: NewSavedSearch): Promise<SavedSearch> => {
+  const response = await request<ApiResponse<ApiSavedSearch>>('/saved-searches', { method: 'POST', body: search });
+  return toSavedSearch(response.data);
+};
+
+export const update = async (
+  id: string,
+  updates: { name?: string; digestFrequency?: DigestFrequency }
+): Promise<SavedSearch> => {
+  const response = await request<ApiResponse<ApiSavedSearch>>(`/saved-searches/${id}`, { method: 'PUT', body: updates });
+  return toSavedSearch(response.data);
+};
+
+export const remove = async (id: string) => {
+  await request(`/saved-searches/${id}`, { method: 'DELETE' });
+};
+
+/** Opening a search's matches marks them as seen. */
+export const listMatches = async (id: string): Promise<SavedSearchMatch[]> => {
+  const response = await request<ApiResponse<{ matches: ApiSavedSearchMatch[] }>>(`/saved-searches/${id}/matches`);
+  return response.data.matches.map(match => ({
+    product: toProduct(match.product),
+    matchedAt: match.matchedAt,
+    isNew: match.isNew,
+  }));
+};
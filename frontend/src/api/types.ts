@@ -0,0 +1,137 @@
+/**
+ * Shapes of the documents returned by the backend, before they are mapped
+ * onto the frontend domain types in `src/types`.
+ */
+
+import { AttributeValue, CategoryAttribute, DeliveryMethod, OrderStatus, PaymentStatus, SearchHighlights, UserRole } from '../types';
+
+export interface ApiUser {
+  id?: string;
+  _id?: string;
+  email: string;
+  username: string;
+  bio?: string;
+  avatar?: string;
+  phone?: string;
+  role?: UserRole;
+  preferredCurrency?: string;
+  locale?: string;
+  location?: string;
+  locationFound?: boolean;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export interface ApiAddress {
+  _id: string;
+  label?: string;
+  fullName: string;
+  line1: string;
+  line2?: string;
+  city: string;
+  region?: string;
+  postalCode: string;
+  country: string;
+  phone?: string;
+  isDefault: boolean;
+}
+
+export interface ApiUserRef {
+  _id: string;
+  username: string;
+  avatar?: string;
+  sellerRating?: { average: number; count: number };
+}
+
+export interface ApiCategory {
+  _id: string;
+  name: string;
+  slug: string;
+  description?: string;
+  image?: string;
+  parent: string | null;
+  attributes: CategoryAttribute[];
+  children: ApiCategory[];
+}
+
+export interface ApiProduct {
+  _id: string;
+  user: ApiUserRef | string;
+  title: string;
+  description: string;
+  category: string;
+  price: number;
+  currency?: string;
+  condition: string;
+  image: string;
+  images?: Array<{ url: string; thumbnailUrl?: string; width?: number; height?: number }>;
+  attributes?: Record<string, AttributeValue>;
+  thumbnail?: string;
+  isAvailable: boolean;
+  takenDownAt?: string | null;
+  takedownReason?: string;
+  hiddenAt?: string | null;
+  hiddenReason?: string;
+  location: string;
+  distanceKm?: number | null;
+  highlights?: SearchHighlights;
+  tags: string[];
+  delivery?: { pickup: boolean; shipping: boolean; shippingFee: number };
+  views: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ApiCartItem {
+  _id: string;
+  product: ApiProduct | null;
+  quantity: number;
+  addedAt: string;
+  subtotal: number;
+  formattedSubtotal?: string;
+  unitPrice?: number;
+  offer?: { _id: string; amount: number; expiresAt: string } | null;
+}
+
+export interface ApiPurchaseLine {
+  _id: string;
+  product: Pick<ApiProduct, '_id' | 'title' | 'description' | 'category' | 'condition' | 'image'> | null;
+  quantity: number;
+  priceAtPurchase: number;
+  title: string;
+  image: string;
+  seller: ApiUserRef | string;
+  review?: { _id: string; rating: number } | null;
+  canReview?: boolean;
+}
+
+export interface ApiOrderDelivery {
+  method?: DeliveryMethod;
+  fee?: number;
+  address?: Partial<Omit<ApiAddress, '_id' | 'label' | 'isDefault'>>;
+  pickupLocation?: string;
+}
+
+export interface ApiPurchase {
+  _id: string;
+  user: string;
+  products: ApiPurchaseLine[];
+  total: number;
+  currency?: string;
+  delivery?: ApiOrderDelivery;
+  payment?: {
+    status?: PaymentStatus;
+    attempts?: Array<{ action: string; status: string; message: string; at: string }>;
+  };
+  status: OrderStatus;
+  allowedTransitions?: OrderStatus[];
+  purchasedAt: string;
+  notes: string;
+}
+
+export interface ApiPagination {
+  currentPage: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+}
@@ -0,0 +1,22 @@
+import { ProductImage } from '../types';
+import { ApiResponse, request } from './client';
+
+export const uploadProductImages = async (files: File[]): Promise<ProductImage[]> => {
+  const form = new FormData();
+  files.forEach((file) => form.append('images', file));
+  const response = await request<ApiResponse<{ images: ProductImage[] }>>('/uploads/images', {
+    method: 'POST',
+    body: form,
+  });
+  return response.data.images;
+};
+
+export const uploadAvatar = async (file: File): Promise<string> => {
+  const form = new FormData();
+  form.append('avatar', file);
+  const response = await request<ApiResponse<{ image: ProductImage }>>('/uploads/avatar', {
+    method: 'POST',
+    body: form,
+  });
+  return response.data.image.url;
+};
@@ -0,0 +1,103 @@
+import { Address, BlockedUser, PublicProfile, SellerRating, User, UserStats } from '../types';
+import { ApiResponse, clearToken, request } from './client';
+import { toAddress, toUser } from './mappers';
+import { ApiAddress, ApiUser } from './types';
+
+interface UserResponse {
+  success: boolean;
+  message: string;
+  user: ApiUser;
+}
+
+export interface ProfileUpdate {
+  username?: string;
+  bio?: string;
+  avatar?: string;
+  phone?: string;
+  preferredCurrency?: string;
+  locale?: string;
+  location?: string;
+}
+
+export const getProfile = async (): Promise<User> => {
+  const response = await request<UserResponse>('/users/me');
+  return toUser(response.user);
+};
+
+interface PublicProfileResponse {
+  success: boolean;
+  message: string;
+  user: Pick<ApiUser, 'id' | 'username' | 'bio' | 'avatar' | 'createdAt'> & { rating: SellerRating };
+}
+
+export const getPublicProfile = async (id: string): Promise<PublicProfile> => {
+  const { user } = await request<PublicProfileResponse>(`/users/${id}`);
+  return {
+    id: user.id as string,
+    username: user.username,
+    bio: user.bio ?? '',
+    avatar: user.avatar ?? '',
+    joinedDate: user.createdAt,
+    rating: user.rating,
+  };
+};
+
+// Listing, sales and purchase totals plus monthly trends for the dashboard
+export const getStats = async (months = 12): Promise<UserStats> => {
+  const response = await request<{ success: boolean; stats: UserStats }>('/users/me/stats', { query: { months } });
+  return response.stats;
+};
+
+export const deleteAccount = async (password: string) => {
+  await request('/users/me', { method: 'DELETE', body: { password } });
+  clearToken();
+};
+
+export const updateProfile = async (updates: ProfileUpdate): Promise<User> => {
+  const response = await request<UserResponse>('/users/me', { method: 'PUT', body: updates });
+  return toUser(response.user);
+};
+
+export const listBlocked = async (): Promise<BlockedUser[]> => {
+  const response = await request<ApiResponse<{ blockedUsers: BlockedUser[] }>>('/users/me/blocked');
+  return response.data.blockedUsers;
+};
+
+export const blockUser = async (userId: string) => {
+  await request(`/users/me/blocked/${userId}`, { method: 'POST' });
+};
+
+export const unblockUser = async (userId: string) => {
+  await request(`/users/me/blocked/${userId}`, { method: 'DELETE' });
+};
+
+export type AddressInput = Omit<Address, 'id'>;
+
+// Saving or deleting returns the whole book, since the default may move
+export const listAddresses = async (): Promise<Address[]> => {
+  const response = await request<ApiResponse<{ addresses: ApiAddress[] }>>('/users/me/addresses');
+  return response.data.addresses.map(toAddress);
+};
+
+export const addAddress = async (address: AddressInput): Promise<Address[]> => {
+  const response = await request<ApiResponse<{ addresses: ApiAddress[] }>>('/users/me/addresses', {
+    method: 'POST',
+    body: address,
+  });
+  return response.data.addresses.map(toAddress);
+};
+
+export const updateAddress = async (id: string, updates: Partial<AddressInput>): Promise<Address[]> => {
+  const response = await request<ApiResponse<{ addresses: ApiAddress[] }>>(`/users/me/addresses/${id}`, {
+    method: 'PUT',
+    body: updates,
+  });
+  return response.data.addresses.map(toAddress);
+};
+
+export const removeAddress = async (id: string): Promise<Address[]> => {
+  const response = await request<ApiResponse<{ addresses: ApiAddress[] }>>(`/users/me/addresses/${id}`, {
+    method: 'DELETE',
+  });
+  return response.data.addresses.map(toAddress);
+};
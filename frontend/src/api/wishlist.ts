@@ -0,0 +1,46 @@
+import { WishlistItem } from '../types';
+import { ApiResponse, request } from './client';
+import { toProduct } from './mappers';
+import { ApiPagination, ApiProduct } from './types';
+
+interface ApiWishlistItem {
+  _id: string;
+  product: ApiProduct;
+  priceWhenSaved: number;
+  priceDrop: number;
+  createdAt: string;
+}
+
+interface WishlistResponse {
+  items: ApiWishlistItem[];
+  pagination: ApiPagination & { totalItems: number; limit: number };
+}
+
+const toWishlistItem = (item: ApiWishlistItem): WishlistItem => ({
+  id: item._id,
+  product: toProduct(item.product),
+  priceWhenSaved: item.priceWhenSaved,
+  priceDrop: item.priceDrop,
+  savedAt: item.createdAt,
+});
+
+export const list = async (page = 1, limit = 50) => {
+  const response = await request<ApiResponse<WishlistResponse>>('/wishlist', { query: { page, limit } });
+  return {
+    items: response.data.items.map(toWishlistItem),
+    pagination: response.data.pagination,
+  };
+};
+
+export const listIds = async (): Promise<string[]> => {
+  const response = await request<ApiResponse<{ productIds: string[] }>>('/wishlist/ids');
+  return response.data.productIds;
+};
+
+export const add = async (productId: string) => {
+  await request('/wishlist', { method: 'POST', body: { productId } });
+};
+
+export const remove = async (productId: string) => {
+  await request(`/wishlist/${productId}`, { method: 'DELETE' });
+};
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Monitor, LogOut } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authApi, describeError } from '../../api';
+import { Session } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+
+// Short, readable device label from a user agent string
+const describeDevice = (userAgent: string) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'Linux'].find(name => userAgent.includes(name));
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ') || userAgent.slice(0, 60);
+};
+
+const ActiveSessions: React.FC = () => {
+  const { logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    authApi.listSessions()
+      .then(setSessions)
+      .catch((err) => setError(describeError(err, 'Unable to load sessions').message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRevoke = async (session: Session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    setError('');
+    try {
+      await authApi.revokeSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (err) {
+      setError(describeError(err, 'Unable to revoke session').message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) return;
+    await logoutAll();
+    navigate('/login');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center space-x-2">
+          <Monitor className="h-5 w-5 text-gray-400" />
+          <h2 className="text-lg font-semibold text-gray-900">Active Sessions</h2>
+        </div>
+        <button
+          onClick={handleLogoutAll}
+          className="border border-red-300 text-red-600 px-4 py-2 rounded-lg text-sm font-medium hover:bg-red-50 transition-colors flex items-center space-x-2"
+        >
+          <LogOut className="h-4 w-4" />
+          <span>Log Out Everywhere</span>
+        </button>
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Loading sessions...</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <div key={session.id} className="flex justify-between items-center py-3">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 bg-emerald-100 text-emerald-800 px-2 py-0.5 rounded-full text-xs">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {session.ip && `${session.ip} · `}Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="text-sm text-gray-600 hover:text-red-600 font-medium transition-colors"
+              >
+                {session.current ? 'Log out' : 'Revoke'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { MapPin, Pencil, Trash2 } from 'lucide-react';
+import { usersApi, describeError } from '../../api';
+import { AddressInput } from '../../api/users';
+import { Address } from '../../types';
+import { formatAddress } from '../../utils/address';
+import ErrorAlert from '../ErrorAlert';
+
+const EMPTY_FORM: AddressInput = {
+  label: '',
+  fullName: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  country: '',
+  phone: '',
+  isDefault: false,
+};
+
+const inputClass =
+  'w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+
+const AddressBook: React.FC = () => {
+  const [addresses, setAddresses] = useState<Address[]>([]);
+  const [loaded, setLoaded] = useState(false);
+  // Null while the form is closed; 'new' when adding
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [formData, setFormData] = useState<AddressInput>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<{ message: string; details: string[] }>({ message: '', details: [] });
+
+  useEffect(() => {
+    usersApi.listAddresses()
+      .then(setAddresses)
+      .catch((err) => setError(describeError(err, 'Unable to load your addresses')))
+      .finally(() => setLoaded(true));
+  }, []);
+
+  const run = async (action: () => Promise<Address[]>, fallback: string) => {
+    setSaving(true);
+    setError({ message: '', details: [] });
+    try {
+      setAddresses(await action());
+      return true;
+    } catch (err) {
+      setError(describeError(err, fallback));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openForm = (address?: Address) => {
+    setEditingId(address ? address.id : 'new');
+    setFormData(address ? { ...address } : EMPTY_FORM);
+  };
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const saved = editingId === 'new'
+      ? await run(() => usersApi.addAddress(formData), 'Unable to save address')
+      : await run(() => usersApi.updateAddress(editingId as string, formData), 'Unable to update address');
+    if (saved) setEditingId(null);
+  };
+
+  const handleRemove = (address: Address) => {
+    if (window.confirm(`Delete the address "${address.label || address.line1}"?`)) {
+      run(() => usersApi.removeAddress(address.id), 'Unable to delete address');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <MapPin className="h-5 w-5 text-gray-400" />
+          <h2 className="text-lg font-semibold text-gray-900">Delivery Addresses</h2>
+        </div>
+        {editingId === null && (
+          <button
+            onClick={() => openForm()}
+            className="text-sm font-medium text-emerald-600 hover:text-emerald-700"
+          >
+            Add address
+          </button>
+        )}
+      </div>
+
+      <ErrorAlert message={error.message} details={error.details} />
+
+      {loaded && addresses.length === 0 && editingId === null && (
+        <p className="text-sm text-gray-600">Add an address to have items shipped to you.</p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {addresses.map((address) => (
+          <li key={address.id} className="py-3 flex items-start justify-between gap-4">
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">
+                {address.label || address.fullName}
+                {address.isDefault && (
+                  <span className="ml-2 bg-emerald-100 text-emerald-800 px-2 py-0.5 rounded-full text-xs font-medium">
+                    Default
+                  </span>
+                )}
+              </p>
+              <p className="text-gray-600">{address.fullName}</p>
+              <p className="text-gray-600">{formatAddress(address)}</p>
+            </div>
+            <div className="flex items-center gap-1 shrink-0">
+              {!address.isDefault && (
+                <button
+                  onClick={() => run(() => usersApi.updateAddress(address.id, { isDefault: true }), 'Unable to update address')}
+                  disabled={saving}
+                  className="px-2 py-1 text-xs text-gray-600 hover:text-emerald-600"
+                >
+                  Make default
+                </button>
+              )}
+              <button
+                onClick={() => openForm(address)}
+                className="p-2 text-gray-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg transition-colors"
+              >
+                <Pencil className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => handleRemove(address)}
+                disabled={saving}
+                className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="space-y-4 border-t border-gray-100 pt-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <input name="label" value={formData.label} onChange={handleInputChange} placeholder="Label, e.g. Home" className={inputClass} />
+            <input name="fullName" value={formData.fullName} onChange={handleInputChange} placeholder="Recipient name" required className={inputClass} />
+            <input name="line1" value={formData.line1} onChange={handleInputChange} placeholder="Address line 1" required className={inputClass} />
+            <input name="line2" value={formData.line2} onChange={handleInputChange} placeholder="Address line 2" className={inputClass} />
+            <input name="city" value={formData.city} onChange={handleInputChange} placeholder="City" required className={inputClass} />
+            <input name="region" value={formData.region} onChange={handleInputChange} placeholder="County, state or region" className={inputClass} />
+            <input name="postalCode" value={formData.postalCode} onChange={handleInputChange} placeholder="Postal code" required className={inputClass} />
+            <input
+              name="country"
+              value={formData.country}
+              onChange={handleInputChange}
+              placeholder="Country code, e.g. GB"
+              maxLength={2}
+              required
+              className={`${inputClass} uppercase`}
+            />
+            <input name="phone" type="tel" value={formData.phone} onChange={handleInputChange} placeholder="Phone for the courier" className={inputClass} />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="isDefault"
+              checked={formData.isDefault}
+              onChange={handleInputChange}
+              className="h-4 w-4 text-emerald-600 border-gray-300 rounded"
+            />
+            Use for checkout by default
+          </label>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save Address'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import ErrorAlert from '../ErrorAlert';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const ChangePasswordForm: React.FC = () => {
+  const { changePassword } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setSuccess(false);
+    setError('');
+    setErrorDetails([]);
+    try {
+      await changePassword(formData.currentPassword, formData.newPassword, formData.confirmPassword);
+      setFormData(EMPTY_FORM);
+      setSuccess(true);
+    } catch (err) {
+      const { message, details } = describeError(err, 'Failed to change password');
+      setError(message);
+      setErrorDetails(details);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <Lock className="h-5 w-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Change Password</h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <ErrorAlert message={error} details={errorDetails} />
+        {success && (
+          <div className="bg-emerald-50 border border-emerald-200 text-emerald-700 px-4 py-3 rounded-lg text-sm">
+            Your password has been changed
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-3 gap-4">
+          <input
+            type="password"
+            name="currentPassword"
+            value={formData.currentPassword}
+            onChange={handleInputChange}
+            placeholder="Current password"
+            className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+          />
+          <input
+            type="password"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleInputChange}
+            placeholder="New password"
+            className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+          />
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleInputChange}
+            placeholder="Confirm new password"
+            className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving || !formData.currentPassword || !formData.newPassword}
+          className="bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Updating...' : 'Update Password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
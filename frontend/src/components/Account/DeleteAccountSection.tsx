@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Trash2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import ErrorAlert from '../ErrorAlert';
+
+const DeleteAccountSection: React.FC = () => {
+  const { deleteAccount } = useAuth();
+  const navigate = useNavigate();
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDelete = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError('');
+    try {
+      await deleteAccount(password);
+      navigate('/login');
+    } catch (err) {
+      setError(describeError(err, 'Failed to delete account').message);
+      setDeleting(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setConfirming(false);
+    setPassword('');
+    setError('');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 border border-red-200">
+      <div className="flex items-center space-x-2 mb-2">
+        <Trash2 className="h-5 w-5 text-red-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Delete Account</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Your listings and cart will be removed and any open orders cancelled. Completed orders stay in the
+        other party's history. This cannot be undone.
+      </p>
+
+      {confirming ? (
+        <form onSubmit={handleDelete} className="space-y-4">
+          <ErrorAlert message={error} />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Enter your password to confirm"
+            className="w-full md:w-1/2 px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 transition-colors"
+          />
+          <div className="flex gap-4">
+            <button
+              type="submit"
+              disabled={deleting || !password}
+              className="bg-red-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {deleting ? 'Deleting...' : 'Permanently Delete'}
+            </button>
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setConfirming(true)}
+          className="border border-red-300 text-red-600 px-6 py-3 rounded-lg font-medium hover:bg-red-50 transition-colors"
+        >
+          Delete My Account
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DeleteAccountSection;
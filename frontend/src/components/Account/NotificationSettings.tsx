@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { Bell } from 'lucide-react';
+import { notificationsApi, describeError } from '../../api';
+import { PreferencesUpdate } from '../../api/notifications';
+import { NotificationChannels, NotificationPreferences, NotificationType } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+
+const CHANNEL_LABELS: Record<keyof NotificationChannels, string> = {
+  inApp: 'In the app',
+  email: 'Email',
+  webhook: 'Webhook',
+};
+
+const TYPE_LABELS: Record<NotificationType, string> = {
+  order_placed: 'Someone buys your item',
+  order_status: 'An order changes status',
+  cart_added: 'A buyer adds your item to their cart',
+  price_drop: 'A saved item drops in price',
+  back_in_stock: 'A saved item is available again',
+  saved_search_match: 'A new listing matches a saved search',
+  listing_moderated: 'A moderator takes down or restores your listing',
+};
+
+const NotificationSettings: React.FC = () => {
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<{ message: string; details: string[] }>({ message: '', details: [] });
+
+  useEffect(() => {
+    notificationsApi.getPreferences()
+      .then((result) => {
+        setPreferences(result);
+        setWebhookUrl(result.webhookUrl);
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load notification settings')));
+  }, []);
+
+  const save = async (updates: PreferencesUpdate) => {
+    setSaving(true);
+    setError({ message: '', details: [] });
+    try {
+      const result = await notificationsApi.updatePreferences(updates);
+      setPreferences(result);
+      setWebhookUrl(result.webhookUrl);
+    } catch (err) {
+      setError(describeError(err, 'Unable to save notification settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleType = (type: NotificationType) => {
+    if (!preferences) return;
+    const mutedTypes = preferences.mutedTypes.includes(type)
+      ? preferences.mutedTypes.filter(item => item !== type)
+      : [...preferences.mutedTypes, type];
+    save({ mutedTypes });
+  };
+
+  const handleWebhookSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    save({ webhookUrl: webhookUrl.trim() });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 space-y-6">
+      <div className="flex items-center space-x-2">
+        <Bell className="h-5 w-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+      </div>
+
+      <ErrorAlert message={error.message} details={error.details} />
+
+      {!preferences ? (
+        !error.message && <p className="text-sm text-gray-600">Loading notification settings...</p>
+      ) : (
+        <>
+          {/* Channels */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Deliver notifications</h3>
+            <div className="flex flex-wrap gap-4">
+              {(Object.keys(CHANNEL_LABELS) as (keyof NotificationChannels)[]).map((channel) => (
+                <label key={channel} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={preferences.channels[channel]}
+                    disabled={saving || (channel === 'webhook' && !preferences.webhookUrl)}
+                    onChange={(e) => save({ channels: { [channel]: e.target.checked } })}
+                    className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                  />
+                  {CHANNEL_LABELS[channel]}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Webhook */}
+          <form onSubmit={handleWebhookSubmit} className="space-y-2">
+            <label htmlFor="webhookUrl" className="block text-sm font-medium text-gray-900">
+              Webhook URL
+            </label>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                id="webhookUrl"
+                type="url"
+                value={webhookUrl}
+                onChange={(e) => setWebhookUrl(e.target.value)}
+                placeholder="https://example.com/hooks/ecofinds"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              />
+              <button
+                type="submit"
+                disabled={saving || webhookUrl.trim() === preferences.webhookUrl}
+                className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 disabled:opacity-50"
+              >
+                Save URL
+              </button>
+            </div>
+            {preferences.webhookSecret && (
+              <p className="text-xs text-gray-500 break-all">
+                Deliveries are signed with HMAC-SHA256 in the X-EcoFinds-Signature header using the secret{' '}
+                <code className="bg-gray-100 px-1 rounded">{preferences.webhookSecret}</code>
+              </p>
+            )}
+          </form>
+
+          {/* Types */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Notify me when</h3>
+            <div className="space-y-2">
+              {preferences.availableTypes.map((type) => (
+                <label key={type} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!preferences.mutedTypes.includes(type)}
+                    disabled={saving}
+                    onChange={() => toggleType(type)}
+                    className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                  />
+                  {TYPE_LABELS[type] ?? type}
+                </label>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { adminApi, describeError } from '../../api';
+import { useMoney } from '../../hooks/useMoney';
+import { ProductFilters } from '../../api/admin';
+import { Product } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+import Pager from './Pager';
+
+const ListingsPanel: React.FC = () => {
+  const formatMoney = useMoney();
+  const [products, setProducts] = useState<Product[]>([]);
+  const [filters, setFilters] = useState<ProductFilters>({ search: '', status: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    adminApi.listProducts({ ...filters, page })
+      .then((result) => {
+        setProducts(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load listings').message))
+      .finally(() => setLoading(false));
+  }, [filters, page]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+    setPage(1);
+  };
+
+  const runAction = async (product: Product, action: () => Promise<Product>, fallback: string) => {
+    setError('');
+    setUpdatingId(product.id);
+    try {
+      const updated = await action();
+      setProducts(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+    } catch (err) {
+      setError(describeError(err, fallback).message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleTakeDown = (product: Product) => {
+    const reason = window.prompt(`Why are you taking down "${product.title}"? The seller will see this reason.`);
+    if (reason === null) return;
+    runAction(product, () => adminApi.takeDownProduct(product.id, reason.trim()), 'Unable to take down listing');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md">
+      <div className="p-4 border-b border-gray-200 flex flex-col md:flex-row gap-3">
+        <form onSubmit={handleSearch} className="flex-1 flex gap-2">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search by title"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+            />
+          </div>
+          <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700">
+            Search
+          </button>
+        </form>
+        <select
+          value={filters.status}
+          onChange={(e) => {
+            setFilters(prev => ({ ...prev, status: e.target.value as ProductFilters['status'] }));
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All listings</option>
+          <option value="available">Available</option>
+          <option value="unavailable">Sold or reserved</option>
+          <option value="hidden">Hidden for review</option>
+          <option value="taken_down">Taken down</option>
+        </select>
+      </div>
+
+      {error && <div className="p-4"><ErrorAlert message={error} /></div>}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-600">Loading listings...</p>
+      ) : products.length === 0 ? (
+        <p className="p-8 text-center text-gray-600">No listings match these filters.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {products.map((product) => (
+            <div key={product.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+              <img
+                src={product.thumbnailUrl}
+                alt={product.title}
+                className="w-16 h-16 object-cover rounded-lg bg-gray-100"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <p className="font-medium text-gray-900 truncate">{product.title}</p>
+                  {product.isTakenDown ? (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Taken down</span>
+                  ) : product.isHidden ? (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Hidden</span>
+                  ) : !product.isAvailable && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Sold</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600">
+                  {formatMoney(product.price, product.currency)} · {product.category} · by {product.sellerName || 'Deleted user'}
+                </p>
+                {product.isTakenDown && product.takedownReason && (
+                  <p className="text-xs text-gray-500">Reason: {product.takedownReason}</p>
+                )}
+                {!product.isTakenDown && product.isHidden && product.hiddenReason && (
+                  <p className="text-xs text-gray-500">Reason: {product.hiddenReason}</p>
+                )}
+              </div>
+              {product.isTakenDown || product.isHidden ? (
+                <button
+                  onClick={() => runAction(product, () => adminApi.restoreProduct(product.id), 'Unable to restore listing')}
+                  disabled={updatingId === product.id}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Restore
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleTakeDown(product)}
+                  disabled={updatingId === product.id}
+                  className="px-3 py-2 border border-red-300 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                >
+                  Take down
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pager page={page} totalPages={totalPages} onChange={setPage} />
+    </div>
+  );
+};
+
+export default ListingsPanel;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { adminApi, describeError } from '../../api';
+import { LogFilters } from '../../api/admin';
+import { ModerationAction, ModerationLogEntry } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+import Pager from './Pager';
+
+const ACTION_LABELS: Record<ModerationAction, string> = {
+  reports_dismissed: 'Dismissed reports',
+  listing_hidden: 'Hid listing',
+  listing_removed: 'Removed listing',
+  listing_restored: 'Restored listing',
+  user_suspended: 'Suspended user',
+  user_unsuspended: 'Lifted suspension',
+  role_changed: 'Changed role',
+};
+
+const describeDetails = (entry: ModerationLogEntry) => {
+  const { details } = entry;
+  if (entry.action === 'role_changed') return `${details.from} → ${details.to}`;
+  if (typeof details.reportCount === 'number') return `${details.reportCount} report${details.reportCount === 1 ? '' : 's'}`;
+  return '';
+};
+
+const ModerationLogPanel: React.FC = () => {
+  const [entries, setEntries] = useState<ModerationLogEntry[]>([]);
+  const [filters, setFilters] = useState<LogFilters>({ targetType: '', action: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    adminApi.listModerationLog({ ...filters, page })
+      .then((result) => {
+        setEntries(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load the moderation log').message))
+      .finally(() => setLoading(false));
+  }, [filters, page]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md">
+      <div className="p-4 border-b border-gray-200 flex justify-end gap-2">
+        <select
+          value={filters.targetType}
+          onChange={(e) => {
+            setFilters(prev => ({ ...prev, targetType: e.target.value as LogFilters['targetType'] }));
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">Listings and users</option>
+          <option value="Product">Listings</option>
+          <option value="User">Users</option>
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => {
+            setFilters(prev => ({ ...prev, action: e.target.value as LogFilters['action'] }));
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All actions</option>
+          {(Object.keys(ACTION_LABELS) as ModerationAction[]).map((action) => (
+            <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="p-4"><ErrorAlert message={error} /></div>}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-600">Loading moderation log...</p>
+      ) : entries.length === 0 ? (
+        <p className="p-8 text-center text-gray-600">No moderation actions match these filters.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {entries.map((entry) => (
+            <div key={entry.id} className="p-4 text-sm">
+              <p className="text-gray-900">
+                <span className="font-medium">{entry.actorName ?? 'Automatic'}</span> · {ACTION_LABELS[entry.action]}
+                {describeDetails(entry) && <span className="text-gray-600"> ({describeDetails(entry)})</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {entry.targetType === 'Product' ? 'Listing' : 'User'} {entry.targetId} ·{' '}
+                {new Date(entry.createdAt).toLocaleString()}
+              </p>
+              {entry.reason && <p className="text-gray-600 mt-1">Reason: {entry.reason}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pager page={page} totalPages={totalPages} onChange={setPage} />
+    </div>
+  );
+};
+
+export default ModerationLogPanel;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+interface PagerProps {
+  page: number;
+  totalPages: number;
+  onChange: (page: number) => void;
+}
+
+const Pager: React.FC<PagerProps> = ({ page, totalPages, onChange }) => {
+  if (totalPages <= 1) return null;
+
+  return (
+    <div className="flex justify-between items-center p-4 border-t border-gray-200">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Previous
+      </button>
+      <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= totalPages}
+        className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pager;
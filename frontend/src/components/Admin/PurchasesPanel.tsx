@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { adminApi, describeError } from '../../api';
+import { useMoney } from '../../hooks/useMoney';
+import { AdminPurchase, OrderStatus } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+import OrderStatusBadge from '../OrderStatusBadge';
+import Pager from './Pager';
+
+const STATUSES: OrderStatus[] = [
+  'pending_payment',
+  'payment_failed',
+  'placed',
+  'confirmed',
+  'shipped',
+  'received',
+  'cancelled',
+  'refunded',
+];
+
+const PurchasesPanel: React.FC = () => {
+  const formatMoney = useMoney();
+  const [purchases, setPurchases] = useState<AdminPurchase[]>([]);
+  const [status, setStatus] = useState<OrderStatus | ''>('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    adminApi.listPurchases(status, page)
+      .then((result) => {
+        setPurchases(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load purchases').message))
+      .finally(() => setLoading(false));
+  }, [status, page]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md">
+      <div className="p-4 border-b border-gray-200 flex justify-end">
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value as OrderStatus | '');
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm capitalize focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map(item => <option key={item} value={item}>{item.replace('_', ' ')}</option>)}
+        </select>
+      </div>
+
+      {error && <div className="p-4"><ErrorAlert message={error} /></div>}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-600">Loading purchases...</p>
+      ) : purchases.length === 0 ? (
+        <p className="p-8 text-center text-gray-600">No purchases match this filter.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {purchases.map((purchase) => (
+            <div key={purchase.id} className="p-4">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 mb-2">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {purchase.buyerName} bought from {purchase.sellerNames.join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Order #{purchase.id.slice(-8)} · {new Date(purchase.purchasedAt).toLocaleString()}
+                    {purchase.buyerEmail && ` · ${purchase.buyerEmail}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="font-semibold text-emerald-600">{formatMoney(purchase.total, purchase.currency)}</span>
+                  <OrderStatusBadge status={purchase.status} />
+                </div>
+              </div>
+              <ul className="text-sm text-gray-600 space-y-0.5">
+                {purchase.items.map((item, index) => (
+                  <li key={index}>
+                    {item.quantity} × {item.title} at {formatMoney(item.priceAtPurchase, purchase.currency)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pager page={page} totalPages={totalPages} onChange={setPage} />
+    </div>
+  );
+};
+
+export default PurchasesPanel;
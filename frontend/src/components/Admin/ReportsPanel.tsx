@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import { adminApi, describeError } from '../../api';
+import { ReportGrouping } from '../../api/admin';
+import { ListingReport, ReportQueueGroup, ReportResolution } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+import Pager from './Pager';
+
+const RESOLUTION_PROMPTS: Record<Exclude<ReportResolution, 'dismiss'>, string> = {
+  hide: 'Why are you hiding this listing? The seller will see this reason.',
+  remove: 'Why are you removing this listing? The seller will see this reason.',
+};
+
+const ReasonCounts: React.FC<{ group: ReportQueueGroup }> = ({ group }) => (
+  <div className="flex flex-wrap gap-1 mt-1">
+    {Object.entries(group.reasons).map(([reason, count]) => (
+      <span key={reason} className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-700 capitalize">
+        {reason} × {count}
+      </span>
+    ))}
+  </div>
+);
+
+const ReportsPanel: React.FC = () => {
+  const [groupBy, setGroupBy] = useState<ReportGrouping>('product');
+  const [groups, setGroups] = useState<ReportQueueGroup[]>([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [reports, setReports] = useState<ListingReport[]>([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    adminApi.listReportQueue(groupBy, page)
+      .then((result) => {
+        setGroups(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load reports').message))
+      .finally(() => setLoading(false));
+  }, [groupBy, page]);
+
+  const toggleReports = async (productId: string) => {
+    if (expandedId === productId) {
+      setExpandedId(null);
+      return;
+    }
+    setError('');
+    try {
+      const result = await adminApi.getProductReports(productId);
+      setReports(result.reports.filter(report => report.status === 'open'));
+      setExpandedId(productId);
+    } catch (err) {
+      setError(describeError(err, 'Unable to load reports').message);
+    }
+  };
+
+  const handleResolve = async (group: ReportQueueGroup, action: ReportResolution) => {
+    let reason = '';
+    if (action !== 'dismiss') {
+      const answer = window.prompt(RESOLUTION_PROMPTS[action]);
+      if (answer === null) return;
+      reason = answer.trim();
+    }
+
+    setError('');
+    setUpdatingId(group.id);
+    try {
+      await adminApi.resolveReports(group.id, action, reason);
+      // Resolved reports leave the queue
+      setGroups(prev => prev.filter(item => item.id !== group.id));
+    } catch (err) {
+      setError(describeError(err, 'Unable to resolve reports').message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md">
+      <div className="p-4 border-b border-gray-200 flex justify-end">
+        <select
+          value={groupBy}
+          onChange={(e) => {
+            setGroupBy(e.target.value as ReportGrouping);
+            setExpandedId(null);
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="product">Group by listing</option>
+          <option value="seller">Group by seller</option>
+        </select>
+      </div>
+
+      {error && <div className="p-4"><ErrorAlert message={error} /></div>}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-600">Loading reports...</p>
+      ) : groups.length === 0 ? (
+        <p className="p-8 text-center text-gray-600">No open reports. Nice and quiet.</p>
+      ) : groupBy === 'seller' ? (
+        <div className="divide-y divide-gray-200">
+          {groups.map((group) => (
+            <div key={group.id} className="p-4">
+              <div className="flex items-center gap-2">
+                <p className="font-medium text-gray-900">{group.sellerName}</p>
+                {group.sellerSuspended && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Suspended</span>
+                )}
+              </div>
+              <p className="text-sm text-gray-600">
+                {group.reportCount} open report{group.reportCount === 1 ? '' : 's'} across {group.productCount} listing
+                {group.productCount === 1 ? '' : 's'} · last {new Date(group.lastReportedAt).toLocaleDateString()}
+              </p>
+              <ReasonCounts group={group} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {groups.map((group) => (
+            <div key={group.id} className="p-4">
+              <div className="flex flex-col md:flex-row md:items-center gap-3">
+                {group.product && (
+                  <img
+                    src={group.product.thumbnailUrl}
+                    alt={group.product.title}
+                    className="w-16 h-16 object-cover rounded-lg bg-gray-100"
+                  />
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium text-gray-900 truncate">{group.product?.title ?? 'Deleted listing'}</p>
+                    {group.product?.isTakenDown ? (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Taken down</span>
+                    ) : group.product?.isHidden && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Hidden</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    by {group.sellerName} · {group.reportCount} open report{group.reportCount === 1 ? '' : 's'} · last{' '}
+                    {new Date(group.lastReportedAt).toLocaleDateString()}
+                  </p>
+                  <ReasonCounts group={group} />
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => toggleReports(group.id)}
+                    className="px-3 py-2 text-sm font-medium text-emerald-600 hover:underline"
+                  >
+                    {expandedId === group.id ? 'Hide details' : 'Details'}
+                  </button>
+                  <button
+                    onClick={() => handleResolve(group, 'dismiss')}
+                    disabled={updatingId === group.id}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Dismiss
+                  </button>
+                  {!group.product?.isHidden && !group.product?.isTakenDown && (
+                    <button
+                      onClick={() => handleResolve(group, 'hide')}
+                      disabled={updatingId === group.id}
+                      className="px-3 py-2 border border-amber-300 rounded-lg text-sm font-medium text-amber-700 hover:bg-amber-50 disabled:opacity-50"
+                    >
+                      Hide
+                    </button>
+                  )}
+                  {!group.product?.isTakenDown && (
+                    <button
+                      onClick={() => handleResolve(group, 'remove')}
+                      disabled={updatingId === group.id}
+                      className="px-3 py-2 border border-red-300 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {expandedId === group.id && (
+                <ul className="mt-3 space-y-2">
+                  {reports.map((report) => (
+                    <li key={report.id} className="bg-gray-50 rounded-lg p-3 text-sm">
+                      <p className="text-gray-900">
+                        <span className="font-medium capitalize">{report.reason}</span> · reported by {report.reporterName} on{' '}
+                        {new Date(report.createdAt).toLocaleDateString()}
+                      </p>
+                      {report.details && <p className="text-gray-600 mt-1">{report.details}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pager page={page} totalPages={totalPages} onChange={setPage} />
+    </div>
+  );
+};
+
+export default ReportsPanel;
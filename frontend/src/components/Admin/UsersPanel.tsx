@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { adminApi, describeError } from '../../api';
+import { UserFilters } from '../../api/admin';
+import { AdminUser, UserRole } from '../../types';
+import { useAuth } from '../../contexts/AuthContext';
+import ErrorAlert from '../ErrorAlert';
+import Pager from './Pager';
+
+const ROLES: UserRole[] = ['user', 'moderator', 'admin'];
+
+const UsersPanel: React.FC = () => {
+  const { currentUser } = useAuth();
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [filters, setFilters] = useState<UserFilters>({ search: '', role: '', status: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const isAdmin = currentUser?.role === 'admin';
+
+  useEffect(() => {
+    setLoading(true);
+    adminApi.listUsers({ ...filters, page })
+      .then((result) => {
+        setUsers(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load users').message))
+      .finally(() => setLoading(false));
+  }, [filters, page]);
+
+  const updateFilters = (updates: UserFilters) => {
+    setFilters(prev => ({ ...prev, ...updates }));
+    setPage(1);
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateFilters({ search: searchInput.trim() });
+  };
+
+  // Runs an action on one user and swaps the updated account into the list
+  const runAction = async (user: AdminUser, action: () => Promise<AdminUser>, fallback: string) => {
+    setError('');
+    setUpdatingId(user.id);
+    try {
+      const updated = await action();
+      setUsers(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+    } catch (err) {
+      setError(describeError(err, fallback).message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleSuspend = (user: AdminUser) => {
+    const reason = window.prompt(`Why are you suspending ${user.username}? They will be signed out everywhere.`);
+    if (reason === null) return;
+    runAction(user, () => adminApi.suspendUser(user.id, reason.trim()), 'Unable to suspend user');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md">
+      <div className="p-4 border-b border-gray-200 flex flex-col md:flex-row gap-3">
+        <form onSubmit={handleSearch} className="flex-1 flex gap-2">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search by username or email"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+            />
+          </div>
+          <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700">
+            Search
+          </button>
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => updateFilters({ role: e.target.value as UserFilters['role'] })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All roles</option>
+          {ROLES.map(role => <option key={role} value={role} className="capitalize">{role}</option>)}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value as UserFilters['status'] })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All accounts</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+
+      {error && <div className="p-4"><ErrorAlert message={error} /></div>}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-600">Loading users...</p>
+      ) : users.length === 0 ? (
+        <p className="p-8 text-center text-gray-600">No users match these filters.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {users.map((user) => {
+            const isSelf = user.id === currentUser?.id;
+            // Mirrors the backend: moderators can only act on regular users
+            const canModerate = !isSelf && (isAdmin || user.role === 'user');
+
+            return (
+              <div key={user.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium text-gray-900">{user.username}</p>
+                    {user.suspendedAt && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Suspended</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">{user.email}</p>
+                  <p className="text-xs text-gray-500">
+                    Joined {new Date(user.createdAt).toLocaleDateString()}
+                    {user.suspendedAt && ` · Suspended ${new Date(user.suspendedAt).toLocaleDateString()}`}
+                    {user.suspensionReason && `: ${user.suspensionReason}`}
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  {isAdmin && !isSelf ? (
+                    <select
+                      value={user.role}
+                      disabled={updatingId === user.id}
+                      onChange={(e) => runAction(user, () => adminApi.updateRole(user.id, e.target.value as UserRole), 'Unable to update role')}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm capitalize focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                    >
+                      {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  ) : (
+                    <span className="px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-700 capitalize">{user.role}</span>
+                  )}
+
+                  {canModerate && (user.suspendedAt ? (
+                    <button
+                      onClick={() => runAction(user, () => adminApi.unsuspendUser(user.id), 'Unable to lift suspension')}
+                      disabled={updatingId === user.id}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Unsuspend
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleSuspend(user)}
+                      disabled={updatingId === user.id}
+                      className="px-3 py-2 border border-red-300 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Suspend
+                    </button>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Pager page={page} totalPages={totalPages} onChange={setPage} />
+    </div>
+  );
+};
+
+export default UsersPanel;
@@ -2,12 +2,15 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Leaf, Eye, EyeOff } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import ErrorAlert from '../ErrorAlert';
 
 const Login: React.FC = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -21,16 +24,15 @@ const Login: React.FC = () => {
 
     setLoading(true);
     setError('');
+    setErrorDetails([]);
 
     try {
-      const success = await login(email, password);
-      if (success) {
-        navigate('/');
-      } else {
-        setError('Invalid email or password');
-      }
+      await login(email, password);
+      navigate('/');
     } catch (err) {
-      setError('An error occurred during login');
+      const { message, details } = describeError(err, 'An error occurred during login');
+      setError(message);
+      setErrorDetails(details);
     }
 
     setLoading(false);
@@ -52,11 +54,7 @@ const Login: React.FC = () => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-6">
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
-              {error}
-            </div>
-          )}
+          <ErrorAlert message={error} details={errorDetails} />
 
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
@@ -73,9 +71,14 @@ const Login: React.FC = () => {
           </div>
 
           <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
+            <div className="flex justify-between items-center mb-2">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <Link to="/forgot-password" className="text-sm text-emerald-600 hover:text-emerald-700">
+                Forgot password?
+              </Link>
+            </div>
             <div className="relative">
               <input
                 type={showPassword ? 'text' : 'password'}
@@ -113,13 +116,6 @@ const Login: React.FC = () => {
             </Link>
           </p>
         </div>
-
-        {/* Demo Account */}
-        <div className="mt-6 p-4 bg-gray-50 rounded-lg">
-          <p className="text-sm text-gray-600 text-center">
-            Demo Account: admin@ecofinds.com / password
-          </p>
-        </div>
       </div>
     </div>
   );
@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Leaf, Eye, EyeOff } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import ErrorAlert from '../ErrorAlert';
 
 const Register: React.FC = () => {
   const [email, setEmail] = useState('');
@@ -9,6 +11,7 @@ const Register: React.FC = () => {
   const [username, setUsername] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
   const navigate = useNavigate();
@@ -27,16 +30,15 @@ const Register: React.FC = () => {
 
     setLoading(true);
     setError('');
+    setErrorDetails([]);
 
     try {
-      const success = await register(email, password, username);
-      if (success) {
-        navigate('/');
-      } else {
-        setError('User with this email already exists');
-      }
+      await register(email, password, username);
+      navigate('/');
     } catch (err) {
-      setError('An error occurred during registration');
+      const { message, details } = describeError(err, 'An error occurred during registration');
+      setError(message);
+      setErrorDetails(details);
     }
 
     setLoading(false);
@@ -58,11 +60,7 @@ const Register: React.FC = () => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-6">
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
-              {error}
-            </div>
-          )}
+          <ErrorAlert message={error} details={errorDetails} />
 
           <div>
             <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
@@ -113,7 +111,9 @@ const Register: React.FC = () => {
                 {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
               </button>
             </div>
-            <p className="text-xs text-gray-500 mt-1">Must be at least 6 characters long</p>
+            <p className="text-xs text-gray-500 mt-1">
+              At least 6 characters, with an uppercase letter, a lowercase letter and a number
+            </p>
           </div>
 
           <button
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Leaf } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import ErrorAlert from '../ErrorAlert';
+
+const ResetPassword: React.FC = () => {
+  const { token = '' } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+  const { resetPassword } = useAuth();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!password || !confirmPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setErrorDetails([]);
+
+    try {
+      await resetPassword(token, password, confirmPassword);
+      navigate('/');
+    } catch (err) {
+      const { message, details } = describeError(err, 'Unable to reset password');
+      setError(message);
+      setErrorDetails(details);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+        {/* Logo */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="p-3 bg-emerald-100 rounded-full">
+              <Leaf className="h-8 w-8 text-emerald-600" />
+            </div>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900">Choose a new password</h1>
+          <p className="text-gray-600 mt-2">Use at least 6 characters with upper and lower case letters and a number</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <ErrorAlert message={error} details={errorDetails} />
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+              New Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+              placeholder="Enter a new password"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+              Confirm Password
+            </label>
+            <input
+              type="password"
+              id="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+              placeholder="Confirm your new password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-emerald-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Resetting...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <Link to="/forgot-password" className="text-emerald-600 hover:text-emerald-700 font-medium">
+            Request a new link
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,56 @@
+import React from 'react';
+
+export interface ChartSeries {
+  name: string;
+  // Tailwind background class for the bars and legend swatch
+  className: string;
+  values: number[];
+}
+
+interface BarChartProps {
+  title: string;
+  labels: string[];
+  series: ChartSeries[];
+  formatValue?: (value: number) => string;
+}
+
+const BarChart: React.FC<BarChartProps> = ({ title, labels, series, formatValue = (value) => String(value) }) => {
+  const max = Math.max(1, ...series.flatMap(item => item.values));
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+        {series.length > 1 && (
+          <div className="flex gap-3 text-xs text-gray-600">
+            {series.map((item) => (
+              <span key={item.name} className="flex items-center gap-1">
+                <span className={`w-3 h-3 rounded-sm ${item.className}`} />
+                {item.name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="flex items-end gap-2 h-48">
+        {labels.map((label, index) => (
+          <div key={`${label}-${index}`} className="flex-1 flex flex-col items-center justify-end h-full">
+            <div className="w-full flex items-end justify-center gap-0.5 h-full">
+              {series.map((item) => (
+                <div
+                  key={item.name}
+                  className={`flex-1 rounded-t ${item.className}`}
+                  style={{ height: `${(item.values[index] / max) * 100}%` }}
+                  title={`${item.name}: ${formatValue(item.values[index])}`}
+                />
+              ))}
+            </div>
+            <span className="text-xs text-gray-500 mt-2">{label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+interface ErrorAlertProps {
+  message: string;
+  details?: string[];
+}
+
+const ErrorAlert: React.FC<ErrorAlertProps> = ({ message, details = [] }) => {
+  if (!message) return null;
+
+  return (
+    <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+      <p>{message}</p>
+      {details.length > 0 && (
+        <ul className="mt-2 list-disc list-inside space-y-1">
+          {details.map((detail, index) => (
+            <li key={index}>{detail}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ErrorAlert;
@@ -1,17 +1,18 @@
 import React from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { Leaf, ShoppingCart, User, LogOut } from 'lucide-react';
+import { Leaf, ShoppingCart, MessageCircle, Heart, Bookmark, Shield, User, LogOut } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useApp } from '../../contexts/AppContext';
+import NotificationMenu from '../Notifications/NotificationMenu';
 
 const Header: React.FC = () => {
   const { currentUser, logout } = useAuth();
-  const { cart } = useApp();
+  const { cart, unreadMessages } = useApp();
   const location = useLocation();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -47,6 +48,14 @@ const Header: React.FC = () => {
             >
               My Listings
             </Link>
+            <Link
+              to="/sales"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/sales') ? 'text-emerald-600 bg-emerald-50' : 'text-gray-700 hover:text-emerald-600'
+              }`}
+            >
+              Sales
+            </Link>
             <Link
               to="/purchases"
               className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -55,10 +64,54 @@ const Header: React.FC = () => {
             >
               Purchases
             </Link>
+            <Link
+              to="/offers"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/offers') ? 'text-emerald-600 bg-emerald-50' : 'text-gray-700 hover:text-emerald-600'
+              }`}
+            >
+              Offers
+            </Link>
           </nav>
 
           {/* User Actions */}
           <div className="flex items-center space-x-4">
+            {currentUser.role !== 'user' && (
+              <Link
+                to="/admin"
+                className={`p-2 transition-colors ${isActive('/admin') ? 'text-emerald-600' : 'text-gray-700 hover:text-emerald-600'}`}
+                aria-label="Moderation"
+              >
+                <Shield className="h-6 w-6" />
+              </Link>
+            )}
+            <Link
+              to="/saved"
+              className="p-2 text-gray-700 hover:text-emerald-600 transition-colors"
+              aria-label="Saved items"
+            >
+              <Heart className="h-6 w-6" />
+            </Link>
+            <Link
+              to="/searches"
+              className="p-2 text-gray-700 hover:text-emerald-600 transition-colors"
+              aria-label="Saved searches"
+            >
+              <Bookmark className="h-6 w-6" />
+            </Link>
+            <NotificationMenu />
+            <Link
+              to="/inbox"
+              className="relative p-2 text-gray-700 hover:text-emerald-600 transition-colors"
+              aria-label="Inbox"
+            >
+              <MessageCircle className="h-6 w-6" />
+              {unreadMessages > 0 && (
+                <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+                  {unreadMessages > 99 ? '99+' : unreadMessages}
+                </span>
+              )}
+            </Link>
             <Link
               to="/cart"
               className="relative p-2 text-gray-700 hover:text-emerald-600 transition-colors"
@@ -105,6 +158,14 @@ const Header: React.FC = () => {
           >
             Listings
           </Link>
+          <Link
+            to="/sales"
+            className={`flex-1 text-center py-2 rounded-md text-sm font-medium transition-colors ${
+              isActive('/sales') ? 'text-emerald-600 bg-emerald-50' : 'text-gray-700'
+            }`}
+          >
+            Sales
+          </Link>
           <Link
             to="/purchases"
             className={`flex-1 text-center py-2 rounded-md text-sm font-medium transition-colors ${
@@ -113,6 +174,14 @@ const Header: React.FC = () => {
           >
             Purchases
           </Link>
+          <Link
+            to="/offers"
+            className={`flex-1 text-center py-2 rounded-md text-sm font-medium transition-colors ${
+              isActive('/offers') ? 'text-emerald-600 bg-emerald-50' : 'text-gray-700'
+            }`}
+          >
+            Offers
+          </Link>
         </div>
       </div>
     </header>
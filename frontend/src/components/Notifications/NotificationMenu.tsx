@@ -0,0 +1,175 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck, X } from 'lucide-react';
+import { notificationsApi, describeError } from '../../api';
+import { AppNotification } from '../../types';
+import { useApp } from '../../contexts/AppContext';
+
+const MENU_SIZE = 10;
+
+// "5m ago" style label for recent notifications, a date for older ones
+const timeAgo = (date: string) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const NotificationMenu: React.FC = () => {
+  const navigate = useNavigate();
+  const { unreadNotifications, refreshNotificationCount } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(e.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggleMenu = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    setIsOpen(true);
+    setLoading(true);
+    setError('');
+    try {
+      const { notifications: results } = await notificationsApi.list(1, MENU_SIZE);
+      setNotifications(results);
+    } catch (err) {
+      setError(describeError(err, 'Unable to load notifications').message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = async (notification: AppNotification) => {
+    setIsOpen(false);
+    if (!notification.isRead) {
+      try {
+        await notificationsApi.markRead(notification.id);
+        setNotifications(prev => prev.map(item => (item.id === notification.id ? { ...item, isRead: true } : item)));
+        refreshNotificationCount();
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    setError('');
+    try {
+      await notificationsApi.markAllRead();
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      refreshNotificationCount();
+    } catch (err) {
+      setError(describeError(err, 'Unable to update notifications').message);
+    }
+  };
+
+  const handleRemove = async (e: React.MouseEvent, notification: AppNotification) => {
+    e.stopPropagation();
+    setError('');
+    try {
+      await notificationsApi.remove(notification.id);
+      setNotifications(prev => prev.filter(item => item.id !== notification.id));
+      if (!notification.isRead) refreshNotificationCount();
+    } catch (err) {
+      setError(describeError(err, 'Unable to delete notification').message);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={toggleMenu}
+        className="relative p-2 text-gray-700 hover:text-emerald-600 transition-colors"
+        aria-label="Notifications"
+      >
+        <Bell className="h-6 w-6" />
+        {unreadNotifications > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+            {unreadNotifications > 99 ? '99+' : unreadNotifications}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-200 z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            <button
+              onClick={handleMarkAllRead}
+              disabled={unreadNotifications === 0}
+              className="flex items-center gap-1 text-xs text-emerald-600 hover:text-emerald-700 disabled:text-gray-400"
+            >
+              <CheckCheck className="h-4 w-4" />
+              Mark all read
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {error && <p className="px-4 py-3 text-sm text-red-600">{error}</p>}
+            {loading ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up.</p>
+            ) : (
+              notifications.map((notification) => (
+                <div
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  className={`group flex gap-2 px-4 py-3 border-b border-gray-100 last:border-b-0 cursor-pointer hover:bg-gray-50 ${
+                    notification.isRead ? '' : 'bg-emerald-50'
+                  }`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm text-gray-900 ${notification.isRead ? '' : 'font-semibold'}`}>
+                      {notification.title}
+                    </p>
+                    {notification.body && <p className="text-xs text-gray-600 mt-0.5">{notification.body}</p>}
+                    <p className="text-xs text-gray-400 mt-1">{timeAgo(notification.createdAt)}</p>
+                  </div>
+                  <button
+                    onClick={(e) => handleRemove(e, notification)}
+                    className="self-start p-1 text-gray-300 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                    aria-label="Delete notification"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+
+          <button
+            onClick={() => {
+              setIsOpen(false);
+              navigate('/dashboard');
+            }}
+            className="w-full px-4 py-2 text-xs text-gray-600 hover:text-emerald-600 border-t border-gray-200"
+          >
+            Notification settings
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationMenu;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Clock } from 'lucide-react';
+import { offersApi, describeError } from '../../api';
+import { useMoney } from '../../hooks/useMoney';
+import { Offer, OfferAction, OfferStatus } from '../../types';
+
+const STATUS_STYLES: Record<OfferStatus, string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700',
+  completed: 'bg-emerald-100 text-emerald-800',
+};
+
+const ACTION_LABELS: Record<Exclude<OfferAction, 'counter'>, { label: string; className: string }> = {
+  accept: { label: 'Accept', className: 'bg-emerald-600 text-white hover:bg-emerald-700' },
+  decline: { label: 'Decline', className: 'border border-red-300 text-red-600 hover:bg-red-50' },
+  withdraw: { label: 'Withdraw', className: 'border border-gray-300 text-gray-700 hover:bg-gray-50' },
+};
+
+interface OfferCardProps {
+  offer: Offer;
+  onUpdated: (offer: Offer) => void;
+  // Shown next to the negotiation buttons, e.g. "Add to cart" for accepted offers
+  extraAction?: React.ReactNode;
+}
+
+const OfferCard: React.FC<OfferCardProps> = ({ offer, onUpdated, extraAction }) => {
+  const formatMoney = useMoney();
+  const [countering, setCountering] = useState(false);
+  const [counterAmount, setCounterAmount] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const counterparty = offer.role === 'buyer' ? offer.sellerName : offer.buyerName;
+  const lastMessage = [...offer.history].reverse().find(entry => entry.message)?.message;
+  const discount = Math.round((1 - offer.amount / offer.listPrice) * 100);
+
+  const handleAction = async (action: OfferAction) => {
+    let amount: number | undefined;
+    if (action === 'counter') {
+      amount = parseFloat(counterAmount);
+      if (isNaN(amount) || amount <= 0) {
+        setError('Please enter a valid amount');
+        return;
+      }
+    }
+    if (action === 'decline' && !window.confirm('Decline this offer?')) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      onUpdated(await offersApi.respond(offer.id, action, { amount }));
+      setCountering(false);
+      setCounterAmount('');
+    } catch (err) {
+      setError(describeError(err, 'Unable to update offer').message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const waitingOn = offer.status === 'pending'
+    ? (offer.awaitingResponseFrom === offer.role ? 'Your move' : `Waiting for ${counterparty}`)
+    : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-2">
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <div>
+          <p className="text-sm text-gray-600">
+            {offer.role === 'seller' ? `${offer.buyerName} offers` : `Your offer to ${offer.sellerName}`}
+          </p>
+          <p className="text-lg font-bold text-emerald-600">
+            {formatMoney(offer.amount, offer.currency)}
+            <span className="ml-2 text-sm font-normal text-gray-500 line-through">{formatMoney(offer.listPrice, offer.currency)}</span>
+            {discount > 0 && <span className="ml-2 text-xs font-medium text-gray-600">{discount}% off</span>}
+          </p>
+        </div>
+        <span className={`${STATUS_STYLES[offer.status]} px-2 py-1 rounded-full text-xs font-medium capitalize`}>
+          {offer.status}
+        </span>
+      </div>
+
+      {lastMessage && <p className="text-sm text-gray-700 italic">“{lastMessage}”</p>}
+
+      {(offer.status === 'pending' || offer.status === 'accepted') && (
+        <p className="text-xs text-gray-500 flex items-center gap-1">
+          <Clock className="h-3 w-3" />
+          {waitingOn && `${waitingOn} · `}
+          {offer.status === 'accepted' ? 'Check out by' : 'Expires'} {new Date(offer.expiresAt).toLocaleString()}
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {countering ? (
+        <div className="flex gap-2">
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            max={offer.listPrice}
+            value={counterAmount}
+            onChange={(e) => setCounterAmount(e.target.value)}
+            placeholder="Your price"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <button
+            onClick={() => handleAction('counter')}
+            disabled={busy}
+            className="px-3 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 disabled:opacity-50"
+          >
+            Send
+          </button>
+          <button
+            onClick={() => setCountering(false)}
+            className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        (offer.allowedActions.length > 0 || extraAction) && (
+          <div className="flex flex-wrap gap-2">
+            {extraAction}
+            {offer.allowedActions.map((action) => (
+              action === 'counter' ? (
+                <button
+                  key={action}
+                  onClick={() => setCountering(true)}
+                  disabled={busy}
+                  className="px-3 py-1 rounded-lg text-sm font-medium border border-emerald-600 text-emerald-700 hover:bg-emerald-50 disabled:opacity-50"
+                >
+                  Counter
+                </button>
+              ) : (
+                <button
+                  key={action}
+                  onClick={() => handleAction(action)}
+                  disabled={busy}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 ${ACTION_LABELS[action].className}`}
+                >
+                  {ACTION_LABELS[action].label}
+                </button>
+              )
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default OfferCard;
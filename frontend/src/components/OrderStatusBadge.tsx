@@ -0,0 +1,25 @@
+import React from 'react';
+import { OrderStatus } from '../types';
+
+const STATUS_STYLES: Record<OrderStatus, string> = {
+  pending_payment: 'bg-gray-100 text-gray-700',
+  payment_failed: 'bg-red-100 text-red-700',
+  placed: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-700',
+  refunded: 'bg-red-100 text-red-700',
+};
+
+interface OrderStatusBadgeProps {
+  status: OrderStatus;
+}
+
+const OrderStatusBadge: React.FC<OrderStatusBadgeProps> = ({ status }) => (
+  <span className={`${STATUS_STYLES[status] ?? STATUS_STYLES.placed} px-3 py-1 rounded-full text-sm font-medium capitalize`}>
+    {status.replace('_', ' ')}
+  </span>
+);
+
+export default OrderStatusBadge;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { CategoryAttribute } from '../../types';
+import { AttributeFormValues } from '../../utils/attributes';
+
+interface AttributeFieldsProps {
+  attributes: CategoryAttribute[];
+  values: AttributeFormValues;
+  onChange: (values: AttributeFormValues) => void;
+}
+
+const inputClass =
+  'w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+
+const AttributeFields: React.FC<AttributeFieldsProps> = ({ attributes, values, onChange }) => {
+  if (attributes.length === 0) return null;
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    onChange({ ...values, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="space-y-4">
+      <span className="block text-sm font-medium text-gray-700">Details</span>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {attributes.map((attribute) => {
+          const id = `attribute-${attribute.key}`;
+          const value = values[attribute.key] ?? '';
+          return (
+            <div key={attribute.key}>
+              <label htmlFor={id} className="block text-sm text-gray-600 mb-1">
+                {attribute.label}
+                {attribute.unit && ` (${attribute.unit})`}
+                {attribute.required && ' *'}
+              </label>
+              {attribute.type === 'select' || attribute.type === 'boolean' ? (
+                <select
+                  id={id}
+                  name={attribute.key}
+                  value={value}
+                  onChange={handleChange}
+                  required={attribute.required}
+                  className={`${inputClass} bg-white`}
+                >
+                  <option value="">Not specified</option>
+                  {attribute.type === 'boolean' ? (
+                    <>
+                      <option value="true">Yes</option>
+                      <option value="false">No</option>
+                    </>
+                  ) : (
+                    attribute.options.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))
+                  )}
+                </select>
+              ) : (
+                <input
+                  id={id}
+                  type={attribute.type === 'number' ? 'number' : 'text'}
+                  name={attribute.key}
+                  value={value}
+                  onChange={handleChange}
+                  step={attribute.type === 'number' ? 'any' : undefined}
+                  maxLength={attribute.type === 'text' ? 60 : undefined}
+                  required={attribute.required}
+                  className={inputClass}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AttributeFields;
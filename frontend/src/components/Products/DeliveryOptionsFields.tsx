@@ -0,0 +1,78 @@
+import React from 'react';
+import { DeliveryFormValues } from '../../utils/delivery';
+
+interface DeliveryOptionsFieldsProps {
+  values: DeliveryFormValues;
+  currency: string;
+  onChange: (values: DeliveryFormValues) => void;
+}
+
+const inputClass =
+  'w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+
+const DeliveryOptionsFields: React.FC<DeliveryOptionsFieldsProps> = ({ values, currency, onChange }) => {
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value, type, checked } = e.target;
+    onChange({ ...values, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  return (
+    <div className="space-y-4">
+      <span className="block text-sm font-medium text-gray-700">Delivery *</span>
+
+      <div className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            name="pickup"
+            checked={values.pickup}
+            onChange={handleChange}
+            className="h-4 w-4 text-emerald-600 border-gray-300 rounded"
+          />
+          Local pickup
+        </label>
+        {values.pickup && (
+          <input
+            type="text"
+            name="location"
+            value={values.location}
+            onChange={handleChange}
+            maxLength={100}
+            placeholder="Where buyers collect it, e.g. Camden, London"
+            className={inputClass}
+          />
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            name="shipping"
+            checked={values.shipping}
+            onChange={handleChange}
+            className="h-4 w-4 text-emerald-600 border-gray-300 rounded"
+          />
+          I'll ship it
+        </label>
+        {values.shipping && (
+          <div>
+            <input
+              type="number"
+              name="shippingFee"
+              value={values.shippingFee}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              placeholder={`Flat shipping fee in ${currency}, 0 for free`}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">Added once per listing to orders you ship.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryOptionsFields;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { AttributeFacet, AttributeFilter, ProductFacets } from '../../types';
+
+interface FacetFiltersProps {
+  facets: ProductFacets;
+  selectedCategory: string;
+  filters: Record<string, AttributeFilter>;
+  onFilterChange: (key: string, filter: AttributeFilter | null) => void;
+  onCategoryChange: (category: string) => void;
+}
+
+const inputClass =
+  'w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+const toBound = (value: string) => (value === '' ? undefined : Number(value));
+
+const FacetFilters: React.FC<FacetFiltersProps> = ({
+  facets,
+  selectedCategory,
+  filters,
+  onFilterChange,
+  onCategoryChange,
+}) => {
+  // Subcategories with matching listings; the selected category itself is already applied
+  const subcategories = facets.categories.filter((category) => category.name !== selectedCategory);
+
+  const toggleValue = (facet: AttributeFacet, value: string) => {
+    const current = filters[facet.key];
+    const selected = Array.isArray(current) ? current : [];
+    // A listing is either yes or no, so boolean attributes take one value
+    const next = selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : facet.type === 'boolean' ? [value] : [...selected, value];
+    onFilterChange(facet.key, next.length > 0 ? next : null);
+  };
+
+  const setBound = (facet: AttributeFacet, bound: 'min' | 'max', value: string) => {
+    const current = filters[facet.key];
+    const range = current && !Array.isArray(current) ? current : {};
+    const next = { ...range, [bound]: toBound(value) };
+    onFilterChange(facet.key, next.min === undefined && next.max === undefined ? null : next);
+  };
+
+  const visibleFacets = facets.attributes.filter((facet) =>
+    facet.type === 'number' ? facet.range || filters[facet.key] : (facet.values ?? []).length > 0 || filters[facet.key]
+  );
+
+  if (subcategories.length === 0 && visibleFacets.length === 0) return null;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+      {subcategories.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-500">In:</span>
+          {subcategories.map((category) => (
+            <button
+              key={category.name}
+              onClick={() => onCategoryChange(category.name)}
+              className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm hover:bg-emerald-50 hover:text-emerald-700"
+            >
+              {category.name} ({category.count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {visibleFacets.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {visibleFacets.map((facet) => {
+            const filter = filters[facet.key];
+            return (
+              <fieldset key={facet.key}>
+                <legend className="text-sm font-medium text-gray-700 mb-2">
+                  {facet.label}
+                  {facet.unit && ` (${facet.unit})`}
+                </legend>
+                {facet.type === 'number' ? (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      aria-label={`Minimum ${facet.label}`}
+                      value={filter && !Array.isArray(filter) ? filter.min ?? '' : ''}
+                      onChange={(e) => setBound(facet, 'min', e.target.value)}
+                      placeholder={facet.range ? String(facet.range.min) : 'Min'}
+                      className={inputClass}
+                    />
+                    <span className="text-gray-400">–</span>
+                    <input
+                      type="number"
+                      aria-label={`Maximum ${facet.label}`}
+                      value={filter && !Array.isArray(filter) ? filter.max ?? '' : ''}
+                      onChange={(e) => setBound(facet, 'max', e.target.value)}
+                      placeholder={facet.range ? String(facet.range.max) : 'Max'}
+                      className={inputClass}
+                    />
+                  </div>
+                ) : (
+                  <div className="space-y-1">
+                    {(facet.values ?? []).map(({ value, count }) => {
+                      const key = String(value);
+                      return (
+                        <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={Array.isArray(filter) && filter.includes(key)}
+                            onChange={() => toggleValue(facet, key)}
+                            className="h-4 w-4 text-emerald-600 border-gray-300 rounded"
+                          />
+                          <span>{facet.type === 'boolean' ? (value ? 'Yes' : 'No') : key}</span>
+                          <span className="text-gray-400">({count})</span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                )}
+              </fieldset>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FacetFilters;
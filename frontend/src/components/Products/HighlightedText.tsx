@@ -0,0 +1,27 @@
+import React from 'react';
+import { HighlightedText as HighlightedTextValue } from '../../types';
+
+interface HighlightedTextProps {
+  value: HighlightedTextValue;
+}
+
+// Renders text with the parts a search matched marked
+const HighlightedText: React.FC<HighlightedTextProps> = ({ value }) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  value.matches.forEach(([start, end]) => {
+    if (start > position) parts.push(value.text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-100 text-inherit rounded-sm">
+        {value.text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(value.text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
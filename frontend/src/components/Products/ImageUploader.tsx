@@ -0,0 +1,180 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { uploadsApi, describeError } from '../../api';
+import { ProductImage } from '../../types';
+import ErrorAlert from '../ErrorAlert';
+
+// Keep in sync with UPLOAD_MAX_FILE_SIZE_MB and the per-product limit on the backend
+const MAX_IMAGES = 8;
+const MAX_FILE_SIZE_MB = 5;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+interface ImageUploaderProps {
+  images: ProductImage[];
+  onChange: (images: ProductImage[]) => void;
+  onUploadingChange?: (uploading: boolean) => void;
+}
+
+const ImageUploader: React.FC<ImageUploaderProps> = ({ images, onChange, onUploadingChange }) => {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [draggedIndex, setDraggedIndex] = useState<number | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+
+  const setUploadingState = (value: boolean) => {
+    setUploading(value);
+    onUploadingChange?.(value);
+  };
+
+  const handleFiles = async (fileList: FileList | null) => {
+    if (!fileList || fileList.length === 0) return;
+
+    const files = Array.from(fileList);
+    const rejected = files.filter(file => !ACCEPTED_TYPES.includes(file.type) || file.size > MAX_FILE_SIZE_MB * 1024 * 1024);
+    const accepted = files.filter(file => !rejected.includes(file)).slice(0, MAX_IMAGES - images.length);
+
+    setError('');
+    setErrorDetails([]);
+
+    if (rejected.length > 0) {
+      setError(`Only JPEG, PNG, GIF or WebP images up to ${MAX_FILE_SIZE_MB}MB can be uploaded`);
+      setErrorDetails(rejected.map(file => file.name));
+    }
+    if (accepted.length === 0) {
+      if (rejected.length === 0) setError(`A listing can have at most ${MAX_IMAGES} images`);
+      return;
+    }
+
+    setUploadingState(true);
+    try {
+      const uploaded = await uploadsApi.uploadProductImages(accepted);
+      onChange([...images, ...uploaded]);
+    } catch (err) {
+      const { message, details } = describeError(err, 'Failed to upload images');
+      setError(message);
+      setErrorDetails(details);
+    }
+    setUploadingState(false);
+  };
+
+  const moveImage = (from: number, to: number) => {
+    if (to < 0 || to >= images.length || from === to) return;
+    const reordered = [...images];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    onChange(reordered);
+  };
+
+  const removeImage = (index: number) => {
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragActive(false);
+    // Thumbnails being reordered are dropped on each other, not on the drop zone
+    if (draggedIndex === null) {
+      handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <ErrorAlert message={error} details={errorDetails} />
+
+      {images.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+          {images.map((image, index) => (
+            <div
+              key={image.url}
+              draggable
+              onDragStart={() => setDraggedIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (draggedIndex !== null) moveImage(draggedIndex, index);
+                setDraggedIndex(null);
+              }}
+              onDragEnd={() => setDraggedIndex(null)}
+              className={`relative group aspect-square rounded-lg overflow-hidden bg-gray-100 cursor-move ${
+                draggedIndex === index ? 'opacity-50' : ''
+              }`}
+            >
+              <img src={image.thumbnailUrl || image.url} alt={`Product image ${index + 1}`} className="w-full h-full object-cover" />
+              {index === 0 && (
+                <span className="absolute top-1 left-1 bg-emerald-600 text-white text-xs px-2 py-0.5 rounded-full">Cover</span>
+              )}
+              <button
+                type="button"
+                onClick={() => removeImage(index)}
+                className="absolute top-1 right-1 p-1 bg-white bg-opacity-90 rounded-full text-gray-600 hover:text-red-600"
+                aria-label="Remove image"
+              >
+                <X className="h-4 w-4" />
+              </button>
+              <div className="absolute bottom-1 inset-x-1 flex justify-between opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index - 1)}
+                  disabled={index === 0}
+                  className="p-1 bg-white bg-opacity-90 rounded-full text-gray-600 disabled:invisible"
+                  aria-label="Move image left"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index + 1)}
+                  disabled={index === images.length - 1}
+                  className="p-1 bg-white bg-opacity-90 rounded-full text-gray-600 disabled:invisible"
+                  aria-label="Move image right"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {images.length < MAX_IMAGES && (
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            if (draggedIndex === null) setDragActive(true);
+          }}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+          onClick={() => inputRef.current?.click()}
+          className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+            dragActive ? 'border-emerald-500 bg-emerald-50' : 'border-gray-300 hover:border-emerald-400'
+          }`}
+        >
+          <Upload className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-600">
+            {uploading ? 'Uploading...' : 'Drag photos here or click to choose files'}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            JPEG, PNG, GIF or WebP up to {MAX_FILE_SIZE_MB}MB · {images.length}/{MAX_IMAGES} images · drag thumbnails to reorder
+          </p>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ACCEPTED_TYPES.join(',')}
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              handleFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageUploader;
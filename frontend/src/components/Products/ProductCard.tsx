@@ -1,7 +1,12 @@
 import React from 'react';
-import { ShoppingCart, Eye } from 'lucide-react';
+import { ShoppingCart, Eye, Star, Heart, MapPin } from 'lucide-react';
 import { Product } from '../../types';
 import { useApp } from '../../contexts/AppContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { describeError } from '../../api';
+import { useMoney } from '../../hooks/useMoney';
+import { formatDistance } from '../../utils/distance';
+import HighlightedText from './HighlightedText';
 
 interface ProductCardProps {
   product: Product;
@@ -10,18 +15,35 @@ interface ProductCardProps {
 }
 
 const ProductCard: React.FC<ProductCardProps> = ({ product, onViewDetails, showAddToCart = true }) => {
-  const { addToCart } = useApp();
+  const { addToCart, savedProductIds, toggleSaved } = useApp();
+  const { currentUser } = useAuth();
+  const formatMoney = useMoney();
+  const isSaved = savedProductIds.includes(product.id);
+  const canSave = currentUser?.id !== product.sellerId;
 
-  const handleAddToCart = (e: React.MouseEvent) => {
+  const handleAddToCart = async (e: React.MouseEvent) => {
     e.stopPropagation();
-    addToCart(product);
+    try {
+      await addToCart(product);
+    } catch (err) {
+      window.alert(describeError(err, 'Unable to add item to cart').message);
+    }
+  };
+
+  const handleToggleSaved = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    try {
+      await toggleSaved(product.id);
+    } catch (err) {
+      window.alert(describeError(err, 'Unable to update saved items').message);
+    }
   };
 
   return (
     <div className="bg-white rounded-xl shadow-md hover:shadow-lg transition-all duration-300 overflow-hidden group cursor-pointer">
       <div className="relative" onClick={() => onViewDetails(product)}>
         <img
-          src={product.imageUrl}
+          src={product.thumbnailUrl}
           alt={product.title}
           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
         />
@@ -31,18 +53,34 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onViewDetails, showA
         <div className="absolute top-3 right-3 bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full text-xs font-medium">
           {product.category}
         </div>
+        {canSave && (
+          <button
+            onClick={handleToggleSaved}
+            className="absolute top-3 left-3 bg-white bg-opacity-90 p-2 rounded-full shadow hover:bg-opacity-100 transition-colors"
+            aria-label={isSaved ? 'Remove from saved items' : 'Save item'}
+            aria-pressed={isSaved}
+          >
+            <Heart className={`h-4 w-4 ${isSaved ? 'fill-red-500 text-red-500' : 'text-gray-600'}`} />
+          </button>
+        )}
       </div>
       
       <div className="p-4">
         <h3 className="text-lg font-semibold text-gray-900 mb-2 truncate" title={product.title}>
-          {product.title}
+          {product.highlights ? <HighlightedText value={product.highlights.title} /> : product.title}
         </h3>
         <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-          {product.description}
+          {product.highlights ? <HighlightedText value={product.highlights.description} /> : product.description}
         </p>
+        {product.distanceKm !== null && (
+          <p className="flex items-center gap-1 text-xs text-gray-500 mb-3" title={product.location}>
+            <MapPin className="h-3 w-3" />
+            {formatDistance(product.distanceKm)}
+          </p>
+        )}
         <div className="flex items-center justify-between">
           <div>
-            <span className="text-2xl font-bold text-emerald-600">${product.price}</span>
+            <span className="text-2xl font-bold text-emerald-600">{formatMoney(product.price, product.currency)}</span>
           </div>
           {showAddToCart && (
             <button
@@ -53,8 +91,16 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onViewDetails, showA
             </button>
           )}
         </div>
-        <div className="mt-3 pt-3 border-t border-gray-100">
+        <div className="mt-3 pt-3 border-t border-gray-100 flex items-center justify-between">
           <p className="text-xs text-gray-500">By {product.sellerName}</p>
+          {product.sellerRating && product.sellerRating.count > 0 ? (
+            <span className="flex items-center gap-1 text-xs text-gray-600">
+              <Star className="h-3 w-3 fill-amber-400 text-amber-400" />
+              {product.sellerRating.average.toFixed(1)} ({product.sellerRating.count})
+            </span>
+          ) : (
+            <span className="text-xs text-gray-400">No reviews yet</span>
+          )}
         </div>
       </div>
     </div>
@@ -1,7 +1,15 @@
-import React from 'react';
-import { X, ShoppingCart, User, Calendar, Tag } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { X, ShoppingCart, User, Calendar, Tag, MessageCircle, HandCoins, Flag } from 'lucide-react';
 import { Product } from '../../types';
 import { useApp } from '../../contexts/AppContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { conversationsApi, offersApi, describeError } from '../../api';
+import { useMoney } from '../../hooks/useMoney';
+import { useCategories } from '../../hooks/useCategories';
+import { formatAttributeValue } from '../../utils/attributes';
+import StarRating from '../Reviews/StarRating';
+import ReportListingForm from './ReportListingForm';
 
 interface ProductModalProps {
   product: Product | null;
@@ -11,14 +19,75 @@ interface ProductModalProps {
 
 const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose }) => {
   const { addToCart } = useApp();
+  const { currentUser } = useAuth();
+  const { findCategory } = useCategories();
+  const formatMoney = useMoney();
+  const navigate = useNavigate();
+  const [activeImage, setActiveImage] = useState(0);
+  const [offerOpen, setOfferOpen] = useState(false);
+  const [offerAmount, setOfferAmount] = useState('');
+  const [offerMessage, setOfferMessage] = useState('');
+  const [offerError, setOfferError] = useState('');
+  const [offerSent, setOfferSent] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [reportSent, setReportSent] = useState(false);
+
+  useEffect(() => {
+    setActiveImage(0);
+    setOfferOpen(false);
+    setOfferAmount('');
+    setOfferMessage('');
+    setOfferError('');
+    setOfferSent(false);
+    setReportOpen(false);
+    setReportSent(false);
+  }, [product]);
 
   if (!isOpen || !product) return null;
 
-  const handleAddToCart = () => {
-    addToCart(product);
-    onClose();
+  const handleAddToCart = async () => {
+    try {
+      await addToCart(product);
+      onClose();
+    } catch (err) {
+      window.alert(describeError(err, 'Unable to add item to cart').message);
+    }
+  };
+
+  const handleMessageSeller = async () => {
+    try {
+      const conversation = await conversationsApi.start(product.id);
+      onClose();
+      navigate(`/inbox/${conversation.id}`);
+    } catch (err) {
+      window.alert(describeError(err, 'Unable to message the seller').message);
+    }
   };
 
+  const handleMakeOffer = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const amount = parseFloat(offerAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setOfferError('Please enter a valid amount');
+      return;
+    }
+    if (amount >= product.price) {
+      setOfferError('Offers must be below the list price');
+      return;
+    }
+
+    setOfferError('');
+    try {
+      await offersApi.create(product.id, amount, offerMessage.trim() || undefined);
+      setOfferSent(true);
+      setOfferOpen(false);
+    } catch (err) {
+      setOfferError(describeError(err, 'Unable to send offer').message);
+    }
+  };
+
+  const isOwnListing = currentUser?.id === product.sellerId;
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
@@ -39,10 +108,25 @@ const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose })
             <div className="grid md:grid-cols-2 gap-6">
               <div>
                 <img
-                  src={product.imageUrl}
+                  src={product.images[activeImage]?.url || product.imageUrl}
                   alt={product.title}
                   className="w-full h-64 object-cover rounded-lg"
                 />
+                {product.images.length > 1 && (
+                  <div className="flex gap-2 mt-2 overflow-x-auto">
+                    {product.images.map((image, index) => (
+                      <button
+                        key={image.url}
+                        onClick={() => setActiveImage(index)}
+                        className={`w-14 h-14 flex-shrink-0 rounded overflow-hidden border-2 ${
+                          index === activeImage ? 'border-emerald-500' : 'border-transparent'
+                        }`}
+                      >
+                        <img src={image.thumbnailUrl} alt={`${product.title} ${index + 1}`} className="w-full h-full object-cover" />
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="space-y-4">
@@ -54,12 +138,23 @@ const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose })
                 </div>
 
                 <div>
-                  <span className="text-3xl font-bold text-emerald-600">${product.price}</span>
+                  <span className="text-3xl font-bold text-emerald-600">{formatMoney(product.price, product.currency)}</span>
                 </div>
 
                 <div className="flex items-center space-x-2 text-sm text-gray-600">
                   <User className="h-4 w-4" />
-                  <span>Sold by {product.sellerName}</span>
+                  <span>
+                    Sold by{' '}
+                    <Link to={`/sellers/${product.sellerId}`} onClick={onClose} className="text-emerald-600 hover:underline">
+                      {product.sellerName}
+                    </Link>
+                  </span>
+                  {product.sellerRating && product.sellerRating.count > 0 && (
+                    <span className="flex items-center gap-1">
+                      <StarRating value={product.sellerRating.average} size="sm" />
+                      <span>({product.sellerRating.count})</span>
+                    </span>
+                  )}
                 </div>
 
                 <div className="flex items-center space-x-2 text-sm text-gray-600">
@@ -67,6 +162,23 @@ const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose })
                   <span>Listed on {new Date(product.createdAt).toLocaleDateString()}</span>
                 </div>
 
+                {Object.keys(product.attributes).length > 0 && (
+                  <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                    {Object.entries(product.attributes).map(([key, value]) => {
+                      // Listings can outlive their category's attribute definitions
+                      const attribute = findCategory(product.category)?.attributes.find((item) => item.key === key);
+                      return (
+                        <div key={key}>
+                          <dt className="text-gray-500">{attribute?.label ?? key}</dt>
+                          <dd className="text-gray-900">
+                            {formatAttributeValue(attribute ?? { type: typeof value === 'boolean' ? 'boolean' : 'text', unit: '' }, value)}
+                          </dd>
+                        </div>
+                      );
+                    })}
+                  </dl>
+                )}
+
                 <button
                   onClick={handleAddToCart}
                   className="w-full bg-emerald-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-emerald-700 transition-colors focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 flex items-center justify-center space-x-2"
@@ -74,6 +186,67 @@ const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose })
                   <ShoppingCart className="h-5 w-5" />
                   <span>Add to Cart</span>
                 </button>
+
+                {!isOwnListing && (offerSent ? (
+                  <div className="bg-emerald-50 border border-emerald-200 text-emerald-700 px-4 py-3 rounded-lg text-sm">
+                    Offer sent! Track it under My Offers.
+                  </div>
+                ) : offerOpen ? (
+                  <form onSubmit={handleMakeOffer} className="space-y-2 border border-gray-200 rounded-lg p-3">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={offerAmount}
+                      onChange={(e) => setOfferAmount(e.target.value)}
+                      placeholder={`Your price in ${product.currency} (list ${formatMoney(product.price, product.currency)})`}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={offerMessage}
+                      onChange={(e) => setOfferMessage(e.target.value)}
+                      maxLength={500}
+                      placeholder="Add a note (optional)"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                    />
+                    {offerError && <p className="text-sm text-red-600">{offerError}</p>}
+                    <div className="flex gap-2">
+                      <button
+                        type="submit"
+                        className="flex-1 bg-emerald-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-emerald-700 transition-colors"
+                      >
+                        Send Offer
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setOfferOpen(false)}
+                        className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <button
+                    onClick={() => setOfferOpen(true)}
+                    className="w-full border border-emerald-600 text-emerald-700 py-3 px-4 rounded-lg font-medium hover:bg-emerald-50 transition-colors focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 flex items-center justify-center space-x-2"
+                  >
+                    <HandCoins className="h-5 w-5" />
+                    <span>Make an Offer</span>
+                  </button>
+                ))}
+
+                {!isOwnListing && (
+                  <button
+                    onClick={handleMessageSeller}
+                    className="w-full border border-emerald-600 text-emerald-700 py-3 px-4 rounded-lg font-medium hover:bg-emerald-50 transition-colors focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 flex items-center justify-center space-x-2"
+                  >
+                    <MessageCircle className="h-5 w-5" />
+                    <span>Message Seller</span>
+                  </button>
+                )}
               </div>
             </div>
 
@@ -81,6 +254,31 @@ const ProductModal: React.FC<ProductModalProps> = ({ product, isOpen, onClose })
               <h4 className="text-lg font-medium text-gray-900 mb-2">Description</h4>
               <p className="text-gray-700 leading-relaxed">{product.description}</p>
             </div>
+
+            {currentUser && !isOwnListing && (
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                {reportSent ? (
+                  <p className="text-sm text-gray-600">Thanks for reporting. Our moderators will review this listing.</p>
+                ) : reportOpen ? (
+                  <ReportListingForm
+                    productId={product.id}
+                    onCancel={() => setReportOpen(false)}
+                    onReported={() => {
+                      setReportOpen(false);
+                      setReportSent(true);
+                    }}
+                  />
+                ) : (
+                  <button
+                    onClick={() => setReportOpen(true)}
+                    className="flex items-center gap-1 text-sm text-gray-500 hover:text-red-600 transition-colors"
+                  >
+                    <Flag className="h-4 w-4" />
+                    <span>Report listing</span>
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { reportsApi, describeError } from '../../api';
+import { ReportReason } from '../../types';
+
+const REASON_LABELS: Record<ReportReason, string> = {
+  counterfeit: 'Counterfeit or replica',
+  prohibited: 'Prohibited item',
+  scam: 'Scam or fraud',
+  misleading: 'Misleading description',
+  offensive: 'Offensive content',
+  other: 'Something else',
+};
+
+interface ReportListingFormProps {
+  productId: string;
+  onCancel: () => void;
+  onReported: () => void;
+}
+
+const ReportListingForm: React.FC<ReportListingFormProps> = ({ productId, onCancel, onReported }) => {
+  const [reason, setReason] = useState<ReportReason>('counterfeit');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await reportsApi.create(productId, reason, details.trim() || undefined);
+      onReported();
+    } catch (err) {
+      setError(describeError(err, 'Unable to report this listing').message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 border border-gray-200 rounded-lg p-3">
+      <p className="text-sm font-medium text-gray-900">What's wrong with this listing?</p>
+      <select
+        value={reason}
+        onChange={(e) => setReason(e.target.value as ReportReason)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+      >
+        {(Object.keys(REASON_LABELS) as ReportReason[]).map((value) => (
+          <option key={value} value={value}>{REASON_LABELS[value]}</option>
+        ))}
+      </select>
+      <textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        maxLength={1000}
+        rows={3}
+        placeholder="Tell our moderators more (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="flex-1 bg-red-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-red-700 transition-colors disabled:opacity-50"
+        >
+          {submitting ? 'Sending...' : 'Send Report'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReportListingForm;
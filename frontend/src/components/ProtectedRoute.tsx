@@ -1,15 +1,24 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { UserRole } from '../types';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
+  // Only users with one of these roles may enter; everyone else goes back to browse
+  roles?: UserRole[];
 }
 
-const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children }) => {
-  const { currentUser } = useAuth();
+const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, roles }) => {
+  const { currentUser, initializing } = useAuth();
 
-  return currentUser ? <>{children}</> : <Navigate to="/login" replace />;
+  // Wait for the stored session to be restored before deciding where to go
+  if (initializing) return null;
+
+  if (!currentUser) return <Navigate to="/login" replace />;
+  if (roles && !roles.includes(currentUser.role)) return <Navigate to="/" replace />;
+
+  return <>{children}</>;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { reviewsApi, describeError } from '../../api';
+import { Review } from '../../types';
+import StarRating from './StarRating';
+
+interface ReviewFormProps {
+  purchaseId: string;
+  lineId: string;
+  sellerName: string;
+  onSubmitted: (review: Review) => void;
+  onCancel: () => void;
+}
+
+const ReviewForm: React.FC<ReviewFormProps> = ({ purchaseId, lineId, sellerName, onSubmitted, onCancel }) => {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (rating === 0) {
+      setError('Please choose a star rating');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      onSubmitted(await reviewsApi.create({ purchaseId, lineId, rating, comment: comment.trim() }));
+    } catch (err) {
+      setError(describeError(err, 'Unable to post review').message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 border border-gray-200 rounded-lg p-3 bg-white">
+      <p className="text-sm font-medium text-gray-900">Rate {sellerName || 'the seller'}</p>
+      <StarRating value={rating} onChange={setRating} size="lg" />
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        maxLength={1000}
+        rows={3}
+        placeholder="How was the item and the seller? (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-3 py-1 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 disabled:opacity-50"
+        >
+          Post Review
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+
+interface StarRatingProps {
+  value: number;
+  // Renders clickable stars when provided
+  onChange?: (value: number) => void;
+  size?: 'sm' | 'md' | 'lg';
+}
+
+const SIZES = {
+  sm: 'h-3 w-3',
+  md: 'h-4 w-4',
+  lg: 'h-6 w-6',
+};
+
+const StarRating: React.FC<StarRatingProps> = ({ value, onChange, size = 'md' }) => (
+  <div className="flex items-center gap-0.5" aria-label={`${value} out of 5 stars`}>
+    {[1, 2, 3, 4, 5].map((star) => {
+      // Round averages to the nearest whole star
+      const filled = star <= Math.round(value);
+      const icon = (
+        <Star className={`${SIZES[size]} ${filled ? 'fill-amber-400 text-amber-400' : 'text-gray-300'}`} />
+      );
+      return onChange ? (
+        <button
+          key={star}
+          type="button"
+          onClick={() => onChange(star)}
+          className="p-0.5 focus:outline-none focus:ring-2 focus:ring-emerald-500 rounded"
+          aria-label={`${star} star${star !== 1 ? 's' : ''}`}
+        >
+          {icon}
+        </button>
+      ) : (
+        <span key={star}>{icon}</span>
+      );
+    })}
+  </div>
+);
+
+export default StarRating;
@@ -1,24 +1,48 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { Product, CartItem, Purchase, Category } from '../types';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+import { Product, CartItem, CartTotal, Purchase, OrderStatus, AttributeFilter, ProductFacets } from '../types';
+import { productsApi, cartApi, purchasesApi, conversationsApi, wishlistApi, notificationsApi } from '../api';
+import { ProductInput } from '../api/products';
+import { CheckoutOptions, CheckoutResult } from '../api/purchases';
 import { useAuth } from './AuthContext';
+import { DEFAULT_CURRENCY } from '../utils/money';
 
 interface AppContextType {
   products: Product[];
+  myProducts: Product[];
+  myProductsLoaded: boolean;
   cart: CartItem[];
+  cartTotal: CartTotal;
   purchases: Purchase[];
+  savedProductIds: string[];
+  unreadMessages: number;
+  unreadNotifications: number;
+  productsLoading: boolean;
+  productsError: string;
   searchQuery: string;
-  selectedCategory: Category | 'All';
-  addProduct: (product: Omit<Product, 'id' | 'sellerId' | 'sellerName' | 'createdAt'>) => void;
-  updateProduct: (id: string, product: Partial<Product>) => void;
-  deleteProduct: (id: string) => void;
-  addToCart: (product: Product) => void;
-  removeFromCart: (productId: string) => void;
-  clearCart: () => void;
-  purchaseCart: () => void;
+  // Category name, or 'All'; a category includes its subcategories
+  selectedCategory: string;
+  // Only apply within the selected category, so they reset when it changes
+  attributeFilters: Record<string, AttributeFilter>;
+  facets: ProductFacets;
+  // Kilometres around the signed-in user's location to search, or null to search everywhere
+  nearRadius: number | null;
+  addProduct: (product: ProductInput) => Promise<Product>;
+  updateProduct: (id: string, product: Partial<ProductInput> & { isAvailable?: boolean }) => Promise<Product>;
+  deleteProduct: (id: string) => Promise<void>;
+  addToCart: (product: Pick<Product, 'id'>) => Promise<void>;
+  removeFromCart: (cartItemId: string) => Promise<void>;
+  clearCart: () => Promise<void>;
+  purchaseCart: (options?: CheckoutOptions) => Promise<CheckoutResult>;
+  updatePurchaseStatus: (id: string, status: OrderStatus, note?: string) => Promise<Purchase>;
+  toggleSaved: (productId: string) => Promise<void>;
   setSearchQuery: (query: string) => void;
-  setSelectedCategory: (category: Category | 'All') => void;
-  getUserProducts: () => Product[];
-  getFilteredProducts: () => Product[];
+  setSelectedCategory: (category: string) => void;
+  setAttributeFilter: (key: string, filter: AttributeFilter | null) => void;
+  setNearRadius: (radius: number | null) => void;
+  refreshProducts: () => Promise<void>;
+  refreshPurchases: () => Promise<void>;
+  refreshUnreadCount: () => Promise<void>;
+  refreshNotificationCount: () => Promise<void>;
 }
 
 const AppContext = createContext<AppContextType | undefined>(undefined);
@@ -35,197 +59,238 @@ interface AppProviderProps {
   children: ReactNode;
 }
 
+// Delay before a typed search query is sent to the API
+const SEARCH_DEBOUNCE_MS = 300;
+// How often the inbox and notification badges check for new activity
+const UNREAD_POLL_MS = 30000;
+
+const EMPTY_CART_TOTAL: CartTotal = { amount: 0, currency: DEFAULT_CURRENCY, charges: [], orders: [] };
+const EMPTY_FACETS: ProductFacets = { categories: [], attributes: [] };
+
 export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
   const { currentUser } = useAuth();
   const [products, setProducts] = useState<Product[]>([]);
+  const [myProducts, setMyProducts] = useState<Product[]>([]);
+  const [myProductsLoaded, setMyProductsLoaded] = useState(false);
   const [cart, setCart] = useState<CartItem[]>([]);
+  const [cartTotal, setCartTotal] = useState<CartTotal>(EMPTY_CART_TOTAL);
   const [purchases, setPurchases] = useState<Purchase[]>([]);
+  const [savedProductIds, setSavedProductIds] = useState<string[]>([]);
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
+  const [productsLoading, setProductsLoading] = useState(false);
+  const [productsError, setProductsError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState<Category | 'All'>('All');
+  const [selectedCategory, setSelectedCategoryState] = useState('All');
+  const [attributeFilters, setAttributeFilters] = useState<Record<string, AttributeFilter>>({});
+  const [facets, setFacets] = useState<ProductFacets>(EMPTY_FACETS);
+  const [nearRadius, setNearRadius] = useState<number | null>(null);
 
-  useEffect(() => {
-    const savedProducts = localStorage.getItem('ecofinds_products');
-    if (savedProducts) {
-      setProducts(JSON.parse(savedProducts));
-    } else {
-      // Initialize with sample data
-      const sampleProducts: Product[] = [
-        {
-          id: '1',
-          title: 'Vintage MacBook Pro 2019',
-          description: 'Excellent condition MacBook Pro, perfect for students or professionals. Includes charger.',
-          category: 'Electronics',
-          price: 899,
-          imageUrl: 'https://images.pexels.com/photos/18105/pexels-photo.jpg',
-          sellerId: 'sample_user',
-          sellerName: 'John Doe',
-          createdAt: new Date().toISOString(),
-          isAvailable: true,
-        },
-        {
-          id: '2',
-          title: 'Designer Leather Jacket',
-          description: 'Genuine leather jacket in great condition. Size M. Perfect for fall season.',
-          category: 'Clothing',
-          price: 125,
-          imageUrl: 'https://images.pexels.com/photos/1124465/pexels-photo-1124465.jpeg',
-          sellerId: 'sample_user2',
-          sellerName: 'Jane Smith',
-          createdAt: new Date().toISOString(),
-          isAvailable: true,
-        },
-        {
-          id: '3',
-          title: 'Wooden Coffee Table',
-          description: 'Beautiful handcrafted wooden coffee table. Minor scratches but sturdy.',
-          category: 'Furniture',
-          price: 85,
-          imageUrl: 'https://images.pexels.com/photos/1350789/pexels-photo-1350789.jpeg',
-          sellerId: 'sample_user3',
-          sellerName: 'Mike Johnson',
-          createdAt: new Date().toISOString(),
-          isAvailable: true,
-        },
-      ];
-      setProducts(sampleProducts);
-      localStorage.setItem('ecofinds_products', JSON.stringify(sampleProducts));
-    }
+  // Near searches start from the profile location, so they need one the server recognises
+  const searchRadius = currentUser?.locationFound ? nearRadius : null;
 
-    const savedCart = localStorage.getItem('ecofinds_cart');
-    if (savedCart) {
-      setCart(JSON.parse(savedCart));
-    }
+  const setSelectedCategory = useCallback((category: string) => {
+    setSelectedCategoryState(category);
+    setAttributeFilters({});
+  }, []);
 
-    const savedPurchases = localStorage.getItem('ecofinds_purchases');
-    if (savedPurchases) {
-      setPurchases(JSON.parse(savedPurchases));
-    }
+  const setAttributeFilter = useCallback((key: string, filter: AttributeFilter | null) => {
+    setAttributeFilters((prev) => {
+      const next = { ...prev };
+      if (filter) {
+        next[key] = filter;
+      } else {
+        delete next[key];
+      }
+      return next;
+    });
   }, []);
 
-  const addProduct = (productData: Omit<Product, 'id' | 'sellerId' | 'sellerName' | 'createdAt'>) => {
-    if (!currentUser) return;
+  const refreshProducts = useCallback(async () => {
+    setProductsLoading(true);
+    setProductsError('');
+    try {
+      const search = searchQuery.trim() || undefined;
+      const { products: results, facets: resultFacets } = await productsApi.list({
+        search,
+        category: selectedCategory !== 'All' ? selectedCategory : undefined,
+        attributes: selectedCategory !== 'All' ? attributeFilters : undefined,
+        near: searchRadius !== null ? 'me' : undefined,
+        radius: searchRadius ?? undefined,
+        // Search results stay ranked by relevance
+        sortBy: searchRadius !== null && !search ? 'distance' : undefined,
+        limit: 50,
+      });
+      setProducts(results);
+      setFacets(resultFacets);
+    } catch (error) {
+      setProducts([]);
+      setFacets(EMPTY_FACETS);
+      setProductsError(error instanceof Error ? error.message : 'Unable to load products');
+    } finally {
+      setProductsLoading(false);
+    }
+  }, [searchQuery, selectedCategory, attributeFilters, searchRadius]);
 
-    const newProduct: Product = {
-      ...productData,
-      id: Date.now().toString(),
-      sellerId: currentUser.id,
-      sellerName: currentUser.username,
-      createdAt: new Date().toISOString(),
-      isAvailable: true,
-    };
+  const refreshMyProducts = useCallback(async () => {
+    const { products: results } = await productsApi.listMine();
+    setMyProducts(results);
+    setMyProductsLoaded(true);
+  }, []);
 
-    const updatedProducts = [...products, newProduct];
-    setProducts(updatedProducts);
-    localStorage.setItem('ecofinds_products', JSON.stringify(updatedProducts));
-  };
+  const refreshCart = useCallback(async () => {
+    const { items, total } = await cartApi.get();
+    setCart(items);
+    setCartTotal(total);
+  }, []);
 
-  const updateProduct = (id: string, productData: Partial<Product>) => {
-    const updatedProducts = products.map(product =>
-      product.id === id ? { ...product, ...productData } : product
-    );
-    setProducts(updatedProducts);
-    localStorage.setItem('ecofinds_products', JSON.stringify(updatedProducts));
-  };
+  const refreshPurchases = useCallback(async () => {
+    setPurchases(await purchasesApi.list());
+  }, []);
 
-  const deleteProduct = (id: string) => {
-    const updatedProducts = products.filter(product => product.id !== id);
-    setProducts(updatedProducts);
-    localStorage.setItem('ecofinds_products', JSON.stringify(updatedProducts));
-  };
+  const refreshSaved = useCallback(async () => {
+    setSavedProductIds(await wishlistApi.listIds());
+  }, []);
 
-  const addToCart = (product: Product) => {
-    const existingItem = cart.find(item => item.product.id === product.id);
-    let updatedCart: CartItem[];
+  const refreshUnreadCount = useCallback(async () => {
+    const { unreadMessages: count } = await conversationsApi.getUnreadCount();
+    setUnreadMessages(count);
+  }, []);
 
-    if (existingItem) {
-      updatedCart = cart.map(item =>
-        item.product.id === product.id
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
-      );
-    } else {
-      const newCartItem: CartItem = {
-        id: Date.now().toString(),
-        product,
-        quantity: 1,
-        addedAt: new Date().toISOString(),
-      };
-      updatedCart = [...cart, newCartItem];
+  const refreshNotificationCount = useCallback(async () => {
+    setUnreadNotifications(await notificationsApi.getUnreadCount());
+  }, []);
+
+  useEffect(() => {
+    if (!currentUser) {
+      setProducts([]);
+      return;
     }
+    const timer = setTimeout(refreshProducts, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [currentUser, refreshProducts]);
 
-    setCart(updatedCart);
-    localStorage.setItem('ecofinds_cart', JSON.stringify(updatedCart));
-  };
+  useEffect(() => {
+    if (!currentUser) {
+      setMyProducts([]);
+      setMyProductsLoaded(false);
+      setCart([]);
+      setCartTotal(EMPTY_CART_TOTAL);
+      setPurchases([]);
+      setSavedProductIds([]);
+      return;
+    }
 
-  const removeFromCart = (productId: string) => {
-    const updatedCart = cart.filter(item => item.product.id !== productId);
-    setCart(updatedCart);
-    localStorage.setItem('ecofinds_cart', JSON.stringify(updatedCart));
-  };
+    Promise.all([refreshMyProducts(), refreshCart(), refreshPurchases(), refreshSaved()]).catch((error) => {
+      console.error('Error loading account data:', error);
+    });
+  }, [currentUser, refreshMyProducts, refreshCart, refreshPurchases, refreshSaved]);
 
-  const clearCart = () => {
-    setCart([]);
-    localStorage.removeItem('ecofinds_cart');
-  };
+  useEffect(() => {
+    if (!currentUser) {
+      setUnreadMessages(0);
+      setUnreadNotifications(0);
+      return;
+    }
 
-  const purchaseCart = () => {
-    if (!currentUser || cart.length === 0) return;
-
-    const newPurchase: Purchase = {
-      id: Date.now().toString(),
-      products: cart.map(item => ({
-        product: item.product,
-        quantity: item.quantity,
-        priceAtPurchase: item.product.price,
-      })),
-      totalAmount: cart.reduce((total, item) => total + item.product.price * item.quantity, 0),
-      purchaseDate: new Date().toISOString(),
-      buyerId: currentUser.id,
+    const poll = () => {
+      refreshUnreadCount().catch((error) => {
+        console.error('Error loading unread messages:', error);
+      });
+      refreshNotificationCount().catch((error) => {
+        console.error('Error loading unread notifications:', error);
+      });
     };
+    poll();
+    const timer = setInterval(poll, UNREAD_POLL_MS);
+    return () => clearInterval(timer);
+  }, [currentUser, refreshUnreadCount, refreshNotificationCount]);
+
+  const addProduct = async (productData: ProductInput) => {
+    const product = await productsApi.create(productData);
+    setMyProducts(prev => [product, ...prev]);
+    refreshProducts();
+    return product;
+  };
 
-    const updatedPurchases = [...purchases, newPurchase];
-    setPurchases(updatedPurchases);
-    localStorage.setItem('ecofinds_purchases', JSON.stringify(updatedPurchases));
+  const updateProduct = async (id: string, productData: Partial<ProductInput> & { isAvailable?: boolean }) => {
+    const product = await productsApi.update(id, productData);
+    setMyProducts(prev => prev.map(item => (item.id === id ? product : item)));
+    refreshProducts();
+    return product;
+  };
 
-    // Mark products as unavailable
-    const purchasedProductIds = cart.map(item => item.product.id);
-    const updatedProducts = products.map(product =>
-      purchasedProductIds.includes(product.id) ? { ...product, isAvailable: false } : product
-    );
-    setProducts(updatedProducts);
-    localStorage.setItem('ecofinds_products', JSON.stringify(updatedProducts));
+  const deleteProduct = async (id: string) => {
+    await productsApi.remove(id);
+    setMyProducts(prev => prev.filter(product => product.id !== id));
+    setProducts(prev => prev.filter(product => product.id !== id));
+  };
 
-    clearCart();
+  const addToCart = async (product: Pick<Product, 'id'>) => {
+    await cartApi.add(product.id);
+    await refreshCart();
   };
 
-  const getUserProducts = (): Product[] => {
-    if (!currentUser) return [];
-    return products.filter(product => product.sellerId === currentUser.id);
+  const removeFromCart = async (cartItemId: string) => {
+    await cartApi.remove(cartItemId);
+    await refreshCart();
   };
 
-  const getFilteredProducts = (): Product[] => {
-    let filtered = products.filter(product => product.isAvailable);
+  const clearCart = async () => {
+    await cartApi.clear();
+    setCart([]);
+    setCartTotal(EMPTY_CART_TOTAL);
+  };
 
-    if (selectedCategory !== 'All') {
-      filtered = filtered.filter(product => product.category === selectedCategory);
+  const purchaseCart = async (options?: CheckoutOptions) => {
+    try {
+      const result = await purchasesApi.checkout(options);
+      setPurchases(prev => [...result.placed, ...result.failed, ...prev]);
+      refreshProducts();
+      return result;
+    } finally {
+      // The backend drops unavailable items from the cart even when checkout fails
+      await refreshCart();
     }
+  };
 
-    if (searchQuery.trim()) {
-      filtered = filtered.filter(product =>
-        product.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        product.description.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+  const updatePurchaseStatus = async (id: string, status: OrderStatus, note?: string) => {
+    const purchase = await purchasesApi.updateStatus(id, status, note);
+    setPurchases(prev => prev.map(item => (item.id === id ? purchase : item)));
+    if (status === 'cancelled') {
+      // Cancelled items go back on sale
+      refreshProducts();
     }
+    return purchase;
+  };
 
-    return filtered;
+  const toggleSaved = async (productId: string) => {
+    if (savedProductIds.includes(productId)) {
+      await wishlistApi.remove(productId);
+      setSavedProductIds(prev => prev.filter(id => id !== productId));
+    } else {
+      await wishlistApi.add(productId);
+      setSavedProductIds(prev => [...prev, productId]);
+    }
   };
 
   const value = {
     products,
+    myProducts,
+    myProductsLoaded,
     cart,
+    cartTotal,
     purchases,
+    savedProductIds,
+    unreadMessages,
+    unreadNotifications,
+    productsLoading,
+    productsError,
     searchQuery,
     selectedCategory,
+    attributeFilters,
+    facets,
+    nearRadius: searchRadius,
     addProduct,
     updateProduct,
     deleteProduct,
@@ -233,10 +298,16 @@ export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
     removeFromCart,
     clearCart,
     purchaseCart,
+    updatePurchaseStatus,
+    toggleSaved,
     setSearchQuery,
     setSelectedCategory,
-    getUserProducts,
-    getFilteredProducts,
+    setAttributeFilter,
+    setNearRadius,
+    refreshProducts,
+    refreshPurchases,
+    refreshUnreadCount,
+    refreshNotificationCount,
   };
 
   return (
@@ -244,4 +315,4 @@ export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
       {children}
     </AppContext.Provider>
   );
-};
\ No newline at end of file
+};
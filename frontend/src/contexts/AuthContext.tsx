@@ -1,12 +1,19 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 import { User } from '../types';
+import { authApi, usersApi, getToken, onUnauthorized } from '../api';
+import { ProfileUpdate } from '../api/users';
 
 interface AuthContextType {
   currentUser: User | null;
-  login: (email: string, password: string) => Promise<boolean>;
-  register: (email: string, password: string, username: string) => Promise<boolean>;
-  logout: () => void;
-  updateUser: (updatedUser: Partial<User>) => void;
+  initializing: boolean;
+  login: (email: string, password: string) => Promise<void>;
+  register: (email: string, password: string, username: string) => Promise<void>;
+  logout: () => Promise<void>;
+  logoutAll: () => Promise<void>;
+  updateUser: (updates: ProfileUpdate) => Promise<void>;
+  changePassword: (currentPassword: string, newPassword: string, confirmPassword: string) => Promise<void>;
+  resetPassword: (token: string, password: string, confirmPassword: string) => Promise<void>;
+  deleteAccount: (password: string) => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -25,79 +32,84 @@ interface AuthProviderProps {
 
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [currentUser, setCurrentUser] = useState<User | null>(null);
+  const [initializing, setInitializing] = useState(true);
 
   useEffect(() => {
-    const savedUser = localStorage.getItem('ecofinds_user');
-    if (savedUser) {
-      setCurrentUser(JSON.parse(savedUser));
+    // Any 401 on an authenticated request means the stored token is no longer usable
+    onUnauthorized(() => setCurrentUser(null));
+
+    if (!getToken()) {
+      setInitializing(false);
+      return () => onUnauthorized(null);
     }
+
+    usersApi.getProfile()
+      .then(setCurrentUser)
+      .catch(() => setCurrentUser(null))
+      .finally(() => setInitializing(false));
+
+    return () => onUnauthorized(null);
   }, []);
 
-  const login = async (email: string, password: string): Promise<boolean> => {
-    // Simulate API call
-    const users = JSON.parse(localStorage.getItem('ecofinds_users') || '[]');
-    const user = users.find((u: User) => u.email === email);
-    
-    if (user) {
-      setCurrentUser(user);
-      localStorage.setItem('ecofinds_user', JSON.stringify(user));
-      return true;
+  const login = async (email: string, password: string) => {
+    await authApi.login(email, password);
+    // The login response omits bio/avatar, so load the full profile
+    setCurrentUser(await usersApi.getProfile());
+  };
+
+  const register = async (email: string, password: string, username: string) => {
+    const user = await authApi.register(email, username, password);
+    setCurrentUser(user);
+  };
+
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      setCurrentUser(null);
     }
-    return false;
   };
 
-  const register = async (email: string, password: string, username: string): Promise<boolean> => {
-    // Check if user already exists
-    const users = JSON.parse(localStorage.getItem('ecofinds_users') || '[]');
-    if (users.some((u: User) => u.email === email)) {
-      return false;
+  const logoutAll = async () => {
+    try {
+      await authApi.logoutAll();
+    } finally {
+      setCurrentUser(null);
     }
+  };
 
-    const newUser: User = {
-      id: Date.now().toString(),
-      email,
-      username,
-      fullName: username,
-      phone: '',
-      address: '',
-      bio: '',
-      joinedDate: new Date().toISOString(),
-    };
-
-    users.push(newUser);
-    localStorage.setItem('ecofinds_users', JSON.stringify(users));
-    setCurrentUser(newUser);
-    localStorage.setItem('ecofinds_user', JSON.stringify(newUser));
-    return true;
+  const updateUser = async (updates: ProfileUpdate) => {
+    const user = await usersApi.updateProfile(updates);
+    setCurrentUser(user);
   };
 
-  const logout = () => {
-    setCurrentUser(null);
-    localStorage.removeItem('ecofinds_user');
+  const changePassword = async (currentPassword: string, newPassword: string, confirmPassword: string) => {
+    await authApi.changePassword(currentPassword, newPassword, confirmPassword);
   };
 
-  const updateUser = (updatedUser: Partial<User>) => {
-    if (currentUser) {
-      const newUser = { ...currentUser, ...updatedUser };
-      setCurrentUser(newUser);
-      localStorage.setItem('ecofinds_user', JSON.stringify(newUser));
-      
-      // Update in users list
-      const users = JSON.parse(localStorage.getItem('ecofinds_users') || '[]');
-      const userIndex = users.findIndex((u: User) => u.id === currentUser.id);
-      if (userIndex !== -1) {
-        users[userIndex] = newUser;
-        localStorage.setItem('ecofinds_users', JSON.stringify(users));
-      }
-    }
+  const resetPassword = async (token: string, password: string, confirmPassword: string) => {
+    await authApi.resetPassword(token, password, confirmPassword);
+    setCurrentUser(await usersApi.getProfile());
+  };
+
+  const deleteAccount = async (password: string) => {
+    await usersApi.deleteAccount(password);
+    setCurrentUser(null);
   };
 
   const value = {
     currentUser,
+    initializing,
     login,
     register,
     logout,
+    logoutAll,
     updateUser,
+    changePassword,
+    resetPassword,
+    deleteAccount,
   };
 
   return (
@@ -105,4 +117,4 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
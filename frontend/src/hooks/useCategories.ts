@@ -0,0 +1,48 @@
+import { useEffect, useMemo, useState } from 'react';
+import { describeError, productsApi } from '../api';
+import { Category } from '../types';
+import { flattenCategories } from '../utils/categories';
+
+// The tree rarely changes, so every page shares one request per session
+let categoriesRequest: Promise<Category[]> | null = null;
+
+const loadCategories = () => {
+  if (!categoriesRequest) {
+    categoriesRequest = productsApi.getMeta()
+      .then((meta) => meta.categories)
+      .catch((err) => {
+        // Let the next page that needs them try again
+        categoriesRequest = null;
+        throw err;
+      });
+  }
+  return categoriesRequest;
+};
+
+/**
+ * The category tree from the backend, plus a flattened list for pickers and a
+ * lookup by name.
+ */
+export const useCategories = () => {
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    loadCategories()
+      .then((tree) => active && setCategories(tree))
+      .catch((err) => active && setError(describeError(err, 'Unable to load categories').message));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const options = useMemo(() => flattenCategories(categories), [categories]);
+
+  const findCategory = useMemo(() => {
+    const byName = new Map(options.map(({ category }) => [category.name, category]));
+    return (name: string) => byName.get(name);
+  }, [options]);
+
+  return { categories, options, findCategory, error };
+};
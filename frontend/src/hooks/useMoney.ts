@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+
+/**
+ * Money formatter for the signed-in user's locale. Amounts without a currency
+ * are taken to be in the user's preferred currency, as the backend's totals are.
+ */
+export const useMoney = () => {
+  const { currentUser } = useAuth();
+  const locale = currentUser?.locale;
+  const preferredCurrency = currentUser?.preferredCurrency ?? DEFAULT_CURRENCY;
+
+  return useCallback(
+    (amount: number, currency: string = preferredCurrency) => formatMoney(amount, currency, locale),
+    [locale, preferredCurrency]
+  );
+};
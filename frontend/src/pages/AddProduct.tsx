@@ -1,45 +1,64 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Upload } from 'lucide-react';
+import { ArrowLeft } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
-import { Category } from '../types';
-
-const categories: Category[] = [
-  'Electronics',
-  'Clothing',
-  'Furniture',
-  'Books',
-  'Sports',
-  'Home & Garden',
-  'Toys',
-  'Automotive',
-  'Other',
-];
-
-// Sample placeholder images for different categories
-const placeholderImages: Record<Category, string> = {
-  Electronics: 'https://images.pexels.com/photos/325153/pexels-photo-325153.jpeg',
-  Clothing: 'https://images.pexels.com/photos/298863/pexels-photo-298863.jpeg',
-  Furniture: 'https://images.pexels.com/photos/1350789/pexels-photo-1350789.jpeg',
-  Books: 'https://images.pexels.com/photos/256541/pexels-photo-256541.jpeg',
-  Sports: 'https://images.pexels.com/photos/863988/pexels-photo-863988.jpeg',
-  'Home & Garden': 'https://images.pexels.com/photos/1005058/pexels-photo-1005058.jpeg',
-  Toys: 'https://images.pexels.com/photos/163519/lego-blocks-bricks-toy-163519.jpeg',
-  Automotive: 'https://images.pexels.com/photos/120049/pexels-photo-120049.jpeg',
-  Other: 'https://images.pexels.com/photos/1126384/pexels-photo-1126384.jpeg',
-};
+import { useAuth } from '../contexts/AuthContext';
+import { ProductImage } from '../types';
+import { describeError, productsApi } from '../api';
+import { useCategories } from '../hooks/useCategories';
+import { categoryOptionLabel } from '../utils/categories';
+import {
+  AttributeFormValues,
+  toAttributeValues,
+  validateAttributeForm,
+} from '../utils/attributes';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import ErrorAlert from '../components/ErrorAlert';
+import ImageUploader from '../components/Products/ImageUploader';
+import DeliveryOptionsFields from '../components/Products/DeliveryOptionsFields';
+import AttributeFields from '../components/Products/AttributeFields';
+import {
+  DeliveryFormValues,
+  toDeliveryOptions,
+  validateDeliveryForm,
+} from '../utils/delivery';
 
 const AddProduct: React.FC = () => {
   const navigate = useNavigate();
   const { addProduct } = useApp();
+  const { currentUser } = useAuth();
+  const { options: categoryOptions, findCategory, error: categoriesError } = useCategories();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: 'Electronics' as Category,
+    category: '',
     price: '',
+    currency: currentUser?.preferredCurrency ?? DEFAULT_CURRENCY,
+  });
+  const [currencies, setCurrencies] = useState<string[]>([formData.currency]);
+  const [delivery, setDelivery] = useState<DeliveryFormValues>({
+    pickup: true,
+    shipping: false,
+    shippingFee: '',
+    location: '',
   });
+  const [images, setImages] = useState<ProductImage[]>([]);
+  const [attributeValues, setAttributeValues] = useState<AttributeFormValues>({});
+  const [uploading, setUploading] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+
+  useEffect(() => {
+    productsApi.getMeta()
+      .then((meta) => setCurrencies(meta.currencies))
+      // Listing in the preferred currency still works without the full list
+      .catch(() => {});
+  }, []);
+
+  // Subcategories include the attributes they inherit; unknown until the categories load
+  const selectedCategory = findCategory(formData.category);
+  const categoryAttributes = selectedCategory?.attributes ?? [];
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
@@ -49,7 +68,7 @@ const AddProduct: React.FC = () => {
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!formData.title || !formData.description || !formData.price) {
+    if (!formData.title || !formData.description || !formData.category || !formData.price) {
       setError('Please fill in all required fields');
       return;
     }
@@ -60,21 +79,42 @@ const AddProduct: React.FC = () => {
       return;
     }
 
+    const deliveryError = validateDeliveryForm(delivery);
+    if (deliveryError) {
+      setError(deliveryError);
+      return;
+    }
+
+    const attributeError = validateAttributeForm(attributeValues, categoryAttributes);
+    if (attributeError) {
+      setError(attributeError);
+      return;
+    }
+
     setLoading(true);
     setError('');
+    setErrorDetails([]);
+
+    const stockImage = selectedCategory?.image;
 
     try {
-      addProduct({
+      await addProduct({
         title: formData.title,
         description: formData.description,
         category: formData.category,
         price,
-        imageUrl: placeholderImages[formData.category],
-        isAvailable: true,
+        currency: formData.currency,
+        location: delivery.location.trim(),
+        ...(selectedCategory && { attributes: toAttributeValues(attributeValues, categoryAttributes) }),
+        delivery: toDeliveryOptions(delivery),
+        // Listings without photos fall back to a stock image for their category
+        ...(images.length > 0 ? { images } : stockImage ? { image: stockImage } : {}),
       });
       navigate('/my-listings');
     } catch (err) {
-      setError('Failed to create listing. Please try again.');
+      const { message, details } = describeError(err, 'Failed to create listing. Please try again.');
+      setError(message);
+      setErrorDetails(details);
     }
 
     setLoading(false);
@@ -98,11 +138,7 @@ const AddProduct: React.FC = () => {
 
       {/* Form */}
       <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-md p-6 space-y-6">
-        {error && (
-          <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
-            {error}
-          </div>
-        )}
+        <ErrorAlert message={error || categoriesError} details={errorDetails} />
 
         {/* Product Title */}
         <div>
@@ -134,14 +170,19 @@ const AddProduct: React.FC = () => {
             className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
             required
           >
-            {categories.map((category) => (
-              <option key={category} value={category}>
-                {category}
+            <option value="" disabled>
+              Select a category
+            </option>
+            {categoryOptions.map((option) => (
+              <option key={option.category.id} value={option.category.name}>
+                {categoryOptionLabel(option)}
               </option>
             ))}
           </select>
         </div>
 
+        <AttributeFields attributes={categoryAttributes} values={attributeValues} onChange={setAttributeValues} />
+
         {/* Description */}
         <div>
           <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
@@ -161,48 +202,60 @@ const AddProduct: React.FC = () => {
 
         {/* Price */}
         <div>
-          <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">
-            Price ($) *
-          </label>
-          <input
-            type="number"
-            id="price"
-            name="price"
-            value={formData.price}
-            onChange={handleInputChange}
-            step="0.01"
-            min="0"
-            className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
-            placeholder="0.00"
-            required
-          />
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">
+                Price *
+              </label>
+              <input
+                type="number"
+                id="price"
+                name="price"
+                value={formData.price}
+                onChange={handleInputChange}
+                step="0.01"
+                min="0"
+                className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                placeholder="0.00"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-2">
+                Currency
+              </label>
+              <select
+                id="currency"
+                name="currency"
+                value={formData.currency}
+                onChange={handleInputChange}
+                className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+              >
+                {currencies.map((currency) => (
+                  <option key={currency} value={currency}>
+                    {currency}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">The currency can't be changed once the item is listed.</p>
         </div>
 
-        {/* Image Placeholder */}
+        {/* Delivery */}
+        <DeliveryOptionsFields values={delivery} currency={formData.currency} onChange={setDelivery} />
+
+        {/* Images */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Product Image
+            Product Images
           </label>
-          <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
-            <div className="space-y-4">
-              <div className="w-32 h-32 mx-auto bg-gray-100 rounded-lg flex items-center justify-center">
-                <img
-                  src={placeholderImages[formData.category]}
-                  alt="Category preview"
-                  className="w-full h-full object-cover rounded-lg"
-                />
-              </div>
-              <div>
-                <Upload className="h-8 w-8 text-gray-400 mx-auto mb-2" />
-                <p className="text-sm text-gray-600">
-                  Image placeholder based on selected category
-                </p>
-                <p className="text-xs text-gray-500 mt-1">
-                  In a real application, you would upload your actual product images here
-                </p>
-              </div>
-            </div>
-          </div>
+          <ImageUploader images={images} onChange={setImages} onUploadingChange={setUploading} />
+          {images.length === 0 && selectedCategory?.image && (
+            <p className="text-xs text-gray-500 mt-2">
+              No photos yet? A stock image for {formData.category} will be used until you add some.
+            </p>
+          )}
         </div>
 
         {/* Submit Button */}
@@ -216,7 +269,7 @@ const AddProduct: React.FC = () => {
           </button>
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || uploading}
             className="flex-1 bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {loading ? 'Creating Listing...' : 'Submit Listing'}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Shield } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import UsersPanel from '../components/Admin/UsersPanel';
+import ListingsPanel from '../components/Admin/ListingsPanel';
+import PurchasesPanel from '../components/Admin/PurchasesPanel';
+import ReportsPanel from '../components/Admin/ReportsPanel';
+import ModerationLogPanel from '../components/Admin/ModerationLogPanel';
+
+type Tab = 'reports' | 'users' | 'listings' | 'purchases' | 'log';
+
+const Admin: React.FC = () => {
+  const { currentUser } = useAuth();
+  const [tab, setTab] = useState<Tab>('reports');
+
+  // Viewing every purchase is admin-only; moderators get everything else
+  const tabs: Array<{ id: Tab; label: string }> = [
+    { id: 'reports', label: 'Reports' },
+    { id: 'users', label: 'Users' },
+    { id: 'listings', label: 'Listings' },
+    ...(currentUser?.role === 'admin' ? [{ id: 'purchases' as Tab, label: 'Purchases' }] : []),
+    { id: 'log', label: 'Log' },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3">
+        <Shield className="h-7 w-7 text-emerald-600" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Moderation</h1>
+          <p className="text-gray-600 capitalize">Signed in as {currentUser?.role}</p>
+        </div>
+      </div>
+
+      <div className="flex gap-2 border-b border-gray-200">
+        {tabs.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              tab === id ? 'border-emerald-600 text-emerald-600' : 'border-transparent text-gray-600 hover:text-emerald-600'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'reports' && <ReportsPanel />}
+      {tab === 'users' && <UsersPanel />}
+      {tab === 'listings' && <ListingsPanel />}
+      {tab === 'purchases' && <PurchasesPanel />}
+      {tab === 'log' && <ModerationLogPanel />}
+    </div>
+  );
+};
+
+export default Admin;
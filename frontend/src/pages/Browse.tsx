@@ -1,31 +1,106 @@
-import React, { useState } from 'react';
-import { Search, Filter, Plus } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Search, Filter, Plus, Bookmark, MapPin } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useApp } from '../contexts/AppContext';
-import { Category, Product } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import { productsApi, savedSearchesApi, describeError } from '../api';
+import { DigestFrequency, Product, SavedSearch } from '../types';
+import { useCategories } from '../hooks/useCategories';
+import { categoryOptionLabel } from '../utils/categories';
 import ProductCard from '../components/Products/ProductCard';
 import ProductModal from '../components/Products/ProductModal';
+import FacetFilters from '../components/Products/FacetFilters';
+import ErrorAlert from '../components/ErrorAlert';
 
-const categories: (Category | 'All')[] = [
-  'All',
-  'Electronics',
-  'Clothing',
-  'Furniture',
-  'Books',
-  'Sports',
-  'Home & Garden',
-  'Toys',
-  'Automotive',
-  'Other',
-];
+// Radii offered by the "near me" filter, in kilometres
+const NEAR_RADIUS_OPTIONS = [5, 10, 25, 50, 100];
+// Delay before suggestions are fetched for what has been typed
+const SUGGEST_DEBOUNCE_MS = 200;
 
 const Browse: React.FC = () => {
   const navigate = useNavigate();
-  const { searchQuery, setSearchQuery, selectedCategory, setSelectedCategory, getFilteredProducts } = useApp();
+  const {
+    products: filteredProducts,
+    productsLoading,
+    productsError,
+    searchQuery,
+    setSearchQuery,
+    selectedCategory,
+    setSelectedCategory,
+    attributeFilters,
+    setAttributeFilter,
+    facets,
+    nearRadius,
+    setNearRadius,
+  } = useApp();
+  const { currentUser } = useAuth();
+  const { options: categoryOptions } = useCategories();
   const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [searchName, setSearchName] = useState('');
+  const [digestFrequency, setDigestFrequency] = useState<DigestFrequency>('never');
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [saveError, setSaveError] = useState<{ message: string; details: string[] }>({ message: '', details: [] });
+  const [suggestions, setSuggestions] = useState<string[]>([]);
 
-  const filteredProducts = getFilteredProducts();
+  const hasFilters = searchQuery.trim() !== '' || selectedCategory !== 'All';
+
+  useEffect(() => {
+    savedSearchesApi.list()
+      .then(setSavedSearches)
+      .catch((error) => console.error('Error loading saved searches:', error));
+  }, []);
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      productsApi.suggest(query)
+        .then(setSuggestions)
+        .catch(() => setSuggestions([]));
+    }, SUGGEST_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const openSaveForm = () => {
+    setSearchName([searchQuery.trim(), selectedCategory !== 'All' ? selectedCategory : ''].filter(Boolean).join(' in '));
+    setDigestFrequency('never');
+    setSaveError({ message: '', details: [] });
+    setShowSaveForm(true);
+  };
+
+  const handleSaveSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSavingSearch(true);
+    setSaveError({ message: '', details: [] });
+    try {
+      const saved = await savedSearchesApi.create({
+        name: searchName.trim(),
+        filters: {
+          search: searchQuery.trim() || undefined,
+          category: selectedCategory !== 'All' ? selectedCategory : undefined,
+        },
+        digestFrequency,
+      });
+      setSavedSearches(prev => [saved, ...prev]);
+      setShowSaveForm(false);
+    } catch (error) {
+      setSaveError(describeError(error, 'Unable to save search'));
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
+  const applySavedSearch = (search: SavedSearch) => {
+    setSearchQuery(search.filters.search ?? '');
+    setSelectedCategory(search.filters.category ?? 'All');
+    setShowSaveForm(false);
+  };
 
   const handleViewDetails = (product: Product) => {
     setSelectedProduct(product);
@@ -60,8 +135,14 @@ const Browse: React.FC = () => {
               placeholder="Search for items..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
+              list="search-suggestions"
               className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
             />
+            <datalist id="search-suggestions">
+              {suggestions.map((suggestion) => (
+                <option key={suggestion} value={suggestion} />
+              ))}
+            </datalist>
           </div>
 
           {/* Category Filter */}
@@ -70,27 +151,149 @@ const Browse: React.FC = () => {
               <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
               <select
                 value={selectedCategory}
-                onChange={(e) => setSelectedCategory(e.target.value as Category | 'All')}
+                onChange={(e) => setSelectedCategory(e.target.value)}
                 className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors appearance-none bg-white"
               >
-                {categories.map((category) => (
-                  <option key={category} value={category}>
-                    {category}
+                <option value="All">All</option>
+                {categoryOptions.map((option) => (
+                  <option key={option.category.id} value={option.category.name}>
+                    {categoryOptionLabel(option)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Distance Filter */}
+          <div className="lg:w-48">
+            <div className="relative">
+              <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+              <select
+                value={nearRadius ?? ''}
+                onChange={(e) => setNearRadius(e.target.value ? Number(e.target.value) : null)}
+                disabled={!currentUser?.locationFound}
+                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors appearance-none bg-white disabled:bg-gray-50 disabled:text-gray-400"
+              >
+                <option value="">Anywhere</option>
+                {NEAR_RADIUS_OPTIONS.map((radius) => (
+                  <option key={radius} value={radius}>
+                    Within {radius} km
                   </option>
                 ))}
               </select>
             </div>
           </div>
+
+          {hasFilters && !showSaveForm && (
+            <button
+              onClick={openSaveForm}
+              className="px-4 py-3 border border-emerald-600 text-emerald-600 rounded-lg font-medium hover:bg-emerald-50 transition-colors flex items-center justify-center space-x-2"
+            >
+              <Bookmark className="h-5 w-5" />
+              <span>Save Search</span>
+            </button>
+          )}
         </div>
+
+        {currentUser && !currentUser.locationFound && (
+          <p className="mt-2 text-sm text-gray-500">
+            <Link to="/dashboard" className="text-emerald-600 hover:text-emerald-700 font-medium">
+              Add your town or postcode
+            </Link>{' '}
+            to find items near you.
+          </p>
+        )}
+
+        {/* Attribute Filters */}
+        {selectedCategory !== 'All' && (
+          <FacetFilters
+            facets={facets}
+            selectedCategory={selectedCategory}
+            filters={attributeFilters}
+            onFilterChange={setAttributeFilter}
+            onCategoryChange={setSelectedCategory}
+          />
+        )}
+
+        {/* Save Search */}
+        {showSaveForm && (
+          <form onSubmit={handleSaveSearch} className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="text"
+                value={searchName}
+                onChange={(e) => setSearchName(e.target.value)}
+                maxLength={60}
+                placeholder="Name this search"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              />
+              <select
+                value={digestFrequency}
+                onChange={(e) => setDigestFrequency(e.target.value as DigestFrequency)}
+                className="sm:w-56 px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              >
+                <option value="never">No email digest</option>
+                <option value="daily">Daily email digest</option>
+                <option value="weekly">Weekly email digest</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">New listings matching this search will show up under your saved searches.</p>
+            <ErrorAlert message={saveError.message} details={saveError.details} />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={savingSearch || !searchName.trim()}
+                className="px-4 py-2 bg-emerald-600 text-white rounded-lg font-medium hover:bg-emerald-700 disabled:opacity-50"
+              >
+                {savingSearch ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowSaveForm(false)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Saved Searches */}
+        {savedSearches.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500">Saved searches:</span>
+            {savedSearches.map((search) => (
+              <button
+                key={search.id}
+                onClick={() => applySavedSearch(search)}
+                className="flex items-center gap-1 px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm hover:bg-emerald-50 hover:text-emerald-700"
+              >
+                {search.name}
+                {search.newMatchCount > 0 && (
+                  <span className="bg-emerald-600 text-white text-xs rounded-full px-1.5">
+                    {search.newMatchCount}
+                  </span>
+                )}
+              </button>
+            ))}
+            <Link to="/searches" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+              Manage
+            </Link>
+          </div>
+        )}
       </div>
 
       {/* Results Count */}
       <div className="flex justify-between items-center">
         <p className="text-gray-600">
-          {filteredProducts.length} {filteredProducts.length === 1 ? 'item' : 'items'} found
+          {productsLoading
+            ? 'Searching...'
+            : `${filteredProducts.length} ${filteredProducts.length === 1 ? 'item' : 'items'} found`}
         </p>
       </div>
 
+      {productsError && <ErrorAlert message={productsError} />}
+
       {/* Products Grid */}
       {filteredProducts.length > 0 ? (
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
@@ -115,6 +318,7 @@ const Browse: React.FC = () => {
             onClick={() => {
               setSearchQuery('');
               setSelectedCategory('All');
+              setNearRadius(null);
             }}
             className="text-emerald-600 hover:text-emerald-700 font-medium"
           >
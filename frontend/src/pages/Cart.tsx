@@ -1,20 +1,113 @@
-import React from 'react';
-import { Trash2, ShoppingBag, Plus, Minus } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Trash2, ShoppingBag, Truck } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useApp } from '../contexts/AppContext';
+import { ApiError, describeError, usersApi } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { Address, CartOrder, DeliveryMethod } from '../types';
+import { formatAddress } from '../utils/address';
+
+interface CheckoutConflict {
+  productId: string;
+  productTitle: string;
+  reason: string;
+}
+import ErrorAlert from '../components/ErrorAlert';
+
+// There is no card form yet, so checkout sends this token; the mock provider charges it
+const PAYMENT_METHOD = import.meta.env.VITE_PAYMENT_METHOD ?? 'mock_card_visa';
 
 const Cart: React.FC = () => {
   const navigate = useNavigate();
-  const { cart, removeFromCart, clearCart, purchaseCart } = useApp();
+  const { cart, cartTotal, removeFromCart, clearCart, purchaseCart } = useApp();
+  const formatMoney = useMoney();
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+  const [processing, setProcessing] = useState(false);
+  // Seller ID -> chosen delivery method; sellers not chosen yet use the default
+  const [deliveryChoices, setDeliveryChoices] = useState<Record<string, DeliveryMethod>>({});
+  const [addresses, setAddresses] = useState<Address[]>([]);
+  const [addressId, setAddressId] = useState('');
+
+  useEffect(() => {
+    usersApi.listAddresses()
+      .then((results) => {
+        setAddresses(results);
+        const preferred = results.find(address => address.isDefault) ?? results[0];
+        if (preferred) setAddressId(preferred.id);
+      })
+      .catch(() => {});
+  }, []);
 
-  const totalAmount = cart.reduce((total, item) => total + item.product.price * item.quantity, 0);
+  // Matches the backend default: pickup where every listing offers it
+  const methodFor = (order: CartOrder): DeliveryMethod | undefined =>
+    deliveryChoices[order.sellerId] ??
+    (order.deliveryMethods.includes('pickup') ? 'pickup' : order.deliveryMethods[0]);
+
+  const shippedOrders = cartTotal.orders.filter(order => methodFor(order) === 'shipping');
+  const shippingTotal = shippedOrders.reduce((sum, order) => sum + order.convertedShippingFee, 0);
+  const undeliverable = cartTotal.orders.filter(order => order.deliveryMethods.length === 0);
+  const needsAddress = shippedOrders.length > 0 && !addressId;
+  const charges = cartTotal.charges.map(charge => ({
+    ...charge,
+    amount: shippedOrders
+      .filter(order => order.currency === charge.currency)
+      .reduce((sum, order) => sum + order.shippingFee, charge.amount),
+  }));
+
+  const showError = (err: unknown, fallback: string) => {
+    const { message, details } = describeError(err, fallback);
+    // A 409 from checkout lists the items another buyer reserved first
+    const conflicts = err instanceof ApiError ? (err.body.conflicts as CheckoutConflict[] | undefined) : undefined;
+    setError(message);
+    setErrorDetails(conflicts ? conflicts.map(conflict => `${conflict.productTitle}: ${conflict.reason}`) : details);
+  };
 
-  const handlePurchase = () => {
+  const handlePurchase = async () => {
     if (cart.length === 0) return;
     
     if (window.confirm('Confirm your purchase?')) {
-      purchaseCart();
-      navigate('/purchases');
+      setProcessing(true);
+      setError('');
+      setErrorDetails([]);
+      try {
+        const { failed } = await purchaseCart({
+          deliveryMethods: Object.fromEntries(
+            cartTotal.orders.flatMap(order => {
+              const method = methodFor(order);
+              return method ? [[order.sellerId, method]] : [];
+            })
+          ),
+          addressId: shippedOrders.length > 0 ? addressId : undefined,
+          paymentMethod: PAYMENT_METHOD,
+        });
+        if (failed.length > 0) {
+          // Paid orders went through; the unpaid ones are still in the cart to retry
+          setError('Some orders could not be paid for and are still in your cart.');
+          setErrorDetails(failed.map(purchase => `${purchase.sellerName}: ${purchase.paymentError || 'Payment failed'}`));
+        } else {
+          navigate('/purchases');
+        }
+      } catch (err) {
+        showError(err, 'Unable to complete your purchase');
+      }
+      setProcessing(false);
+    }
+  };
+
+  const handleRemove = async (cartItemId: string) => {
+    try {
+      await removeFromCart(cartItemId);
+    } catch (err) {
+      showError(err, 'Unable to remove item from cart');
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearCart();
+    } catch (err) {
+      showError(err, 'Unable to clear cart');
     }
   };
 
@@ -26,6 +119,8 @@ const Cart: React.FC = () => {
         <p className="text-gray-600 mt-1">Review your items before checkout</p>
       </div>
 
+      <ErrorAlert message={error} details={errorDetails} />
+
       {cart.length > 0 ? (
         <div className="grid lg:grid-cols-3 gap-6">
           {/* Cart Items */}
@@ -35,7 +130,7 @@ const Cart: React.FC = () => {
                 <div className="flex flex-col sm:flex-row">
                   <div className="w-full sm:w-32 h-32">
                     <img
-                      src={item.product.imageUrl}
+                      src={item.product.thumbnailUrl}
                       alt={item.product.title}
                       className="w-full h-full object-cover"
                     />
@@ -50,18 +145,30 @@ const Cart: React.FC = () => {
                           <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full text-xs font-medium">
                             {item.product.category}
                           </span>
-                          <span className="text-lg font-bold text-emerald-600">${item.product.price}</span>
+                          <span className="text-lg font-bold text-emerald-600">
+                            {formatMoney(item.unitPrice, item.product.currency)}
+                          </span>
+                          {item.offerPrice !== null && (
+                            <>
+                              <span className="text-sm text-gray-500 line-through">
+                                {formatMoney(item.product.price, item.product.currency)}
+                              </span>
+                              <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full text-xs font-medium">
+                                Offer accepted
+                              </span>
+                            </>
+                          )}
                         </div>
                         <div className="flex items-center gap-3">
                           <span className="text-sm text-gray-600">Quantity: {item.quantity}</span>
                           <span className="text-sm font-medium text-gray-900">
-                            Total: ${(item.product.price * item.quantity).toFixed(2)}
+                            Total: {formatMoney(item.unitPrice * item.quantity, item.product.currency)}
                           </span>
                         </div>
                       </div>
                       
                       <button
-                        onClick={() => removeFromCart(item.product.id)}
+                        onClick={() => handleRemove(item.id)}
                         className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
                       >
                         <Trash2 className="h-5 w-5" />
@@ -71,6 +178,76 @@ const Cart: React.FC = () => {
                 </div>
               </div>
             ))}
+
+            {/* Delivery */}
+            <div className="bg-white rounded-xl shadow-md p-6 space-y-4">
+              <div className="flex items-center space-x-2">
+                <Truck className="h-5 w-5 text-gray-400" />
+                <h2 className="text-lg font-semibold text-gray-900">Delivery</h2>
+              </div>
+
+              {cartTotal.orders.map(order => (
+                <div key={`${order.sellerId}:${order.currency}`} className="border border-gray-100 rounded-lg p-4">
+                  <p className="text-sm font-medium text-gray-900 mb-2">From {order.sellerName}</p>
+                  {order.deliveryMethods.length === 0 ? (
+                    <p className="text-sm text-red-600">
+                      These items have no delivery option in common. Remove one and buy it separately.
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {order.deliveryMethods.map(method => (
+                        <label key={method} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="radio"
+                            name={`delivery-${order.sellerId}-${order.currency}`}
+                            checked={methodFor(order) === method}
+                            onChange={() => setDeliveryChoices(prev => ({ ...prev, [order.sellerId]: method }))}
+                            className="h-4 w-4 text-emerald-600 border-gray-300"
+                          />
+                          {method === 'pickup' ? (
+                            <span>Pick up{order.pickupLocation && ` in ${order.pickupLocation}`}</span>
+                          ) : (
+                            <span>
+                              Shipped by the seller ·{' '}
+                              {order.shippingFee > 0 ? formatMoney(order.shippingFee, order.currency) : 'Free'}
+                            </span>
+                          )}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {shippedOrders.length > 0 && (
+                addresses.length > 0 ? (
+                  <div>
+                    <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-2">
+                      Ship to
+                    </label>
+                    <select
+                      id="address"
+                      value={addressId}
+                      onChange={(e) => setAddressId(e.target.value)}
+                      className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                    >
+                      {addresses.map(address => (
+                        <option key={address.id} value={address.id}>
+                          {address.fullName}, {formatAddress(address)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600">
+                    <Link to="/dashboard" className="text-emerald-600 hover:text-emerald-700 font-medium">
+                      Add a delivery address
+                    </Link>{' '}
+                    to have items shipped.
+                  </p>
+                )
+              )}
+            </div>
           </div>
 
           {/* Order Summary */}
@@ -81,30 +258,49 @@ const Cart: React.FC = () => {
               <div className="space-y-3 mb-6">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Items ({cart.length})</span>
-                  <span className="font-medium">${totalAmount.toFixed(2)}</span>
+                  <span className="font-medium">{formatMoney(cartTotal.amount, cartTotal.currency)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Shipping</span>
-                  <span className="font-medium text-green-600">Free</span>
+                  {shippedOrders.length === 0 ? (
+                    <span className="font-medium text-gray-600">Pickup</span>
+                  ) : shippingTotal > 0 ? (
+                    <span className="font-medium">{formatMoney(shippingTotal, cartTotal.currency)}</span>
+                  ) : (
+                    <span className="font-medium text-green-600">Free</span>
+                  )}
                 </div>
                 <hr />
                 <div className="flex justify-between text-lg font-bold">
                   <span>Total</span>
-                  <span className="text-emerald-600">${totalAmount.toFixed(2)}</span>
+                  <span className="text-emerald-600">{formatMoney(cartTotal.amount + shippingTotal, cartTotal.currency)}</span>
                 </div>
+                {/* Sellers are paid in their listing currency, converted at the current rate */}
+                {charges.some(charge => charge.currency !== cartTotal.currency) && (
+                  <div className="text-sm text-gray-600 space-y-1">
+                    <p>You will be charged:</p>
+                    {charges.map(charge => (
+                      <div key={charge.currency} className="flex justify-between">
+                        <span>{charge.currency}</span>
+                        <span className="font-medium">{formatMoney(charge.amount, charge.currency)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="space-y-3">
                 <button
                   onClick={handlePurchase}
-                  className="w-full bg-emerald-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-emerald-700 transition-colors flex items-center justify-center space-x-2"
+                  disabled={processing || needsAddress || undeliverable.length > 0}
+                  className="w-full bg-emerald-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-emerald-700 transition-colors flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ShoppingBag className="h-5 w-5" />
-                  <span>Complete Purchase</span>
+                  <span>{processing ? 'Processing...' : 'Complete Purchase'}</span>
                 </button>
                 
                 <button
-                  onClick={clearCart}
+                  onClick={handleClear}
                   className="w-full border border-gray-300 text-gray-700 py-3 px-4 rounded-lg font-medium hover:bg-gray-50 transition-colors"
                 >
                   Clear Cart
@@ -1,38 +1,85 @@
-import React, { useState } from 'react';
-import { User, Edit, Save, X, Calendar, Mail, Phone, MapPin, MessageCircle } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { User, Edit, Save, X, Calendar, Mail, Image, MessageCircle, Package, DollarSign, ShoppingBag, Eye, Globe, Phone, MapPin } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { usersApi, productsApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { UserStats } from '../types';
+import ErrorAlert from '../components/ErrorAlert';
+import BarChart from '../components/Dashboard/BarChart';
+import ChangePasswordForm from '../components/Account/ChangePasswordForm';
+import ActiveSessions from '../components/Account/ActiveSessions';
+import NotificationSettings from '../components/Account/NotificationSettings';
+import DeleteAccountSection from '../components/Account/DeleteAccountSection';
+import AddressBook from '../components/Account/AddressBook';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 const Dashboard: React.FC = () => {
   const { currentUser, updateUser } = useAuth();
+  const formatMoney = useMoney();
   const [isEditing, setIsEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
   const [formData, setFormData] = useState({
     username: currentUser?.username || '',
-    fullName: currentUser?.fullName || '',
-    email: currentUser?.email || '',
-    phone: currentUser?.phone || '',
-    address: currentUser?.address || '',
     bio: currentUser?.bio || '',
+    avatar: currentUser?.avatar || '',
+    phone: currentUser?.phone || '',
+    preferredCurrency: currentUser?.preferredCurrency || '',
+    locale: currentUser?.locale || '',
+    location: currentUser?.location || '',
   });
+  const [currencies, setCurrencies] = useState<string[]>(currentUser ? [currentUser.preferredCurrency] : []);
+  const [stats, setStats] = useState<UserStats | null>(null);
+  const [statsError, setStatsError] = useState('');
+
+  // Totals come back in the preferred currency, so reload them when it changes
+  const preferredCurrency = currentUser?.preferredCurrency;
+  useEffect(() => {
+    usersApi.getStats()
+      .then(setStats)
+      .catch((err) => setStatsError(describeError(err, 'Unable to load your statistics').message));
+  }, [preferredCurrency]);
+
+  useEffect(() => {
+    productsApi.getMeta()
+      .then((meta) => setCurrencies(meta.currencies))
+      .catch(() => {});
+  }, []);
 
-  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleSave = () => {
-    updateUser(formData);
-    setIsEditing(false);
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setErrorDetails([]);
+    try {
+      await updateUser(formData);
+      setIsEditing(false);
+    } catch (err) {
+      const { message, details } = describeError(err, 'Failed to update profile');
+      setError(message);
+      setErrorDetails(details);
+    }
+    setSaving(false);
   };
 
   const handleCancel = () => {
     setFormData({
       username: currentUser?.username || '',
-      fullName: currentUser?.fullName || '',
-      email: currentUser?.email || '',
-      phone: currentUser?.phone || '',
-      address: currentUser?.address || '',
       bio: currentUser?.bio || '',
+      avatar: currentUser?.avatar || '',
+      phone: currentUser?.phone || '',
+      preferredCurrency: currentUser?.preferredCurrency || '',
+      locale: currentUser?.locale || '',
+      location: currentUser?.location || '',
     });
+    setError('');
+    setErrorDetails([]);
     setIsEditing(false);
   };
 
@@ -44,7 +91,7 @@ const Dashboard: React.FC = () => {
       <div className="flex justify-between items-center">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">User Dashboard</h1>
-          <p className="text-gray-600 mt-1">Manage your profile and account settings</p>
+          <p className="text-gray-600 mt-1">Track your activity and manage your account</p>
         </div>
         {!isEditing && (
           <button
@@ -62,11 +109,15 @@ const Dashboard: React.FC = () => {
         {/* Header Section */}
         <div className="bg-gradient-to-r from-emerald-500 to-teal-600 px-6 py-8 text-white">
           <div className="flex items-center space-x-4">
-            <div className="w-20 h-20 bg-white bg-opacity-20 rounded-full flex items-center justify-center">
-              <User className="h-10 w-10" />
+            <div className="w-20 h-20 bg-white bg-opacity-20 rounded-full flex items-center justify-center overflow-hidden">
+              {currentUser.avatar ? (
+                <img src={currentUser.avatar} alt={currentUser.username} className="w-full h-full object-cover" />
+              ) : (
+                <User className="h-10 w-10" />
+              )}
             </div>
             <div>
-              <h2 className="text-2xl font-bold">{currentUser.fullName || currentUser.username}</h2>
+              <h2 className="text-2xl font-bold">{currentUser.username}</h2>
               <p className="text-emerald-100">@{currentUser.username}</p>
               <div className="flex items-center space-x-2 mt-2 text-sm text-emerald-100">
                 <Calendar className="h-4 w-4" />
@@ -80,6 +131,8 @@ const Dashboard: React.FC = () => {
         <div className="p-6">
           {isEditing ? (
             <div className="space-y-6">
+              <ErrorAlert message={error} details={errorDetails} />
+
               <div className="grid md:grid-cols-2 gap-6">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -95,55 +148,82 @@ const Dashboard: React.FC = () => {
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Full Name
+                    Avatar URL
                   </label>
                   <input
-                    type="text"
-                    name="fullName"
-                    value={formData.fullName}
+                    type="url"
+                    name="avatar"
+                    value={formData.avatar}
                     onChange={handleInputChange}
+                    placeholder="https://example.com/avatar.jpg"
                     className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
                   />
                 </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-6">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Email Address
+                    Phone
                   </label>
                   <input
-                    type="email"
-                    name="email"
-                    value={formData.email}
+                    type="tel"
+                    name="phone"
+                    value={formData.phone}
                     onChange={handleInputChange}
+                    placeholder="+44 20 7946 0958"
                     className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
                   />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Phone Number
+                    Location
                   </label>
                   <input
-                    type="tel"
-                    name="phone"
-                    value={formData.phone}
+                    type="text"
+                    name="location"
+                    value={formData.location}
                     onChange={handleInputChange}
-                    placeholder="Enter your phone number"
+                    placeholder="Town or postcode, e.g. Camden, London"
                     className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
                   />
+                  <p className="text-xs text-gray-500 mt-1">Used to find listings near you</p>
                 </div>
               </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Address
-                </label>
-                <input
-                  type="text"
-                  name="address"
-                  value={formData.address}
-                  onChange={handleInputChange}
-                  placeholder="Enter your address"
-                  className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
-                />
+
+              <div className="grid md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Display Currency
+                  </label>
+                  <select
+                    name="preferredCurrency"
+                    value={formData.preferredCurrency}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                  >
+                    {currencies.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Totals and stats are converted to this currency</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Locale
+                  </label>
+                  <input
+                    type="text"
+                    name="locale"
+                    value={formData.locale}
+                    onChange={handleInputChange}
+                    placeholder="en-US"
+                    className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Controls how prices are written, e.g. {formatMoney(1234.5)}</p>
+                </div>
               </div>
 
               <div>
@@ -163,10 +243,11 @@ const Dashboard: React.FC = () => {
               <div className="flex gap-4">
                 <button
                   onClick={handleSave}
-                  className="flex-1 bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors flex items-center justify-center space-x-2"
+                  disabled={saving}
+                  className="flex-1 bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <Save className="h-5 w-5" />
-                  <span>Save Changes</span>
+                  <span>{saving ? 'Saving...' : 'Save Changes'}</span>
                 </button>
                 <button
                   onClick={handleCancel}
@@ -202,20 +283,30 @@ const Dashboard: React.FC = () => {
                       <p className="font-medium text-gray-900">{currentUser.phone || 'Not provided'}</p>
                     </div>
                   </div>
+                  <div className="flex items-center space-x-3">
+                    <MapPin className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <p className="text-sm text-gray-600">Location</p>
+                      <p className="font-medium text-gray-900">{currentUser.location || 'Not provided'}</p>
+                      {currentUser.location && !currentUser.locationFound && (
+                        <p className="text-xs text-amber-600">We don't recognise this place, so searching near you won't work. Try a nearby town or postcode.</p>
+                      )}
+                    </div>
+                  </div>
                 </div>
                 <div className="space-y-4">
-                  <div className="flex items-start space-x-3">
-                    <User className="h-5 w-5 text-gray-400 mt-1" />
+                  <div className="flex items-center space-x-3">
+                    <Globe className="h-5 w-5 text-gray-400" />
                     <div>
-                      <p className="text-sm text-gray-600">Full Name</p>
-                      <p className="font-medium text-gray-900">{currentUser.fullName || 'Not provided'}</p>
+                      <p className="text-sm text-gray-600">Currency and locale</p>
+                      <p className="font-medium text-gray-900">{currentUser.preferredCurrency} · {currentUser.locale}</p>
                     </div>
                   </div>
                   <div className="flex items-start space-x-3">
-                    <MapPin className="h-5 w-5 text-gray-400 mt-1" />
-                    <div>
-                      <p className="text-sm text-gray-600">Address</p>
-                      <p className="font-medium text-gray-900">{currentUser.address || 'Not provided'}</p>
+                    <Image className="h-5 w-5 text-gray-400 mt-1" />
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-600">Avatar</p>
+                      <p className="font-medium text-gray-900 truncate">{currentUser.avatar || 'Not provided'}</p>
                     </div>
                   </div>
                 </div>
@@ -235,21 +326,104 @@ const Dashboard: React.FC = () => {
         </div>
       </div>
 
-      {/* Stats Card */}
-      <div className="grid md:grid-cols-3 gap-6">
-        <div className="bg-white rounded-xl shadow-md p-6 text-center">
-          <div className="text-2xl font-bold text-emerald-600 mb-2">0</div>
-          <div className="text-gray-600">Items Listed</div>
-        </div>
-        <div className="bg-white rounded-xl shadow-md p-6 text-center">
-          <div className="text-2xl font-bold text-blue-600 mb-2">0</div>
-          <div className="text-gray-600">Items Sold</div>
-        </div>
-        <div className="bg-white rounded-xl shadow-md p-6 text-center">
-          <div className="text-2xl font-bold text-purple-600 mb-2">0</div>
-          <div className="text-gray-600">Purchases</div>
-        </div>
-      </div>
+      {/* Stats */}
+      <ErrorAlert message={statsError} />
+      {stats && (
+        <>
+          <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <div className="flex items-center gap-2 text-gray-600 mb-2">
+                <Package className="h-5 w-5" />
+                <span>Items Listed</span>
+              </div>
+              <div className="text-2xl font-bold text-emerald-600">{stats.listings.total}</div>
+              <div className="text-sm text-gray-500 mt-1">{stats.listings.active} active</div>
+            </div>
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <div className="flex items-center gap-2 text-gray-600 mb-2">
+                <DollarSign className="h-5 w-5" />
+                <span>Items Sold</span>
+              </div>
+              <div className="text-2xl font-bold text-blue-600">{stats.sales.itemsSold}</div>
+              <div className="text-sm text-gray-500 mt-1">{formatMoney(stats.sales.totalRevenue, stats.currency)} revenue</div>
+            </div>
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <div className="flex items-center gap-2 text-gray-600 mb-2">
+                <ShoppingBag className="h-5 w-5" />
+                <span>Purchases</span>
+              </div>
+              <div className="text-2xl font-bold text-purple-600">{stats.purchases.totalPurchases}</div>
+              <div className="text-sm text-gray-500 mt-1">{formatMoney(stats.purchases.totalSpent, stats.currency)} spent</div>
+            </div>
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <div className="flex items-center gap-2 text-gray-600 mb-2">
+                <Eye className="h-5 w-5" />
+                <span>Listing Views</span>
+              </div>
+              <div className="text-2xl font-bold text-teal-600">{stats.listings.totalViews}</div>
+            </div>
+          </div>
+
+          <BarChart
+            title="Revenue and Spending"
+            labels={stats.trends.map(trend => MONTHS[parseInt(trend.month.slice(5)) - 1])}
+            series={[
+              { name: 'Revenue', className: 'bg-emerald-500', values: stats.trends.map(trend => trend.revenue) },
+              { name: 'Spent', className: 'bg-purple-400', values: stats.trends.map(trend => trend.spent) },
+            ]}
+            formatValue={(value) => formatMoney(value, stats.currency)}
+          />
+
+          <div className="grid lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <BarChart
+                title="Listed and Sold"
+                labels={stats.trends.map(trend => MONTHS[parseInt(trend.month.slice(5)) - 1])}
+                series={[
+                  { name: 'Listed', className: 'bg-teal-400', values: stats.trends.map(trend => trend.listed) },
+                  { name: 'Sold', className: 'bg-blue-500', values: stats.trends.map(trend => trend.itemsSold) },
+                ]}
+              />
+            </div>
+
+            {/* Listing Status */}
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Listing Status</h2>
+              {stats.listings.total > 0 ? (
+                <div className="space-y-4">
+                  <div className="flex h-4 rounded-full overflow-hidden bg-gray-100">
+                    <div className="bg-emerald-500" style={{ width: `${(stats.listings.active / stats.listings.total) * 100}%` }} />
+                    <div className="bg-blue-500" style={{ width: `${(stats.listings.sold / stats.listings.total) * 100}%` }} />
+                    <div className="bg-gray-400" style={{ width: `${(stats.listings.hidden / stats.listings.total) * 100}%` }} />
+                  </div>
+                  {[
+                    { label: 'Active', value: stats.listings.active, className: 'bg-emerald-500' },
+                    { label: 'Sold', value: stats.listings.sold, className: 'bg-blue-500' },
+                    { label: 'Hidden', value: stats.listings.hidden, className: 'bg-gray-400' },
+                  ].map(({ label, value, className }) => (
+                    <div key={label} className="flex items-center justify-between text-sm">
+                      <span className="flex items-center gap-2 text-gray-600">
+                        <span className={`w-3 h-3 rounded-sm ${className}`} />
+                        {label}
+                      </span>
+                      <span className="font-medium text-gray-900">{value}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-600">You haven't listed anything yet</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Account Settings */}
+      <AddressBook />
+      <ChangePasswordForm />
+      <NotificationSettings />
+      <ActiveSessions />
+      <DeleteAccountSection />
     </div>
   );
 };
@@ -2,33 +2,51 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { ArrowLeft } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
-import { Category } from '../types';
-
-const categories: Category[] = [
-  'Electronics',
-  'Clothing',
-  'Furniture',
-  'Books',
-  'Sports',
-  'Home & Garden',
-  'Toys',
-  'Automotive',
-  'Other',
-];
+import { ProductImage } from '../types';
+import { describeError } from '../api';
+import { useCategories } from '../hooks/useCategories';
+import { categoryOptionLabel } from '../utils/categories';
+import {
+  AttributeFormValues,
+  toAttributeFormValues,
+  toAttributeValues,
+  validateAttributeForm,
+} from '../utils/attributes';
+import ErrorAlert from '../components/ErrorAlert';
+import ImageUploader from '../components/Products/ImageUploader';
+import DeliveryOptionsFields from '../components/Products/DeliveryOptionsFields';
+import AttributeFields from '../components/Products/AttributeFields';
+import {
+  DeliveryFormValues,
+  toDeliveryFormValues,
+  toDeliveryOptions,
+  validateDeliveryForm,
+} from '../utils/delivery';
 
 const EditProduct: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
-  const { products, updateProduct } = useApp();
+  const { myProducts, myProductsLoaded, updateProduct } = useApp();
+  const { options: categoryOptions, findCategory, error: categoriesError } = useCategories();
+  const [images, setImages] = useState<ProductImage[]>([]);
+  const [attributeValues, setAttributeValues] = useState<AttributeFormValues>({});
+  const [delivery, setDelivery] = useState<DeliveryFormValues>({
+    pickup: true,
+    shipping: false,
+    shippingFee: '',
+    location: '',
+  });
+  const [uploading, setUploading] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
 
-  const product = products.find(p => p.id === id);
+  const product = myProducts.find(p => p.id === id);
 
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: 'Electronics' as Category,
+    category: '',
     price: '',
   });
 
@@ -40,11 +58,21 @@ const EditProduct: React.FC = () => {
         category: product.category,
         price: product.price.toString(),
       });
-    } else if (id) {
+      setDelivery(toDeliveryFormValues(product.delivery, product.location));
+      setAttributeValues(toAttributeFormValues(product.attributes));
+      // Listings created before uploads only have a single image URL
+      setImages(product.images.length > 0
+        ? product.images
+        : product.imageUrl ? [{ url: product.imageUrl, thumbnailUrl: product.imageUrl }] : []);
+    } else if (id && myProductsLoaded) {
       // Product not found, redirect to listings
       navigate('/my-listings');
     }
-  }, [product, id, navigate]);
+  }, [product, id, myProductsLoaded, navigate]);
+
+  // Subcategories include the attributes they inherit; unknown until the categories load
+  const selectedCategory = findCategory(formData.category);
+  const categoryAttributes = selectedCategory?.attributes ?? [];
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
@@ -65,19 +93,38 @@ const EditProduct: React.FC = () => {
       return;
     }
 
+    const deliveryError = validateDeliveryForm(delivery);
+    if (deliveryError) {
+      setError(deliveryError);
+      return;
+    }
+
+    const attributeError = validateAttributeForm(attributeValues, categoryAttributes);
+    if (attributeError) {
+      setError(attributeError);
+      return;
+    }
+
     setLoading(true);
     setError('');
+    setErrorDetails([]);
 
     try {
-      updateProduct(id!, {
+      await updateProduct(id!, {
         title: formData.title,
         description: formData.description,
         category: formData.category,
         price,
+        images,
+        location: delivery.location.trim(),
+        ...(selectedCategory && { attributes: toAttributeValues(attributeValues, categoryAttributes) }),
+        delivery: toDeliveryOptions(delivery),
       });
       navigate('/my-listings');
     } catch (err) {
-      setError('Failed to update listing. Please try again.');
+      const { message, details } = describeError(err, 'Failed to update listing. Please try again.');
+      setError(message);
+      setErrorDetails(details);
     }
 
     setLoading(false);
@@ -105,11 +152,7 @@ const EditProduct: React.FC = () => {
 
       {/* Form */}
       <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-md p-6 space-y-6">
-        {error && (
-          <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
-            {error}
-          </div>
-        )}
+        <ErrorAlert message={error || categoriesError} details={errorDetails} />
 
         {/* Product Title */}
         <div>
@@ -141,14 +184,20 @@ const EditProduct: React.FC = () => {
             className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
             required
           >
-            {categories.map((category) => (
-              <option key={category} value={category}>
-                {category}
+            {/* A category that has since been retired stays selectable for listings already in it */}
+            {formData.category && categoryOptions.length > 0 && !findCategory(formData.category) && (
+              <option value={formData.category}>{formData.category}</option>
+            )}
+            {categoryOptions.map((option) => (
+              <option key={option.category.id} value={option.category.name}>
+                {categoryOptionLabel(option)}
               </option>
             ))}
           </select>
         </div>
 
+        <AttributeFields attributes={categoryAttributes} values={attributeValues} onChange={setAttributeValues} />
+
         {/* Description */}
         <div>
           <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
@@ -169,7 +218,7 @@ const EditProduct: React.FC = () => {
         {/* Price */}
         <div>
           <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">
-            Price ($) *
+            Price ({product?.currency}) *
           </label>
           <input
             type="number"
@@ -185,21 +234,15 @@ const EditProduct: React.FC = () => {
           />
         </div>
 
-        {/* Current Image Display */}
+        {/* Delivery */}
+        <DeliveryOptionsFields values={delivery} currency={product.currency} onChange={setDelivery} />
+
+        {/* Images */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Current Image
+            Product Images
           </label>
-          <div className="w-32 h-32 bg-gray-100 rounded-lg overflow-hidden">
-            <img
-              src={product.imageUrl}
-              alt={product.title}
-              className="w-full h-full object-cover"
-            />
-          </div>
-          <p className="text-xs text-gray-500 mt-1">
-            Image editing is not available in this demo version
-          </p>
+          <ImageUploader images={images} onChange={setImages} onUploadingChange={setUploading} />
         </div>
 
         {/* Submit Buttons */}
@@ -213,7 +256,7 @@ const EditProduct: React.FC = () => {
           </button>
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || uploading}
             className="flex-1 bg-emerald-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {loading ? 'Updating...' : 'Update Listing'}
@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { MessageCircle, Lock, Send, ArrowLeft, Ban } from 'lucide-react';
+import { conversationsApi, usersApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { Conversation, Message } from '../types';
+import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/AuthContext';
+import ErrorAlert from '../components/ErrorAlert';
+
+// How often an open thread checks for replies
+const THREAD_POLL_MS = 15000;
+
+const formatTime = (value: string) => {
+  const date = new Date(value);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const Inbox: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { refreshUnreadCount } = useApp();
+  const formatMoney = useMoney();
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [listLoading, setListLoading] = useState(true);
+  const [active, setActive] = useState<Conversation | null>(null);
+  const [messages, setMessages] = useState<Message[]>([]);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState<string[]>([]);
+  const bottomRef = useRef<HTMLDivElement>(null);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const { conversations: results } = await conversationsApi.list(1, 50);
+      setConversations(results);
+    } catch (err) {
+      setError(describeError(err, 'Unable to load conversations').message);
+    } finally {
+      setListLoading(false);
+    }
+  }, []);
+
+  const loadThread = useCallback(async (conversationId: string) => {
+    try {
+      const { conversation, messages: results } = await conversationsApi.get(conversationId);
+      setActive(conversation);
+      setMessages(results);
+      // Opening the thread marks it read on the server
+      setConversations(prev => prev.map(item => (
+        item.id === conversation.id ? { ...conversation, unreadCount: 0 } : item
+      )));
+      refreshUnreadCount().catch(() => undefined);
+    } catch (err) {
+      setError(describeError(err, 'Unable to load conversation').message);
+      setActive(null);
+    }
+  }, [refreshUnreadCount]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  useEffect(() => {
+    if (!id) {
+      setActive(null);
+      setMessages([]);
+      return;
+    }
+
+    loadThread(id);
+    const timer = setInterval(() => loadThread(id), THREAD_POLL_MS);
+    return () => clearInterval(timer);
+  }, [id, loadThread]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!active || !draft.trim()) return;
+
+    setSending(true);
+    setError('');
+    setErrorDetails([]);
+    try {
+      const message = await conversationsApi.send(active.id, draft.trim());
+      setMessages(prev => [...prev, message]);
+      setDraft('');
+      loadConversations();
+    } catch (err) {
+      const { message, details } = describeError(err, 'Unable to send message');
+      setError(message);
+      setErrorDetails(details);
+      // The thread may have been locked since it was opened
+      loadThread(active.id);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleToggleBlock = async () => {
+    if (!active || !active.counterpartId) return;
+
+    const isBlocked = active.lockReason === 'blocked';
+    if (!isBlocked && !window.confirm(`Block ${active.counterpartName}? Neither of you will be able to send messages.`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      if (isBlocked) {
+        await usersApi.unblockUser(active.counterpartId);
+      } else {
+        await usersApi.blockUser(active.counterpartId);
+      }
+      await Promise.all([loadThread(active.id), loadConversations()]);
+    } catch (err) {
+      setError(describeError(err, isBlocked ? 'Unable to unblock user' : 'Unable to block user').message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Inbox</h1>
+        <p className="text-gray-600 mt-1">Messages with buyers and sellers about listings</p>
+      </div>
+
+      <ErrorAlert message={error} details={errorDetails} />
+
+      <div className="bg-white rounded-xl shadow-md overflow-hidden grid md:grid-cols-3 min-h-[32rem]">
+        {/* Conversation List */}
+        <div className={`border-r border-gray-200 ${id ? 'hidden md:block' : ''}`}>
+          {listLoading ? (
+            <p className="p-6 text-sm text-gray-500">Loading conversations...</p>
+          ) : conversations.length === 0 ? (
+            <div className="p-6 text-center">
+              <MessageCircle className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-600">No conversations yet</p>
+              <p className="text-xs text-gray-500 mt-1">Message a seller from any listing to get started</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {conversations.map((conversation) => (
+                <li key={conversation.id}>
+                  <Link
+                    to={`/inbox/${conversation.id}`}
+                    className={`flex items-center gap-3 p-4 hover:bg-gray-50 transition-colors ${
+                      conversation.id === id ? 'bg-emerald-50' : ''
+                    }`}
+                  >
+                    <img
+                      src={conversation.productImageUrl}
+                      alt={conversation.productTitle}
+                      className="w-12 h-12 object-cover rounded flex-shrink-0"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex justify-between items-baseline gap-2">
+                        <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'font-semibold text-gray-900' : 'text-gray-800'}`}>
+                          {conversation.counterpartName}
+                        </p>
+                        <span className="text-xs text-gray-500 flex-shrink-0">{formatTime(conversation.lastMessageAt)}</span>
+                      </div>
+                      <p className="text-xs text-gray-500 truncate">{conversation.productTitle}</p>
+                      <p className="text-xs text-gray-600 truncate">
+                        {conversation.lockReason && <Lock className="inline h-3 w-3 mr-1" />}
+                        {conversation.lastMessage
+                          ? `${conversation.lastMessageFromMe ? 'You: ' : ''}${conversation.lastMessage}`
+                          : 'No messages yet'}
+                      </p>
+                    </div>
+                    {conversation.unreadCount > 0 && (
+                      <span className="bg-emerald-600 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+                        {conversation.unreadCount}
+                      </span>
+                    )}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Thread */}
+        <div className={`md:col-span-2 flex flex-col ${id ? '' : 'hidden md:flex'}`}>
+          {!active ? (
+            <div className="flex-1 flex items-center justify-center text-sm text-gray-500 p-6">
+              Select a conversation to read it
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center gap-3 p-4 border-b border-gray-200">
+                <button
+                  onClick={() => navigate('/inbox')}
+                  className="md:hidden p-1 text-gray-600 hover:text-gray-900"
+                  aria-label="Back to conversations"
+                >
+                  <ArrowLeft className="h-5 w-5" />
+                </button>
+                <img src={active.productImageUrl} alt={active.productTitle} className="w-10 h-10 object-cover rounded" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">{active.productTitle}</p>
+                  <p className="text-xs text-gray-500">
+                    {active.role === 'buyer' ? 'Seller' : 'Buyer'}: {active.counterpartName}
+                    {active.productPrice !== null && ` · ${formatMoney(active.productPrice, active.productCurrency)}`}
+                  </p>
+                </div>
+                {active.counterpartId && (
+                  <button
+                    onClick={handleToggleBlock}
+                    className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded-lg text-gray-600 hover:text-red-600 hover:border-red-300 transition-colors"
+                  >
+                    <Ban className="h-3 w-3" />
+                    {active.lockReason === 'blocked' ? 'Unblock' : 'Block'}
+                  </button>
+                )}
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-4 space-y-3 max-h-[28rem]">
+                {messages.length === 0 && (
+                  <p className="text-center text-sm text-gray-500">No messages yet. Say hello!</p>
+                )}
+                {messages.map((message) => {
+                  const mine = message.senderId === currentUser?.id;
+                  return (
+                    <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                      <div
+                        className={`max-w-[75%] px-4 py-2 rounded-lg text-sm whitespace-pre-wrap break-words ${
+                          mine ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-900'
+                        }`}
+                      >
+                        {message.body}
+                        <div className={`text-xs mt-1 ${mine ? 'text-emerald-100' : 'text-gray-500'}`}>
+                          {formatTime(message.createdAt)}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+                <div ref={bottomRef} />
+              </div>
+
+              {active.lockReason ? (
+                <div className="flex items-center gap-2 p-4 border-t border-gray-200 bg-gray-50 text-sm text-gray-600">
+                  <Lock className="h-4 w-4" />
+                  {active.lockMessage}
+                </div>
+              ) : (
+                <form onSubmit={handleSend} className="flex gap-2 p-4 border-t border-gray-200">
+                  <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    maxLength={2000}
+                    placeholder="Write a message..."
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                  />
+                  <button
+                    type="submit"
+                    disabled={sending || !draft.trim()}
+                    className="bg-emerald-600 text-white px-4 py-2 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    aria-label="Send message"
+                  >
+                    <Send className="h-4 w-4" />
+                  </button>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Inbox;
@@ -1,19 +1,48 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Plus, Edit, Trash2, Eye } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
-import { Product } from '../types';
+import { Offer, Product } from '../types';
+import { describeError, offersApi } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import OfferCard from '../components/Offers/OfferCard';
+
+// Taken-down and hidden listings read as neither available nor sold
+const statusBadge = (product: Product) => {
+  if (product.isTakenDown) return { label: 'Taken down', className: 'bg-gray-200 text-gray-700' };
+  if (product.isHidden) return { label: 'Under review', className: 'bg-amber-100 text-amber-800' };
+  return product.isAvailable
+    ? { label: 'Available', className: 'bg-green-100 text-green-800' }
+    : { label: 'Sold', className: 'bg-red-100 text-red-800' };
+};
 
 const MyListings: React.FC = () => {
   const navigate = useNavigate();
-  const { getUserProducts, deleteProduct } = useApp();
+  const { myProducts: userProducts, deleteProduct } = useApp();
+  const formatMoney = useMoney();
   const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
-  
-  const userProducts = getUserProducts();
+  const [pendingOffers, setPendingOffers] = useState<Offer[]>([]);
+
+  useEffect(() => {
+    offersApi.list('seller', { status: 'pending', limit: 50 })
+      .then(({ offers }) => setPendingOffers(offers))
+      .catch((err) => console.error('Error loading offers:', err));
+  }, []);
+
+  const handleOfferUpdated = (offer: Offer) => {
+    // Answered offers leave the pending list; counters stay until the buyer replies
+    setPendingOffers(prev => (offer.status === 'pending'
+      ? prev.map(item => (item.id === offer.id ? offer : item))
+      : prev.filter(item => item.id !== offer.id)));
+  };
 
-  const handleDelete = (productId: string) => {
+  const handleDelete = async (productId: string) => {
     if (window.confirm('Are you sure you want to delete this listing?')) {
-      deleteProduct(productId);
+      try {
+        await deleteProduct(productId);
+      } catch (err) {
+        window.alert(describeError(err, 'Failed to delete listing').message);
+      }
     }
   };
 
@@ -46,7 +75,7 @@ const MyListings: React.FC = () => {
               <div className="flex flex-col md:flex-row">
                 <div className="md:w-48 h-48 md:h-auto">
                   <img
-                    src={product.imageUrl}
+                    src={product.thumbnailUrl}
                     alt={product.title}
                     className="w-full h-full object-cover"
                   />
@@ -57,21 +86,27 @@ const MyListings: React.FC = () => {
                     <div className="flex-1">
                       <div className="flex items-center gap-3 mb-2">
                         <h3 className="text-lg font-semibold text-gray-900">{product.title}</h3>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                          product.isAvailable 
-                            ? 'bg-green-100 text-green-800' 
-                            : 'bg-red-100 text-red-800'
-                        }`}>
-                          {product.isAvailable ? 'Available' : 'Sold'}
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusBadge(product).className}`}>
+                          {statusBadge(product).label}
                         </span>
                       </div>
                       <div className="flex items-center gap-4 text-sm text-gray-600 mb-2">
                         <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full">
                           {product.category}
                         </span>
-                        <span className="text-2xl font-bold text-emerald-600">${product.price}</span>
+                        <span className="text-2xl font-bold text-emerald-600">{formatMoney(product.price, product.currency)}</span>
                       </div>
                       <p className="text-gray-600 text-sm">{product.description}</p>
+                      {product.isTakenDown && (
+                        <p className="text-sm text-red-600 mt-2">
+                          A moderator took this listing down{product.takedownReason ? `: ${product.takedownReason}` : '.'}
+                        </p>
+                      )}
+                      {!product.isTakenDown && product.isHidden && (
+                        <p className="text-sm text-amber-700 mt-2">
+                          This listing is hidden while our moderators review it{product.hiddenReason ? `: ${product.hiddenReason}` : '.'}
+                        </p>
+                      )}
                       <p className="text-xs text-gray-500 mt-2">
                         Listed on {new Date(product.createdAt).toLocaleDateString()}
                       </p>
@@ -101,6 +136,22 @@ const MyListings: React.FC = () => {
                       </button>
                     </div>
                   </div>
+
+                  {/* Pending Offers */}
+                  {pendingOffers.some(offer => offer.productId === product.id) && (
+                    <div className="border-t border-gray-100 pt-4">
+                      <h4 className="text-sm font-semibold text-gray-900 mb-3">
+                        Pending offers ({pendingOffers.filter(offer => offer.productId === product.id).length})
+                      </h4>
+                      <div className="grid sm:grid-cols-2 gap-3">
+                        {pendingOffers
+                          .filter(offer => offer.productId === product.id)
+                          .map(offer => (
+                            <OfferCard key={offer.id} offer={offer} onUpdated={handleOfferUpdated} />
+                          ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -155,12 +206,8 @@ const MyListings: React.FC = () => {
 
                   <div className="space-y-4">
                     <div>
-                      <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                        selectedProduct.isAvailable 
-                          ? 'bg-green-100 text-green-800' 
-                          : 'bg-red-100 text-red-800'
-                      }`}>
-                        {selectedProduct.isAvailable ? 'Available' : 'Sold'}
+                      <span className={`px-3 py-1 rounded-full text-sm font-medium ${statusBadge(selectedProduct).className}`}>
+                        {statusBadge(selectedProduct).label}
                       </span>
                     </div>
 
@@ -171,7 +218,7 @@ const MyListings: React.FC = () => {
                     </div>
 
                     <div>
-                      <span className="text-3xl font-bold text-emerald-600">${selectedProduct.price}</span>
+                      <span className="text-3xl font-bold text-emerald-600">{formatMoney(selectedProduct.price, selectedProduct.currency)}</span>
                     </div>
 
                     <div className="text-sm text-gray-600">
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { HandCoins, ShoppingCart } from 'lucide-react';
+import { offersApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { Offer } from '../types';
+import { useApp } from '../contexts/AppContext';
+import ErrorAlert from '../components/ErrorAlert';
+import OfferCard from '../components/Offers/OfferCard';
+
+type OfferTab = 'buyer' | 'seller';
+
+const TABS: Array<{ role: OfferTab; label: string }> = [
+  { role: 'buyer', label: 'Sent' },
+  { role: 'seller', label: 'Received' },
+];
+
+const Offers: React.FC = () => {
+  const { addToCart, cart } = useApp();
+  const formatMoney = useMoney();
+  const [tab, setTab] = useState<OfferTab>('buyer');
+  const [offers, setOffers] = useState<Offer[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    offersApi.list(tab, { limit: 50 })
+      .then(({ offers: results }) => setOffers(results))
+      .catch((err) => setError(describeError(err, 'Unable to load offers').message))
+      .finally(() => setLoading(false));
+  }, [tab]);
+
+  const handleUpdated = (offer: Offer) => {
+    setOffers(prev => prev.map(item => (item.id === offer.id ? offer : item)));
+  };
+
+  const handleAddToCart = async (offer: Offer) => {
+    setError('');
+    try {
+      await addToCart({ id: offer.productId });
+    } catch (err) {
+      setError(describeError(err, 'Unable to add item to cart').message);
+    }
+  };
+
+  const inCart = (offer: Offer) => cart.some(item => item.product.id === offer.productId);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">My Offers</h1>
+        <p className="text-gray-600 mt-1">Negotiate prices with buyers and sellers</p>
+      </div>
+
+      <div className="flex gap-2 border-b border-gray-200">
+        {TABS.map(({ role, label }) => (
+          <button
+            key={role}
+            onClick={() => setTab(role)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              tab === role ? 'border-emerald-600 text-emerald-600' : 'border-transparent text-gray-600 hover:text-emerald-600'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading offers...</p>
+      ) : offers.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-md p-12 text-center">
+          <HandCoins className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No offers yet</h3>
+          <p className="text-gray-600">
+            {tab === 'buyer'
+              ? 'Make an offer from any listing to negotiate the price.'
+              : 'Offers buyers make on your listings will show up here.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {offers.map((offer) => (
+            <div key={offer.id} className="bg-white rounded-xl shadow-md p-4 flex gap-4">
+              {offer.productImageUrl && (
+                <img src={offer.productImageUrl} alt={offer.productTitle} className="w-20 h-20 object-cover rounded-lg flex-shrink-0" />
+              )}
+              <div className="flex-1 space-y-2">
+                <h3 className="font-semibold text-gray-900">{offer.productTitle}</h3>
+                <OfferCard
+                  offer={offer}
+                  onUpdated={handleUpdated}
+                  extraAction={offer.role === 'buyer' && offer.status === 'accepted' && (
+                    inCart(offer) ? (
+                      <Link
+                        to="/cart"
+                        className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-600 text-white hover:bg-emerald-700 flex items-center gap-1"
+                      >
+                        <ShoppingCart className="h-4 w-4" />
+                        Go to Cart
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handleAddToCart(offer)}
+                        className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-600 text-white hover:bg-emerald-700 flex items-center gap-1"
+                      >
+                        <ShoppingCart className="h-4 w-4" />
+                        Add to Cart at {formatMoney(offer.amount, offer.currency)}
+                      </button>
+                    )
+                  )}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Offers;
@@ -1,9 +1,52 @@
-import React from 'react';
-import { Package, Calendar, DollarSign } from 'lucide-react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Package, Calendar, DollarSign, User, Star, Truck, MapPin } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import { describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { OrderStatus, Purchase } from '../types';
+import { formatAddress } from '../utils/address';
+import ErrorAlert from '../components/ErrorAlert';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import ReviewForm from '../components/Reviews/ReviewForm';
+import StarRating from '../components/Reviews/StarRating';
+
+const BUYER_ACTIONS: Partial<Record<OrderStatus, { label: string; className: string }>> = {
+  received: { label: 'Mark as Received', className: 'bg-emerald-600 text-white hover:bg-emerald-700' },
+  cancelled: { label: 'Cancel Order', className: 'border border-red-300 text-red-600 hover:bg-red-50' },
+};
 
 const Purchases: React.FC = () => {
-  const { purchases } = useApp();
+  const { purchases, updatePurchaseStatus, refreshPurchases } = useApp();
+  const formatMoney = useMoney();
+  const [error, setError] = useState('');
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const [reviewingLineId, setReviewingLineId] = useState<string | null>(null);
+
+  const handleReviewed = async () => {
+    setReviewingLineId(null);
+    try {
+      await refreshPurchases();
+    } catch (err) {
+      setError(describeError(err, 'Unable to refresh purchases').message);
+    }
+  };
+
+  const handleStatusChange = async (purchase: Purchase, status: OrderStatus) => {
+    if (status === 'cancelled' && !window.confirm('Are you sure you want to cancel this order?')) {
+      return;
+    }
+
+    setError('');
+    setUpdatingId(purchase.id);
+    try {
+      await updatePurchaseStatus(purchase.id, status);
+    } catch (err) {
+      setError(describeError(err, 'Unable to update order status').message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
 
   return (
     <div className="space-y-6">
@@ -13,6 +56,8 @@ const Purchases: React.FC = () => {
         <p className="text-gray-600 mt-1">Your previous sustainable purchases</p>
       </div>
 
+      <ErrorAlert message={error} />
+
       {purchases.length > 0 ? (
         <div className="space-y-6">
           {purchases.map((purchase) => (
@@ -21,9 +66,15 @@ const Purchases: React.FC = () => {
                 <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6">
                   <div>
                     <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                      Order #{purchase.id.slice(0, 8)}
+                      Order #{purchase.id.slice(-8)}
                     </h3>
                     <div className="flex flex-col sm:flex-row gap-4 text-sm text-gray-600">
+                      {purchase.sellerName && (
+                        <div className="flex items-center gap-2">
+                          <User className="h-4 w-4" />
+                          <span>{purchase.sellerName}</span>
+                        </div>
+                      )}
                       <div className="flex items-center gap-2">
                         <Calendar className="h-4 w-4" />
                         <span>{new Date(purchase.purchaseDate).toLocaleDateString()}</span>
@@ -34,50 +85,123 @@ const Purchases: React.FC = () => {
                       </div>
                       <div className="flex items-center gap-2">
                         <DollarSign className="h-4 w-4" />
-                        <span className="font-medium text-emerald-600">${purchase.totalAmount.toFixed(2)}</span>
+                        <span className="font-medium text-emerald-600">{formatMoney(purchase.totalAmount, purchase.currency)}</span>
                       </div>
                     </div>
                   </div>
-                  <div className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
-                    Completed
-                  </div>
+                  <OrderStatusBadge status={purchase.status} />
                 </div>
 
                 <div className="space-y-4">
-                  {purchase.products.map((item, index) => (
-                    <div key={index} className="flex flex-col sm:flex-row gap-4 p-4 bg-gray-50 rounded-lg">
-                      <div className="w-full sm:w-20 h-20">
-                        <img
-                          src={item.product.imageUrl}
-                          alt={item.product.title}
-                          className="w-full h-full object-cover rounded-lg"
-                        />
-                      </div>
-                      <div className="flex-1">
-                        <h4 className="font-medium text-gray-900 mb-1">{item.product.title}</h4>
-                        <p className="text-sm text-gray-600 mb-2">{item.product.description}</p>
-                        <div className="flex flex-wrap gap-2 text-xs">
-                          <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full">
-                            {item.product.category}
+                  {purchase.products.map((item) => (
+                    <div key={item.lineId} className="p-4 bg-gray-50 rounded-lg space-y-3">
+                      <div className="flex flex-col sm:flex-row gap-4">
+                        <div className="w-full sm:w-20 h-20">
+                          <img
+                            src={item.product.imageUrl}
+                            alt={item.product.title}
+                            className="w-full h-full object-cover rounded-lg"
+                          />
+                        </div>
+                        <div className="flex-1">
+                          <h4 className="font-medium text-gray-900 mb-1">{item.product.title}</h4>
+                          <p className="text-sm text-gray-600 mb-2">{item.product.description}</p>
+                          <div className="flex flex-wrap gap-2 text-xs">
+                            <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full">
+                              {item.product.category}
+                            </span>
+                            <span className="text-gray-600">Qty: {item.quantity}</span>
+                            <span className="text-gray-600">Price: {formatMoney(item.priceAtPurchase, purchase.currency)}</span>
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <span className="font-medium text-gray-900">
+                            {formatMoney(item.priceAtPurchase * item.quantity, purchase.currency)}
                           </span>
-                          <span className="text-gray-600">Qty: {item.quantity}</span>
-                          <span className="text-gray-600">Price: ${item.priceAtPurchase}</span>
                         </div>
                       </div>
-                      <div className="text-right">
-                        <span className="font-medium text-gray-900">
-                          ${(item.priceAtPurchase * item.quantity).toFixed(2)}
-                        </span>
-                      </div>
+
+                      {item.review ? (
+                        <div className="flex items-center gap-2 text-xs text-gray-600">
+                          <span>You rated</span>
+                          <Link to={`/sellers/${item.product.sellerId}`} className="text-emerald-600 hover:underline">
+                            {item.product.sellerName}
+                          </Link>
+                          <StarRating value={item.review.rating} size="sm" />
+                        </div>
+                      ) : item.canReview && (
+                        reviewingLineId === item.lineId ? (
+                          <ReviewForm
+                            purchaseId={purchase.id}
+                            lineId={item.lineId}
+                            sellerName={item.product.sellerName}
+                            onSubmitted={handleReviewed}
+                            onCancel={() => setReviewingLineId(null)}
+                          />
+                        ) : (
+                          <button
+                            onClick={() => setReviewingLineId(item.lineId)}
+                            className="flex items-center gap-1 text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+                          >
+                            <Star className="h-4 w-4" />
+                            Review Seller
+                          </button>
+                        )
+                      )}
                     </div>
                   ))}
                 </div>
 
                 <div className="mt-6 pt-4 border-t border-gray-200">
+                  {purchase.delivery.method === 'shipping' && purchase.delivery.address && (
+                    <div className="flex justify-between items-start gap-4 mb-3 text-sm text-gray-600">
+                      <div className="flex items-start gap-2">
+                        <Truck className="h-4 w-4 mt-0.5 shrink-0" />
+                        <span>Shipping to {purchase.delivery.address.fullName}, {formatAddress(purchase.delivery.address)}</span>
+                      </div>
+                      <span>{purchase.delivery.fee > 0 ? formatMoney(purchase.delivery.fee, purchase.currency) : 'Free'}</span>
+                    </div>
+                  )}
+                  {purchase.delivery.method === 'pickup' && (
+                    <div className="flex items-start gap-2 mb-3 text-sm text-gray-600">
+                      <MapPin className="h-4 w-4 mt-0.5 shrink-0" />
+                      <span>Pickup{purchase.delivery.pickupLocation && ` from ${purchase.delivery.pickupLocation}`}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between items-center">
                     <span className="font-medium text-gray-900">Total Amount</span>
-                    <span className="text-lg font-bold text-emerald-600">${purchase.totalAmount.toFixed(2)}</span>
+                    <span className="text-lg font-bold text-emerald-600">{formatMoney(purchase.totalAmount, purchase.currency)}</span>
                   </div>
+                  {purchase.status === 'payment_failed' && (
+                    <p className="mt-2 text-sm text-red-600">
+                      Payment failed{purchase.paymentError && `: ${purchase.paymentError}`}.
+                      {purchase.paymentStatus === 'failed' && ' You were not charged.'}
+                    </p>
+                  )}
+                  {purchase.paymentStatus === 'refunded' && (
+                    <p className="mt-2 text-sm text-gray-600">Your payment was refunded.</p>
+                  )}
+                  {purchase.paymentStatus === 'refund_pending' && (
+                    <p className="mt-2 text-sm text-gray-600">Your refund is being processed.</p>
+                  )}
+                  {purchase.allowedTransitions.length > 0 && (
+                    <div className="flex flex-wrap justify-end gap-3 mt-4">
+                      {purchase.allowedTransitions.map((status) => {
+                        const action = BUYER_ACTIONS[status];
+                        if (!action) return null;
+                        return (
+                          <button
+                            key={status}
+                            onClick={() => handleStatusChange(purchase, status)}
+                            disabled={updatingId === purchase.id}
+                            className={`${action.className} px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            {action.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,338 @@
+import React, { useEffect, useState } from 'react';
+import { TrendingUp, Package, Users, DollarSign, Calendar, X, Truck, MapPin } from 'lucide-react';
+import { salesApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { OrderStatus, ProductSaleDetails, Sale, SalesStats } from '../types';
+import { formatAddress } from '../utils/address';
+import ErrorAlert from '../components/ErrorAlert';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PAGE_SIZE = 10;
+
+const SELLER_ACTIONS: Partial<Record<OrderStatus, { label: string; className: string }>> = {
+  confirmed: { label: 'Confirm Order', className: 'bg-emerald-600 text-white hover:bg-emerald-700' },
+  shipped: { label: 'Mark as Shipped', className: 'bg-emerald-600 text-white hover:bg-emerald-700' },
+  cancelled: { label: 'Cancel Order', className: 'border border-red-300 text-red-600 hover:bg-red-50' },
+  refunded: { label: 'Refund', className: 'border border-red-300 text-red-600 hover:bg-red-50' },
+};
+
+const Sales: React.FC = () => {
+  const formatMoney = useMoney();
+  const [stats, setStats] = useState<SalesStats | null>(null);
+  const [sales, setSales] = useState<Sale[]>([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [productDetails, setProductDetails] = useState<ProductSaleDetails | null>(null);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    salesApi.getStats()
+      .then(setStats)
+      .catch((err) => setError(describeError(err, 'Unable to load sales statistics').message));
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    salesApi.list(page, PAGE_SIZE)
+      .then(({ sales: results, pagination }) => {
+        setSales(results);
+        setTotalPages(Math.max(1, pagination.totalPages));
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load sales history').message))
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  const handleViewProduct = async (productId: string) => {
+    if (!productId) return;
+    try {
+      setProductDetails(await salesApi.getProductDetails(productId));
+    } catch (err) {
+      setError(describeError(err, 'Unable to load product sales').message);
+    }
+  };
+
+  const handleStatusChange = async (sale: Sale, status: OrderStatus) => {
+    if ((status === 'cancelled' || status === 'refunded')
+      && !window.confirm(`Are you sure you want to ${status === 'cancelled' ? 'cancel' : 'refund'} this order?`)) {
+      return;
+    }
+
+    setError('');
+    setUpdatingId(sale.id);
+    try {
+      const updated = await salesApi.updateStatus(sale.id, status);
+      setSales(prev => prev.map(item => (item.id === sale.id ? updated : item)));
+      // Cancelled and refunded orders drop out of the revenue figures
+      if (status === 'cancelled' || status === 'refunded') {
+        setStats(await salesApi.getStats());
+      }
+    } catch (err) {
+      setError(describeError(err, 'Unable to update order status').message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const maxMonthlyRevenue = Math.max(1, ...(stats?.monthlyRevenue.map(month => month.revenue) ?? []));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Sales</h1>
+        <p className="text-gray-600 mt-1">See who bought your items and what you earned</p>
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {/* Overview */}
+      {stats && (
+        <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <div className="flex items-center gap-2 text-gray-600 mb-2">
+              <DollarSign className="h-5 w-5" />
+              <span>Revenue</span>
+            </div>
+            <div className="text-2xl font-bold text-emerald-600">{formatMoney(stats.overview.totalRevenue, stats.currency)}</div>
+          </div>
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <div className="flex items-center gap-2 text-gray-600 mb-2">
+              <Package className="h-5 w-5" />
+              <span>Items Sold</span>
+            </div>
+            <div className="text-2xl font-bold text-blue-600">{stats.overview.itemsSold}</div>
+          </div>
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <div className="flex items-center gap-2 text-gray-600 mb-2">
+              <TrendingUp className="h-5 w-5" />
+              <span>Orders</span>
+            </div>
+            <div className="text-2xl font-bold text-purple-600">{stats.overview.totalOrders}</div>
+            <div className="text-sm text-gray-500 mt-1">Avg. {formatMoney(stats.overview.avgOrderValue, stats.currency)}</div>
+          </div>
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <div className="flex items-center gap-2 text-gray-600 mb-2">
+              <Users className="h-5 w-5" />
+              <span>Buyers</span>
+            </div>
+            <div className="text-2xl font-bold text-teal-600">{stats.overview.uniqueBuyers}</div>
+          </div>
+        </div>
+      )}
+
+      {stats && (
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* Monthly Revenue */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow-md p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Monthly Revenue ({stats.year})</h2>
+            <div className="flex items-end gap-2 h-48">
+              {MONTHS.map((label, index) => {
+                const month = stats.monthlyRevenue.find(entry => entry.month === index + 1);
+                const revenue = month?.revenue ?? 0;
+                return (
+                  <div key={label} className="flex-1 flex flex-col items-center justify-end h-full">
+                    <div
+                      className="w-full bg-emerald-500 rounded-t"
+                      style={{ height: `${(revenue / maxMonthlyRevenue) * 100}%` }}
+                      title={`${formatMoney(revenue, stats.currency)} from ${month?.orderCount ?? 0} orders`}
+                    />
+                    <span className="text-xs text-gray-500 mt-2">{label}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Top Products */}
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Top Products</h2>
+            {stats.topProducts.length > 0 ? (
+              <div className="space-y-3">
+                {stats.topProducts.map((product) => (
+                  <button
+                    key={product.productId}
+                    onClick={() => handleViewProduct(product.productId)}
+                    className="w-full flex items-center gap-3 text-left hover:bg-gray-50 rounded-lg p-2 transition-colors"
+                  >
+                    <img src={product.imageUrl} alt={product.title} className="w-10 h-10 object-cover rounded" />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{product.title}</p>
+                      <p className="text-xs text-gray-500">{product.quantitySold} sold</p>
+                    </div>
+                    <span className="font-medium text-emerald-600">{formatMoney(product.revenue, stats.currency)}</span>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">No sales yet</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Sales History */}
+      <div className="bg-white rounded-xl shadow-md overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Sales History</h2>
+        </div>
+        {loading ? (
+          <p className="p-6 text-gray-600">Loading sales...</p>
+        ) : sales.length > 0 ? (
+          <div className="divide-y divide-gray-200">
+            {sales.map((sale) => (
+              <div key={sale.id} className="p-6">
+                <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2 mb-4">
+                  <div>
+                    <p className="font-semibold text-gray-900">Sold to {sale.buyerName}</p>
+                    <div className="flex items-center gap-2 text-sm text-gray-600">
+                      <Calendar className="h-4 w-4" />
+                      <span>{new Date(sale.purchasedAt).toLocaleDateString()}</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <OrderStatusBadge status={sale.status} />
+                    <span className="text-lg font-bold text-emerald-600">{formatMoney(sale.total, sale.currency)}</span>
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {sale.items.map((item, index) => (
+                    <button
+                      key={index}
+                      onClick={() => handleViewProduct(item.productId)}
+                      className="w-full flex items-center gap-4 p-3 bg-gray-50 rounded-lg text-left hover:bg-gray-100 transition-colors"
+                    >
+                      <img src={item.imageUrl} alt={item.title} className="w-12 h-12 object-cover rounded" />
+                      <div className="flex-1">
+                        <p className="font-medium text-gray-900">{item.title}</p>
+                        <p className="text-xs text-gray-600">
+                          Qty: {item.quantity} · {formatMoney(item.priceAtPurchase, sale.currency)} each
+                        </p>
+                      </div>
+                      <span className="font-medium text-gray-900">{formatMoney(item.subtotal, sale.currency)}</span>
+                    </button>
+                  ))}
+                </div>
+                {sale.delivery.method === 'shipping' && sale.delivery.address && (
+                  <div className="flex items-start gap-2 mt-3 text-sm text-gray-600">
+                    <Truck className="h-4 w-4 mt-0.5 shrink-0" />
+                    <div>
+                      <p>
+                        Ship to {sale.delivery.address.fullName}, {formatAddress(sale.delivery.address)}
+                        {sale.delivery.address.phone && ` · ${sale.delivery.address.phone}`}
+                      </p>
+                      <p className="text-xs">
+                        Shipping {sale.delivery.fee > 0 ? formatMoney(sale.delivery.fee, sale.currency) : 'free'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+                {sale.delivery.method === 'pickup' && (
+                  <div className="flex items-start gap-2 mt-3 text-sm text-gray-600">
+                    <MapPin className="h-4 w-4 mt-0.5 shrink-0" />
+                    <span>Buyer collects{sale.delivery.pickupLocation && ` from ${sale.delivery.pickupLocation}`}</span>
+                  </div>
+                )}
+                {sale.allowedTransitions.length > 0 && (
+                  <div className="flex flex-wrap justify-end gap-3 mt-4">
+                    {sale.allowedTransitions.map((status) => {
+                      const action = SELLER_ACTIONS[status];
+                      if (!action) return null;
+                      return (
+                        <button
+                          key={status}
+                          onClick={() => handleStatusChange(sale, status)}
+                          disabled={updatingId === sale.id}
+                          className={`${action.className} px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+                        >
+                          {action.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <Package className="h-16 w-16 mx-auto text-gray-400 mb-4" />
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">No sales yet</h3>
+            <p className="text-gray-600">Sales of your listings will appear here.</p>
+          </div>
+        )}
+        {totalPages > 1 && (
+          <div className="flex justify-between items-center p-4 border-t border-gray-200">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Product Sale Details Modal */}
+      {productDetails && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={() => setProductDetails(null)}></div>
+
+            <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+              <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900">{productDetails.title}</h3>
+                    {productDetails.isDeleted && (
+                      <p className="text-sm text-gray-500">This listing has been deleted</p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setProductDetails(null)}
+                    className="text-gray-400 hover:text-gray-600 transition-colors"
+                  >
+                    <X className="h-6 w-6" />
+                  </button>
+                </div>
+
+                <div className="flex gap-6 mb-4 text-sm text-gray-600">
+                  <span>{productDetails.quantitySold} sold</span>
+                  <span className="font-medium text-emerald-600">{formatMoney(productDetails.revenue, productDetails.currency)} earned</span>
+                </div>
+
+                <div className="space-y-2">
+                  {productDetails.sales.map((sale) => (
+                    <div key={sale.purchaseId} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                      <div>
+                        <p className="font-medium text-gray-900">{sale.buyerName}</p>
+                        <p className="text-gray-600">
+                          {new Date(sale.purchasedAt).toLocaleDateString()} · Qty {sale.quantity} ·{' '}
+                          <span className="capitalize">{sale.status}</span>
+                        </p>
+                      </div>
+                      <span className="font-medium text-gray-900">{formatMoney(sale.subtotal, productDetails.currency)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Sales;
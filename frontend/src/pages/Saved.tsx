@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { Heart, ShoppingCart, TrendingDown, Trash2 } from 'lucide-react';
+import { wishlistApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { Product, WishlistItem } from '../types';
+import { useApp } from '../contexts/AppContext';
+import ErrorAlert from '../components/ErrorAlert';
+import ProductModal from '../components/Products/ProductModal';
+
+const Saved: React.FC = () => {
+  const { addToCart, cart, savedProductIds, toggleSaved } = useApp();
+  const formatMoney = useMoney();
+  const [items, setItems] = useState<WishlistItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
+
+  useEffect(() => {
+    wishlistApi.list()
+      .then(({ items: results }) => setItems(results))
+      .catch((err) => setError(describeError(err, 'Unable to load saved items').message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Items unsaved elsewhere, e.g. from the product modal, drop out of the list
+  const visibleItems = items.filter(item => savedProductIds.includes(item.product.id));
+
+  const handleRemove = async (productId: string) => {
+    setError('');
+    try {
+      await toggleSaved(productId);
+    } catch (err) {
+      setError(describeError(err, 'Unable to remove saved item').message);
+    }
+  };
+
+  const handleAddToCart = async (product: Product) => {
+    setError('');
+    try {
+      await addToCart(product);
+    } catch (err) {
+      setError(describeError(err, 'Unable to add item to cart').message);
+    }
+  };
+
+  const inCart = (productId: string) => cart.some(item => item.product.id === productId);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Saved Items</h1>
+        <p className="text-gray-600 mt-1">We'll notify you when a saved item drops in price or is back in stock</p>
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading saved items...</p>
+      ) : visibleItems.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-md p-12 text-center">
+          <Heart className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Nothing saved yet</h3>
+          <p className="text-gray-600">Tap the heart on any listing to keep an eye on it.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {visibleItems.map(({ id, product, priceDrop, savedAt }) => (
+            <div key={id} className="bg-white rounded-xl shadow-md p-4 flex flex-col sm:flex-row gap-4">
+              <img
+                src={product.thumbnailUrl}
+                alt={product.title}
+                onClick={() => setSelectedProduct(product)}
+                className={`w-full sm:w-24 h-24 object-cover rounded-lg cursor-pointer ${product.isAvailable ? '' : 'opacity-50'}`}
+              />
+              <div className="flex-1 space-y-1">
+                <button
+                  onClick={() => setSelectedProduct(product)}
+                  className="font-semibold text-gray-900 hover:text-emerald-600 text-left"
+                >
+                  {product.title}
+                </button>
+                <p className="text-sm text-gray-500">
+                  By {product.sellerName} · Saved {new Date(savedAt).toLocaleDateString()}
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-lg font-bold text-emerald-600">{formatMoney(product.price, product.currency)}</span>
+                  {priceDrop > 0 && (
+                    <span className="flex items-center gap-1 bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full text-xs font-medium">
+                      <TrendingDown className="h-3 w-3" />
+                      {formatMoney(priceDrop, product.currency)} less than when you saved it
+                    </span>
+                  )}
+                  {!product.isAvailable && (
+                    <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded-full text-xs font-medium">
+                      Currently unavailable
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="flex sm:flex-col gap-2 justify-end">
+                {product.isAvailable && !inCart(product.id) && (
+                  <button
+                    onClick={() => handleAddToCart(product)}
+                    className="px-3 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 flex items-center gap-1"
+                  >
+                    <ShoppingCart className="h-4 w-4" />
+                    Add to Cart
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRemove(product.id)}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:text-red-600 hover:border-red-300 flex items-center gap-1"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ProductModal
+        product={selectedProduct}
+        isOpen={selectedProduct !== null}
+        onClose={() => setSelectedProduct(null)}
+      />
+    </div>
+  );
+};
+
+export default Saved;
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bookmark, ChevronDown, ChevronUp, Search, Trash2 } from 'lucide-react';
+import { savedSearchesApi, describeError } from '../api';
+import { useMoney } from '../hooks/useMoney';
+import { DigestFrequency, Product, SavedSearch, SavedSearchFilters, SavedSearchMatch } from '../types';
+import { useApp } from '../contexts/AppContext';
+import ErrorAlert from '../components/ErrorAlert';
+import ProductCard from '../components/Products/ProductCard';
+import ProductModal from '../components/Products/ProductModal';
+
+const describeFilters = (filters: SavedSearchFilters, formatMoney: ReturnType<typeof useMoney>) => {
+  const parts: string[] = [];
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.category) parts.push(filters.category);
+  if (filters.condition) parts.push(filters.condition);
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    const min = formatMoney(filters.minPrice ?? 0, filters.currency);
+    parts.push(`${min} – ${filters.maxPrice !== undefined ? formatMoney(filters.maxPrice, filters.currency) : 'any'}`);
+  }
+  if (filters.location) parts.push(`near ${filters.location}`);
+  if (filters.tags && filters.tags.length > 0) parts.push(`tagged ${filters.tags.join(', ')}`);
+  return parts.join(' · ');
+};
+
+const SavedSearches: React.FC = () => {
+  const navigate = useNavigate();
+  const { setSearchQuery, setSelectedCategory } = useApp();
+  const formatMoney = useMoney();
+  const [searches, setSearches] = useState<SavedSearch[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [openSearchId, setOpenSearchId] = useState<string | null>(null);
+  const [matches, setMatches] = useState<SavedSearchMatch[]>([]);
+  const [matchesLoading, setMatchesLoading] = useState(false);
+  const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
+
+  useEffect(() => {
+    savedSearchesApi.list()
+      .then(setSearches)
+      .catch((err) => setError(describeError(err, 'Unable to load saved searches').message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleMatches = async (search: SavedSearch) => {
+    if (openSearchId === search.id) {
+      setOpenSearchId(null);
+      return;
+    }
+
+    setOpenSearchId(search.id);
+    setMatches([]);
+    setMatchesLoading(true);
+    setError('');
+    try {
+      setMatches(await savedSearchesApi.listMatches(search.id));
+      // Opening the matches marks them seen
+      setSearches(prev => prev.map(item => (item.id === search.id ? { ...item, newMatchCount: 0 } : item)));
+    } catch (err) {
+      setError(describeError(err, 'Unable to load matches').message);
+    } finally {
+      setMatchesLoading(false);
+    }
+  };
+
+  const handleDigestChange = async (search: SavedSearch, digestFrequency: DigestFrequency) => {
+    setError('');
+    try {
+      const updated = await savedSearchesApi.update(search.id, { digestFrequency });
+      setSearches(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+    } catch (err) {
+      setError(describeError(err, 'Unable to update saved search').message);
+    }
+  };
+
+  const handleDelete = async (search: SavedSearch) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+
+    setError('');
+    try {
+      await savedSearchesApi.remove(search.id);
+      setSearches(prev => prev.filter(item => item.id !== search.id));
+      if (openSearchId === search.id) setOpenSearchId(null);
+    } catch (err) {
+      setError(describeError(err, 'Unable to delete saved search').message);
+    }
+  };
+
+  // The browse page filters by search text and category only
+  const handleRunSearch = (search: SavedSearch) => {
+    setSearchQuery(search.filters.search ?? '');
+    setSelectedCategory(search.filters.category ?? 'All');
+    navigate('/');
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Saved Searches</h1>
+        <p className="text-gray-600 mt-1">New listings that match your saved searches collect here</p>
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading saved searches...</p>
+      ) : searches.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-md p-12 text-center">
+          <Bookmark className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No saved searches yet</h3>
+          <p className="text-gray-600">Search or pick a category on the browse page, then choose Save Search.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {searches.map((search) => (
+            <div key={search.id} className="bg-white rounded-xl shadow-md p-4 space-y-4">
+              <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-semibold text-gray-900">{search.name}</h3>
+                    {search.newMatchCount > 0 && (
+                      <span className="bg-emerald-100 text-emerald-800 px-2 py-0.5 rounded-full text-xs font-medium">
+                        {search.newMatchCount} new
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500">{describeFilters(search.filters, formatMoney)}</p>
+                </div>
+                <select
+                  value={search.digestFrequency}
+                  onChange={(e) => handleDigestChange(search, e.target.value as DigestFrequency)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                  aria-label="Email digest"
+                >
+                  <option value="never">No email digest</option>
+                  <option value="daily">Daily email digest</option>
+                  <option value="weekly">Weekly email digest</option>
+                </select>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRunSearch(search)}
+                    className="p-2 text-gray-500 hover:text-emerald-600"
+                    aria-label="Run search"
+                    title="Run search"
+                  >
+                    <Search className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(search)}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    aria-label="Delete saved search"
+                    title="Delete saved search"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+
+              <button
+                onClick={() => toggleMatches(search)}
+                className="flex items-center gap-1 text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+              >
+                {openSearchId === search.id ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                {search.matchCount} matching listing{search.matchCount !== 1 ? 's' : ''} since saved
+              </button>
+
+              {openSearchId === search.id && (
+                matchesLoading ? (
+                  <p className="text-sm text-gray-500">Loading matches...</p>
+                ) : matches.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing new has been listed for this search yet.</p>
+                ) : (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {matches.map(({ product, isNew }) => (
+                      <div key={product.id} className="relative">
+                        {isNew && (
+                          <span className="absolute top-12 right-3 z-10 bg-emerald-600 text-white px-2 py-1 rounded-full text-xs font-medium">
+                            New
+                          </span>
+                        )}
+                        <ProductCard product={product} onViewDetails={setSelectedProduct} />
+                      </div>
+                    ))}
+                  </div>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ProductModal
+        product={selectedProduct}
+        isOpen={selectedProduct !== null}
+        onClose={() => setSelectedProduct(null)}
+      />
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Calendar, MessageSquareReply, Star } from 'lucide-react';
+import { reviewsApi, usersApi, describeError } from '../api';
+import { PublicProfile, RatingSummary, Review } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import ErrorAlert from '../components/ErrorAlert';
+import StarRating from '../components/Reviews/StarRating';
+
+const PAGE_SIZE = 10;
+
+const SellerProfile: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const { currentUser } = useAuth();
+  const [profile, setProfile] = useState<PublicProfile | null>(null);
+  const [summary, setSummary] = useState<RatingSummary | null>(null);
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [savingReply, setSavingReply] = useState(false);
+
+  const isOwnProfile = currentUser?.id === id;
+
+  useEffect(() => {
+    if (!id) return;
+
+    setLoading(true);
+    setError('');
+    Promise.all([usersApi.getPublicProfile(id), reviewsApi.listForSeller(id, 1, PAGE_SIZE)])
+      .then(([user, result]) => {
+        setProfile(user);
+        setSummary(result.summary);
+        setReviews(result.reviews);
+        setPage(1);
+        setHasMore(result.pagination.hasNextPage);
+      })
+      .catch((err) => setError(describeError(err, 'Unable to load seller profile').message))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  const handleLoadMore = async () => {
+    if (!id) return;
+    try {
+      const result = await reviewsApi.listForSeller(id, page + 1, PAGE_SIZE);
+      setReviews(prev => [...prev, ...result.reviews]);
+      setPage(page + 1);
+      setHasMore(result.pagination.hasNextPage);
+    } catch (err) {
+      setError(describeError(err, 'Unable to load more reviews').message);
+    }
+  };
+
+  const startReply = (review: Review) => {
+    setReplyingTo(review.id);
+    setReplyDraft(review.reply?.body ?? '');
+  };
+
+  const handleReply = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!replyingTo || !replyDraft.trim()) return;
+
+    setSavingReply(true);
+    setError('');
+    try {
+      const updated = await reviewsApi.reply(replyingTo, replyDraft.trim());
+      setReviews(prev => prev.map(review => (review.id === updated.id ? updated : review)));
+      setReplyingTo(null);
+      setReplyDraft('');
+    } catch (err) {
+      setError(describeError(err, 'Unable to save reply').message);
+    } finally {
+      setSavingReply(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading profile...</p>;
+  }
+
+  if (!profile || !summary) {
+    return <ErrorAlert message={error || 'Seller not found'} />;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      {/* Profile */}
+      <div className="bg-white rounded-xl shadow-md p-6 flex flex-col sm:flex-row gap-6">
+        {profile.avatar ? (
+          <img src={profile.avatar} alt={profile.username} className="w-20 h-20 rounded-full object-cover" />
+        ) : (
+          <div className="w-20 h-20 rounded-full bg-emerald-100 text-emerald-700 text-2xl font-bold flex items-center justify-center">
+            {profile.username.charAt(0).toUpperCase()}
+          </div>
+        )}
+        <div className="flex-1 space-y-2">
+          <h1 className="text-2xl font-bold text-gray-900">{profile.username}</h1>
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <StarRating value={profile.rating.average} />
+            <span>
+              {profile.rating.count > 0
+                ? `${profile.rating.average.toFixed(1)} from ${profile.rating.count} review${profile.rating.count !== 1 ? 's' : ''}`
+                : 'No reviews yet'}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 flex items-center gap-1">
+            <Calendar className="h-3 w-3" />
+            Member since {new Date(profile.joinedDate).toLocaleDateString()}
+          </p>
+          {profile.bio && <p className="text-gray-700">{profile.bio}</p>}
+        </div>
+      </div>
+
+      <ErrorAlert message={error} />
+
+      {/* Rating breakdown */}
+      {summary.count > 0 && (
+        <div className="bg-white rounded-xl shadow-md p-6 space-y-2">
+          {[5, 4, 3, 2, 1].map((stars) => {
+            const count = summary.distribution[stars] ?? 0;
+            return (
+              <div key={stars} className="flex items-center gap-3 text-sm">
+                <span className="w-12 flex items-center gap-1 text-gray-600">
+                  {stars} <Star className="h-3 w-3 fill-amber-400 text-amber-400" />
+                </span>
+                <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-amber-400" style={{ width: `${(count / summary.count) * 100}%` }} />
+                </div>
+                <span className="w-8 text-right text-gray-500">{count}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Reviews */}
+      <div className="space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Reviews</h2>
+        {reviews.length === 0 ? (
+          <p className="text-sm text-gray-500">Buyers haven't reviewed this seller yet.</p>
+        ) : (
+          reviews.map((review) => (
+            <div key={review.id} className="bg-white rounded-xl shadow-md p-4 space-y-2">
+              <div className="flex justify-between items-start gap-2">
+                <div>
+                  <p className="font-medium text-gray-900">{review.reviewerName}</p>
+                  <p className="text-xs text-gray-500">
+                    Bought {review.productTitle} · {new Date(review.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <StarRating value={review.rating} size="sm" />
+              </div>
+              {review.comment && <p className="text-sm text-gray-700 whitespace-pre-wrap">{review.comment}</p>}
+
+              {review.reply && replyingTo !== review.id && (
+                <div className="ml-4 pl-3 border-l-2 border-emerald-200">
+                  <p className="text-xs font-medium text-gray-600">Reply from {profile.username}</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{review.reply.body}</p>
+                </div>
+              )}
+
+              {isOwnProfile && (
+                replyingTo === review.id ? (
+                  <form onSubmit={handleReply} className="space-y-2">
+                    <textarea
+                      value={replyDraft}
+                      onChange={(e) => setReplyDraft(e.target.value)}
+                      maxLength={1000}
+                      rows={3}
+                      placeholder="Write a public reply..."
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        type="submit"
+                        disabled={savingReply || !replyDraft.trim()}
+                        className="px-3 py-1 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 disabled:opacity-50"
+                      >
+                        Save Reply
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setReplyingTo(null)}
+                        className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <button
+                    onClick={() => startReply(review)}
+                    className="flex items-center gap-1 text-xs text-emerald-600 hover:text-emerald-700"
+                  >
+                    <MessageSquareReply className="h-3 w-3" />
+                    {review.reply ? 'Edit reply' : 'Reply'}
+                  </button>
+                )
+              )}
+            </div>
+          ))
+        )}
+
+        {hasMore && (
+          <button
+            onClick={handleLoadMore}
+            className="w-full py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Load more reviews
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SellerProfile;
@@ -1,12 +1,60 @@
+export type UserRole = 'user' | 'moderator' | 'admin';
+
 export interface User {
   id: string;
   email: string;
   username: string;
-  fullName: string;
+  role: UserRole;
+  fullName?: string;
   phone: string;
-  address: string;
   bio: string;
+  avatar: string;
   joinedDate: string;
+  // ISO 4217 code that totals and stats are shown in
+  preferredCurrency: string;
+  // BCP 47 tag used to format money, e.g. en-US
+  locale: string;
+  // Town or postcode "near me" searches start from
+  location: string;
+  // False when the location isn't one the server recognises
+  locationFound: boolean;
+}
+
+export interface Address {
+  id: string;
+  label: string;
+  fullName: string;
+  line1: string;
+  line2: string;
+  city: string;
+  region: string;
+  postalCode: string;
+  // ISO 3166-1 alpha-2 code, e.g. GB
+  country: string;
+  phone: string;
+  // Used at checkout unless another address is chosen
+  isDefault: boolean;
+}
+
+export type DeliveryMethod = 'pickup' | 'shipping';
+
+export interface DeliveryOptions {
+  pickup: boolean;
+  shipping: boolean;
+  // Flat fee for shipping the listing, in its currency
+  shippingFee: number;
+}
+
+export interface SellerRating {
+  average: number;
+  count: number;
+}
+
+export interface ProductImage {
+  url: string;
+  thumbnailUrl: string;
+  width?: number;
+  height?: number;
 }
 
 export interface Product {
@@ -15,11 +63,122 @@ export interface Product {
   description: string;
   category: string;
   price: number;
+  // Currency the listing is priced in; set when it is listed
+  currency: string;
+  condition: string;
   imageUrl: string;
+  thumbnailUrl: string;
+  images: ProductImage[];
+  location: string;
+  // Only set on results of a near search; null when the listing's location is unknown
+  distanceKm: number | null;
+  // Only set on results of a text search
+  highlights: SearchHighlights | null;
+  tags: string[];
+  // Values for the attributes the category defines, by key
+  attributes: Record<string, AttributeValue>;
+  delivery: DeliveryOptions;
   sellerId: string;
   sellerName: string;
+  sellerRating: SellerRating | null;
   createdAt: string;
   isAvailable: boolean;
+  // Set when a moderator took the listing down
+  isTakenDown: boolean;
+  takedownReason: string;
+  // Set while the listing is hidden pending review, e.g. after several reports
+  isHidden: boolean;
+  hiddenReason: string;
+}
+
+// Text with the [start, end) character ranges a search matched
+export interface HighlightedText {
+  text: string;
+  matches: Array<[number, number]>;
+}
+
+export interface SearchHighlights {
+  title: HighlightedText;
+  // An excerpt around the first match
+  description: HighlightedText;
+  // Tags that matched
+  tags: string[];
+}
+
+export interface WishlistItem {
+  id: string;
+  product: Product;
+  priceWhenSaved: number;
+  // How much cheaper the product is now than when it was saved
+  priceDrop: number;
+  savedAt: string;
+}
+
+export type DigestFrequency = 'never' | 'daily' | 'weekly';
+
+export interface SavedSearchFilters {
+  search?: string;
+  category?: string;
+  condition?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  // Currency the price bounds are in
+  currency?: string;
+  location?: string;
+  tags?: string[];
+}
+
+export interface SavedSearch {
+  id: string;
+  name: string;
+  filters: SavedSearchFilters;
+  digestFrequency: DigestFrequency;
+  matchCount: number;
+  // Matches since the user last opened the search
+  newMatchCount: number;
+  createdAt: string;
+}
+
+export interface SavedSearchMatch {
+  product: Product;
+  matchedAt: string;
+  isNew: boolean;
+}
+
+export type NotificationType =
+  | 'order_placed'
+  | 'order_status'
+  | 'cart_added'
+  | 'price_drop'
+  | 'back_in_stock'
+  | 'saved_search_match'
+  | 'listing_moderated';
+
+// Named to avoid clashing with the browser's Notification API
+export interface AppNotification {
+  id: string;
+  type: NotificationType;
+  title: string;
+  body: string;
+  // App path to open when the notification is clicked
+  link: string;
+  isRead: boolean;
+  createdAt: string;
+}
+
+export interface NotificationChannels {
+  inApp: boolean;
+  email: boolean;
+  webhook: boolean;
+}
+
+export interface NotificationPreferences {
+  channels: NotificationChannels;
+  webhookUrl: string;
+  // Used to verify the X-EcoFinds-Signature header on webhook deliveries
+  webhookSecret: string | null;
+  mutedTypes: NotificationType[];
+  availableTypes: NotificationType[];
 }
 
 export interface CartItem {
@@ -27,27 +186,410 @@ export interface CartItem {
   product: Product;
   quantity: number;
   addedAt: string;
+  // Price charged at checkout: the accepted offer amount, or the list price
+  unitPrice: number;
+  offerPrice: number | null;
+}
+
+// One order checkout will create, with the ways it can be delivered
+export interface CartOrder {
+  sellerId: string;
+  sellerName: string;
+  currency: string;
+  productIds: string[];
+  // Methods every listing in the order offers
+  deliveryMethods: DeliveryMethod[];
+  pickupLocation: string;
+  // Added when the order is shipped, in the order's currency
+  shippingFee: number;
+  // The same fee in the user's preferred currency
+  convertedShippingFee: number;
+}
+
+export interface CartTotal {
+  // The whole cart before shipping, converted to the user's preferred currency
+  amount: number;
+  currency: string;
+  // What checkout charges before shipping, one entry per listing currency
+  charges: Array<{ currency: string; amount: number }>;
+  orders: CartOrder[];
 }
 
+export interface OrderDelivery {
+  // Null for orders placed before delivery options existed
+  method: DeliveryMethod | null;
+  fee: number;
+  address: Omit<Address, 'id' | 'label' | 'isDefault'> | null;
+  pickupLocation: string;
+}
+
+export type OrderStatus =
+  | 'pending_payment'
+  | 'payment_failed'
+  | 'placed'
+  | 'confirmed'
+  | 'shipped'
+  | 'received'
+  | 'cancelled'
+  | 'refunded';
+
+export type PaymentStatus = 'pending' | 'authorized' | 'captured' | 'failed' | 'refund_pending' | 'refunded';
+
 export interface Purchase {
   id: string;
   products: Array<{
+    lineId: string;
     product: Product;
     quantity: number;
     priceAtPurchase: number;
+    review: { id: string; rating: number } | null;
+    canReview: boolean;
   }>;
+  // Including shipping
   totalAmount: number;
+  // Every line of an order is in the same currency
+  currency: string;
+  delivery: OrderDelivery;
   purchaseDate: string;
   buyerId: string;
+  sellerName: string;
+  status: OrderStatus;
+  // Null for orders placed before payments existed
+  paymentStatus: PaymentStatus | null;
+  // Why the last payment attempt failed, if it did
+  paymentError: string;
+  allowedTransitions: OrderStatus[];
+  notes: string;
+}
+
+export type CategoryAttributeType = 'text' | 'number' | 'select' | 'boolean';
+
+// A structured detail listings in a category can fill in, e.g. clothing size
+export interface CategoryAttribute {
+  key: string;
+  label: string;
+  type: CategoryAttributeType;
+  // Choices for select attributes, in display order
+  options: string[];
+  unit: string;
+  required: boolean;
+}
+
+export type AttributeValue = string | number | boolean;
+
+// Browse filter for one attribute: values to match, or a range for numbers
+export type AttributeFilter = string[] | { min?: number; max?: number };
+
+export interface AttributeFacet {
+  key: string;
+  label: string;
+  type: CategoryAttributeType;
+  unit: string;
+  // Text, select and boolean attributes: the most common values
+  values?: Array<{ value: string | boolean; count: number }>;
+  // Number attributes: the lowest and highest value listed
+  range?: { min: number; max: number } | null;
+}
+
+// Counts that tell buyers how many listings each filter value would show
+export interface ProductFacets {
+  categories: Array<{ name: string; count: number }>;
+  attributes: AttributeFacet[];
+}
+
+// A node in the category tree; attributes and image include inherited ones
+export interface Category {
+  id: string;
+  name: string;
+  slug: string;
+  description: string;
+  image: string;
+  parentId: string | null;
+  attributes: CategoryAttribute[];
+  children: Category[];
+}
+
+export interface SaleItem {
+  productId: string;
+  title: string;
+  imageUrl: string;
+  quantity: number;
+  priceAtPurchase: number;
+  subtotal: number;
+}
+
+export interface Sale {
+  id: string;
+  buyerName: string;
+  status: OrderStatus;
+  allowedTransitions: OrderStatus[];
+  purchasedAt: string;
+  items: SaleItem[];
+  totalItems: number;
+  delivery: OrderDelivery;
+  // Including shipping
+  total: number;
+  currency: string;
+}
+
+export interface SalesStats {
+  // Sales in every currency are totalled in the seller's preferred one
+  currency: string;
+  overview: {
+    totalOrders: number;
+    uniqueBuyers: number;
+    itemsSold: number;
+    totalRevenue: number;
+    avgOrderValue: number;
+  };
+  year: number;
+  monthlyRevenue: Array<{
+    month: number;
+    revenue: number;
+    itemsSold: number;
+    orderCount: number;
+  }>;
+  topProducts: Array<{
+    productId: string;
+    title: string;
+    imageUrl: string;
+    quantitySold: number;
+    revenue: number;
+    lastSoldAt: string;
+  }>;
+}
+
+export interface MonthlyTrend {
+  // Calendar month as YYYY-MM
+  month: string;
+  listed: number;
+  itemsSold: number;
+  revenue: number;
+  purchases: number;
+  spent: number;
+}
+
+export interface UserStats {
+  // Currency the revenue and spending totals are in
+  currency: string;
+  profileCompleteness: number;
+  listings: {
+    total: number;
+    active: number;
+    sold: number;
+    hidden: number;
+    totalViews: number;
+  };
+  sales: {
+    itemsSold: number;
+    totalOrders: number;
+    totalRevenue: number;
+  };
+  purchases: {
+    totalPurchases: number;
+    totalItems: number;
+    totalSpent: number;
+    avgOrderValue: number;
+  };
+  trends: MonthlyTrend[];
+}
+
+export interface ProductSaleDetails {
+  productId: string;
+  title: string;
+  isDeleted: boolean;
+  sales: Array<{
+    purchaseId: string;
+    buyerName: string;
+    status: OrderStatus;
+    purchasedAt: string;
+    quantity: number;
+    priceAtPurchase: number;
+    subtotal: number;
+  }>;
+  quantitySold: number;
+  revenue: number;
+  currency: string;
+}
+
+export interface Session {
+  id: string;
+  userAgent: string;
+  ip: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export type ConversationLockReason = 'blocked' | 'sold' | 'removed';
+
+export interface Conversation {
+  id: string;
+  productId: string;
+  productTitle: string;
+  productImageUrl: string;
+  productPrice: number | null;
+  productCurrency: string;
+  role: 'buyer' | 'seller';
+  counterpartId: string;
+  counterpartName: string;
+  lastMessage: string | null;
+  lastMessageAt: string;
+  lastMessageFromMe: boolean;
+  unreadCount: number;
+  lockReason: ConversationLockReason | null;
+  lockMessage: string | null;
+}
+
+export interface Message {
+  id: string;
+  senderId: string;
+  senderName: string;
+  body: string;
+  createdAt: string;
+}
+
+export interface UnreadSummary {
+  unreadMessages: number;
+  unreadConversations: number;
+}
+
+export interface BlockedUser {
+  id: string;
+  username: string;
+}
+
+export type OfferStatus = 'pending' | 'accepted' | 'declined' | 'withdrawn' | 'expired' | 'completed';
+
+export type OfferAction = 'accept' | 'counter' | 'decline' | 'withdraw';
+
+export interface OfferHistoryEntry {
+  action: 'offer' | 'counter' | 'accept' | 'decline' | 'withdraw' | 'expire' | 'complete';
+  role: 'buyer' | 'seller' | 'system';
+  amount?: number;
+  message: string;
+  at: string;
+}
+
+export interface Offer {
+  id: string;
+  productId: string;
+  productTitle: string;
+  productImageUrl: string;
+  listPrice: number;
+  amount: number;
+  currency: string;
+  status: OfferStatus;
+  awaitingResponseFrom: 'buyer' | 'seller' | null;
+  role: 'buyer' | 'seller';
+  allowedActions: OfferAction[];
+  buyerName: string;
+  sellerName: string;
+  expiresAt: string;
+  updatedAt: string;
+  history: OfferHistoryEntry[];
 }
 
-export type Category = 
-  | 'Electronics'
-  | 'Clothing'
-  | 'Furniture'
-  | 'Books'
-  | 'Sports'
-  | 'Home & Garden'
-  | 'Toys'
-  | 'Automotive'
-  | 'Other';
\ No newline at end of file
+export interface Review {
+  id: string;
+  rating: number;
+  comment: string;
+  productTitle: string;
+  reviewerName: string;
+  reviewerAvatar: string;
+  createdAt: string;
+  reply: { body: string; repliedAt: string } | null;
+}
+
+export interface RatingSummary extends SellerRating {
+  // Number of reviews for each star rating, keyed 1-5
+  distribution: Record<number, number>;
+}
+
+export interface PublicProfile {
+  id: string;
+  username: string;
+  bio: string;
+  avatar: string;
+  joinedDate: string;
+  rating: SellerRating;
+}
+
+export interface AdminUser {
+  id: string;
+  email: string;
+  username: string;
+  avatar: string;
+  role: UserRole;
+  suspendedAt: string | null;
+  suspensionReason: string;
+  createdAt: string;
+}
+
+export interface AdminPurchase {
+  id: string;
+  buyerName: string;
+  buyerEmail: string;
+  sellerNames: string[];
+  items: Array<{ title: string; quantity: number; priceAtPurchase: number }>;
+  total: number;
+  currency: string;
+  status: OrderStatus;
+  purchasedAt: string;
+}
+
+export interface AdminPage<T> {
+  items: T[];
+  currentPage: number;
+  totalPages: number;
+  total: number;
+}
+
+export type ReportReason = 'counterfeit' | 'prohibited' | 'scam' | 'misleading' | 'offensive' | 'other';
+
+export type ReportResolution = 'dismiss' | 'hide' | 'remove';
+
+export type ModerationAction =
+  | 'reports_dismissed'
+  | 'listing_hidden'
+  | 'listing_removed'
+  | 'listing_restored'
+  | 'user_suspended'
+  | 'user_unsuspended'
+  | 'role_changed';
+
+export interface ReportQueueGroup {
+  // Product ID or seller ID, depending on how the queue is grouped
+  id: string;
+  product: Pick<Product, 'id' | 'title' | 'thumbnailUrl' | 'price' | 'currency' | 'category' | 'isHidden' | 'isTakenDown'> | null;
+  sellerId: string;
+  sellerName: string;
+  sellerSuspended: boolean;
+  // Number of reported listings when grouped by seller
+  productCount: number;
+  reportCount: number;
+  reasons: Partial<Record<ReportReason, number>>;
+  lastReportedAt: string;
+}
+
+export interface ListingReport {
+  id: string;
+  reporterName: string;
+  reason: ReportReason;
+  details: string;
+  status: 'open' | 'dismissed' | 'actioned';
+  createdAt: string;
+}
+
+export interface ModerationLogEntry {
+  id: string;
+  // Null for automatic actions
+  actorName: string | null;
+  action: ModerationAction;
+  targetType: 'Product' | 'User';
+  targetId: string;
+  reason: string;
+  details: Record<string, unknown>;
+  createdAt: string;
+}
@@ -0,0 +1,14 @@
+import { Address } from '../types';
+
+type AddressLines = Pick<Address, 'line1' | 'line2' | 'city' | 'region' | 'postalCode' | 'country'>;
+
+// One-line form of an address, e.g. "1 High St, London N1 9GU, GB"
+export const formatAddress = (address: AddressLines) =>
+  [
+    address.line1,
+    address.line2,
+    [address.city, address.region, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(', ');
@@ -0,0 +1,45 @@
+import { AttributeValue, CategoryAttribute } from '../types';
+
+// Form state for listing attributes, by key; every value stays a string while it is edited
+export type AttributeFormValues = Record<string, string>;
+
+export const toAttributeFormValues = (attributes: Record<string, AttributeValue>): AttributeFormValues =>
+  Object.fromEntries(Object.entries(attributes).map(([key, value]) => [key, String(value)]));
+
+// Returns an error message, or null when the attributes can be saved
+export const validateAttributeForm = (
+  values: AttributeFormValues,
+  attributes: CategoryAttribute[]
+): string | null => {
+  for (const attribute of attributes) {
+    const value = values[attribute.key]?.trim() ?? '';
+    if (!value) {
+      if (attribute.required) return `${attribute.label} is required`;
+      continue;
+    }
+    if (attribute.type === 'number' && isNaN(Number(value))) {
+      return `${attribute.label} must be a number`;
+    }
+  }
+  return null;
+};
+
+// Keeps only the category's attributes, so values left over from another category are dropped
+export const toAttributeValues = (
+  values: AttributeFormValues,
+  attributes: CategoryAttribute[]
+): Record<string, AttributeValue> => {
+  const result: Record<string, AttributeValue> = {};
+  attributes.forEach(({ key, type }) => {
+    const value = values[key]?.trim();
+    if (!value) return;
+    result[key] = type === 'number' ? Number(value) : type === 'boolean' ? value === 'true' : value;
+  });
+  return result;
+};
+
+// Display form of a listing's attribute value, e.g. "42 EU" or "Yes"
+export const formatAttributeValue = (attribute: Pick<CategoryAttribute, 'type' | 'unit'>, value: AttributeValue) => {
+  if (attribute.type === 'boolean') return value ? 'Yes' : 'No';
+  return attribute.unit ? `${value} ${attribute.unit}` : String(value);
+};
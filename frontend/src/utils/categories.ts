@@ -0,0 +1,18 @@
+import { Category } from '../types';
+
+// A category in a flattened tree, with how many levels down it sits
+export interface CategoryOption {
+  category: Category;
+  depth: number;
+}
+
+// Every category in display order, each followed by its subcategories
+export const flattenCategories = (categories: Category[], depth = 0): CategoryOption[] =>
+  categories.flatMap((category) => [
+    { category, depth },
+    ...flattenCategories(category.children, depth + 1),
+  ]);
+
+// Option label that indents subcategories under their parent in a <select>
+export const categoryOptionLabel = ({ category, depth }: CategoryOption) =>
+  `${'   '.repeat(depth)}${category.name}`;
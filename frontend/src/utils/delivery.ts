@@ -0,0 +1,34 @@
+import { DeliveryOptions } from '../types';
+
+// Form state for the delivery options; the fee stays a string while it is typed
+export interface DeliveryFormValues {
+  pickup: boolean;
+  shipping: boolean;
+  shippingFee: string;
+  location: string;
+}
+
+export const toDeliveryFormValues = (delivery: DeliveryOptions, location: string): DeliveryFormValues => ({
+  pickup: delivery.pickup,
+  shipping: delivery.shipping,
+  shippingFee: delivery.shippingFee ? delivery.shippingFee.toString() : '',
+  location,
+});
+
+// Returns an error message, or null when the options can be saved
+export const validateDeliveryForm = (values: DeliveryFormValues): string | null => {
+  if (!values.pickup && !values.shipping) {
+    return 'Offer local pickup, shipping or both';
+  }
+  const fee = values.shippingFee ? parseFloat(values.shippingFee) : 0;
+  if (values.shipping && (isNaN(fee) || fee < 0)) {
+    return 'Please enter a valid shipping fee';
+  }
+  return null;
+};
+
+export const toDeliveryOptions = (values: DeliveryFormValues): DeliveryOptions => ({
+  pickup: values.pickup,
+  shipping: values.shipping,
+  shippingFee: values.shipping && values.shippingFee ? parseFloat(values.shippingFee) : 0,
+});
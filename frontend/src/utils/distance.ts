@@ -0,0 +1,5 @@
+// Approximate, since listings are placed at the centre of their town or postcode area
+export const formatDistance = (km: number): string => {
+  if (km < 1) return 'Under 1 km away';
+  return `~${km < 10 ? km.toFixed(1) : Math.round(km)} km away`;
+};
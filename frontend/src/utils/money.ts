@@ -0,0 +1,16 @@
+/**
+ * Locale-aware money formatting. Prices are always shown in the currency they
+ * are held in; totals that mix currencies are converted by the backend.
+ */
+
+// Matches the backend's base currency, used when an older response has none
+export const DEFAULT_CURRENCY = 'USD';
+
+export const formatMoney = (amount: number, currency = DEFAULT_CURRENCY, locale?: string): string => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  } catch {
+    // Unknown locale or currency code
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
  * Authentication Middleware
@@ -39,7 +40,7 @@ const authenticate = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
       // Find user by ID from token payload
-      const user = await User.findById(decoded.userId);
+      const user = await User.findById(decoded.userId).select('+passwordChangedAt');
       
       if (!user) {
         return res.status(401).json({
@@ -48,11 +49,42 @@ const authenticate = async (req, res, next) => {
         });
       }
       
+      // Tokens issued before a password change are no longer valid
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently',
+          hint: 'Please login again to get a new token'
+        });
+      }
+      
+      // The session behind the token may have been logged out or revoked
+      if (!(await Session.isValid(decoded.sessionId, user._id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked',
+          code: 'SESSION_REVOKED',
+          hint: 'Please login again to get a new token'
+        });
+      }
+      
+      if (user.isSuspended) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been suspended',
+          code: 'ACCOUNT_SUSPENDED'
+        });
+      }
+      
       // Attach user to request object
       req.user = {
         id: user._id,
         email: user.email,
-        username: user.username
+        username: user.username,
+        role: user.role,
+        currency: user.preferredCurrency,
+        locale: user.locale,
+        sessionId: decoded.sessionId
       };
       
       next();
@@ -65,7 +97,8 @@ const authenticate = async (req, res, next) => {
         return res.status(401).json({
           success: false,
           message: 'Token has expired',
-          hint: 'Please login again to get a new token'
+          code: 'TOKEN_EXPIRED',
+          hint: 'Use your refresh token at /api/auth/refresh or login again'
         });
       }
       
@@ -115,14 +148,18 @@ const optionalAuthenticate = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
       // Find user by ID from token payload
-      const user = await User.findById(decoded.userId);
+      const user = await User.findById(decoded.userId).select('+passwordChangedAt');
       
-      if (user) {
+      if (user && !user.isSuspended && !user.changedPasswordAfter(decoded.iat) && await Session.isValid(decoded.sessionId, user._id)) {
         // Attach user to request object if found
         req.user = {
           id: user._id,
           email: user.email,
-          username: user.username
+          username: user.username,
+          role: user.role,
+          currency: user.preferredCurrency,
+          locale: user.locale,
+          sessionId: decoded.sessionId
         };
       }
       
@@ -141,7 +178,33 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Role Authorization Middleware
+ * Runs after authenticate and only lets users with one of the given roles through
+ * @param {...string} roles - Roles allowed to use the route, e.g. 'admin', 'moderator'
+ * @returns {Function} - Express middleware function
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have permission to perform this action',
+      requiredRoles: roles
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuthenticate
+  optionalAuthenticate,
+  authorize
 };
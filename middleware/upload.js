@@ -0,0 +1,63 @@
+const multer = require('multer');
+
+/**
+ * Upload Middleware
+ * Parses multipart image uploads into memory so they can be checked and
+ * resized before anything is written to storage.
+ */
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5;
+const MAX_PRODUCT_IMAGES = parseInt(process.env.UPLOAD_MAX_PRODUCT_IMAGES) || 8;
+
+const MULTER_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be ${MAX_FILE_SIZE_MB}MB or smaller`,
+  LIMIT_FILE_COUNT: `You can upload at most ${MAX_PRODUCT_IMAGES} images at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+/**
+ * Build middleware accepting up to `maxCount` files from one form field
+ * @param {string} field - Multipart field name
+ * @param {number} maxCount - Maximum number of files
+ * @returns {Function} - Express middleware
+ */
+const uploadImages = (field, maxCount) => {
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+      files: maxCount
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    parser(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: MULTER_ERROR_MESSAGES[error.code] || error.message,
+          field: error.field
+        });
+      }
+
+      if (error) {
+        return next(error);
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No files uploaded. Send images in the "${field}" form field`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadImages,
+  MAX_FILE_SIZE_MB,
+  MAX_PRODUCT_IMAGES
+};
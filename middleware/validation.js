@@ -1,4 +1,42 @@
 const { body } = require('express-validator');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const {
+  getBaseCurrency,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  isValidLocale,
+  convert,
+  formatMoney
+} = require('../utils/currency');
+const { resolvePublicUrl } = require('../utils/network');
+
+/**
+ * Check that a category name belongs to an active category
+ * @param {string} name - Category name from the request
+ */
+const checkCategory = async (name) => {
+  if (!(await Category.isSelectable(name))) {
+    throw new Error(`Category "${name}" does not exist`);
+  }
+  return true;
+};
+
+/**
+ * Check listing attributes against the attributes their category defines
+ * @param {Object} values - Attribute values by key from the request
+ * @param {string} categoryName - Category the listing will be in
+ */
+const checkAttributes = async (values, categoryName) => {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('Attributes must be an object of values by key');
+  }
+  const problems = await Category.checkAttributeValues(categoryName, values);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return true;
+};
 
 /**
  * Validation rules for user registration
@@ -37,6 +75,16 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Validation rules for refreshing an access token
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 /**
  * Validation rules for password change
  */
@@ -60,6 +108,44 @@ const validatePasswordChange = [
     })
 ];
 
+/**
+ * Validation rules for requesting a password reset email
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+/**
+ * Validation rules for resetting password with a reset token
+ */
+const validateResetPassword = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for deleting the current account
+ */
+const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account')
+];
+
 /**
  * Validation rules for profile update
  */
@@ -87,9 +173,121 @@ const validateProfileUpdate = [
         throw new Error('Avatar must be a valid image URL (jpg, jpeg, png, gif, webp)');
       }
       return true;
-    })
+    }),
+
+  body('phone')
+    .optional()
+    .trim()
+    .custom((value) => {
+      if (!value) return true; // Empty string removes the phone number
+      if (!/^\+?[0-9 ()-]{6,20}$/.test(value)) {
+        throw new Error('Phone number can only contain digits, spaces, brackets, hyphens and a leading +');
+      }
+      return true;
+    }),
+
+  body('preferredCurrency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(getSupportedCurrencies())
+    .withMessage(`Currency must be one of: ${getSupportedCurrencies().join(', ')}`),
+
+  body('locale')
+    .optional()
+    .trim()
+    .custom(isValidLocale)
+    .withMessage('Locale must be a valid language tag such as en-US'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters')
 ];
 
+/**
+ * Validation rules for an address book entry
+ * @param {boolean} partial - True when editing, so every field is optional
+ * @returns {Array} - Validation chain
+ */
+const addressRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Address label cannot exceed 30 characters'),
+
+    field('fullName')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Recipient name must be between 1 and 100 characters'),
+
+    field('line1')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Address line 1 must be between 1 and 100 characters'),
+
+    body('line2')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Address line cannot exceed 100 characters'),
+
+    field('city')
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('City must be between 1 and 60 characters'),
+
+    body('region')
+      .optional()
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('Region cannot exceed 60 characters'),
+
+    field('postalCode')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Postal code must be between 1 and 20 characters'),
+
+    field('country')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}$/)
+      .withMessage('Country must be a two-letter code such as GB'),
+
+    body('phone')
+      .optional()
+      .trim()
+      .custom((value) => {
+        if (!value) return true; // Allow empty string
+        if (!/^\+?[0-9 ()-]{6,20}$/.test(value)) {
+          throw new Error('Phone number can only contain digits, spaces, brackets, hyphens and a leading +');
+        }
+        return true;
+      }),
+
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .withMessage('isDefault must be a boolean value')
+      .toBoolean()
+  ];
+};
+
+/**
+ * Validation rules for saving a new address
+ */
+const validateAddress = addressRules(false);
+
+/**
+ * Validation rules for editing a saved address
+ */
+const validateAddressUpdate = addressRules(true);
+
 /**
  * Validation rules for product creation
  */
@@ -105,12 +303,32 @@ const validateProductCreate = [
     .withMessage('Product description must be between 10 and 1000 characters'),
   
   body('category')
-    .isIn(['Electronics', 'Clothing', 'Furniture', 'Books', 'Miscellaneous'])
-    .withMessage('Category must be one of: Electronics, Clothing, Furniture, Books, Miscellaneous'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Category is required')
+    .bail()
+    .custom(checkCategory),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(getSupportedCurrencies())
+    .withMessage(`Currency must be one of: ${getSupportedCurrencies().join(', ')}`),
+
   body('price')
-    .isFloat({ min: 0, max: 99999.99 })
-    .withMessage('Price must be a number between 0 and 99999.99'),
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number')
+    .bail()
+    .custom((value, { req }) => {
+      const base = getBaseCurrency();
+      const currency = isSupportedCurrency(req.body.currency) ? req.body.currency : base;
+      if (convert(parseFloat(value), currency, base) > Product.getMaxBasePrice()) {
+        throw new Error(`Price cannot exceed the equivalent of ${formatMoney(Product.getMaxBasePrice(), base)}`);
+      }
+      return true;
+    }),
   
   body('condition')
     .optional()
@@ -128,6 +346,22 @@ const validateProductCreate = [
       return true;
     }),
   
+  body('images')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('A product can have at most 8 images')
+    .custom((images) => {
+      for (const image of images) {
+        if (!image || typeof image.url !== 'string' || !/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(image.url)) {
+          throw new Error('Each image must have a valid image URL (jpg, jpeg, png, gif, webp)');
+        }
+        if (image.thumbnailUrl && !/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(image.thumbnailUrl)) {
+          throw new Error('Image thumbnails must be valid image URLs (jpg, jpeg, png, gif, webp)');
+        }
+      }
+      return true;
+    }),
+  
   body('location')
     .optional()
     .trim()
@@ -147,6 +381,32 @@ const validateProductCreate = [
         }
       }
       return true;
+    }),
+
+  body('delivery')
+    .optional()
+    .isObject()
+    .withMessage('Delivery options must be an object'),
+
+  body(['delivery.pickup', 'delivery.shipping'])
+    .optional()
+    .isBoolean()
+    .withMessage('Delivery options must be boolean values')
+    .toBoolean(),
+
+  body('delivery.shippingFee')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Shipping fee must be a number between 0 and 10000')
+    .toFloat(),
+
+  // Runs without attributes too, so a category's required attributes are enforced
+  body('attributes')
+    .custom(async (values = {}, { req }) => {
+      // An unknown category is reported on its own
+      const { category } = req.body;
+      if (typeof category !== 'string' || !(await Category.isSelectable(category))) return true;
+      return checkAttributes(values, category);
     })
 ];
 
@@ -168,13 +428,18 @@ const validateProductUpdate = [
   
   body('category')
     .optional()
-    .isIn(['Electronics', 'Clothing', 'Furniture', 'Books', 'Miscellaneous'])
-    .withMessage('Category must be one of: Electronics, Clothing, Furniture, Books, Miscellaneous'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty')
+    .bail()
+    .custom(checkCategory),
   
+  // The currency is fixed once listed; the model caps the price in it
   body('price')
     .optional()
-    .isFloat({ min: 0, max: 99999.99 })
-    .withMessage('Price must be a number between 0 and 99999.99'),
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
   
   body('condition')
     .optional()
@@ -192,6 +457,22 @@ const validateProductUpdate = [
       return true;
     }),
   
+  body('images')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('A product can have at most 8 images')
+    .custom((images) => {
+      for (const image of images) {
+        if (!image || typeof image.url !== 'string' || !/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(image.url)) {
+          throw new Error('Each image must have a valid image URL (jpg, jpeg, png, gif, webp)');
+        }
+        if (image.thumbnailUrl && !/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(image.thumbnailUrl)) {
+          throw new Error('Image thumbnails must be valid image URLs (jpg, jpeg, png, gif, webp)');
+        }
+      }
+      return true;
+    }),
+  
   body('location')
     .optional()
     .trim()
@@ -213,10 +494,46 @@ const validateProductUpdate = [
       return true;
     }),
   
+  body('delivery')
+    .optional()
+    .isObject()
+    .withMessage('Delivery options must be an object'),
+
+  body(['delivery.pickup', 'delivery.shipping'])
+    .optional()
+    .isBoolean()
+    .withMessage('Delivery options must be boolean values')
+    .toBoolean(),
+
+  body('delivery.shippingFee')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Shipping fee must be a number between 0 and 10000')
+    .toFloat(),
+
   body('isAvailable')
     .optional()
     .isBoolean()
-    .withMessage('isAvailable must be a boolean value')
+    .withMessage('isAvailable must be a boolean value'),
+
+  body('attributes')
+    .custom(async (values, { req }) => {
+      if (values === undefined && req.body.category === undefined) return true;
+      // A missing or malformed product is reported by the controller
+      if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) return true;
+      const product = await Product.findById(req.params.id).select('category').lean();
+      if (!product) return true;
+
+      const category = req.body.category === undefined ? product.category : req.body.category;
+      // An unknown category is reported on its own
+      if (typeof category !== 'string') return true;
+      if (category !== product.category && !(await Category.isSelectable(category))) return true;
+      if (values === undefined) {
+        // Moving to another category without new attributes clears the old ones
+        return category === product.category || checkAttributes({}, category);
+      }
+      return checkAttributes(values, category);
+    })
 ];
 
 /**
@@ -233,6 +550,154 @@ const validateAddToCart = [
     .withMessage('Quantity must be a number between 1 and 10')
 ];
 
+/**
+ * Validation rules for saving a product to the wishlist
+ */
+const validateAddToWishlist = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format')
+];
+
+/**
+ * Validation rules for saving a search from the browse page
+ */
+const validateSavedSearch = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Saved search name must be between 1 and 60 characters'),
+
+  body('filters')
+    .isObject()
+    .withMessage('Filters must be an object')
+    .custom((filters) => {
+      const { search, category, condition, minPrice, maxPrice, location, tags } = filters;
+      const hasFilter = [search, category, condition, location].some(value => typeof value === 'string' && value.trim()) ||
+        minPrice !== undefined || maxPrice !== undefined || (Array.isArray(tags) && tags.length > 0);
+      if (!hasFilter) {
+        throw new Error('Choose at least one filter to save');
+      }
+      if (minPrice !== undefined && maxPrice !== undefined && Number(minPrice) > Number(maxPrice)) {
+        throw new Error('Minimum price cannot be greater than maximum price');
+      }
+      return true;
+    }),
+
+  body('filters.search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+
+  body('filters.category')
+    .optional()
+    .isString()
+    .trim()
+    .bail()
+    .custom(checkCategory),
+
+  body('filters.condition')
+    .optional()
+    .isIn(['New', 'Like New', 'Good', 'Fair', 'Poor'])
+    .withMessage('Condition must be one of: New, Like New, Good, Fair, Poor'),
+
+  body(['filters.minPrice', 'filters.maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number')
+    .toFloat(),
+
+  body('filters.currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(getSupportedCurrencies())
+    .withMessage(`Currency must be one of: ${getSupportedCurrencies().join(', ')}`),
+
+  body('filters.location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+
+  body('filters.tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 tags allowed')
+    .custom((tags) => {
+      for (const tag of tags) {
+        if (typeof tag !== 'string' || tag.trim().length === 0 || tag.length > 30) {
+          throw new Error('Each tag must be a non-empty string with maximum 30 characters');
+        }
+      }
+      return true;
+    }),
+
+  body('digestFrequency')
+    .optional()
+    .isIn(['never', 'daily', 'weekly'])
+    .withMessage('Digest frequency must be one of: never, daily, weekly')
+];
+
+/**
+ * Validation rules for renaming a saved search or changing its digest
+ */
+const validateSavedSearchUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Saved search name must be between 1 and 60 characters'),
+
+  body('digestFrequency')
+    .optional()
+    .isIn(['never', 'daily', 'weekly'])
+    .withMessage('Digest frequency must be one of: never, daily, weekly')
+];
+
+/**
+ * Validation rules for notification channel preferences
+ */
+const validateNotificationPreferences = [
+  body(['channels.inApp', 'channels.email', 'channels.webhook'])
+    .optional()
+    .isBoolean()
+    .withMessage('Channel settings must be boolean values')
+    .toBoolean(),
+
+  body('webhookUrl')
+    .optional()
+    .trim()
+    .custom(async (value) => {
+      if (!value) return true; // Empty string removes the webhook
+      if (value.length > 500 || !/^https?:\/\/[^\s]+$/i.test(value)) {
+        throw new Error('Webhook URL must be a valid http or https URL');
+      }
+      // The server POSTs to it, so internal hosts are off limits
+      try {
+        await resolvePublicUrl(value);
+      } catch (error) {
+        throw new Error(`Webhook URL must point to a public server: ${error.message}`);
+      }
+      return true;
+    }),
+
+  body('mutedTypes')
+    .optional()
+    .isArray()
+    .withMessage('Muted types must be an array')
+    .custom((types) => {
+      const validTypes = ['order_placed', 'order_status', 'cart_added', 'price_drop', 'back_in_stock', 'saved_search_match'];
+      for (const type of types) {
+        if (!validTypes.includes(type)) {
+          throw new Error(`Muted types must be among: ${validTypes.join(', ')}`);
+        }
+      }
+      return true;
+    })
+];
+
 /**
  * Validation rules for updating cart item
  */
@@ -250,17 +715,239 @@ const validateCreatePurchase = [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  // Seller ID -> delivery method for that seller's order
+  body('deliveryMethods')
+    .optional()
+    .isObject()
+    .withMessage('Delivery methods must be an object keyed by seller ID')
+    .custom((methods) => {
+      for (const [sellerId, method] of Object.entries(methods)) {
+        if (!/^[0-9a-fA-F]{24}$/.test(sellerId)) {
+          throw new Error('Delivery methods must be keyed by seller ID');
+        }
+        if (!['pickup', 'shipping'].includes(method)) {
+          throw new Error('Delivery method must be one of: pickup, shipping');
+        }
+      }
+      return true;
+    }),
+
+  body('addressId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid address ID format'),
+
+  // Token from the payment provider's card form; without one the payment is declined
+  body('paymentMethod')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Payment method must be a token of at most 200 characters')
+];
+
+/**
+ * Validation rules for changing an order's status
+ */
+const validateStatusUpdate = [
+  body('status')
+    .isIn(['placed', 'confirmed', 'shipped', 'received', 'cancelled', 'refunded'])
+    .withMessage('Status must be one of: placed, confirmed, shipped, received, cancelled, refunded'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for starting a conversation about a product
+ */
+const validateStartConversation = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+];
+
+/**
+ * Validation rules for sending a message
+ */
+const validateMessage = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+];
+
+/**
+ * Validation rules for making an offer
+ */
+const validateOffer = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Offer amount must be a number greater than 0'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for accepting, declining or withdrawing an offer
+ */
+const validateOfferResponse = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for a counter-offer
+ */
+const validateCounterOffer = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Counter-offer amount must be a number greater than 0'),
+
+  ...validateOfferResponse
+];
+
+/**
+ * Validation rules for reviewing a seller
+ */
+const validateReview = [
+  body('purchaseId')
+    .isMongoId()
+    .withMessage('Invalid purchase ID format'),
+
+  body('lineId')
+    .isMongoId()
+    .withMessage('Invalid purchase item ID format'),
+
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review cannot exceed 1000 characters')
+];
+
+/**
+ * Validation rules for a seller's reply to a review
+ */
+const validateReviewReply = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply cannot be empty')
+    .isLength({ max: 1000 })
+    .withMessage('Reply cannot exceed 1000 characters')
+];
+
+/**
+ * Validation rules for changing a user's role
+ */
+const validateRoleUpdate = [
+  body('role')
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be one of: user, moderator, admin')
+];
+
+/**
+ * Validation rules for suspending a user or taking down a listing
+ */
+const validateModerationReason = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for reporting a listing
+ */
+const validateReport = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('reason')
+    .isIn(['counterfeit', 'prohibited', 'scam', 'misleading', 'offensive', 'other'])
+    .withMessage('Reason must be one of: counterfeit, prohibited, scam, misleading, offensive, other'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters')
+];
+
+/**
+ * Validation rules for resolving the open reports on a listing
+ */
+const validateReportResolution = [
+  body('action')
+    .isIn(['dismiss', 'hide', 'remove'])
+    .withMessage('Action must be one of: dismiss, hide, remove'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefreshToken,
   validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateAccountDeletion,
   validateProfileUpdate,
+  validateAddress,
+  validateAddressUpdate,
   validateProductCreate,
   validateProductUpdate,
   validateAddToCart,
   validateUpdateCartItem,
-  validateCreatePurchase
+  validateAddToWishlist,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateNotificationPreferences,
+  validateCreatePurchase,
+  validateStatusUpdate,
+  validateStartConversation,
+  validateMessage,
+  validateOffer,
+  validateOfferResponse,
+  validateCounterOffer,
+  validateReview,
+  validateReviewReply,
+  validateRoleUpdate,
+  validateModerationReason,
+  validateReport,
+  validateReportResolution
 };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getBaseCurrency, convert } = require('../utils/currency');
+const { sumMoney, multiplyMoney } = require('../utils/money');
 
 /**
  * CartItem Model Schema
@@ -45,7 +47,7 @@ cartItemSchema.index({ addedAt: -1 });
  */
 cartItemSchema.virtual('subtotal').get(function() {
   if (this.product && this.product.price) {
-    return Math.round(this.quantity * this.product.price * 100) / 100;
+    return multiplyMoney(this.product.price, this.quantity);
   }
   return 0;
 });
@@ -63,7 +65,7 @@ cartItemSchema.pre('save', async function(next) {
         return next(new Error('Product not found'));
       }
       
-      if (!product.isAvailable) {
+      if (!product.isListed) {
         return next(new Error('Product is no longer available'));
       }
       
@@ -83,7 +85,7 @@ cartItemSchema.statics.getUserCart = function(userId) {
   return this.find({ user: userId })
     .populate({
       path: 'product',
-      select: 'title description price image category condition isAvailable user',
+      select: 'title description price currency image category condition location delivery isAvailable hiddenAt user',
       populate: {
         path: 'user',
         select: 'username avatar'
@@ -94,22 +96,25 @@ cartItemSchema.statics.getUserCart = function(userId) {
 
 /**
  * Static method to calculate cart total
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency to total in; items listed in other currencies are converted
  */
-cartItemSchema.statics.calculateCartTotal = async function(userId) {
+cartItemSchema.statics.calculateCartTotal = async function(userId, currency = getBaseCurrency()) {
   const cartItems = await this.getUserCart(userId);
   
-  let total = 0;
+  const amounts = [];
   let itemCount = 0;
   
   for (const item of cartItems) {
-    if (item.product && item.product.isAvailable) {
-      total += item.quantity * item.product.price;
+    if (item.product && item.product.isListed) {
+      amounts.push(convert(multiplyMoney(item.product.price, item.quantity), item.product.currency, currency));
       itemCount += item.quantity;
     }
   }
   
   return {
-    total: Math.round(total * 100) / 100,
+    total: sumMoney(amounts),
+    currency,
     itemCount,
     items: cartItems
   };
@@ -153,9 +158,20 @@ cartItemSchema.statics.addOrUpdateItem = async function(userId, productId, quant
 
 /**
  * Static method to clear user's cart
+ * @param {string} userId - User whose cart is cleared
+ * @param {Object} session - Optional session when clearing inside a transaction
  */
-cartItemSchema.statics.clearUserCart = function(userId) {
-  return this.deleteMany({ user: userId });
+cartItemSchema.statics.clearUserCart = function(userId, session = null) {
+  return this.deleteMany({ user: userId }).session(session);
+};
+
+/**
+ * Static method to remove products from a user's cart, e.g. once they are paid for
+ * @param {string} userId - User whose cart is updated
+ * @param {Array} productIds - Products to remove
+ */
+cartItemSchema.statics.removeProducts = function(userId, productIds) {
+  return this.deleteMany({ user: userId, product: { $in: productIds } });
 };
 
 /**
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'select', 'boolean'];
+
+// Top-level categories are depth 1; deeper trees make pickers hard to use
+const MAX_DEPTH = 3;
+
+// Longest value a listing can give a text attribute
+const MAX_TEXT_VALUE_LENGTH = 60;
+
+const getDefaultsFile = () => process.env.CATEGORIES_FILE
+  ? path.resolve(process.env.CATEGORIES_FILE)
+  : path.join(__dirname, '..', 'config', 'categories.json');
+
+/**
+ * URL-friendly form of a category name, e.g. "Home & Garden" -> "home-and-garden"
+ * @param {string} name - Category name
+ * @returns {string} - Slug
+ */
+const toSlug = (name) => name
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * A structured field listings in a category can fill in, e.g. clothing size.
+ * Subcategories inherit their parent's attributes and may redefine one by key.
+ */
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-z][a-zA-Z0-9]{0,29}$/, 'Attribute key must be camelCase letters and digits, e.g. modelYear']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true,
+    maxlength: [40, 'Attribute label cannot exceed 40 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Attribute type is required'],
+    enum: {
+      values: ATTRIBUTE_TYPES,
+      message: `Attribute type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`
+    }
+  },
+  // Allowed values of a select attribute, in display order
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [40, 'Attribute options cannot exceed 40 characters']
+  }],
+  // Shown after number values, e.g. "cm"
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [10, 'Attribute unit cannot exceed 10 characters'],
+    default: ''
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * Category Model Schema
+ * The listing taxonomy. Categories form a tree through `parent`; listings store
+ * the category name, and filtering by a category includes its subcategories.
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Stock photo for listings in this category that have none of their own
+  image: {
+    type: String,
+    default: ''
+  },
+  attributes: [attributeSchema],
+  // Siblings are listed by sortOrder, then name
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories take no new listings and leave the category pickers; existing listings keep them
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+/**
+ * Keep the slug in step with the name and check attribute definitions
+ */
+categorySchema.pre('validate', function(next) {
+  if (this.name && (this.isNew || this.isModified('name'))) {
+    this.slug = toSlug(this.name);
+  }
+
+  const keys = new Set();
+  for (const attribute of this.attributes) {
+    if (keys.has(attribute.key)) {
+      this.invalidate('attributes', `Attribute "${attribute.key}" is defined twice`);
+    }
+    keys.add(attribute.key);
+
+    if (attribute.type === 'select' && attribute.options.length === 0) {
+      this.invalidate('attributes', `Attribute "${attribute.key}" needs options to choose from`);
+    }
+  }
+
+  next();
+});
+
+/**
+ * Reject a parent that would create a loop or make the tree too deep
+ */
+categorySchema.pre('save', async function() {
+  if (!this.isModified('parent') || !this.parent) return;
+
+  let depth = 1;
+  let ancestorId = this.parent;
+
+  while (ancestorId) {
+    if (ancestorId.equals(this._id)) {
+      throw Object.assign(new Error('A category cannot be inside itself'), { statusCode: 400 });
+    }
+
+    const ancestor = await this.constructor.findById(ancestorId).select('parent');
+    if (!ancestor) {
+      throw Object.assign(new Error('Parent category not found'), { statusCode: 400 });
+    }
+
+    depth++;
+    ancestorId = ancestor.parent;
+  }
+
+  // Subcategories of this one move down with it
+  const subtreeDepth = this.isNew ? 1 : getSubtreeDepth(await this.constructor.find().select('parent').lean(), this._id);
+  if (depth + subtreeDepth - 1 > MAX_DEPTH) {
+    throw Object.assign(new Error(`Categories can be nested at most ${MAX_DEPTH} levels deep`), { statusCode: 400 });
+  }
+});
+
+/**
+ * Levels in the subtree below a category, counting the category itself
+ * @param {Array} categories - Every category with _id and parent
+ * @param {ObjectId} categoryId - Root of the subtree
+ * @returns {number} - Depth of the subtree
+ */
+const getSubtreeDepth = (categories, categoryId) => {
+  const children = categories.filter(category => category.parent && category.parent.equals(categoryId));
+  return 1 + Math.max(0, ...children.map(child => getSubtreeDepth(categories, child._id)));
+};
+
+/**
+ * Load the active categories in display order
+ * @param {Object} model - Category model
+ * @returns {Array} - Plain category objects
+ */
+const loadActive = (model) => model.find({ isActive: true }).sort({ sortOrder: 1, name: 1 }).lean();
+
+/**
+ * Walk from a category up to its top-level ancestor
+ * @param {Array} categories - Categories to search
+ * @param {string} name - Category name
+ * @returns {Array} - The category then each ancestor, or [] if not found
+ */
+const getLineage = (categories, name) => {
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const lineage = [];
+  let category = categories.find(item => item.name === name);
+
+  while (category) {
+    lineage.push(category);
+    category = category.parent ? byId.get(category.parent.toString()) : null;
+  }
+
+  return lineage;
+};
+
+/**
+ * Merge attribute definitions down a lineage; nearer categories win on a shared key
+ * @param {Array} lineage - From getLineage
+ * @returns {Array} - Effective attribute definitions, ancestors' first
+ */
+const mergeAttributes = (lineage) => {
+  const attributes = new Map();
+
+  for (const category of [...lineage].reverse()) {
+    for (const attribute of category.attributes || []) {
+      attributes.set(attribute.key, attribute);
+    }
+  }
+
+  return [...attributes.values()];
+};
+
+/**
+ * Check one listing attribute value against its definition
+ * @param {Object} attribute - Attribute definition
+ * @param {*} value - Value from the listing
+ * @returns {string|null} - What is wrong with the value, or null if it is valid
+ */
+const checkAttributeValue = (attribute, value) => {
+  switch (attribute.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `${attribute.label} must be a number`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${attribute.label} must be true or false`;
+    case 'select':
+      return attribute.options.includes(value) ? null : `${attribute.label} must be one of: ${attribute.options.join(', ')}`;
+    default:
+      return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= MAX_TEXT_VALUE_LENGTH
+        ? null
+        : `${attribute.label} must be text of at most ${MAX_TEXT_VALUE_LENGTH} characters`;
+  }
+};
+
+/**
+ * Static method to get the active categories as a tree, each with its effective attributes
+ * @returns {Array} - Top-level categories with nested `children`
+ */
+categorySchema.statics.getTree = async function() {
+  const categories = await loadActive(this);
+
+  const toNode = (category, ancestors) => {
+    const lineage = [category, ...ancestors];
+    return {
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      description: category.description,
+      // Subcategories without their own photo use the nearest ancestor's
+      image: lineage.find(item => item.image)?.image || '',
+      parent: category.parent,
+      attributes: mergeAttributes(lineage),
+      children: categories
+        .filter(child => child.parent && child.parent.equals(category._id))
+        .map(child => toNode(child, lineage))
+    };
+  };
+
+  return categories.filter(category => !category.parent).map(category => toNode(category, []));
+};
+
+/**
+ * Static method to list the names of a category and every subcategory below it
+ * @param {string} name - Category name
+ * @returns {Array|null} - Names, or null if there is no active category by that name
+ */
+categorySchema.statics.getSubtreeNames = async function(name) {
+  const categories = await loadActive(this);
+  const root = categories.find(category => category.name === name);
+  if (!root) return null;
+
+  const names = [];
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const category = queue.shift();
+    names.push(category.name);
+    queue.push(...categories.filter(child => child.parent && child.parent.equals(category._id)));
+  }
+
+  return names;
+};
+
+/**
+ * Static method to list a category's name and its ancestors' names
+ * @param {string} name - Category name
+ * @returns {Array} - Names from the category up to the top level, or [] if not found
+ */
+categorySchema.statics.getLineageNames = async function(name) {
+  return getLineage(await loadActive(this), name).map(category => category.name);
+};
+
+/**
+ * Static method to get the attributes listings in a category can fill in,
+ * including those inherited from parent categories
+ * @param {string} name - Category name
+ * @returns {Array} - Attribute definitions, or [] if the category is not found
+ */
+categorySchema.statics.getAttributeSchema = async function(name) {
+  return mergeAttributes(getLineage(await loadActive(this), name));
+};
+
+/**
+ * Static method to check a listing's attribute values against the attributes its category defines
+ * @param {string} name - Category name
+ * @param {Object} values - Attribute values by key
+ * @returns {Array} - Problems found, empty if the values are valid
+ */
+categorySchema.statics.checkAttributeValues = async function(name, values) {
+  const attributes = await this.getAttributeSchema(name);
+  const byKey = new Map(attributes.map(attribute => [attribute.key, attribute]));
+  const problems = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const attribute = byKey.get(key);
+    const problem = attribute
+      ? checkAttributeValue(attribute, value)
+      : `"${key}" is not an attribute of ${name}`;
+    if (problem) problems.push(problem);
+  }
+
+  for (const attribute of attributes) {
+    if (attribute.required && values[attribute.key] === undefined) {
+      problems.push(`${attribute.label} is required for ${name}`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Static method to check that a name belongs to an active category
+ * @param {string} name - Category name
+ * @returns {boolean} - True if new listings can use it
+ */
+categorySchema.statics.isSelectable = async function(name) {
+  return Boolean(await this.exists({ name, isActive: true }));
+};
+
+/**
+ * Static method to create any default categories from config/categories.json
+ * (or CATEGORIES_FILE) that don't exist yet, matched by name. Existing
+ * categories are left as they are.
+ * @returns {number} - Number of categories created
+ */
+categorySchema.statics.seedDefaults = async function() {
+  const { categories: defaults } = JSON.parse(fs.readFileSync(getDefaultsFile(), 'utf8'));
+  let created = 0;
+
+  const seed = async (definitions, parent) => {
+    for (const [index, { children = [], ...definition }] of definitions.entries()) {
+      let category = await this.findOne({ name: definition.name });
+
+      if (!category) {
+        category = await this.create({ ...definition, parent, sortOrder: index });
+        created++;
+      }
+
+      await seed(children, category._id);
+    }
+  };
+
+  await seed(defaults, null);
+  return created;
+};
+
+/**
+ * Static method to seed the default categories into an empty collection
+ * @returns {number} - Number of categories created
+ */
+categorySchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return 0;
+  return this.seedDefaults();
+};
+
+/**
+ * Static method to get the attribute types a category can define
+ */
+categorySchema.statics.getAttributeTypes = function() {
+  return [...ATTRIBUTE_TYPES];
+};
+
+/**
+ * Static method to get the deepest a category can be nested
+ */
+categorySchema.statics.getMaxDepth = function() {
+  return MAX_DEPTH;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
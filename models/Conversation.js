@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+
+const LOCK_MESSAGES = {
+  blocked: 'Messaging is blocked between you and this user',
+  sold: 'This item has been sold to another buyer',
+  removed: 'This listing has been removed'
+};
+
+/**
+ * Conversation Model Schema
+ * A message thread between a buyer and a seller about one product.
+ * There is at most one conversation per product and buyer.
+ */
+const conversationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Conversation must reference a product']
+  },
+  buyer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation must have a buyer']
+  },
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation must have a seller']
+  },
+  // Kept so the thread still makes sense after the listing is deleted
+  productSnapshot: {
+    title: {
+      type: String,
+      required: [true, 'Product title is required for record keeping']
+    },
+    image: {
+      type: String,
+      default: ''
+    }
+  },
+  lastMessage: {
+    body: String,
+    sender: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  buyerUnreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sellerUnreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+conversationSchema.index({ product: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+conversationSchema.index({ seller: 1, lastMessageAt: -1 });
+
+/**
+ * Instance method to check if a user takes part in this conversation
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if the user is the buyer or the seller
+ */
+conversationSchema.methods.hasParticipant = function(userId) {
+  return this.getRole(userId) !== null;
+};
+
+/**
+ * Instance method to get a participant's role
+ * @param {string} userId - User ID
+ * @returns {string|null} - 'buyer', 'seller' or null if not a participant
+ */
+conversationSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if ((this.buyer._id || this.buyer).toString() === id) return 'buyer';
+  if ((this.seller._id || this.seller).toString() === id) return 'seller';
+  return null;
+};
+
+/**
+ * Instance method to get the other participant's ID
+ * @param {string} userId - Current user ID
+ * @returns {ObjectId} - ID of the other participant
+ */
+conversationSchema.methods.getCounterpartId = function(userId) {
+  const counterpart = this.getRole(userId) === 'buyer' ? this.seller : this.buyer;
+  return counterpart._id || counterpart;
+};
+
+/**
+ * Instance method to get the product ID, even when the populated listing was deleted
+ * @returns {ObjectId} - Product ID
+ */
+conversationSchema.methods.getProductId = function() {
+  const product = this.populated('product') || this.product;
+  return product._id || product;
+};
+
+/**
+ * Instance method to get unread message count for a participant
+ * @param {string} userId - Participant ID
+ * @returns {number} - Messages the participant has not read
+ */
+conversationSchema.methods.getUnreadCount = function(userId) {
+  return this.getRole(userId) === 'buyer' ? this.buyerUnreadCount : this.sellerUnreadCount;
+};
+
+/**
+ * Instance method to build a participant's view of the conversation
+ * @param {string} userId - Current user ID
+ * @param {string|null} lockReason - Result of getLockReasons for this conversation
+ * @returns {Object} - Conversation summary
+ */
+conversationSchema.methods.toSummary = function(userId, lockReason = null) {
+  const role = this.getRole(userId);
+
+  return {
+    _id: this._id,
+    productId: this.getProductId(),
+    product: this.product,
+    productSnapshot: this.productSnapshot,
+    role,
+    counterpart: role === 'buyer' ? this.seller : this.buyer,
+    lastMessage: this.lastMessage && this.lastMessage.sentAt ? this.lastMessage : null,
+    lastMessageAt: this.lastMessageAt,
+    unreadCount: this.getUnreadCount(userId),
+    locked: lockReason !== null,
+    lockReason,
+    lockMessage: lockReason ? LOCK_MESSAGES[lockReason] : null,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Instance method to record a new message and bump the recipient's unread count
+ * @param {Object} message - Saved Message document
+ */
+conversationSchema.methods.recordMessage = async function(message) {
+  const senderRole = this.getRole(message.sender);
+
+  this.lastMessage = {
+    body: message.body,
+    sender: message.sender,
+    sentAt: message.createdAt
+  };
+  this.lastMessageAt = message.createdAt;
+
+  // $inc keeps concurrent messages from overwriting each other's counts
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastMessage: this.lastMessage, lastMessageAt: this.lastMessageAt },
+      $inc: senderRole === 'buyer' ? { sellerUnreadCount: 1 } : { buyerUnreadCount: 1 }
+    }
+  );
+
+  if (senderRole === 'buyer') this.sellerUnreadCount += 1;
+  else this.buyerUnreadCount += 1;
+};
+
+/**
+ * Instance method to mark the conversation read for a participant
+ * @param {string} userId - Participant ID
+ */
+conversationSchema.methods.markReadBy = async function(userId) {
+  const field = this.getRole(userId) === 'buyer' ? 'buyerUnreadCount' : 'sellerUnreadCount';
+
+  if (this[field] === 0) return;
+
+  this[field] = 0;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { [field]: 0 } });
+};
+
+/**
+ * Static method to get a user's conversations, most recent activity first
+ * @param {string} userId - Participant ID
+ * @param {number} page - Page number
+ * @param {number} limit - Conversations per page
+ * @returns {Query} - Conversations with participants populated
+ */
+conversationSchema.statics.getUserConversations = function(userId, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ $or: [{ buyer: userId }, { seller: userId }] })
+    .populate('buyer', 'username avatar')
+    .populate('seller', 'username avatar')
+    .populate('product', 'title image images price currency isAvailable')
+    .sort({ lastMessageAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+/**
+ * Static method to total a user's unread messages
+ * @param {string} userId - Participant ID
+ * @returns {Object} - { unreadMessages, unreadConversations }
+ */
+conversationSchema.statics.getUnreadSummary = async function(userId) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  const [summary] = await this.aggregate([
+    { $match: { $or: [{ buyer: userObjectId }, { seller: userObjectId }] } },
+    {
+      $project: {
+        unread: {
+          $cond: [{ $eq: ['$buyer', userObjectId] }, '$buyerUnreadCount', '$sellerUnreadCount']
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        unreadMessages: { $sum: '$unread' },
+        unreadConversations: { $sum: { $cond: [{ $gt: ['$unread', 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    unreadMessages: summary ? summary.unreadMessages : 0,
+    unreadConversations: summary ? summary.unreadConversations : 0
+  };
+};
+
+/**
+ * Static method to work out which conversations are locked.
+ * A thread locks when either participant has blocked the other, when the
+ * listing is deleted, or when the item is sold to someone other than the buyer
+ * in the thread (the actual buyer can keep arranging pickup with the seller).
+ * Computed on read so blocks, cancellations and refunds take effect immediately.
+ * @param {Array} conversations - Conversation documents
+ * @returns {Map} - Conversation ID -> 'blocked' | 'sold' | 'removed' | null
+ */
+conversationSchema.statics.getLockReasons = async function(conversations) {
+  const reasons = new Map();
+  if (conversations.length === 0) return reasons;
+
+  const User = mongoose.model('User');
+  const Purchase = mongoose.model('Purchase');
+
+  const idOf = value => (value && value._id ? value._id : value).toString();
+  const participantIds = [...new Set(conversations.flatMap(c => [idOf(c.buyer), idOf(c.seller)]))];
+  const productIds = [...new Set(conversations.map(c => c.getProductId().toString()))];
+
+  const [users, productsLeft, purchases] = await Promise.all([
+    User.find({ _id: { $in: participantIds } }).select('+blockedUsers'),
+    mongoose.model('Product').find({ _id: { $in: productIds } }).select('_id'),
+    Purchase.find({
+      'products.product': { $in: productIds },
+      // Orders that gave their products back leave the listing unsold
+      status: { $nin: Purchase.getReleasingStatuses() }
+    }).select('user products.product')
+  ]);
+
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const existingProducts = new Set(productsLeft.map(product => product._id.toString()));
+  const buyersByProduct = new Map();
+
+  for (const purchase of purchases) {
+    for (const line of purchase.products) {
+      const productId = line.product.toString();
+      if (!buyersByProduct.has(productId)) buyersByProduct.set(productId, new Set());
+      buyersByProduct.get(productId).add(purchase.user.toString());
+    }
+  }
+
+  for (const conversation of conversations) {
+    const buyerId = idOf(conversation.buyer);
+    const sellerId = idOf(conversation.seller);
+    const productId = conversation.getProductId().toString();
+    const buyer = usersById.get(buyerId);
+    const seller = usersById.get(sellerId);
+    const productBuyers = buyersByProduct.get(productId);
+
+    let reason = null;
+    if (!buyer || !seller || buyer.hasBlocked(sellerId) || seller.hasBlocked(buyerId)) {
+      reason = 'blocked';
+    } else if (productBuyers) {
+      reason = productBuyers.has(buyerId) ? null : 'sold';
+    } else if (!existingProducts.has(productId)) {
+      reason = 'removed';
+    }
+
+    reasons.set(conversation._id.toString(), reason);
+  }
+
+  return reasons;
+};
+
+/**
+ * Static method to get the lock reason for a single conversation
+ * @param {Object} conversation - Conversation document
+ * @returns {string|null} - Lock reason or null if the thread is open
+ */
+conversationSchema.statics.getLockReason = async function(conversation) {
+  const reasons = await this.getLockReasons([conversation]);
+  return reasons.get(conversation._id.toString());
+};
+
+/**
+ * Static method to get the message explaining a lock reason
+ * @param {string} reason - Lock reason
+ * @returns {string} - Human readable explanation
+ */
+conversationSchema.statics.getLockMessage = function(reason) {
+  return LOCK_MESSAGES[reason];
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
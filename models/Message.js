@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Model Schema
+ * A single message in a buyer-seller conversation
+ */
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Message must belong to a conversation']
+  },
+  sender: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Message must have a sender']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+/**
+ * Static method to get a page of a conversation's messages.
+ * Pages count back from the newest message; each page is returned oldest first.
+ * @param {string} conversationId - Conversation ID
+ * @param {number} page - Page number (1 = most recent)
+ * @param {number} limit - Messages per page
+ * @returns {Array} - Messages in chronological order
+ */
+messageSchema.statics.getConversationMessages = async function(conversationId, page = 1, limit = 50) {
+  const skip = (page - 1) * limit;
+
+  const messages = await this.find({ conversation: conversationId })
+    .populate('sender', 'username avatar')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  return messages.reverse();
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = [
+  'reports_dismissed',
+  'listing_hidden',
+  'listing_removed',
+  'listing_restored',
+  'user_suspended',
+  'user_unsuspended',
+  'role_changed'
+];
+
+/**
+ * Moderation Log Model Schema
+ * Audit trail of every moderation action, by staff or automatic. Entries are
+ * only ever added, never changed.
+ */
+const moderationLogSchema = new mongoose.Schema({
+  // Staff member who acted; null for automatic actions such as hiding a heavily reported listing
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: [true, 'Moderation action is required'],
+    enum: {
+      values: MODERATION_ACTIONS,
+      message: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`
+    }
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+    enum: {
+      values: ['Product', 'User'],
+      message: 'Target type must be Product or User'
+    }
+  },
+  target: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'targetType',
+    required: [true, 'Target is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // Action-specific facts, e.g. { reportCount } or { from, to } for role changes
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes for better query performance
+ */
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationLogSchema.index({ actor: 1, createdAt: -1 });
+
+/**
+ * Static method to get the valid moderation actions
+ */
+moderationLogSchema.statics.getActions = function() {
+  return [...MODERATION_ACTIONS];
+};
+
+/**
+ * Static method to add an entry to the audit trail
+ * @param {Object} entry - { actor, action, targetType, target, reason, details }
+ * @returns {Promise} - The created entry
+ */
+moderationLogSchema.statics.record = function({ actor = null, action, targetType, target, reason = '', details = {} }) {
+  return this.create({ actor, action, targetType, target, reason, details });
+};
+
+/**
+ * Static method to list entries, newest first
+ * @param {Object} filter - Optional { targetType, target, actor, action }
+ * @param {Object} options - { page, limit }
+ * @returns {Query} - Entries with the actor populated
+ */
+moderationLogSchema.statics.getEntries = function(filter = {}, { page = 1, limit = 20 } = {}) {
+  return this.find(filter)
+    .populate('actor', 'username role')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'order_placed',
+  'order_status',
+  'cart_added',
+  'price_drop',
+  'back_in_stock',
+  'saved_search_match',
+  'listing_moderated'
+];
+
+/**
+ * Notification Model Schema
+ * A notification kept for the in-app notification center. Other channels
+ * (email, webhook) deliver the same message but are not stored.
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must have a recipient']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: `Notification type must be one of: ${NOTIFICATION_TYPES.join(', ')}`
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Notification title cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notification body cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Frontend path to open when the notification is clicked, e.g. /sales
+  link: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // IDs of the records the notification is about, e.g. { purchaseId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+/**
+ * Virtual for whether the notification has been read
+ */
+notificationSchema.virtual('isRead').get(function() {
+  return this.readAt !== null && this.readAt !== undefined;
+});
+
+/**
+ * Static method to get the valid notification types
+ * @returns {Array} - Notification types
+ */
+notificationSchema.statics.getTypes = function() {
+  return [...NOTIFICATION_TYPES];
+};
+
+/**
+ * Static method to get a user's notifications with pagination
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit, unreadOnly }
+ * @returns {Query} - Notifications, newest first
+ */
+notificationSchema.statics.getUserNotifications = function(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+  const query = { user: userId };
+  if (unreadOnly) query.readAt = null;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Static method to count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Unread count
+ */
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+/**
+ * Static method to mark every unread notification of a user as read
+ * @param {string} userId - User ID
+ * @returns {Promise} - Update result
+ */
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany({ user: userId, readAt: null }, { $set: { readAt: new Date() } });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
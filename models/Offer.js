@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const { getBaseCurrency, roundMoney, formatMoney } = require('../utils/currency');
+const { moneyField } = require('../utils/money');
+
+/**
+ * Offer lifecycle
+ * A pending offer waits on one party (`awaitingResponseFrom`). That party may
+ * accept, decline or counter; a counter hands the turn to the other side.
+ * The buyer may withdraw at any point before checkout.
+ */
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'withdrawn', 'expired', 'completed'];
+
+// Offers in these states are still being negotiated or waiting for checkout
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+const OFFER_ACTIONS = ['offer', 'counter', 'accept', 'decline', 'withdraw', 'expire', 'complete'];
+
+/**
+ * Hours a pending offer waits for a response, and hours a buyer has to check
+ * out once an offer is accepted
+ */
+const getResponseHours = () => parseInt(process.env.OFFER_EXPIRE_HOURS) || 48;
+const getCheckoutHours = () => parseInt(process.env.OFFER_CHECKOUT_HOURS) || 48;
+
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+/**
+ * Build an error carrying an HTTP status for the controller to return
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode set
+ */
+const offerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Offer Model Schema
+ * A buyer's price proposal on a listing and the negotiation that follows
+ */
+const offerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Offer must reference a product']
+  },
+  buyer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Offer must have a buyer']
+  },
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Offer must have a seller']
+  },
+  // The price currently on the table; updated by every counter-offer
+  amount: moneyField({
+    required: [true, 'Offer amount is required'],
+    min: [1, 'Offer amount must be greater than 0']
+  }),
+  // List price when the offer was made, so sellers can see the discount asked for
+  listPrice: moneyField({
+    required: [true, 'List price is required'],
+    min: [0, 'List price cannot be negative']
+  }),
+  // The listing's currency; amounts are always in it
+  currency: {
+    type: String,
+    uppercase: true,
+    default: () => getBaseCurrency()
+  },
+  status: {
+    type: String,
+    enum: {
+      values: OFFER_STATUSES,
+      message: `Status must be one of: ${OFFER_STATUSES.join(', ')}`
+    },
+    default: 'pending'
+  },
+  awaitingResponseFrom: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: 'seller'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: OFFER_ACTIONS,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'system'],
+      required: true
+    },
+    amount: moneyField(),
+    message: {
+      type: String,
+      maxlength: [500, 'Offer message cannot exceed 500 characters'],
+      default: ''
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  purchase: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Purchase'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+offerSchema.index({ product: 1, buyer: 1, status: 1 });
+offerSchema.index({ seller: 1, status: 1, updatedAt: -1 });
+offerSchema.index({ buyer: 1, status: 1, updatedAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Virtual for the amount formatted in the listing's currency
+ */
+offerSchema.virtual('formattedAmount').get(function() {
+  return formatMoney(this.amount, this.currency);
+});
+
+/**
+ * Virtual for whether the offer still holds a price
+ */
+offerSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status) && this.expiresAt > new Date();
+});
+
+/**
+ * Instance method to get a participant's role
+ * @param {string} userId - User ID
+ * @returns {string|null} - 'buyer', 'seller' or null if not a participant
+ */
+offerSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if ((this.buyer._id || this.buyer).toString() === id) return 'buyer';
+  if ((this.seller._id || this.seller).toString() === id) return 'seller';
+  return null;
+};
+
+/**
+ * Instance method to list the actions a participant may take now
+ * @param {string} role - 'buyer' or 'seller'
+ * @returns {Array} - Allowed actions
+ */
+offerSchema.methods.getAllowedActions = function(role) {
+  if (!this.isOpen) return [];
+
+  const actions = [];
+  if (this.status === 'pending' && this.awaitingResponseFrom === role) {
+    actions.push('accept', 'counter', 'decline');
+  }
+  if (role === 'buyer') {
+    actions.push('withdraw');
+  }
+  return actions;
+};
+
+/**
+ * Instance method to apply a negotiation step
+ * Mutates and saves the offer; throws with statusCode 400 when not allowed
+ * @param {string} action - 'accept', 'counter', 'decline' or 'withdraw'
+ * @param {Object} options - { role, amount, message }
+ * @returns {Object} - The saved offer
+ */
+offerSchema.methods.respond = async function(action, { role, amount, message = '' }) {
+  const allowed = this.getAllowedActions(role);
+
+  if (!allowed.includes(action)) {
+    const error = offerError(
+      this.isOpen
+        ? `You cannot ${action} this offer right now`
+        : `This offer is ${this.expiresAt <= new Date() && OPEN_STATUSES.includes(this.status) ? 'expired' : this.status}`
+    );
+    error.allowedActions = allowed;
+    throw error;
+  }
+
+  if (action === 'counter') {
+    if (!(amount > 0)) {
+      throw offerError('Counter-offer amount must be greater than 0');
+    }
+    if (amount > this.listPrice) {
+      throw offerError(`Counter-offer cannot exceed the list price of ${formatMoney(this.listPrice, this.currency)}`);
+    }
+    if (amount === this.amount) {
+      throw offerError('Counter-offer must change the amount');
+    }
+    this.amount = roundMoney(amount, this.currency);
+    this.awaitingResponseFrom = role === 'buyer' ? 'seller' : 'buyer';
+    this.expiresAt = hoursFromNow(getResponseHours());
+  } else if (action === 'accept') {
+    this.status = 'accepted';
+    this.awaitingResponseFrom = null;
+    this.expiresAt = hoursFromNow(getCheckoutHours());
+  } else {
+    this.status = action === 'decline' ? 'declined' : 'withdrawn';
+    this.awaitingResponseFrom = null;
+  }
+
+  this.history.push({ action, role, amount: this.amount, message });
+  return this.save();
+};
+
+/**
+ * Static method to make a new offer. A buyer may only have one open offer per product.
+ * @param {Object} product - Product document
+ * @param {string} buyerId - Buyer user ID
+ * @param {number} amount - Offered price
+ * @param {string} message - Optional note to the seller
+ * @returns {Object} - The created offer
+ */
+offerSchema.statics.makeOffer = async function(product, buyerId, amount, message = '') {
+  if (!product.isListed) {
+    throw offerError('This product is no longer available');
+  }
+  if (product.user.toString() === buyerId.toString()) {
+    throw offerError('You cannot make an offer on your own product');
+  }
+  if (amount >= product.price) {
+    throw offerError('Offer must be below the list price; add the item to your cart to buy at full price');
+  }
+
+  await this.expireStale();
+
+  const existing = await this.findOne({
+    product: product._id,
+    buyer: buyerId,
+    status: { $in: OPEN_STATUSES }
+  });
+
+  if (existing) {
+    const error = offerError('You already have an open offer on this product', 409);
+    error.offerId = existing._id;
+    throw error;
+  }
+
+  const roundedAmount = roundMoney(amount, product.currency);
+
+  return this.create({
+    product: product._id,
+    buyer: buyerId,
+    seller: product.user,
+    amount: roundedAmount,
+    listPrice: product.price,
+    currency: product.currency,
+    expiresAt: hoursFromNow(getResponseHours()),
+    history: [{ action: 'offer', role: 'buyer', amount: roundedAmount, message }]
+  });
+};
+
+/**
+ * Static method to mark every open offer past its deadline as expired.
+ * Runs lazily before offers are read or used, so no scheduler is needed.
+ * @returns {number} - Number of offers expired
+ */
+offerSchema.statics.expireStale = async function() {
+  const now = new Date();
+  const result = await this.updateMany(
+    { status: { $in: OPEN_STATUSES }, expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', awaitingResponseFrom: null },
+      $push: { history: { action: 'expire', role: 'system', at: now } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Static method to get a buyer's accepted, unexpired offers for some products
+ * @param {string} buyerId - Buyer user ID
+ * @param {Array} productIds - Product IDs to look up
+ * @param {Object} session - Optional session when reading inside a transaction
+ * @returns {Map} - Product ID -> accepted offer
+ */
+offerSchema.statics.getAcceptedOffers = async function(buyerId, productIds, session = null) {
+  const offers = await this.find({
+    buyer: buyerId,
+    product: { $in: productIds },
+    status: 'accepted',
+    expiresAt: { $gt: new Date() }
+  }).session(session);
+
+  return new Map(offers.map(offer => [offer.product.toString(), offer]));
+};
+
+/**
+ * Static method to settle offers once products are bought.
+ * The buyer's accepted offers become completed; everyone else's open offers on
+ * those products are declined because the item is gone.
+ * @param {Array} purchases - Purchases just created
+ * @param {Object} session - Optional session when settling inside a transaction
+ */
+offerSchema.statics.settleForPurchases = async function(purchases, session = null) {
+  const now = new Date();
+
+  for (const purchase of purchases) {
+    for (const line of purchase.products) {
+      if (line.offer) {
+        await this.updateOne(
+          { _id: line.offer },
+          {
+            $set: { status: 'completed', awaitingResponseFrom: null, purchase: purchase._id },
+            $push: { history: { action: 'complete', role: 'system', amount: line.priceAtPurchase, at: now } }
+          },
+          { session }
+        );
+      }
+
+      await this.updateMany(
+        { product: line.product, status: { $in: OPEN_STATUSES }, _id: { $ne: line.offer } },
+        {
+          $set: { status: 'declined', awaitingResponseFrom: null },
+          $push: { history: { action: 'decline', role: 'system', message: 'Item was sold', at: now } }
+        },
+        { session }
+      );
+    }
+  }
+};
+
+/**
+ * Static method to get a user's offers as buyer or seller
+ * @param {string} userId - User ID
+ * @param {string} role - 'buyer' or 'seller'
+ * @param {Object} options - { status, productId, page, limit }
+ * @returns {Query} - Offers, most recently updated first
+ */
+offerSchema.statics.getUserOffers = function(userId, role, { status, productId, page = 1, limit = 20 } = {}) {
+  const filter = { [role]: userId };
+  if (status) filter.status = status;
+  if (productId) filter.product = productId;
+
+  return this.find(filter)
+    .populate('product', 'title image images price currency isAvailable')
+    .populate('buyer', 'username avatar')
+    .populate('seller', 'username avatar')
+    .sort({ updatedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Static method to get valid statuses
+ */
+offerSchema.statics.getStatuses = function() {
+  return OFFER_STATUSES;
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const { getBaseCurrency, isSupportedCurrency, convert, roundMoney, formatMoney } = require('../utils/currency');
+const { toCents, moneyField } = require('../utils/money');
+const { geocode, kmToRadians, pointField } = require('../utils/geocode');
+const { escapeRegex, normalizeWord, toWords, toTerms, toTrigrams, buildSearchGrams, getQueryGrams, scoreListing } = require('../utils/search');
+const { encodeCursor, decodeCursor, getSortValues, compareSortValues, findPage } = require('../utils/pagination');
+
+const IMAGE_URL_PATTERN = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i;
+const MAX_IMAGES = 8;
+// Highest price accepted, in the base currency; listings in other currencies are capped at the equivalent
+const MAX_BASE_PRICE = 99999.99;
+// Ways a buyer can receive a listing; each has a matching flag under `delivery`
+const DELIVERY_METHODS = ['pickup', 'shipping'];
+
+// Most values listed for each select or text attribute facet
+const MAX_FACET_VALUES = 20;
+
+// BSON type each attribute type is stored as, so facets skip values of another type
+const ATTRIBUTE_BSON_TYPES = {
+  text: 'string',
+  select: 'string',
+  number: 'number',
+  boolean: 'bool'
+};
+
+// Listings scored for one search; those sharing the most trigrams with the query are kept
+const MAX_SEARCH_CANDIDATES = 500;
+// Listings read to build search suggestions, most viewed first
+const MAX_SUGGESTION_CANDIDATES = 200;
+
+/**
+ * Product image sub-schema
+ * One entry per photo, in display order; the first is the cover image
+ */
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required'],
+    trim: true,
+    match: [IMAGE_URL_PATTERN, 'Image must be a valid image URL (jpg, jpeg, png, gif, webp)']
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: v => !v || IMAGE_URL_PATTERN.test(v),
+      message: 'Thumbnail must be a valid image URL (jpg, jpeg, png, gif, webp)'
+    }
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
 
 /**
  * Product Model Schema
@@ -24,20 +77,41 @@ const productSchema = new mongoose.Schema({
     minlength: [10, 'Product description must be at least 10 characters long'],
     maxlength: [1000, 'Product description cannot exceed 1000 characters']
   },
+  // Name of a category from the Category collection
   category: {
     type: String,
     required: [true, 'Product category is required'],
-    enum: {
-      values: ['Electronics', 'Clothing', 'Furniture', 'Books', 'Miscellaneous'],
-      message: 'Category must be one of: Electronics, Clothing, Furniture, Books, Miscellaneous'
+    trim: true,
+    validate: {
+      // Listings already in a category that was later deactivated keep it
+      validator: async function(name) {
+        if (!this.isNew && !this.isModified('category')) return true;
+        return Category.isSelectable(name);
+      },
+      message: 'Category "{VALUE}" does not exist'
     }
   },
-  price: {
-    type: Number,
+  price: moneyField({
     required: [true, 'Product price is required'],
-    min: [0, 'Price cannot be negative'],
-    max: [99999.99, 'Price cannot exceed $99,999.99']
+    min: [0, 'Price cannot be negative']
+  }),
+  // Currency the seller lists in; buyers are charged in it
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: () => getBaseCurrency(),
+    validate: {
+      validator: isSupportedCurrency,
+      message: 'Currency {VALUE} is not supported'
+    }
   },
+  // Price converted into the base currency, so listings in different currencies
+  // can be filtered and sorted together. Kept in sync on save.
+  basePrice: moneyField({
+    min: [0, 'Price cannot be negative'],
+    max: [toCents(MAX_BASE_PRICE), `Price cannot exceed the equivalent of ${formatMoney(MAX_BASE_PRICE, getBaseCurrency())}`]
+  }),
   condition: {
     type: String,
     enum: {
@@ -54,56 +128,125 @@ const productSchema = new mongoose.Schema({
       validator: function(v) {
         // If image is provided, validate it's a valid URL
         if (!v) return true; // Allow empty string
-        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(v);
+        return IMAGE_URL_PATTERN.test(v);
       },
       message: 'Image must be a valid image URL (jpg, jpeg, png, gif, webp)'
     }
   },
+  images: {
+    type: [productImageSchema],
+    validate: {
+      validator: v => v.length <= MAX_IMAGES,
+      message: `A product can have at most ${MAX_IMAGES} images`
+    }
+  },
+  // How buyers can receive the item; at least one option must be offered
+  delivery: {
+    pickup: {
+      type: Boolean,
+      default: true
+    },
+    shipping: {
+      type: Boolean,
+      default: false
+    },
+    // Flat fee the seller charges to ship this listing, in the listing currency
+    shippingFee: moneyField({
+      default: 0,
+      min: [0, 'Shipping fee cannot be negative']
+    })
+  },
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Also where pickup orders are collected from
   location: {
     type: String,
     trim: true,
     maxlength: [100, 'Location cannot exceed 100 characters'],
     default: ''
   },
+  // Point geocoded from `location`; missing when the location is empty or unknown
+  geoLocation: pointField(),
   tags: [{
     type: String,
     trim: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
+  // Trigrams of the words in the title, description and tags, which search finds listings by
+  searchGrams: {
+    type: [String],
+    select: false
+  },
+  // Values for the attributes the category defines, by key, e.g. { size: 'M', brand: 'Levi' }
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   views: {
     type: Number,
     default: 0
   },
+  // Set when a moderator takes the listing down; it stays unavailable until restored
+  takenDownAt: {
+    type: Date,
+    default: null
+  },
+  takenDownBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  takedownReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Takedown reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // Set while the listing is hidden pending review, either automatically after
+  // enough reports or by a moderator; hidden listings stay out of browse and search
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Hidden reason cannot exceed 500 characters'],
+    default: ''
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 /**
  * Indexes for better query performance
  */
 productSchema.index({ category: 1 });
-productSchema.index({ price: 1 });
+productSchema.index({ basePrice: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ user: 1 });
 productSchema.index({ isAvailable: 1 });
-productSchema.index({ title: 'text', description: 'text', tags: 'text' }); // Text search index
+productSchema.index({ searchGrams: 1 });
 
 // Compound indexes for common query patterns
-productSchema.index({ isAvailable: 1, category: 1, price: 1 });
+productSchema.index({ isAvailable: 1, category: 1, basePrice: 1 });
 productSchema.index({ isAvailable: 1, createdAt: -1 });
 productSchema.index({ user: 1, isAvailable: 1 });
+productSchema.index({ user: 1, createdAt: -1 });
 productSchema.index({ category: 1, condition: 1 });
 productSchema.index({ location: 1, isAvailable: 1 });
+productSchema.index({ hiddenAt: 1, isAvailable: 1 });
+// Attribute keys differ per category, so every attribute path is indexed
+productSchema.index({ 'attributes.$**': 1 });
+productSchema.index({ geoLocation: '2dsphere' });
 
 /**
  * Virtual for product URL
@@ -113,22 +256,78 @@ productSchema.virtual('productUrl').get(function() {
 });
 
 /**
- * Virtual for formatted price
+ * Virtual for the price formatted in the listing's currency
  */
 productSchema.virtual('formattedPrice').get(function() {
-  return `$${this.price.toFixed(2)}`;
+  return formatMoney(this.price, this.currency);
+});
+
+/**
+ * Virtual for the cover thumbnail, falling back to the full cover image
+ */
+productSchema.virtual('thumbnail').get(function() {
+  const cover = this.images && this.images[0];
+  return (cover && cover.thumbnailUrl) || this.image;
+});
+
+/**
+ * Pre-validate middleware to round the price and shipping fee to the currency's
+ * smallest unit and keep `basePrice` in step, so the price cap is checked on it,
+ * to geocode the location and to index the text for search
+ */
+productSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('price') || this.isModified('currency') || this.basePrice === undefined) {
+    if (typeof this.price === 'number' && isSupportedCurrency(this.currency)) {
+      this.price = roundMoney(this.price, this.currency);
+      this.basePrice = convert(this.price, this.currency, getBaseCurrency());
+    }
+  }
+  if ((this.isNew || this.isModified('delivery')) && isSupportedCurrency(this.currency)) {
+    this.delivery.shippingFee = roundMoney(this.delivery.shippingFee || 0, this.currency);
+  }
+  if (!this.delivery.pickup && !this.delivery.shipping) {
+    this.invalidate('delivery', 'Offer local pickup, shipping or both');
+  }
+  if (this.isNew || this.isModified('location')) {
+    this.geoLocation = geocode(this.location) || undefined;
+  }
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('tags')) {
+    this.searchGrams = buildSearchGrams(this);
+  }
+  next();
 });
 
 /**
- * Pre-save middleware to ensure price has max 2 decimal places
+ * Pre-save middleware to keep `image` pointing at the cover of the ordered images
  */
 productSchema.pre('save', function(next) {
-  if (this.isModified('price')) {
-    this.price = Math.round(this.price * 100) / 100;
+  if (this.isModified('images')) {
+    this.image = this.images.length > 0 ? this.images[0].url : '';
   }
   next();
 });
 
+/**
+ * Virtual for whether a moderator has taken the listing down
+ */
+productSchema.virtual('isTakenDown').get(function() {
+  return Boolean(this.takenDownAt);
+});
+
+/**
+ * Virtual for whether the listing is hidden pending review
+ */
+productSchema.virtual('isHidden').get(function() {
+  return Boolean(this.hiddenAt);
+});
+
+/**
+ * Virtual for whether buyers can see and buy the listing
+ */
+productSchema.virtual('isListed').get(function() {
+  return this.isAvailable && !this.hiddenAt;
+});
+
 /**
  * Instance method to increment view count
  */
@@ -144,13 +343,88 @@ productSchema.methods.isOwnedBy = function(userId) {
   return this.user.toString() === userId.toString();
 };
 
+/**
+ * Instance method to list the delivery methods the seller offers for this listing
+ * @returns {Array} - Methods, e.g. ['pickup', 'shipping']
+ */
+productSchema.methods.getDeliveryMethods = function() {
+  return DELIVERY_METHODS.filter(method => this.delivery && this.delivery[method]);
+};
+
+/**
+ * Instance method to take the listing down; it stays unavailable until restored
+ * @param {string} userId - Moderator taking the listing down
+ * @param {string} reason - Reason shown to the seller
+ */
+productSchema.methods.takeDown = async function(userId, reason = '') {
+  this.takenDownAt = new Date();
+  this.takenDownBy = userId;
+  this.takedownReason = reason;
+  this.isAvailable = false;
+  return await this.save();
+};
+
+/**
+ * Instance method to hide the listing from buyers pending review
+ * @param {string} reason - Why the listing was hidden
+ */
+productSchema.methods.hide = async function(reason = '') {
+  this.hiddenAt = new Date();
+  this.hiddenReason = reason;
+  return await this.save();
+};
+
+/**
+ * Instance method to lift a hide and a takedown. A taken-down listing becomes
+ * available again unless it is part of an order that still holds it.
+ */
+productSchema.methods.restore = async function() {
+  if (this.takenDownAt) {
+    const Purchase = mongoose.model('Purchase');
+    const inOrder = await Purchase.exists({
+      'products.product': this._id,
+      status: { $nin: Purchase.getReleasingStatuses() }
+    });
+    this.isAvailable = !inOrder;
+  }
+
+  this.takenDownAt = null;
+  this.takenDownBy = undefined;
+  this.takedownReason = '';
+  this.hiddenAt = null;
+  this.hiddenReason = '';
+  return await this.save();
+};
+
+/**
+ * Static method to get the filter matching listings buyers can see and buy
+ * @returns {Object} - Query conditions, to be combined with other filters
+ */
+productSchema.statics.getListedFilter = function() {
+  return { isAvailable: true, hiddenAt: null };
+};
+
+/**
+ * Static method to atomically reserve a product for checkout.
+ * Flips isAvailable to false only if it is still true, so concurrent buyers
+ * cannot both reserve the same listing.
+ * @returns {Object|null} - The reserved product, or null if it was already taken
+ */
+productSchema.statics.reserveForPurchase = function(productId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: productId, ...this.getListedFilter() },
+    { $set: { isAvailable: false } },
+    { new: true, session }
+  );
+};
+
 /**
  * Static method to find products by category
  */
 productSchema.statics.findByCategory = function(category) {
   return this.find({ 
     category: category,
-    isAvailable: true 
+    ...this.getListedFilter()
   }).populate('user', 'username avatar');
 };
 
@@ -159,7 +433,7 @@ productSchema.statics.findByCategory = function(category) {
  */
 productSchema.statics.findAvailable = function(page = 1, limit = 10) {
   const skip = (page - 1) * limit;
-  return this.find({ isAvailable: true })
+  return this.find(this.getListedFilter())
     .populate('user', 'username avatar')
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -167,25 +441,63 @@ productSchema.statics.findAvailable = function(page = 1, limit = 10) {
 };
 
 /**
- * Static method for text search
+ * Static method for text search, best matches first
  */
 productSchema.statics.searchProducts = function(query, page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  return this.find({
-    $text: { $search: query },
-    isAvailable: true
-  })
-  .populate('user', 'username avatar')
-  .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+  return this.advancedSearch({ search: query, page, limit });
+};
+
+/**
+ * Static method to find and score the listings a search matches. Only the
+ * MAX_SEARCH_CANDIDATES listings sharing the most trigrams with the query are scored.
+ * @param {string} search - Search text
+ * @param {Object} filter - Conditions the listings must also meet; must work in $match
+ * @returns {Array} - { _id, score, title, createdAt, updatedAt, basePrice, views }, best match first
+ */
+productSchema.statics.findSearchMatches = async function(search, filter = {}) {
+  const terms = toTerms(search);
+  if (terms.length === 0) return [];
+
+  const queryGrams = getQueryGrams(terms);
+  const candidates = await this.aggregate([
+    { $match: { ...filter, searchGrams: { $in: queryGrams } } },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        tags: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        basePrice: 1,
+        views: 1,
+        sharedGrams: { $size: { $setIntersection: ['$searchGrams', queryGrams] } }
+      }
+    },
+    { $sort: { sharedGrams: -1, createdAt: -1 } },
+    { $limit: MAX_SEARCH_CANDIDATES }
+  ]);
+
+  return candidates
+    .map(({ description, tags, sharedGrams, ...listing }) => ({
+      ...listing,
+      score: scoreListing(terms, { title: listing.title, description, tags })
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Static method to get the maximum number of images per product
+ */
+productSchema.statics.getMaxImages = function() {
+  return MAX_IMAGES;
 };
 
 /**
- * Static method to get product categories
+ * Static method to get the delivery methods a listing can offer
  */
-productSchema.statics.getCategories = function() {
-  return ['Electronics', 'Clothing', 'Furniture', 'Books', 'Miscellaneous'];
+productSchema.statics.getDeliveryMethods = function() {
+  return [...DELIVERY_METHODS];
 };
 
 /**
@@ -196,130 +508,380 @@ productSchema.statics.getConditions = function() {
 };
 
 /**
- * Static method for advanced search with multiple filters
+ * Static method to build a price range filter that works across currencies
+ * @param {number} minPrice - Lowest price, or undefined
+ * @param {number} maxPrice - Highest price, or undefined
+ * @param {string} currency - Currency the bounds are given in; defaults to the base currency
+ * @returns {Object} - Filter on basePrice in cents, or {} without bounds
+ */
+productSchema.statics.getPriceRangeFilter = function(minPrice, maxPrice, currency = getBaseCurrency()) {
+  if (minPrice === undefined && maxPrice === undefined) return {};
+
+  const base = getBaseCurrency();
+  const basePrice = {};
+  // Range operators skip the schema setter, so the bounds are given in cents
+  if (minPrice !== undefined) basePrice.$gte = toCents(convert(minPrice, currency, base));
+  if (maxPrice !== undefined) basePrice.$lte = toCents(convert(maxPrice, currency, base));
+  return { basePrice };
+};
+
+/**
+ * Static method to turn attribute filters from a query string into query conditions.
+ * Text and select attributes take a comma-separated list of values, numbers an exact
+ * value or { min, max }, and booleans "true" or "false".
+ * @param {Array} attributes - Attribute definitions of the category being browsed
+ * @param {Object} query - Filter values by attribute key
+ * @returns {Object} - { filters, problems }; filters are conditions keyed by document path
  */
-productSchema.statics.advancedSearch = function(options = {}) {
+productSchema.statics.getAttributeFilters = function(attributes, query = {}) {
+  const byKey = new Map(attributes.map(attribute => [attribute.key, attribute]));
+  const filters = {};
+  const problems = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    const attribute = byKey.get(key);
+    if (!attribute) {
+      problems.push(`"${key}" is not an attribute of this category`);
+      continue;
+    }
+
+    const path = `attributes.${key}`;
+
+    if (attribute.type === 'number') {
+      const bounds = raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? raw : { min: raw, max: raw };
+      const condition = {};
+
+      for (const [bound, operator] of [['min', '$gte'], ['max', '$lte']]) {
+        if (bounds[bound] === undefined || bounds[bound] === '') continue;
+        const value = Number(bounds[bound]);
+        if (Array.isArray(bounds[bound]) || !Number.isFinite(value)) {
+          problems.push(`${attribute.label} filter must be a number`);
+        } else {
+          condition[operator] = value;
+        }
+      }
+
+      if (Object.keys(condition).length > 0) filters[path] = condition;
+    } else if (attribute.type === 'boolean') {
+      if (raw === 'true' || raw === 'false') {
+        filters[path] = raw === 'true';
+      } else {
+        problems.push(`${attribute.label} filter must be true or false`);
+      }
+    } else {
+      // Repeated parameters arrive as an array
+      const values = [].concat(raw).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean);
+      if (values.length > 0) filters[path] = { $in: values };
+    }
+  }
+
+  return { filters, problems };
+};
+
+/**
+ * Static method to count matching listings per category and per attribute value.
+ * Each attribute's counts ignore that attribute's own filter, so buyers can see
+ * how many listings the other values would add.
+ * @param {Object} filter - Conditions other than attribute filters
+ * @param {Object} attributeFilters - From getAttributeFilters
+ * @param {Array} attributes - Attribute definitions to count
+ * @returns {Object} - { categories: [{ name, count }], attributes: [{ key, label, type, unit, values | range }] }
+ */
+productSchema.statics.getFacets = async function(filter, attributeFilters = {}, attributes = []) {
+  const facets = {
+    categories: [
+      { $match: attributeFilters },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]
+  };
+
+  for (const attribute of attributes) {
+    const path = `attributes.${attribute.key}`;
+    const otherFilters = Object.fromEntries(Object.entries(attributeFilters).filter(([filterPath]) => filterPath !== path));
+    const stages = [{ $match: { ...otherFilters, [path]: { $type: ATTRIBUTE_BSON_TYPES[attribute.type] } } }];
+
+    if (attribute.type === 'number') {
+      stages.push({ $group: { _id: null, min: { $min: `$${path}` }, max: { $max: `$${path}` }, count: { $sum: 1 } } });
+    } else {
+      stages.push(
+        { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_FACET_VALUES }
+      );
+    }
+
+    facets[`attribute_${attribute.key}`] = stages;
+  }
+
+  const [result] = await this.aggregate([{ $match: filter }, { $facet: facets }]);
+
+  return {
+    categories: result.categories.map(({ _id, count }) => ({ name: _id, count })),
+    attributes: attributes.map(({ key, label, type, unit }) => {
+      const buckets = result[`attribute_${key}`];
+
+      if (type === 'number') {
+        const [range] = buckets;
+        return { key, label, type, unit, range: range ? { min: range.min, max: range.max } : null, count: range ? range.count : 0 };
+      }
+
+      return { key, label, type, unit, values: buckets.map(({ _id, count }) => ({ value: _id, count })) };
+    })
+  };
+};
+
+/**
+ * Static method to build a filter for listings within a distance of a point
+ * @param {Object} point - GeoJSON point to search around
+ * @param {number} radiusKm - Search radius in kilometres
+ * @param {boolean} sortByDistance - Return the nearest first; such a filter can't be counted or aggregated
+ * @returns {Object} - Filter on geoLocation
+ */
+productSchema.statics.getNearFilter = function(point, radiusKm, sortByDistance = false) {
+  if (sortByDistance) {
+    return { geoLocation: { $nearSphere: { $geometry: point, $maxDistance: radiusKm * 1000 } } };
+  }
+  return { geoLocation: { $geoWithin: { $centerSphere: [point.coordinates, kmToRadians(radiusKm)] } } };
+};
+
+/**
+ * Static method to get the highest accepted price, in the base currency
+ */
+productSchema.statics.getMaxBasePrice = function() {
+  return MAX_BASE_PRICE;
+};
+
+/**
+ * Static method to build the filter for a listing query, so results, counts
+ * and facets all cover the same listings. Takes the advancedSearch filter options.
+ * Price bounds are read in `currency`. `category` may be a list of names, e.g.
+ * a category and its subcategories, and `attributeFilters` takes conditions from
+ * getAttributeFilters. `near` is { point, radiusKm }.
+ * @param {Object} options - Filter options
+ * @returns {Object} - { filter, facetFilter, attributeFilters, searchMatches }: the
+ *   listings to return, the same without attribute filters for getFacets, and the
+ *   findSearchMatches results of a search (null without one)
+ */
+productSchema.statics.buildListingQuery = async function(options = {}) {
   const {
     search,
     category,
     condition,
     minPrice,
     maxPrice,
+    currency,
     location,
     tags,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-    page = 1,
-    limit = 10
+    attributeFilters = {},
+    near
   } = options;
 
-  let query = { isAvailable: true };
-  let sort = {};
-
-  // Text search
-  if (search && search.trim()) {
-    query.$text = { $search: search.trim() };
-    sort.score = { $meta: 'textScore' };
-  }
+  const facetFilter = this.getListedFilter();
 
   // Category filter
   if (category) {
-    query.category = category;
+    facetFilter.category = Array.isArray(category) ? { $in: category } : category;
   }
 
   // Condition filter
   if (condition) {
-    query.condition = condition;
+    facetFilter.condition = condition;
   }
 
   // Price range filter
-  if (minPrice !== undefined || maxPrice !== undefined) {
-    query.price = {};
-    if (minPrice !== undefined) query.price.$gte = minPrice;
-    if (maxPrice !== undefined) query.price.$lte = maxPrice;
-  }
+  Object.assign(facetFilter, this.getPriceRangeFilter(minPrice, maxPrice, currency));
 
   // Location filter (case-insensitive partial match)
   if (location && location.trim()) {
-    query.location = { $regex: new RegExp(location.trim(), 'i') };
+    facetFilter.location = { $regex: new RegExp(escapeRegex(location.trim()), 'i') };
   }
 
   // Tags filter
   if (tags && Array.isArray(tags) && tags.length > 0) {
-    query.tags = { $in: tags };
+    facetFilter.tags = { $in: tags };
+  }
+
+  // Distance filter
+  if (near) {
+    Object.assign(facetFilter, this.getNearFilter(near.point, near.radiusKm));
+  }
+
+  // Search matches are scored in code, so the filter names the listings it found
+  let searchMatches = null;
+  if (search && search.trim()) {
+    searchMatches = await this.findSearchMatches(search, facetFilter);
+    facetFilter._id = { $in: searchMatches.map(match => match._id) };
+  }
+
+  return {
+    filter: { ...facetFilter, ...attributeFilters },
+    facetFilter,
+    attributeFilters,
+    searchMatches
+  };
+};
+
+/**
+ * Static method to read a page of listings from buildListingQuery. Pages are
+ * read by number, or after the `cursor` a previous page returned; cursors
+ * don't skip or repeat listings when new ones are added. Sorting by price
+ * compares base prices, and search results are ranked by relevance, then by
+ * `sortBy`. Sorting by distance needs `near`, can't be combined with a search
+ * and is read by page number only.
+ * @param {Object} listingQuery - From buildListingQuery
+ * @param {Object} options - { sortBy, sortOrder, page, limit, cursor, near }
+ * @returns {Object} - { products, nextCursor }; nextCursor is null on the last page
+ */
+productSchema.statics.findListings = async function(listingQuery, options = {}) {
+  const {
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    page = 1,
+    limit = 10,
+    cursor,
+    near
+  } = options;
+  const { filter, attributeFilters = {}, searchMatches } = listingQuery;
+  const populateUser = query => query.populate('user', 'username avatar sellerRating');
+
+  // $nearSphere returns the nearest first by itself, but has no position to continue from
+  if (sortBy === 'distance') {
+    if (cursor) {
+      throw Object.assign(new Error('Cursors are not available when sorting by distance; use page instead'), { statusCode: 400 });
+    }
+    const products = await populateUser(
+      this.find({ ...filter, ...this.getNearFilter(near.point, near.radiusKm, true) })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    );
+    return { products, nextCursor: null };
   }
 
   // Sorting
   const sortOrderNum = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
-  sort[sortBy] = sortOrderNum;
+  const sortField = sortBy === 'price' ? 'basePrice' : sortBy;
 
-  // Pagination
-  const skip = (page - 1) * limit;
+  if (!searchMatches) {
+    const { items, nextCursor } = await findPage(
+      this,
+      filter,
+      { [sortField]: sortOrderNum, _id: sortOrderNum },
+      { page, limit, cursor },
+      populateUser
+    );
+    return { products: items, nextCursor };
+  }
 
-  return this.find(query)
-    .populate('user', 'username avatar')
-    .sort(sort)
-    .skip(skip)
-    .limit(limit);
+  // Text search ranks the matches itself, then loads the requested page
+  const sort = { score: -1, [sortField]: sortOrderNum, _id: sortOrderNum };
+  let matches = searchMatches;
+  if (Object.keys(attributeFilters).length > 0) {
+    const allowedIds = new Set((await this.distinct('_id', filter)).map(id => id.toString()));
+    matches = matches.filter(match => allowedIds.has(match._id.toString()));
+  }
+  matches = [...matches].sort((a, b) => compareSortValues(sort, getSortValues(a, sort), getSortValues(b, sort)));
+
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    matches = matches.filter(match => compareSortValues(sort, getSortValues(match, sort), after) > 0);
+  }
+  const start = cursor ? 0 : (page - 1) * limit;
+  const pageMatches = matches.slice(start, start + limit);
+
+  const pageIds = pageMatches.map(match => match._id.toString());
+  const products = await populateUser(this.find({ _id: { $in: pageIds } }));
+
+  return {
+    products: pageIds
+      .map(id => products.find(product => product._id.toString() === id))
+      .filter(Boolean),
+    nextCursor: matches.length > start + limit ? encodeCursor(sort, pageMatches[pageMatches.length - 1]) : null
+  };
 };
 
 /**
- * Static method to get search suggestions based on existing products
+ * Static method for advanced search with multiple filters; takes the options
+ * of buildListingQuery and findListings
+ * @param {Object} options - Filter, sort and page options
+ * @returns {Array} - Listings on the page
  */
-productSchema.statics.getSearchSuggestions = function(query, limit = 5) {
-  if (!query || query.trim().length < 2) {
-    return Promise.resolve([]);
-  }
+productSchema.statics.advancedSearch = async function(options = {}) {
+  const { products } = await this.findListings(await this.buildListingQuery(options), options);
+  return products;
+};
 
-  const searchRegex = new RegExp(query.trim(), 'i');
-  
-  return this.aggregate([
-    {
-      $match: {
-        isAvailable: true,
-        $or: [
-          { title: searchRegex },
-          { description: searchRegex },
-          { tags: { $elemMatch: { $regex: searchRegex } } }
-        ]
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        suggestions: {
-          $addToSet: {
-            $trim: {
-              input: { $toLower: '$title' }
-            }
-          }
-        }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        suggestions: { $slice: ['$suggestions', limit] }
-      }
+/**
+ * Static method to suggest completions of a partly typed search, e.g.
+ * "oak ch" -> "oak chair". The last word is completed from title words and
+ * tags starting with it, ranked by how many listings use each completion.
+ * @param {string} query - Search text typed so far
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} - Suggested searches, best first
+ */
+productSchema.statics.getSearchSuggestions = async function(query, limit = 5) {
+  const words = toWords(query);
+  if (words.length === 0) return [];
+
+  const last = words[words.length - 1];
+  const prefix = last.normalized;
+  // Words before the one being typed are kept as the user wrote them
+  const leadingText = query.slice(0, last.start).trim();
+  const grams = [
+    ...getQueryGrams(words.slice(0, -1).map(word => word.normalized)),
+    ...(prefix.length >= 2 ? toTrigrams(prefix, true) : [])
+  ];
+  if (grams.length === 0) return [];
+
+  const candidates = await this.find({ ...this.getListedFilter(), searchGrams: { $all: grams } })
+    .select('title tags')
+    .sort({ views: -1 })
+    .limit(MAX_SUGGESTION_CANDIDATES)
+    .lean();
+
+  const counts = new Map();
+  for (const listing of candidates) {
+    const completions = new Set();
+    const titleWords = toWords(listing.title).map(word => word.normalized);
+
+    titleWords.forEach((word, i) => {
+      if (!word.startsWith(prefix)) return;
+      completions.add(word);
+      // The next word too, e.g. "dining table" as well as "dining"
+      if (i + 1 < titleWords.length) completions.add(`${word} ${titleWords[i + 1]}`);
+    });
+
+    for (const tag of listing.tags || []) {
+      if (normalizeWord(tag).startsWith(prefix)) completions.add(normalizeWord(tag));
     }
-  ]);
+
+    for (const completion of completions) {
+      counts.set(completion, (counts.get(completion) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.length - b.length || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([completion]) => (leadingText ? `${leadingText} ${completion}` : completion));
 };
 
 /**
  * Static method to get category statistics
+ * Prices are base-currency cents, as stored.
  */
 productSchema.statics.getCategoryStats = function() {
   return this.aggregate([
     {
-      $match: { isAvailable: true }
+      $match: this.getListedFilter()
     },
     {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        averagePrice: { $avg: '$price' },
-        minPrice: { $min: '$price' },
-        maxPrice: { $max: '$price' }
+        averagePrice: { $avg: '$basePrice' },
+        minPrice: { $min: '$basePrice' },
+        maxPrice: { $max: '$basePrice' }
       }
     },
     {
@@ -335,11 +897,68 @@ productSchema.statics.getRelatedProducts = function(productId, category, limit =
   return this.find({
     _id: { $ne: productId },
     category: category,
-    isAvailable: true
+    ...this.getListedFilter()
   })
   .populate('user', 'username avatar')
   .sort({ views: -1, createdAt: -1 })
   .limit(limit);
 };
 
+/**
+ * Static method to count a seller's listings by state and total their views.
+ * Active listings are those buyers can see and buy. Unavailable listings that were
+ * bought count as sold; the rest are hidden, whether by the seller, pending review
+ * or taken down by a moderator.
+ * @param {string} userId - Seller user ID
+ * @param {Array} soldProductIds - IDs from Purchase.getSoldProductIds
+ * @returns {Object} - { total, active, sold, hidden, totalViews }
+ */
+productSchema.statics.getSellerListingStats = async function(userId, soldProductIds = []) {
+  const stats = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        active: {
+          $sum: {
+            $cond: [{ $and: ['$isAvailable', { $not: ['$hiddenAt'] }, { $not: ['$takenDownAt'] }] }, 1, 0]
+          }
+        },
+        sold: {
+          $sum: {
+            $cond: [{ $and: [{ $not: ['$isAvailable'] }, { $in: ['$_id', soldProductIds] }] }, 1, 0]
+          }
+        },
+        totalViews: { $sum: '$views' }
+      }
+    }
+  ]);
+
+  if (stats.length === 0) {
+    return { total: 0, active: 0, sold: 0, hidden: 0, totalViews: 0 };
+  }
+
+  const { total, active, sold, totalViews } = stats[0];
+  return { total, active, sold, hidden: total - active - sold, totalViews };
+};
+
+/**
+ * Static method to count a seller's new listings per calendar month (UTC)
+ * @param {string} userId - Seller user ID
+ * @param {Date} since - Start of the first month to include
+ * @returns {Array} - [{ _id: { year, month }, listed }]
+ */
+productSchema.statics.getMonthlyListingCounts = function(userId, since) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+        listed: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
 module.exports = mongoose.model('Product', productSchema);
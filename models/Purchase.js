@@ -1,4 +1,48 @@
 const mongoose = require('mongoose');
+const { getBaseCurrency, isSupportedCurrency, roundMoney, formatMoney, convertExpression } = require('../utils/currency');
+const { toCents, fromCents, sumMoney, multiplyMoney, moneyField } = require('../utils/money');
+const { getPaymentProvider } = require('../utils/payments');
+const { findPage } = require('../utils/pagination');
+
+/**
+ * Order lifecycle
+ * Maps each status to the statuses it can move to and which party may make that move.
+ * Checkout creates orders awaiting payment; only the system moves them on, to
+ * placed once the payment is captured or to payment_failed otherwise.
+ */
+const ORDER_STATUSES = ['pending_payment', 'payment_failed', 'placed', 'confirmed', 'shipped', 'received', 'cancelled', 'refunded'];
+
+const ORDER_TRANSITIONS = {
+  pending_payment: { placed: ['system'], payment_failed: ['system'] },
+  payment_failed: {},
+  placed: { confirmed: ['seller'], cancelled: ['buyer', 'seller'] },
+  confirmed: { shipped: ['seller'], cancelled: ['buyer', 'seller'] },
+  shipped: { received: ['buyer'], refunded: ['seller'] },
+  received: { refunded: ['seller'] },
+  cancelled: {},
+  refunded: {}
+};
+
+// Orders the buyer has not paid for; sellers don't see them
+const UNPAID_STATUSES = ['pending_payment', 'payment_failed'];
+
+// Orders in these states do not count towards spend or revenue
+const INACTIVE_STATUSES = [...UNPAID_STATUSES, 'cancelled', 'refunded'];
+
+// Moving to these releases the order's products for sale again
+const RELEASING_STATUSES = ['payment_failed', 'cancelled'];
+
+// Moving to these gives back a captured payment
+const REFUNDING_STATUSES = ['cancelled', 'refunded'];
+
+// refund_pending: the order was cancelled and its refund is still to be made
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'refund_pending', 'refunded'];
+
+// Orders stuck awaiting payment, e.g. after a crash mid-checkout, fail after this long
+const getPaymentTimeoutMinutes = () => parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 30;
+
+// How the buyer receives an order; matches the listing delivery options
+const DELIVERY_METHODS = ['pickup', 'shipping'];
 
 /**
  * Purchase Model Schema
@@ -21,11 +65,10 @@ const purchaseSchema = new mongoose.Schema({
       required: [true, 'Quantity is required'],
       min: [1, 'Quantity must be at least 1']
     },
-    priceAtPurchase: {
-      type: Number,
+    priceAtPurchase: moneyField({
       required: [true, 'Price at purchase is required'],
       min: [0, 'Price cannot be negative']
-    },
+    }),
     title: {
       type: String,
       required: [true, 'Product title is required for record keeping']
@@ -38,21 +81,131 @@ const purchaseSchema = new mongoose.Schema({
       type: mongoose.Schema.ObjectId,
       ref: 'User',
       required: [true, 'Seller reference is required']
+    },
+    // Set when the line was bought at a negotiated price
+    offer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Offer'
     }
   }],
-  total: {
-    type: Number,
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  total: moneyField({
     required: [true, 'Total amount is required'],
     min: [0, 'Total cannot be negative']
+  }),
+  // Currency the order is charged in; every line is priced in it. Orders from
+  // before currencies existed have none and count as the base currency.
+  currency: {
+    type: String,
+    uppercase: true,
+    default: () => getBaseCurrency(),
+    validate: {
+      validator: isSupportedCurrency,
+      message: 'Currency {VALUE} is not supported'
+    }
+  },
+  // Chosen at checkout; orders from before delivery options existed have no method
+  delivery: {
+    method: {
+      type: String,
+      enum: {
+        values: DELIVERY_METHODS,
+        message: `Delivery method must be one of: ${DELIVERY_METHODS.join(', ')}`
+      }
+    },
+    // Flat shipping fees of the order's listings; included in total
+    fee: moneyField({
+      default: 0,
+      min: [0, 'Shipping fee cannot be negative']
+    }),
+    // Copy of the buyer's address, so later address book edits leave the order alone
+    address: {
+      fullName: String,
+      line1: String,
+      line2: String,
+      city: String,
+      region: String,
+      postalCode: String,
+      country: String,
+      phone: String
+    },
+    // Where a pickup order is collected, from the listing's location
+    pickupLocation: {
+      type: String,
+      default: ''
+    }
+  },
+  // Orders from before payments existed have no payment status
+  payment: {
+    provider: String,
+    // The provider's ID for the charge, used to match webhooks
+    paymentId: String,
+    status: {
+      type: String,
+      enum: {
+        values: PAYMENT_STATUSES,
+        message: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+      }
+    },
+    capturedAt: Date,
+    refundedAt: Date,
+    // Every call made to the provider, and webhook updates, oldest first
+    attempts: [{
+      action: {
+        type: String,
+        enum: ['authorize', 'capture', 'refund', 'void', 'webhook'],
+        required: true
+      },
+      status: {
+        type: String,
+        required: true
+      },
+      amount: moneyField({ default: 0 }),
+      message: {
+        type: String,
+        default: ''
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   status: {
     type: String,
     enum: {
-      values: ['pending', 'completed', 'cancelled'],
-      message: 'Status must be one of: pending, completed, cancelled'
+      values: ORDER_STATUSES,
+      message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
     },
-    default: 'completed'
+    default: 'pending_payment'
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'system']
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Status note cannot exceed 500 characters'],
+      default: ''
+    }
+  }],
   purchasedAt: {
     type: Date,
     default: Date.now
@@ -64,8 +217,8 @@ const purchaseSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 /**
@@ -76,12 +229,21 @@ purchaseSchema.index({ purchasedAt: -1 });
 purchaseSchema.index({ status: 1 });
 purchaseSchema.index({ user: 1, purchasedAt: -1 });
 purchaseSchema.index({ 'products.seller': 1 });
+purchaseSchema.index({ seller: 1, status: 1 });
+purchaseSchema.index({ 'payment.paymentId': 1 }, { sparse: true });
 
 /**
- * Virtual for formatted total
+ * Virtual for the total formatted in the order's currency
  */
 purchaseSchema.virtual('formattedTotal').get(function() {
-  return `$${this.total.toFixed(2)}`;
+  return formatMoney(this.total, this.currency);
+});
+
+/**
+ * Virtual for the order value before shipping
+ */
+purchaseSchema.virtual('subtotal').get(function() {
+  return totalLines(this.products);
 });
 
 /**
@@ -105,63 +267,98 @@ purchaseSchema.virtual('sellersCount').get(function() {
 purchaseSchema.virtual('summary').get(function() {
   return {
     id: this._id,
+    subtotal: this.subtotal,
+    shippingFee: this.delivery.fee,
     total: this.total,
+    currency: this.currency,
     formattedTotal: this.formattedTotal,
     totalItems: this.totalItems,
     sellersCount: this.sellersCount,
+    deliveryMethod: this.delivery.method || null,
+    paymentStatus: this.payment.status || null,
     status: this.status,
     purchasedAt: this.purchasedAt
   };
 });
 
+/**
+ * Add up purchase lines exactly
+ * @param {Array} lines - Lines with quantity and priceAtPurchase
+ * @returns {number} - Total
+ */
+const totalLines = (lines) => sumMoney(lines.map(item => multiplyMoney(item.priceAtPurchase, item.quantity)));
+
+/**
+ * Convert an aggregated amount in cents into a rounded amount
+ * @param {number} cents - Sum or average of stored cents, possibly converted
+ * @param {string} currency - Currency to round to
+ * @returns {number} - Amount
+ */
+const centsToAmount = (cents, currency) => roundMoney(fromCents(cents || 0), currency);
+
+/**
+ * Work out how a group of listings bought together can be delivered
+ * @param {Array} products - Product documents in one order
+ * @returns {Object} - { methods, shippingFee }: the methods every listing offers,
+ *   and the sum of their flat shipping fees
+ */
+const getDeliveryQuote = (products) => ({
+  methods: DELIVERY_METHODS.filter(method => products.every(product => product.getDeliveryMethods().includes(method))),
+  shippingFee: sumMoney(products.map(product => product.delivery.shippingFee || 0))
+});
+
 /**
  * Pre-save middleware to ensure total accuracy
  */
 purchaseSchema.pre('save', function(next) {
-  // Recalculate total from products
-  let calculatedTotal = 0;
-  
-  for (const item of this.products) {
-    calculatedTotal += item.quantity * item.priceAtPurchase;
-  }
-  
-  this.total = Math.round(calculatedTotal * 100) / 100;
+  // Recalculate total from products plus shipping
+  this.total = sumMoney([totalLines(this.products), this.delivery.fee || 0]);
   next();
 });
 
 /**
- * Static method to get user's purchase history with pagination
+ * Static method to get user's purchase history with pagination, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit, cursor }; a cursor from a previous page replaces page
+ * @returns {Object} - { purchases, nextCursor }; nextCursor is null on the last page
  */
-purchaseSchema.statics.getUserPurchases = function(userId, page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  
-  return this.find({ user: userId })
-    .populate({
-      path: 'products.product',
-      select: 'title description category condition image'
-    })
-    .populate({
-      path: 'products.seller',
-      select: 'username avatar'
-    })
-    .sort({ purchasedAt: -1 })
-    .skip(skip)
-    .limit(limit);
+purchaseSchema.statics.getUserPurchases = async function(userId, { page = 1, limit = 10, cursor } = {}) {
+  const { items, nextCursor } = await findPage(
+    this,
+    { user: userId },
+    { purchasedAt: -1, _id: -1 },
+    { page, limit, cursor },
+    query => query
+      .populate({
+        path: 'products.product',
+        select: 'title description category condition image'
+      })
+      .populate({
+        path: 'products.seller',
+        select: 'username avatar'
+      })
+  );
+
+  return { purchases: items, nextCursor };
 };
 
 /**
  * Static method to get purchase statistics for a user
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency to total in; orders in other currencies are converted
  */
-purchaseSchema.statics.getUserPurchaseStats = async function(userId) {
+purchaseSchema.statics.getUserPurchaseStats = async function(userId, currency = getBaseCurrency()) {
+  const total = convertExpression('$total', '$currency', currency);
+
   const stats = await this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
+    { $match: { user: new mongoose.Types.ObjectId(userId), status: { $nin: INACTIVE_STATUSES } } },
     {
       $group: {
         _id: null,
         totalPurchases: { $sum: 1 },
-        totalSpent: { $sum: '$total' },
+        totalSpent: { $sum: total },
         totalItems: { $sum: { $sum: '$products.quantity' } },
-        avgOrderValue: { $avg: '$total' }
+        avgOrderValue: { $avg: total }
       }
     }
   ]);
@@ -178,48 +375,127 @@ purchaseSchema.statics.getUserPurchaseStats = async function(userId) {
   const result = stats[0];
   return {
     totalPurchases: result.totalPurchases,
-    totalSpent: Math.round(result.totalSpent * 100) / 100,
+    totalSpent: centsToAmount(result.totalSpent, currency),
     totalItems: result.totalItems,
-    avgOrderValue: Math.round(result.avgOrderValue * 100) / 100
+    avgOrderValue: centsToAmount(result.avgOrderValue, currency)
   };
 };
 
 /**
- * Static method to create purchase from cart items
+ * Static method to create purchases from cart items.
+ * Items are grouped by seller and one order is created per seller, so each
+ * seller moves their own order through the lifecycle independently. A seller's
+ * listings in different currencies become separate orders, each charged in its
+ * listing currency. Orders start awaiting payment; see collectPayment.
+ * @param {string} userId - Buyer ID
+ * @param {Array} cartItems - Cart items with populated products
+ * @param {Object} options - Optional { session, notes, acceptedOffers, deliveryMethods, shippingAddress };
+ *   pass a session to write inside a transaction.
+ *   acceptedOffers maps product IDs to accepted offers whose amount is charged instead of the list price.
+ *   deliveryMethods maps seller IDs to 'pickup' or 'shipping'; sellers left out get pickup when every
+ *   listing offers it. shippingAddress is the buyer's address sub-document, required for shipped orders.
+ * @returns {Array} - Created purchases, one per seller
+ * @throws {Error} - With statusCode 400 if a chosen delivery method cannot be used
  */
-purchaseSchema.statics.createFromCart = async function(userId, cartItems) {
+purchaseSchema.statics.createFromCart = async function(userId, cartItems, options = {}) {
+  const {
+    session = null,
+    notes = '',
+    acceptedOffers = new Map(),
+    deliveryMethods = new Map(),
+    shippingAddress = null
+  } = options;
+
   if (!cartItems || cartItems.length === 0) {
     throw new Error('Cannot create purchase from empty cart');
   }
   
-  const products = [];
-  let total = 0;
+  const itemsBySeller = new Map();
   
   for (const cartItem of cartItems) {
-    if (!cartItem.product || !cartItem.product.isAvailable) {
+    if (!cartItem.product || !cartItem.product.isListed) {
       throw new Error(`Product "${cartItem.product?.title || 'Unknown'}" is no longer available`);
     }
     
+    const sellerId = cartItem.product.user._id || cartItem.product.user;
+    // An accepted offer replaces the list price for this buyer
+    const offer = acceptedOffers.get(cartItem.product._id.toString());
     const productData = {
       product: cartItem.product._id,
       quantity: cartItem.quantity,
-      priceAtPurchase: cartItem.product.price,
+      priceAtPurchase: offer ? offer.amount : cartItem.product.price,
       title: cartItem.product.title,
       image: cartItem.product.image,
-      seller: cartItem.product.user
+      seller: sellerId,
+      offer: offer ? offer._id : undefined
     };
     
-    products.push(productData);
-    total += cartItem.quantity * cartItem.product.price;
+    const currency = cartItem.product.currency;
+    const orderKey = `${sellerId}:${currency}`;
+    if (!itemsBySeller.has(orderKey)) {
+      itemsBySeller.set(orderKey, { seller: sellerId, currency, products: [], listings: [] });
+    }
+    itemsBySeller.get(orderKey).products.push(productData);
+    itemsBySeller.get(orderKey).listings.push(cartItem.product);
   }
   
-  const purchase = new this({
-    user: userId,
-    products,
-    total: Math.round(total * 100) / 100
+  // Settle every order's delivery before writing any of them
+  const orders = [...itemsBySeller.values()].map(order => {
+    const { methods, shippingFee } = getDeliveryQuote(order.listings);
+    const method = deliveryMethods.get(order.seller.toString()) || (methods.includes('pickup') ? 'pickup' : methods[0]);
+    
+    if (!methods.includes(method)) {
+      const titles = order.listings.map(listing => `"${listing.title}"`).join(', ');
+      const error = new Error(methods.length > 0
+        ? `${titles} cannot be delivered by ${method}; choose ${methods.join(' or ')}`
+        : `${titles} have no delivery option in common; buy them separately`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (method === 'shipping' && !shippingAddress) {
+      const error = new Error('Add a delivery address to have items shipped');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    return {
+      ...order,
+      delivery: method === 'shipping'
+        ? { method, fee: shippingFee, address: shippingAddress.toObject() }
+        : { method, fee: 0, pickupLocation: order.listings[0].location || '' }
+    };
   });
   
-  return await purchase.save();
+  const purchases = [];
+  
+  for (const { seller, currency, products, delivery } of orders) {
+    const purchase = new this({
+      user: userId,
+      seller,
+      products,
+      total: sumMoney([totalLines(products), delivery.fee]),
+      currency,
+      delivery,
+      notes,
+      status: 'pending_payment',
+      payment: { status: 'pending' },
+      statusHistory: [{ status: 'pending_payment', changedBy: userId, role: 'buyer' }]
+    });
+    
+    purchases.push(await purchase.save({ session }));
+  }
+  
+  return purchases;
+};
+
+/**
+ * Static method to work out how a group of listings bought together can be delivered
+ * @param {Array} products - Product documents that will share one order
+ * @returns {Object} - { methods, shippingFee }
+ */
+purchaseSchema.statics.getDeliveryQuote = function(products) {
+  return getDeliveryQuote(products);
 };
 
 /**
@@ -228,7 +504,7 @@ purchaseSchema.statics.createFromCart = async function(userId, cartItems) {
 purchaseSchema.statics.getSellerSales = function(sellerId, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
   
-  return this.find({ 'products.seller': sellerId })
+  return this.find({ 'products.seller': sellerId, status: { $nin: UNPAID_STATUSES } })
     .populate('user', 'username avatar')
     .populate({
       path: 'products.product',
@@ -239,6 +515,510 @@ purchaseSchema.statics.getSellerSales = function(sellerId, page = 1, limit = 10)
     .limit(limit);
 };
 
+/**
+ * Aggregation expression for a purchase line's value in cents, converted into a currency
+ * @param {string} currency - Target currency
+ * @returns {Object} - Expression to use after unwinding `products`
+ */
+const lineValueIn = (currency) => convertExpression(
+  { $multiply: ['$products.quantity', '$products.priceAtPurchase'] },
+  '$currency',
+  currency
+);
+
+/**
+ * Static method to get aggregated sales figures for a seller.
+ * Only the purchase lines sold by this seller are counted; cancelled and refunded orders are excluded.
+ * @param {string} sellerId - Seller user ID
+ * @param {string} currency - Currency to total in; orders in other currencies are converted
+ */
+purchaseSchema.statics.getSellerSalesStats = async function(sellerId, currency = getBaseCurrency()) {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const stats = await this.aggregate([
+    { $match: { 'products.seller': sellerObjectId, status: { $nin: INACTIVE_STATUSES } } },
+    { $unwind: '$products' },
+    { $match: { 'products.seller': sellerObjectId } },
+    {
+      $group: {
+        _id: null,
+        orders: { $addToSet: '$_id' },
+        buyers: { $addToSet: '$user' },
+        itemsSold: { $sum: '$products.quantity' },
+        totalRevenue: { $sum: lineValueIn(currency) }
+      }
+    }
+  ]);
+
+  if (stats.length === 0) {
+    return {
+      totalOrders: 0,
+      uniqueBuyers: 0,
+      itemsSold: 0,
+      totalRevenue: 0,
+      avgOrderValue: 0
+    };
+  }
+
+  const result = stats[0];
+  const totalOrders = result.orders.length;
+  return {
+    totalOrders,
+    uniqueBuyers: result.buyers.length,
+    itemsSold: result.itemsSold,
+    totalRevenue: centsToAmount(result.totalRevenue, currency),
+    avgOrderValue: centsToAmount(result.totalRevenue / totalOrders, currency)
+  };
+};
+
+/**
+ * Static method to get a seller's revenue grouped by month for a given year, in the given currency
+ */
+purchaseSchema.statics.getSellerMonthlyRevenue = async function(sellerId, year = new Date().getFullYear(), currency = getBaseCurrency()) {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const months = await this.aggregate([
+    {
+      $match: {
+        'products.seller': sellerObjectId,
+        status: { $nin: INACTIVE_STATUSES },
+        purchasedAt: {
+          $gte: new Date(`${year}-01-01`),
+          $lt: new Date(`${year + 1}-01-01`)
+        }
+      }
+    },
+    { $unwind: '$products' },
+    { $match: { 'products.seller': sellerObjectId } },
+    {
+      $group: {
+        _id: { $month: '$purchasedAt' },
+        revenue: { $sum: lineValueIn(currency) },
+        itemsSold: { $sum: '$products.quantity' },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    {
+      $project: {
+        revenue: 1,
+        itemsSold: 1,
+        orderCount: { $size: '$orders' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return months.map(month => ({ ...month, revenue: centsToAmount(month.revenue, currency) }));
+};
+
+/**
+ * Static method to list the products a seller has sold in orders that still count
+ * @param {string} sellerId - Seller user ID
+ * @returns {Array} - Product IDs
+ */
+purchaseSchema.statics.getSoldProductIds = async function(sellerId) {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const result = await this.aggregate([
+    { $match: { 'products.seller': sellerObjectId, status: { $nin: INACTIVE_STATUSES } } },
+    { $unwind: '$products' },
+    { $match: { 'products.seller': sellerObjectId } },
+    { $group: { _id: '$products.product' } }
+  ]);
+
+  return result.map(item => item._id);
+};
+
+/**
+ * Static method to get a user's buying and selling totals per calendar month (UTC)
+ * @param {string} userId - User ID
+ * @param {Date} since - Start of the first month to include
+ * @param {string} currency - Currency to total in; orders in other currencies are converted
+ * @returns {Object} - { spending, sales }, each a list keyed by { year, month }
+ */
+purchaseSchema.statics.getUserMonthlyTrends = async function(userId, since, currency = getBaseCurrency()) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const byMonth = { year: { $year: '$purchasedAt' }, month: { $month: '$purchasedAt' } };
+
+  const [spending, sales] = await Promise.all([
+    this.aggregate([
+      { $match: { user: userObjectId, status: { $nin: INACTIVE_STATUSES }, purchasedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: byMonth,
+          spent: { $sum: convertExpression('$total', '$currency', currency) },
+          purchases: { $sum: 1 }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { 'products.seller': userObjectId, status: { $nin: INACTIVE_STATUSES }, purchasedAt: { $gte: since } } },
+      { $unwind: '$products' },
+      { $match: { 'products.seller': userObjectId } },
+      {
+        $group: {
+          _id: byMonth,
+          revenue: { $sum: lineValueIn(currency) },
+          itemsSold: { $sum: '$products.quantity' }
+        }
+      }
+    ])
+  ]);
+
+  return {
+    spending: spending.map(entry => ({ ...entry, spent: centsToAmount(entry.spent, currency) })),
+    sales: sales.map(entry => ({ ...entry, revenue: centsToAmount(entry.revenue, currency) }))
+  };
+};
+
+/**
+ * Static method to get a seller's best-selling products by revenue, in the given currency
+ */
+purchaseSchema.statics.getSellerTopProducts = async function(sellerId, limit = 5, currency = getBaseCurrency()) {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const products = await this.aggregate([
+    { $match: { 'products.seller': sellerObjectId, status: { $nin: INACTIVE_STATUSES } } },
+    { $unwind: '$products' },
+    { $match: { 'products.seller': sellerObjectId } },
+    {
+      $group: {
+        _id: '$products.product',
+        title: { $last: '$products.title' },
+        image: { $last: '$products.image' },
+        quantitySold: { $sum: '$products.quantity' },
+        revenue: { $sum: lineValueIn(currency) },
+        lastSoldAt: { $max: '$purchasedAt' }
+      }
+    },
+    { $sort: { revenue: -1 } },
+    { $limit: limit }
+  ]);
+
+  return products.map(product => ({ ...product, revenue: centsToAmount(product.revenue, currency) }));
+};
+
+/**
+ * Static method to get every sale of a single product by its seller
+ */
+purchaseSchema.statics.getProductSales = function(sellerId, productId) {
+  return this.find({
+    products: {
+      $elemMatch: { product: productId, seller: sellerId }
+    },
+    status: { $nin: UNPAID_STATUSES }
+  })
+    .populate('user', 'username avatar')
+    .sort({ purchasedAt: -1 });
+};
+
+/**
+ * Instance method to get only the lines of this purchase sold by a given seller
+ */
+purchaseSchema.methods.getSellerItems = function(sellerId) {
+  return this.products.filter(item => {
+    const itemSellerId = item.seller._id || item.seller;
+    return itemSellerId.toString() === sellerId.toString();
+  });
+};
+
+/**
+ * Instance method to check if a user sold items in this purchase
+ */
+purchaseSchema.methods.isSoldBy = function(userId) {
+  return this.getSellerItems(userId).length > 0;
+};
+
+/**
+ * Instance method to list the statuses a party may move this order to
+ * @param {string} role - 'buyer' or 'seller'
+ * @returns {Array} - Allowed next statuses
+ */
+purchaseSchema.methods.getAllowedTransitions = function(role) {
+  const transitions = ORDER_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions).filter(status => transitions[status].includes(role));
+};
+
+/**
+ * Instance method to move the order to a new status.
+ * Records the change in statusHistory, refunds a captured payment when the order
+ * is cancelled or refunded and, when it is cancelled or its payment failed, makes
+ * the purchased products available again. Runs in its own transaction.
+ * @param {string} status - Target status
+ * @param {Object} options - { userId, role, note }
+ * @returns {Object} - The updated purchase
+ * @throws {Error} - With statusCode 400 if the move is not allowed, or 502 if the refund fails
+ */
+purchaseSchema.methods.transitionTo = async function(status, { userId, role, note = '' }) {
+  if (!this.getAllowedTransitions(role).includes(status)) {
+    const error = new Error(`Cannot change order status from "${this.status}" to "${status}" as ${role}`);
+    error.statusCode = 400;
+    error.allowedTransitions = this.getAllowedTransitions(role);
+    throw error;
+  }
+
+  if (REFUNDING_STATUSES.includes(status)) {
+    await this.refundPayment();
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy: userId,
+    role,
+    note
+  });
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await this.save({ session });
+
+      if (RELEASING_STATUSES.includes(status)) {
+        const productIds = this.products.map(item => item.product._id || item.product);
+        // Listings a moderator took down stay unavailable
+        await mongoose.model('Product').updateMany(
+          { _id: { $in: productIds }, takenDownAt: null },
+          { $set: { isAvailable: true } },
+          { session }
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return this;
+};
+
+/**
+ * Call the payment provider and record the call in payment.attempts.
+ * A provider that throws counts as a failed call.
+ * @param {Object} purchase - Purchase document
+ * @param {string} action - 'authorize', 'capture', 'refund' or 'void'
+ * @param {Function} call - Makes the provider call
+ * @returns {Object} - Provider result { id, status, message }
+ */
+const recordPaymentCall = async (purchase, action, call) => {
+  let result;
+
+  try {
+    result = await call();
+  } catch (error) {
+    result = { status: 'failed', message: error.message };
+  }
+
+  purchase.payment.attempts.push({
+    action,
+    status: result.status,
+    amount: purchase.total,
+    message: result.message || '',
+    at: new Date()
+  });
+
+  return result;
+};
+
+/**
+ * Instance method to charge the buyer for an order awaiting payment.
+ * Authorizes then captures the total through the payment provider. The order
+ * moves to placed only once the capture succeeds; otherwise it moves to
+ * payment_failed and its products go back on sale. An authorization that is
+ * never captured lapses at the provider.
+ * @param {string} paymentMethod - Provider token for the buyer's card or wallet
+ * @returns {boolean} - Whether the payment was captured
+ */
+purchaseSchema.methods.collectPayment = async function(paymentMethod) {
+  const provider = getPaymentProvider();
+  const reference = this._id.toString();
+  const charge = { amount: toCents(this.total), currency: this.currency };
+
+  this.payment.provider = provider.name;
+
+  const authorization = await recordPaymentCall(this, 'authorize', () => provider.authorize({
+    ...charge,
+    paymentMethod,
+    reference,
+    idempotencyKey: `${reference}:authorize`
+  }));
+  let result = authorization;
+
+  if (authorization.status === 'authorized') {
+    this.payment.paymentId = authorization.id;
+    this.payment.status = 'authorized';
+
+    result = await recordPaymentCall(this, 'capture', () => provider.capture({
+      ...charge,
+      paymentId: authorization.id,
+      idempotencyKey: `${reference}:capture`
+    }));
+  }
+
+  if (result.status === 'captured') {
+    this.payment.status = 'captured';
+    this.payment.capturedAt = new Date();
+    await this.transitionTo('placed', { role: 'system', note: 'Payment captured' });
+    return true;
+  }
+
+  this.payment.status = 'failed';
+  await this.transitionTo('payment_failed', {
+    role: 'system',
+    note: `Payment failed${result.message ? `: ${result.message}` : ''}`
+  });
+  return false;
+};
+
+/**
+ * Instance method to give back a captured payment in full. Does nothing when
+ * there is no captured payment, e.g. for orders from before payments existed.
+ * Does not save the order, and must not run inside a transaction, which could
+ * retry the refund or abort after the money was given back.
+ * @throws {Error} - With statusCode 502 if the provider refuses the refund
+ */
+purchaseSchema.methods.refundPayment = async function() {
+  if (!['captured', 'refund_pending'].includes(this.payment.status)) return;
+
+  const provider = getPaymentProvider();
+  const reference = this._id.toString();
+
+  const result = await recordPaymentCall(this, 'refund', () => provider.refund({
+    paymentId: this.payment.paymentId,
+    amount: toCents(this.total),
+    currency: this.currency,
+    idempotencyKey: `${reference}:refund`
+  }));
+
+  if (result.status !== 'refunded') {
+    // Keep the failed attempt on record even though the status change is abandoned
+    const { action, status, amount, message, at } = this.payment.attempts[this.payment.attempts.length - 1];
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $push: { 'payment.attempts': { action, status, amount, message, at } } }
+    );
+    const error = new Error(`Refund failed${result.message ? `: ${result.message}` : ''}`);
+    error.statusCode = 502;
+    throw error;
+  }
+
+  this.payment.status = 'refunded';
+  this.payment.refundedAt = new Date();
+};
+
+/**
+ * Refund a payment captured for an order that has already failed, such as a
+ * capture confirmed after checkout gave up on it. The order must already be saved
+ * with the payment refund_pending, so a refund the provider refuses is left for
+ * settlePendingRefunds.
+ * @param {Object} purchase - Purchase document
+ */
+const refundLateCapture = async (purchase) => {
+  try {
+    await purchase.refundPayment();
+    await purchase.save();
+  } catch (error) {
+    console.error(`Refund of order ${purchase._id} failed:`, error.message);
+  }
+};
+
+/**
+ * Static method to apply a verified payment webhook to its order.
+ * A capture or failure confirmed asynchronously settles an order still awaiting
+ * payment, and a capture for an order whose payment already failed is refunded,
+ * since its products went back on sale. A refund made at the provider is
+ * recorded on the payment. Events for orders that already reflect them are ignored.
+ * @param {Object} event - { type, paymentId } from the provider's verifyWebhook
+ * @returns {Object} - { purchase, placed }: the order, or null if none matches,
+ *   and whether this event placed it
+ */
+purchaseSchema.statics.applyPaymentEvent = async function({ type, paymentId }) {
+  const purchase = paymentId ? await this.findOne({ 'payment.paymentId': paymentId }) : null;
+  if (!purchase) return { purchase: null, placed: false };
+
+  const record = (status) => purchase.payment.attempts.push({
+    action: 'webhook',
+    status,
+    amount: purchase.total,
+    message: type,
+    at: new Date()
+  });
+
+  if (type === 'payment.captured' && purchase.status === 'pending_payment') {
+    record('captured');
+    purchase.payment.status = 'captured';
+    purchase.payment.capturedAt = new Date();
+    await purchase.transitionTo('placed', { role: 'system', note: 'Payment captured' });
+    return { purchase, placed: true };
+  }
+
+  if (type === 'payment.captured' && purchase.status === 'payment_failed' && purchase.payment.status === 'failed') {
+    record('captured');
+    purchase.payment.status = 'refund_pending';
+    purchase.payment.capturedAt = new Date();
+    await purchase.save();
+    await refundLateCapture(purchase);
+  } else if (type === 'payment.failed' && purchase.status === 'pending_payment') {
+    record('failed');
+    purchase.payment.status = 'failed';
+    await purchase.transitionTo('payment_failed', { role: 'system', note: 'Payment failed' });
+  } else if (type === 'payment.refunded' && ['captured', 'refund_pending'].includes(purchase.payment.status)) {
+    record('refunded');
+    purchase.payment.status = 'refunded';
+    purchase.payment.refundedAt = new Date();
+    await purchase.save();
+  }
+
+  return { purchase, placed: false };
+};
+
+/**
+ * Static method to fail orders that have waited too long for payment,
+ * releasing their products. An authorized payment is voided first; if the
+ * provider had already captured it, the order still fails and the payment is
+ * refunded. An order whose payment can't be voided yet keeps waiting for the next run.
+ * @returns {number} - Number of orders failed
+ */
+purchaseSchema.statics.failStalePayments = async function() {
+  const cutoff = new Date(Date.now() - getPaymentTimeoutMinutes() * 60 * 1000);
+  const purchases = await this.find({ status: 'pending_payment', purchasedAt: { $lt: cutoff } });
+  let failed = 0;
+
+  for (const purchase of purchases) {
+    let captured = false;
+
+    if (purchase.payment.status === 'authorized') {
+      const provider = getPaymentProvider();
+      const result = await recordPaymentCall(purchase, 'void', () => provider.void({
+        paymentId: purchase.payment.paymentId,
+        idempotencyKey: `${purchase._id}:void`
+      }));
+
+      if (!['voided', 'captured'].includes(result.status)) {
+        await purchase.save();
+        continue;
+      }
+      captured = result.status === 'captured';
+    }
+
+    if (captured) {
+      purchase.payment.status = 'refund_pending';
+      purchase.payment.capturedAt = new Date();
+    } else {
+      purchase.payment.status = 'failed';
+    }
+    await purchase.transitionTo('payment_failed', { role: 'system', note: 'Payment timed out' });
+    failed++;
+
+    if (captured) {
+      await refundLateCapture(purchase);
+    }
+  }
+
+  return failed;
+};
+
 /**
  * Instance method to check if purchase belongs to user
  */
@@ -264,4 +1044,129 @@ purchaseSchema.methods.getDetailedPurchase = async function() {
   return this;
 };
 
+/**
+ * Static method to close every open order a user is part of, as buyer or seller.
+ * Used when an account is deleted. Orders still awaiting payment fail, and the
+ * rest are cancelled; products in them become available again. Captured payments
+ * are not refunded here, since a transaction may retry or abort: they are marked
+ * refund_pending for settlePendingRefunds once the transaction has committed.
+ * @param {string} userId - User ID
+ * @param {Object} session - Optional session to run inside a transaction
+ * @returns {Object} - { cancelledOrders, failedOrders, refundIds }: counts and the
+ *   IDs of orders awaiting a refund
+ */
+purchaseSchema.statics.cancelOpenOrdersForUser = async function(userId, session = null) {
+  const openStatuses = Object.keys(ORDER_TRANSITIONS)
+    .filter(status => ORDER_TRANSITIONS[status].cancelled || ORDER_TRANSITIONS[status].payment_failed);
+
+  const purchases = await this.find({
+    $or: [{ user: userId }, { 'products.seller': userId }],
+    status: { $in: openStatuses }
+  }).session(session);
+
+  let failedOrders = 0;
+  const refundIds = [];
+
+  for (const purchase of purchases) {
+    // An authorization that is never captured lapses at the provider
+    const status = ORDER_TRANSITIONS[purchase.status].cancelled ? 'cancelled' : 'payment_failed';
+    if (status === 'payment_failed') {
+      purchase.payment.status = 'failed';
+      failedOrders++;
+    } else if (purchase.payment.status === 'captured') {
+      purchase.payment.status = 'refund_pending';
+      refundIds.push(purchase._id);
+    }
+
+    purchase.status = status;
+    purchase.statusHistory.push({
+      status,
+      changedAt: new Date(),
+      role: 'system',
+      note: 'Account deleted'
+    });
+    await purchase.save({ session });
+  }
+
+  const productIds = purchases.flatMap(purchase => purchase.products.map(item => item.product));
+  if (productIds.length > 0) {
+    await mongoose.model('Product').updateMany(
+      { _id: { $in: productIds }, takenDownAt: null },
+      { $set: { isAvailable: true } },
+      { session }
+    );
+  }
+
+  return { cancelledOrders: purchases.length - failedOrders, failedOrders, refundIds };
+};
+
+/**
+ * Static method to make the refunds of cancelled orders marked refund_pending.
+ * Safe to repeat: the provider sees the same idempotency key for an order, and
+ * a refused refund stays pending, with the attempt on record, for the next run.
+ * @param {Array} purchaseIds - Orders to settle; every pending refund if omitted
+ * @returns {Object} - { refunded, pending }: refunds made and refunds still owed
+ */
+purchaseSchema.statics.settlePendingRefunds = async function(purchaseIds = null) {
+  const purchases = await this.find({
+    'payment.status': 'refund_pending',
+    ...(purchaseIds && { _id: { $in: purchaseIds } })
+  });
+  let refunded = 0;
+
+  for (const purchase of purchases) {
+    try {
+      await purchase.refundPayment();
+      await purchase.save();
+      refunded++;
+    } catch (error) {
+      console.error(`Refund of order ${purchase._id} failed:`, error.message);
+    }
+  }
+
+  return { refunded, pending: purchases.length - refunded };
+};
+
+/**
+ * Static method to get all order statuses
+ */
+purchaseSchema.statics.getStatuses = function() {
+  return ORDER_STATUSES;
+};
+
+/**
+ * Static method to get the statuses that do not count towards spend and revenue
+ */
+purchaseSchema.statics.getInactiveStatuses = function() {
+  return INACTIVE_STATUSES;
+};
+
+/**
+ * Static method to get the statuses in which an order no longer holds its products
+ */
+purchaseSchema.statics.getReleasingStatuses = function() {
+  return RELEASING_STATUSES;
+};
+
+/**
+ * Static method to get the statuses of orders the buyer has not paid for
+ */
+purchaseSchema.statics.getUnpaidStatuses = function() {
+  return UNPAID_STATUSES;
+};
+
+/**
+ * Static method to get the delivery methods an order can use
+ */
+purchaseSchema.statics.getDeliveryMethods = function() {
+  return [...DELIVERY_METHODS];
+};
+
+/**
+ * Static method to check if an order in this status counts towards spend and revenue
+ */
+purchaseSchema.statics.isActiveStatus = function(status) {
+  return !INACTIVE_STATUSES.includes(status);
+};
+
 module.exports = mongoose.model('Purchase', purchaseSchema);
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const { fromCents } = require('../utils/money');
+
+const REPORT_REASONS = ['counterfeit', 'prohibited', 'scam', 'misleading', 'offensive', 'other'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+/**
+ * Report Model Schema
+ * A user flagging a listing for moderators. Reports stay open until a
+ * moderator dismisses them or acts on the listing.
+ */
+const reportSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Report must be about a product']
+  },
+  // Denormalized from the product so reports can be grouped per seller
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Report must have a seller']
+  },
+  reporter: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Report must have a reporter']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    enum: {
+      values: REPORT_REASONS,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    }
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REPORT_STATUSES,
+      message: `Status must be one of: ${REPORT_STATUSES.join(', ')}`
+    },
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Indexes for better query performance
+ */
+reportSchema.index({ status: 1, product: 1 });
+reportSchema.index({ status: 1, seller: 1 });
+// A user may only have one open report per listing
+reportSchema.index(
+  { product: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+/**
+ * Static method to get the valid report reasons
+ */
+reportSchema.statics.getReasons = function() {
+  return [...REPORT_REASONS];
+};
+
+/**
+ * Static method to get how many open reports hide a listing automatically
+ */
+reportSchema.statics.getHideThreshold = function() {
+  return parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+};
+
+/**
+ * Static method to count the open reports on a listing
+ * @param {string} productId - Product ID
+ * @returns {Promise<number>} - Open report count
+ */
+reportSchema.statics.countOpenForProduct = function(productId) {
+  return this.countDocuments({ product: productId, status: 'open' });
+};
+
+/**
+ * Static method to close every open report on a listing
+ * @param {string} productId - Product ID
+ * @param {string} status - 'dismissed' or 'actioned'
+ * @param {string} userId - Moderator resolving the reports
+ * @returns {Promise<number>} - Number of reports closed
+ */
+reportSchema.statics.resolveForProduct = async function(productId, status, userId) {
+  const result = await this.updateMany(
+    { product: productId, status: 'open' },
+    { $set: { status, resolvedBy: userId, resolvedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Turn a list of reasons into a count per reason
+ * @param {Array} reasons - Reason of every report in a group
+ * @returns {Object} - e.g. { scam: 2, counterfeit: 1 }
+ */
+const countReasons = (reasons) => reasons.reduce((counts, reason) => {
+  counts[reason] = (counts[reason] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Aggregation stages joining one document by ID, keeping only the given fields
+ * @param {string} from - Collection to join
+ * @param {string} localField - Field holding the ID
+ * @param {string} as - Field to put the joined document in; left out when it was deleted
+ * @param {Object} fields - $project inclusion map
+ * @returns {Array} - $lookup and $unwind stages
+ */
+const lookupOne = (from, localField, as, fields) => [
+  {
+    $lookup: {
+      from,
+      let: { id: `$${localField}` },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+        { $project: fields }
+      ],
+      as
+    }
+  },
+  { $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true } }
+];
+
+const QUEUE_PRODUCT_FIELDS = {
+  title: 1, image: 1, price: 1, currency: 1, category: 1, isAvailable: 1, hiddenAt: 1, hiddenReason: 1, takenDownAt: 1
+};
+const QUEUE_SELLER_FIELDS = { username: 1, email: 1, avatar: 1, role: 1, suspendedAt: 1 };
+
+/**
+ * Static method to build the moderation queue: open reports grouped per
+ * listing or per seller, most reported first
+ * @param {string} groupBy - 'product' or 'seller'
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { groups, total }
+ */
+reportSchema.statics.getQueue = async function(groupBy = 'product', { page = 1, limit = 20 } = {}) {
+  const bySeller = groupBy === 'seller';
+
+  const [result] = await this.aggregate([
+    { $match: { status: 'open' } },
+    {
+      $group: {
+        _id: bySeller ? '$seller' : '$product',
+        ...(bySeller ? { products: { $addToSet: '$product' } } : { seller: { $first: '$seller' } }),
+        reportCount: { $sum: 1 },
+        reasons: { $push: '$reason' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $facet: {
+        groups: [
+          { $sort: { reportCount: -1, lastReportedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          ...(bySeller
+            ? [
+              ...lookupOne('users', '_id', 'seller', QUEUE_SELLER_FIELDS),
+              { $addFields: { productCount: { $size: '$products' } } },
+              { $project: { products: 0 } }
+            ]
+            : [
+              ...lookupOne('products', '_id', 'product', QUEUE_PRODUCT_FIELDS),
+              ...lookupOne('users', 'seller', 'seller', QUEUE_SELLER_FIELDS)
+            ])
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    groups: result.groups.map(({ reasons, ...entry }) => ({
+      ...entry,
+      // Aggregation returns the stored cents
+      ...(entry.product && { product: { ...entry.product, price: fromCents(entry.product.price) } }),
+      reasons: countReasons(reasons)
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = mongoose.model('Report', reportSchema);
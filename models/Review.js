@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+
+// Orders must reach this status before the buyer can review what they bought
+const REVIEWABLE_STATUS = 'received';
+
+/**
+ * Build an error carrying an HTTP status for the controller to return
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode set
+ */
+const reviewError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Review Model Schema
+ * A buyer's rating of a seller for one line of a received order, plus the seller's reply
+ */
+const reviewSchema = new mongoose.Schema({
+  reviewer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have a reviewer']
+  },
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must reference a seller']
+  },
+  purchase: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'Review must reference a purchase']
+  },
+  // _id of the entry in Purchase.products being reviewed
+  purchaseLine: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Review must reference a purchase line']
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  },
+  // Copied from the purchase line so the review still reads well after the listing is deleted
+  productTitle: {
+    type: String,
+    default: ''
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot exceed 1000 characters'],
+    default: ''
+  },
+  reply: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    repliedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+reviewSchema.index({ purchase: 1, purchaseLine: 1 }, { unique: true });
+reviewSchema.index({ seller: 1, createdAt: -1 });
+reviewSchema.index({ reviewer: 1 });
+
+/**
+ * Instance method to check if a user is the seller being reviewed
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if the user is the seller
+ */
+reviewSchema.methods.isAboutSeller = function(userId) {
+  return (this.seller._id || this.seller).toString() === userId.toString();
+};
+
+/**
+ * Instance method to set or replace the seller's public reply
+ * @param {string} body - Reply text
+ * @returns {Object} - The saved review
+ */
+reviewSchema.methods.setReply = function(body) {
+  this.reply = { body, repliedAt: new Date() };
+  return this.save();
+};
+
+/**
+ * Static method to review one line of a purchase.
+ * Only the buyer may review, only once the order is received, and only the
+ * seller recorded on that line (Purchase.products.seller) is rated.
+ * @param {Object} purchase - Purchase document
+ * @param {string} lineId - _id of the purchase line
+ * @param {string} reviewerId - Reviewer user ID
+ * @param {Object} review - { rating, comment }
+ * @returns {Object} - The created review
+ */
+reviewSchema.statics.createForPurchaseLine = async function(purchase, lineId, reviewerId, { rating, comment = '' }) {
+  if (!purchase.belongsToUser(reviewerId)) {
+    throw reviewError('You can only review sellers you bought from', 403);
+  }
+  if (purchase.status !== REVIEWABLE_STATUS) {
+    throw reviewError('You can review this order once you have marked it as received');
+  }
+
+  const line = purchase.products.id(lineId);
+  if (!line) {
+    throw reviewError('Item not found in this purchase', 404);
+  }
+
+  const sellerId = line.seller._id || line.seller;
+  if (sellerId.toString() === reviewerId.toString()) {
+    throw reviewError('You cannot review yourself');
+  }
+
+  const existing = await this.exists({ purchase: purchase._id, purchaseLine: line._id });
+  if (existing) {
+    const error = reviewError('You have already reviewed this item', 409);
+    error.reviewId = existing._id;
+    throw error;
+  }
+
+  let review;
+  try {
+    review = await this.create({
+      reviewer: reviewerId,
+      seller: sellerId,
+      purchase: purchase._id,
+      purchaseLine: line._id,
+      product: line.product._id || line.product,
+      productTitle: line.title,
+      rating,
+      comment
+    });
+  } catch (error) {
+    // Two submissions for the same line raced past the check above
+    if (error.code === 11000) {
+      throw reviewError('You have already reviewed this item', 409);
+    }
+    throw error;
+  }
+
+  await this.updateSellerRating(sellerId);
+  return review;
+};
+
+/**
+ * Static method to get a seller's rating breakdown
+ * @param {string} sellerId - Seller user ID
+ * @returns {Object} - { average, count, distribution } where distribution maps stars to counts
+ */
+reviewSchema.statics.getRatingSummary = async function(sellerId) {
+  const groups = await this.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  for (const group of groups) {
+    distribution[group._id] = group.count;
+    count += group.count;
+    total += group._id * group.count;
+  }
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution
+  };
+};
+
+/**
+ * Static method to recompute the rating stored on the seller's user document
+ * @param {string} sellerId - Seller user ID
+ * @returns {Object} - { average, count }
+ */
+reviewSchema.statics.updateSellerRating = async function(sellerId) {
+  const { average, count } = await this.getRatingSummary(sellerId);
+  await mongoose.model('User').updateOne(
+    { _id: sellerId },
+    { $set: { sellerRating: { average, count } } }
+  );
+  return { average, count };
+};
+
+/**
+ * Static method to get a seller's reviews with pagination
+ * @param {string} sellerId - Seller user ID
+ * @param {number} page - Page number
+ * @param {number} limit - Reviews per page
+ * @returns {Query} - Reviews, newest first
+ */
+reviewSchema.statics.getSellerReviews = function(sellerId, page = 1, limit = 10) {
+  return this.find({ seller: sellerId })
+    .populate('reviewer', 'username avatar')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Static method to find the reviews left on some purchases
+ * @param {Array} purchaseIds - Purchase IDs
+ * @returns {Map} - Purchase line ID -> review
+ */
+reviewSchema.statics.getReviewsForPurchases = async function(purchaseIds) {
+  const reviews = await this.find({ purchase: { $in: purchaseIds } })
+    .select('purchaseLine rating comment reply createdAt');
+
+  return new Map(reviews.map(review => [review.purchaseLine.toString(), review]));
+};
+
+/**
+ * Static method to remove every review a user wrote or received.
+ * Used when an account is deleted; the caller refreshes the returned sellers' ratings.
+ * @param {string} userId - User ID
+ * @param {Object} session - Optional session to run inside a transaction
+ * @returns {Array} - IDs of sellers whose rating needs recomputing
+ */
+reviewSchema.statics.deleteForUser = async function(userId, session = null) {
+  const sellerIds = await this.find({ reviewer: userId }).distinct('seller').session(session);
+  await this.deleteMany({ $or: [{ reviewer: userId }, { seller: userId }] }, { session });
+  return sellerIds.filter(id => id.toString() !== userId.toString());
+};
+
+/**
+ * Static method to get the order status that unlocks reviews
+ */
+reviewSchema.statics.getReviewableStatus = function() {
+  return REVIEWABLE_STATUS;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const { getBaseCurrency, getSupportedCurrencies, isSupportedCurrency, convert } = require('../utils/currency');
+const { toCents, moneyField } = require('../utils/money');
+const { matchesText } = require('../utils/search');
+
+// Most searches a user can save, and most matches kept on each
+const MAX_SAVED_SEARCHES = 20;
+const MAX_MATCHES = 50;
+
+const DIGEST_PERIODS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Match Sub-schema
+ * A new listing that satisfied the search when it was created
+ */
+const matchSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  matchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * SavedSearch Model Schema
+ * A filter combination from the browse page. New listings that match it are
+ * recorded on the search and optionally emailed as a periodic digest.
+ */
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search must be associated with a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [60, 'Saved search name cannot exceed 60 characters']
+  },
+  // Same filters GET /api/products accepts; unset filters match everything
+  filters: {
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Search text cannot exceed 100 characters']
+    },
+    // Category name; also matches listings in its subcategories
+    category: {
+      type: String,
+      trim: true
+    },
+    condition: {
+      type: String,
+      enum: {
+        values: ['New', 'Like New', 'Good', 'Fair', 'Poor'],
+        message: 'Condition must be one of: New, Like New, Good, Fair, Poor'
+      }
+    },
+    minPrice: moneyField({
+      min: [0, 'Price cannot be negative']
+    }),
+    maxPrice: moneyField({
+      min: [0, 'Price cannot be negative']
+    }),
+    // Currency the price bounds are in; listings in other currencies are converted to compare
+    currency: {
+      type: String,
+      uppercase: true,
+      validate: {
+        validator: isSupportedCurrency,
+        message: 'Currency {VALUE} is not supported'
+      }
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Location cannot exceed 100 characters']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: [30, 'Tag cannot exceed 30 characters']
+    }]
+  },
+  digestFrequency: {
+    type: String,
+    enum: {
+      values: ['never', 'daily', 'weekly'],
+      message: 'Digest frequency must be one of: never, daily, weekly'
+    },
+    default: 'never'
+  },
+  // Newest first, capped at MAX_MATCHES
+  matches: {
+    type: [matchSchema],
+    default: []
+  },
+  // Matches after lastSeenAt count as new in the app, matches after lastDigestAt go in the next digest
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDigestAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ 'filters.category': 1, 'filters.condition': 1 });
+savedSearchSchema.index({ digestFrequency: 1, lastDigestAt: 1 });
+savedSearchSchema.index({ 'matches.product': 1 });
+
+/**
+ * Virtual for the number of matches the user has not looked at yet
+ */
+savedSearchSchema.virtual('newMatchCount').get(function() {
+  return (this.matches || []).filter(match => match.matchedAt > this.lastSeenAt).length;
+});
+
+/**
+ * Instance method to check whether a product satisfies this search.
+ * Search text matches the way listing search does: any search word found in
+ * the title, description or tags, allowing for typos, is a match.
+ * @param {Object} product - Product to check
+ * @param {Array} categories - The product's category and its ancestors, from
+ *   Category.getLineageNames; defaults to the product's category alone
+ * @returns {boolean} - True if the product matches every set filter
+ */
+savedSearchSchema.methods.matchesProduct = function(product, categories = [product.category]) {
+  const { search, category, condition, minPrice, maxPrice, currency, location, tags } = this.filters || {};
+  const price = convert(product.price, product.currency, currency || getBaseCurrency());
+
+  if (category && !categories.includes(category)) return false;
+  if (condition && product.condition !== condition) return false;
+  if (typeof minPrice === 'number' && price < minPrice) return false;
+  if (typeof maxPrice === 'number' && price > maxPrice) return false;
+
+  if (location && !(product.location || '').toLowerCase().includes(location.toLowerCase())) {
+    return false;
+  }
+
+  if (tags && tags.length > 0 && !tags.some(tag => (product.tags || []).includes(tag))) {
+    return false;
+  }
+
+  if (search && !matchesText(search, product)) return false;
+
+  return true;
+};
+
+/**
+ * Instance method to check whether the user is the owner of this search
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user owns the search
+ */
+savedSearchSchema.methods.isOwnedBy = function(userId) {
+  return this.user.toString() === userId.toString();
+};
+
+/**
+ * Static method to get the most searches a user can save
+ * @returns {number} - Maximum saved searches per user
+ */
+savedSearchSchema.statics.getMaxPerUser = function() {
+  return MAX_SAVED_SEARCHES;
+};
+
+/**
+ * Static method to find other users' searches a new listing could match.
+ * Narrows on the indexed filters; callers confirm with matchesProduct.
+ * @param {Object} product - Newly created product
+ * @param {Array} categories - The product's category and its ancestors
+ * @returns {Query} - Candidate saved searches
+ */
+savedSearchSchema.statics.findCandidates = function(product, categories = [product.category]) {
+  const base = getBaseCurrency();
+
+  return this.find({
+    user: { $ne: product.user._id },
+    'filters.category': { $in: [null, ...categories] },
+    'filters.condition': { $in: [null, product.condition] },
+    // Compare the price in each search's own currency; searches without one use the base currency
+    $or: getSupportedCurrencies().map(currency => {
+      // Range operators skip the schema setter, so compare in stored cents
+      const price = toCents(convert(product.price, product.currency, currency));
+      return {
+        'filters.currency': currency === base ? { $in: [null, base] } : currency,
+        'filters.minPrice': { $not: { $gt: price } },
+        'filters.maxPrice': { $not: { $lt: price } }
+      };
+    })
+  }).select('-matches');
+};
+
+/**
+ * Static method to record a new listing on the searches it matched
+ * @param {Array} searchIds - Saved search IDs
+ * @param {string} productId - Matching product ID
+ * @returns {Promise} - Update result
+ */
+savedSearchSchema.statics.recordMatch = function(searchIds, productId) {
+  return this.updateMany(
+    { _id: { $in: searchIds } },
+    {
+      $push: {
+        matches: {
+          $each: [{ product: productId, matchedAt: new Date() }],
+          $position: 0,
+          $slice: MAX_MATCHES
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Static method to drop products from every search's matches, e.g. when they are deleted
+ * @param {Array} productIds - Product IDs to remove
+ * @param {Object} session - Optional transaction session
+ * @returns {Promise} - Update result
+ */
+savedSearchSchema.statics.removeMatchesFor = function(productIds, session = null) {
+  return this.updateMany(
+    { 'matches.product': { $in: productIds } },
+    { $pull: { matches: { product: { $in: productIds } } } },
+    { session }
+  );
+};
+
+/**
+ * Static method to find searches whose digest period has elapsed
+ * @param {Date} now - Time the digest run started
+ * @returns {Query} - Due searches with the owner's email and matched products populated
+ */
+savedSearchSchema.statics.findDueForDigest = function(now = new Date()) {
+  return this.find({
+    $or: Object.entries(DIGEST_PERIODS_MS).map(([frequency, period]) => ({
+      digestFrequency: frequency,
+      lastDigestAt: { $lte: new Date(now.getTime() - period) }
+    }))
+  })
+    .populate('user', 'username email locale')
+    .populate('matches.product', 'title price currency isAvailable hiddenAt');
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
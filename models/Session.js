@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Session Model Schema
+ * A logged-in device. Each session holds one rotating refresh token; access
+ * tokens carry the session ID so revoking the session logs that device out.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must be associated with a user']
+  },
+  // Only hashes are stored; the raw refresh token is returned to the client once
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token that was just rotated out, kept to detect a stolen token being replayed
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Indexes for better query performance
+ */
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired sessions
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Split a refresh token of the form "<sessionId>.<secret>"
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object|null} - { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Virtual for whether the session can still be used
+ */
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Static method to start a session for a user
+ * @param {string} userId - User ID
+ * @param {Object} client - { userAgent, ip } of the device logging in
+ * @returns {Object} - { session, refreshToken }
+ */
+sessionSchema.statics.start = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const session = new this({
+    user: userId,
+    userAgent: userAgent.slice(0, 500),
+    ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  const secret = crypto.randomBytes(40).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Static method to exchange a refresh token for a new one.
+ * Presenting an already-rotated token means it was copied, so the whole
+ * session is revoked.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Object} - { session, refreshToken }
+ */
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  const invalid = new Error('Refresh token is invalid or has expired');
+  invalid.statusCode = 401;
+
+  if (!parsed) throw invalid;
+
+  const session = await this.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive) throw invalid;
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      session.revokedAt = new Date();
+      await session.save();
+      invalid.message = 'Refresh token was already used; the session has been revoked';
+    }
+    throw invalid;
+  }
+
+  const secret = crypto.randomBytes(40).toString('hex');
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(secret);
+  session.lastUsedAt = new Date();
+  session.expiresAt = getRefreshExpiry();
+  await session.save();
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Static method to check an access token's session is still valid
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {boolean} - True if the session is active and belongs to the user
+ */
+sessionSchema.statics.isValid = async function(sessionId, userId) {
+  if (!sessionId || !String(sessionId).match(/^[0-9a-fA-F]{24}$/)) return false;
+
+  const session = await this.findById(sessionId).select('user revokedAt expiresAt');
+  return Boolean(session && session.isActive && session.user.toString() === userId.toString());
+};
+
+/**
+ * Static method to list a user's active sessions, most recently used first
+ */
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Static method to revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Optional session to keep (e.g. the current device)
+ * @returns {number} - Number of sessions revoked
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+};
+
+/**
+ * Instance method to revoke this session
+ */
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  return await this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
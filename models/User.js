@@ -1,5 +1,83 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { getBaseCurrency, getDefaultLocale, isSupportedCurrency, isValidLocale } = require('../utils/currency');
+const { geocode, pointField } = require('../utils/geocode');
+
+const USER_ROLES = ['user', 'moderator', 'admin'];
+const MAX_ADDRESSES = 10;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+
+/**
+ * Address sub-schema
+ * One entry in the user's address book; orders copy the chosen entry
+ */
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Address label cannot exceed 30 characters'],
+    default: ''
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Recipient name is required'],
+    trim: true,
+    maxlength: [100, 'Recipient name cannot exceed 100 characters']
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true,
+    maxlength: [100, 'Address line cannot exceed 100 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Address line cannot exceed 100 characters'],
+    default: ''
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [60, 'City cannot exceed 60 characters']
+  },
+  region: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Region cannot exceed 60 characters'],
+    default: ''
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true,
+    maxlength: [20, 'Postal code cannot exceed 20 characters']
+  },
+  // ISO 3166-1 alpha-2 code, e.g. GB
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter code such as GB']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: v => !v || PHONE_PATTERN.test(v),
+      message: 'Phone number is not valid'
+    }
+  },
+  // Used at checkout when no address is chosen; at most one entry has it set
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
 
 /**
  * User Model Schema
@@ -43,12 +121,147 @@ const userSchema = new mongoose.Schema({
       message: 'Avatar must be a valid image URL (jpg, jpeg, png, gif, webp)'
     }
   },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: v => !v || PHONE_PATTERN.test(v),
+      message: 'Phone number is not valid'
+    }
+  },
+  // Town or postcode that "near me" searches start from, e.g. "Camden, London"
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters'],
+    default: ''
+  },
+  // Point geocoded from `location`; missing when the location is empty or unknown
+  geoLocation: pointField(),
+  // Delivery addresses offered at checkout
+  addresses: {
+    type: [addressSchema],
+    validate: {
+      validator: v => v.length <= MAX_ADDRESSES,
+      message: `You can save at most ${MAX_ADDRESSES} addresses`
+    }
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in query results by default
   },
+  passwordChangedAt: {
+    type: Date,
+    select: false
+  },
+  // Only the SHA-256 hash of the reset token is stored; the raw token is emailed
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // What the user may do beyond managing their own account; checked by authorize()
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: `Role must be one of: ${USER_ROLES.join(', ')}`
+    },
+    default: 'user'
+  },
+  // Set by a moderator or admin; suspended users cannot log in
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // Users who may not message this user; private, so never returned by default
+  blockedUsers: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Denormalized from Review so listings can show a seller's rating without an extra lookup
+  sellerRating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Currency prices, totals and stats are shown in; new listings are priced in it by default
+  preferredCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: () => getBaseCurrency(),
+    validate: {
+      validator: isSupportedCurrency,
+      message: 'Currency {VALUE} is not supported'
+    }
+  },
+  // BCP 47 locale used to format money and dates for this user, e.g. en-GB
+  locale: {
+    type: String,
+    trim: true,
+    default: () => getDefaultLocale(),
+    validate: {
+      validator: isValidLocale,
+      message: 'Locale {VALUE} is not valid'
+    }
+  },
+  // Where notifications are delivered; see utils/notifications.js
+  notificationPreferences: {
+    channels: {
+      inApp: {
+        type: Boolean,
+        default: true
+      },
+      email: {
+        type: Boolean,
+        default: true
+      },
+      webhook: {
+        type: Boolean,
+        default: false
+      }
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Signs webhook deliveries so the receiver can verify they came from us
+    webhookSecret: {
+      type: String,
+      select: false
+    },
+    // Notification types the user does not want on any channel
+    mutedTypes: {
+      type: [String],
+      default: []
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -74,12 +287,41 @@ userSchema.pre('save', async function(next) {
     // Hash password with the generated salt
     this.password = await bcrypt.hash(this.password, salt);
     
+    // Record when an existing user's password changed so older tokens can be rejected
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    
     next();
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Pre-save middleware to keep exactly one default address while any are saved.
+ * Callers marking a new default clear the flag on the others first.
+ */
+userSchema.pre('save', function(next) {
+  if (this.isModified('addresses') && this.addresses.length > 0) {
+    const keep = this.addresses.find(address => address.isDefault) || this.addresses[0];
+    this.addresses.forEach(address => {
+      address.isDefault = address === keep;
+    });
+  }
+  next();
+});
+
+/**
+ * Pre-validate middleware to geocode the location when it changes
+ */
+userSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('location')) {
+    this.geoLocation = geocode(this.location) || undefined;
+  }
+  next();
+});
+
 /**
  * Instance method to compare provided password with hashed password
  * @param {string} candidatePassword - The password to compare
@@ -93,6 +335,70 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+/**
+ * Instance method to check if the password changed after a token was issued
+ * @param {number} tokenIssuedAt - JWT iat claim in seconds
+ * @returns {boolean} - True if the token predates the last password change
+ */
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+/**
+ * Instance method to generate a password reset token
+ * Stores the hashed token and expiry on the user; the caller must save the user
+ * @returns {string} - Raw reset token to send to the user
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+/**
+ * Instance method to check if this user has blocked another user
+ * Requires blockedUsers to be selected
+ * @param {string} userId - The other user's ID
+ * @returns {boolean} - True if userId is on this user's block list
+ */
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(id => id.toString() === userId.toString());
+};
+
+/**
+ * Instance method to check if the user has one of the given roles
+ * @param {...string} roles - Roles to check against
+ * @returns {boolean} - True if the user's role is listed
+ */
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+/**
+ * Instance method to make one saved address the default
+ * @param {Object} address - Address sub-document of this user
+ */
+userSchema.methods.setDefaultAddress = function(address) {
+  this.addresses.forEach(entry => {
+    entry.isDefault = entry === address;
+  });
+};
+
+/**
+ * Instance method to pick the address an order ships to
+ * @param {string} addressId - Chosen address, or undefined for the default
+ * @returns {Object|null} - Address sub-document, or null if there is none
+ */
+userSchema.methods.getShippingAddress = function(addressId) {
+  if (addressId) return this.addresses.id(addressId);
+  return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+};
+
 /**
  * Instance method to get user data without sensitive information
  * @returns {Object} - User object without password and sensitive data
@@ -100,17 +406,66 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.blockedUsers;
+  if (user.notificationPreferences) delete user.notificationPreferences.webhookSecret;
   delete user.__v;
   return user;
 };
 
 /**
  * Static method to find user by email (case insensitive)
+ * Returns the query so callers can chain .select('+password')
  * @param {string} email - Email to search for
- * @returns {Object|null} - User object or null if not found
+ * @returns {Query} - Resolves to the user or null if not found
+ */
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase() });
+};
+
+/**
+ * Static method to find the user owning an unexpired password reset token
+ * @param {string} resetToken - Raw token from the reset link
+ * @returns {Query} - Resolves to the user or null if the token is invalid or expired
  */
-userSchema.statics.findByEmail = async function(email) {
-  return await this.findOne({ email: email.toLowerCase() });
+userSchema.statics.findByResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
+/**
+ * Static method to check whether either of two users has blocked the other
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {boolean} - True if messaging between the two is blocked
+ */
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+/**
+ * Static method to get the valid user roles, least privileged first
+ */
+userSchema.statics.getRoles = function() {
+  return [...USER_ROLES];
+};
+
+/**
+ * Static method to get the maximum number of saved addresses
+ */
+userSchema.statics.getMaxAddresses = function() {
+  return MAX_ADDRESSES;
 };
 
 /**
@@ -125,6 +480,13 @@ userSchema.virtual('profileUrl').get(function() {
   return `/api/users/${this._id}`;
 });
 
+/**
+ * Virtual for whether the account is currently suspended
+ */
+userSchema.virtual('isSuspended').get(function() {
+  return Boolean(this.suspendedAt);
+});
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { toCents, sumMoney, moneyField } = require('../utils/money');
+
+/**
+ * WishlistItem Model Schema
+ * A product a user has saved to come back to later. Unlike cart items,
+ * saved products may be unavailable; savers are told when they return.
+ */
+const wishlistItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved item must be associated with a user']
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Saved item must reference a product']
+  },
+  // Price when the product was saved, so the list can show how much it has dropped since
+  priceWhenSaved: moneyField({
+    required: [true, 'Price when saved is required'],
+    min: [0, 'Price cannot be negative']
+  }),
+  // Lowest price the user has been alerted about; only drops below it trigger another alert
+  lastAlertedPrice: moneyField({
+    min: [0, 'Price cannot be negative']
+  })
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+/**
+ * Indexes for better query performance
+ */
+wishlistItemSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistItemSchema.index({ user: 1, createdAt: -1 });
+wishlistItemSchema.index({ product: 1 });
+
+/**
+ * Virtual for how much the price has dropped since the product was saved
+ * Note: This is only calculated when product is populated
+ */
+wishlistItemSchema.virtual('priceDrop').get(function() {
+  if (this.product && typeof this.product.price === 'number') {
+    return Math.max(0, sumMoney([this.priceWhenSaved, -this.product.price]));
+  }
+  return 0;
+});
+
+/**
+ * Static method to get a user's saved products with pagination
+ * @param {string} userId - User ID
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Query} - Saved items, most recently saved first
+ */
+wishlistItemSchema.statics.getUserWishlist = function(userId, page = 1, limit = 20) {
+  return this.find({ user: userId })
+    .populate({
+      path: 'product',
+      select: 'title description price image images category condition isAvailable location tags user createdAt',
+      populate: {
+        path: 'user',
+        select: 'username avatar sellerRating'
+      }
+    })
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Static method to get the IDs of every product a user has saved
+ * @param {string} userId - User ID
+ * @returns {Array} - Product IDs
+ */
+wishlistItemSchema.statics.getSavedProductIds = function(userId) {
+  return this.find({ user: userId }).distinct('product');
+};
+
+/**
+ * Static method to find savers who have not yet been alerted about a price this low
+ * @param {string} productId - Product ID
+ * @param {number} price - New price
+ * @returns {Query} - Saved items due an alert
+ */
+wishlistItemSchema.statics.findDueForPriceAlert = function(productId, price) {
+  return this.find({
+    product: productId,
+    $or: [
+      { lastAlertedPrice: { $exists: false } },
+      { lastAlertedPrice: { $gt: toCents(price) } }
+    ]
+  });
+};
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { validateRoleUpdate, validateModerationReason, validateReportResolution } = require('../middleware/validation');
+
+// Import controllers
+const {
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  getProducts,
+  takeDownProduct,
+  restoreProduct,
+  getPurchases,
+  getReportQueue,
+  getProductReports,
+  resolveReports,
+  getModerationLog
+} = require('../controllers/adminController');
+
+/**
+ * Admin Routes
+ * Base path: /api/admin
+ * All routes require authentication and a moderator or admin role
+ */
+
+// @route   GET /api/admin/users
+// @desc    List users with search, role and suspension filters
+// @access  Moderator, Admin
+router.get('/users', authenticate, authorize('moderator', 'admin'), getUsers);
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', authenticate, authorize('admin'), validateRoleUpdate, updateUserRole);
+
+// @route   PUT /api/admin/users/:id/suspend
+// @desc    Suspend a user and revoke their sessions
+// @access  Moderator, Admin
+router.put('/users/:id/suspend', authenticate, authorize('moderator', 'admin'), validateModerationReason, suspendUser);
+
+// @route   PUT /api/admin/users/:id/unsuspend
+// @desc    Lift a user's suspension
+// @access  Moderator, Admin
+router.put('/users/:id/unsuspend', authenticate, authorize('moderator', 'admin'), unsuspendUser);
+
+// @route   GET /api/admin/products
+// @desc    List all listings, including sold, hidden and taken-down ones
+// @access  Moderator, Admin
+router.get('/products', authenticate, authorize('moderator', 'admin'), getProducts);
+
+// @route   PUT /api/admin/products/:id/takedown
+// @desc    Take a listing down
+// @access  Moderator, Admin
+router.put('/products/:id/takedown', authenticate, authorize('moderator', 'admin'), validateModerationReason, takeDownProduct);
+
+// @route   PUT /api/admin/products/:id/restore
+// @desc    Restore a hidden or taken-down listing
+// @access  Moderator, Admin
+router.put('/products/:id/restore', authenticate, authorize('moderator', 'admin'), restoreProduct);
+
+// @route   GET /api/admin/purchases
+// @desc    List every purchase on the marketplace
+// @access  Admin
+router.get('/purchases', authenticate, authorize('admin'), getPurchases);
+
+// @route   GET /api/admin/reports
+// @desc    Get open reports grouped per listing or per seller
+// @access  Moderator, Admin
+router.get('/reports', authenticate, authorize('moderator', 'admin'), getReportQueue);
+
+// @route   GET /api/admin/reports/products/:id
+// @desc    Get every report on a listing and its moderation history
+// @access  Moderator, Admin
+router.get('/reports/products/:id', authenticate, authorize('moderator', 'admin'), getProductReports);
+
+// @route   PUT /api/admin/reports/products/:id/resolve
+// @desc    Dismiss the reports on a listing, or hide or remove it
+// @access  Moderator, Admin
+router.put('/reports/products/:id/resolve', authenticate, authorize('moderator', 'admin'), validateReportResolution, resolveReports);
+
+// @route   GET /api/admin/moderation-log
+// @desc    Get the moderation audit trail
+// @access  Moderator, Admin
+router.get('/moderation-log', authenticate, authorize('moderator', 'admin'), getModerationLog);
+
+module.exports = router;
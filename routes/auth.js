@@ -2,9 +2,28 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers and middleware
-const { register, login, getMe, logout } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
 const { authenticate } = require('../middleware/authMiddleware');
-const { validateRegister, validateLogin } = require('../middleware/validation');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validation');
 
 /**
  * Auth Routes
@@ -26,9 +45,44 @@ router.post('/login', validateLogin, login);
 // @access  Private
 router.get('/me', authenticate, getMe);
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', validateRefreshToken, refresh);
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear token client-side)
+// @desc    Logout user by revoking the current session
 // @access  Private  
 router.post('/logout', authenticate, logout);
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout from every device
+// @access  Private
+router.post('/logout-all', authenticate, logoutAll);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get('/sessions', authenticate, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session (log out that device)
+// @access  Private
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+// @route   PUT /api/auth/password
+// @desc    Change password for the logged in user
+// @access  Private
+router.put('/password', authenticate, validatePasswordChange, changePassword);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using the emailed token
+// @access  Public
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+
 module.exports = router;
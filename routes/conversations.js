@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const {
+  validateStartConversation,
+  validateMessage
+} = require('../middleware/validation');
+
+// Import controllers
+const {
+  getConversations,
+  getUnreadCount,
+  startConversation,
+  getConversation,
+  sendMessage,
+  markConversationRead
+} = require('../controllers/conversationController');
+
+/**
+ * Conversation Routes
+ * Base path: /api/conversations
+ * All routes require authentication
+ */
+
+// @route   GET /api/conversations
+// @desc    Get the current user's conversations, most recent first
+// @access  Protected
+router.get('/', authenticate, getConversations);
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get unread message and conversation counts
+// @access  Protected
+router.get('/unread-count', authenticate, getUnreadCount);
+
+// @route   POST /api/conversations
+// @desc    Start (or reopen) a conversation with a product's seller
+// @access  Protected
+router.post('/', authenticate, validateStartConversation, startConversation);
+
+// @route   GET /api/conversations/:id
+// @desc    Get a conversation with its messages and mark it read
+// @access  Protected
+router.get('/:id', authenticate, getConversation);
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message
+// @access  Protected
+router.post('/:id/messages', authenticate, validateMessage, sendMessage);
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Protected
+router.put('/:id/read', authenticate, markConversationRead);
+
+module.exports = router;
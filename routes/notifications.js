@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateNotificationPreferences } = require('../middleware/validation');
+
+// Import controllers
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+
+/**
+ * Notification Routes
+ * Base path: /api/notifications
+ * All routes require authentication
+ */
+
+// @route   GET /api/notifications
+// @desc    Get notifications, newest first, with the unread count
+// @access  Protected
+router.get('/', authenticate, getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Protected
+router.get('/unread-count', authenticate, getUnreadCount);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Protected
+router.put('/read-all', authenticate, markAllAsRead);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification channel preferences
+// @access  Protected
+router.get('/preferences', authenticate, getPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification channels, webhook URL and muted types
+// @access  Protected
+router.put('/preferences', authenticate, validateNotificationPreferences, updatePreferences);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Protected
+router.put('/:id/read', authenticate, markAsRead);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Protected
+router.delete('/:id', authenticate, deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const {
+  validateOffer,
+  validateOfferResponse,
+  validateCounterOffer
+} = require('../middleware/validation');
+
+// Import controllers
+const {
+  createOffer,
+  getOffers,
+  getOffer,
+  acceptOffer,
+  counterOffer,
+  declineOffer,
+  withdrawOffer
+} = require('../controllers/offerController');
+
+/**
+ * Offer Routes
+ * Base path: /api/offers
+ * All routes require authentication
+ */
+
+// @route   POST /api/offers
+// @desc    Make an offer below the list price on a product
+// @access  Protected
+router.post('/', authenticate, validateOffer, createOffer);
+
+// @route   GET /api/offers
+// @desc    Get offers you made (?role=buyer) or received (?role=seller)
+// @access  Protected
+router.get('/', authenticate, getOffers);
+
+// @route   GET /api/offers/:id
+// @desc    Get a single offer with its negotiation history
+// @access  Protected
+router.get('/:id', authenticate, getOffer);
+
+// @route   PUT /api/offers/:id/accept
+// @desc    Accept the amount on the table (party whose turn it is)
+// @access  Protected
+router.put('/:id/accept', authenticate, validateOfferResponse, acceptOffer);
+
+// @route   PUT /api/offers/:id/counter
+// @desc    Propose a different amount (party whose turn it is)
+// @access  Protected
+router.put('/:id/counter', authenticate, validateCounterOffer, counterOffer);
+
+// @route   PUT /api/offers/:id/decline
+// @desc    Decline the offer (party whose turn it is)
+// @access  Protected
+router.put('/:id/decline', authenticate, validateOfferResponse, declineOffer);
+
+// @route   PUT /api/offers/:id/withdraw
+// @desc    Withdraw an open offer (buyer)
+// @access  Protected
+router.put('/:id/withdraw', authenticate, validateOfferResponse, withdrawOffer);
+
+module.exports = router;
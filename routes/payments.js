@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { handlePaymentWebhook } = require('../controllers/purchaseController');
+
+/**
+ * Payment Routes
+ * Base path: /api/payments
+ */
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment status updates from the payment provider
+// @access  Public (verified by the provider's signature)
+router.post('/webhook', handlePaymentWebhook);
+
+module.exports = router;
@@ -13,7 +13,7 @@ const {
   getSearchSuggestions,
   getCategoryStats
 } = require('../controllers/productController');
-const { authenticate } = require('../middleware/authMiddleware');
+const { authenticate, optionalAuthenticate } = require('../middleware/authMiddleware');
 const { validateProductCreate, validateProductUpdate } = require('../middleware/validation');
 
 /**
@@ -22,7 +22,7 @@ const { validateProductCreate, validateProductUpdate } = require('../middleware/
  */
 
 // @route   GET /api/products/meta
-// @desc    Get product categories and conditions
+// @desc    Get the category tree, conditions, currencies and exchange rates
 // @access  Public
 router.get('/meta', getProductMeta);
 
@@ -42,9 +42,9 @@ router.get('/stats', getCategoryStats);
 router.get('/my', authenticate, getMyProducts);
 
 // @route   GET /api/products
-// @desc    Get all products with filters and pagination
+// @desc    Get all products with filters, facet counts and pagination; near=me searches around the signed-in user
 // @access  Public
-router.get('/', getProducts);
+router.get('/', optionalAuthenticate, getProducts);
 
 // @route   POST /api/products
 // @desc    Create new product
@@ -54,7 +54,7 @@ router.post('/', authenticate, validateProductCreate, createProduct);
 // @route   GET /api/products/:id
 // @desc    Get single product by ID
 // @access  Public
-router.get('/:id', getProductById);
+router.get('/:id', optionalAuthenticate, getProductById);
 
 // @route   PUT /api/products/:id
 // @desc    Update product
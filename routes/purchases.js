@@ -3,13 +3,14 @@ const router = express.Router();
 
 // Import middleware
 const { authenticate } = require('../middleware/authMiddleware');
-const { validateCreatePurchase } = require('../middleware/validation');
+const { validateCreatePurchase, validateStatusUpdate } = require('../middleware/validation');
 
 // Import controllers
 const {
   createPurchase,
   getPurchases,
   getPurchaseById,
+  updatePurchaseStatus,
   getPurchaseStats
 } = require('../controllers/purchaseController');
 
@@ -39,4 +40,9 @@ router.get('/stats', authenticate, getPurchaseStats);
 // @access  Protected
 router.get('/:id', authenticate, getPurchaseById);
 
+// @route   PUT /api/purchases/:id/status
+// @desc    Cancel an order or confirm it was received (buyer)
+// @access  Protected
+router.put('/:id/status', authenticate, validateStatusUpdate, updatePurchaseStatus);
+
 module.exports = router;
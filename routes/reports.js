@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateReport } = require('../middleware/validation');
+
+// Import controllers
+const { createReport, getReportReasons } = require('../controllers/reportController');
+
+/**
+ * Report Routes
+ * Base path: /api/reports
+ * Moderators review reports through /api/admin/reports
+ */
+
+// @route   GET /api/reports/reasons
+// @desc    Get the reasons a listing can be reported for
+// @access  Public
+router.get('/reasons', getReportReasons);
+
+// @route   POST /api/reports
+// @desc    Report a listing
+// @access  Protected
+router.post('/', authenticate, validateReport, createReport);
+
+module.exports = router;
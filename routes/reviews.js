@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateReview, validateReviewReply } = require('../middleware/validation');
+
+// Import controllers
+const {
+  createReview,
+  getSellerReviews,
+  replyToReview
+} = require('../controllers/reviewController');
+
+/**
+ * Review Routes
+ * Base path: /api/reviews
+ */
+
+// @route   POST /api/reviews
+// @desc    Rate the seller of an item from one of your received orders
+// @access  Protected
+router.post('/', authenticate, validateReview, createReview);
+
+// @route   GET /api/reviews/seller/:sellerId
+// @desc    Get a seller's reviews and rating breakdown
+// @access  Public
+router.get('/seller/:sellerId', getSellerReviews);
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply to a review of your sales
+// @access  Protected
+router.put('/:id/reply', authenticate, validateReviewReply, replyToReview);
+
+module.exports = router;
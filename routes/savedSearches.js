@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateSavedSearch, validateSavedSearchUpdate } = require('../middleware/validation');
+
+// Import controllers
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches
+} = require('../controllers/savedSearchController');
+
+/**
+ * Saved Search Routes
+ * Base path: /api/saved-searches
+ * All routes require authentication
+ */
+
+// @route   GET /api/saved-searches
+// @desc    Get saved searches with their new match counts
+// @access  Protected
+router.get('/', authenticate, getSavedSearches);
+
+// @route   POST /api/saved-searches
+// @desc    Save a filter combination
+// @access  Protected
+router.post('/', authenticate, validateSavedSearch, createSavedSearch);
+
+// @route   GET /api/saved-searches/:id/matches
+// @desc    Get new listings the search has matched and mark them seen
+// @access  Protected
+router.get('/:id/matches', authenticate, getSavedSearchMatches);
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search or change its digest frequency
+// @access  Protected
+router.put('/:id', authenticate, validateSavedSearchUpdate, updateSavedSearch);
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Protected
+router.delete('/:id', authenticate, deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { uploadImages, MAX_PRODUCT_IMAGES } = require('../middleware/upload');
+
+// Import controllers
+const {
+  uploadProductImages,
+  uploadAvatar
+} = require('../controllers/uploadController');
+
+/**
+ * Upload Routes
+ * Base path: /api/uploads
+ * All routes require authentication and accept multipart/form-data
+ */
+
+// @route   POST /api/uploads/images
+// @desc    Upload product images (field "images"); returns URLs to attach to a product
+// @access  Protected
+router.post('/images', authenticate, uploadImages('images', MAX_PRODUCT_IMAGES), uploadProductImages);
+
+// @route   POST /api/uploads/avatar
+// @desc    Upload an avatar image (field "avatar"); returns a URL to save on the profile
+// @access  Protected
+router.post('/avatar', authenticate, uploadImages('avatar', 1), uploadAvatar);
+
+module.exports = router;
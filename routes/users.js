@@ -5,11 +5,31 @@ const router = express.Router();
 const { 
   getUserProfile, 
   updateUserProfile, 
+  deleteAccount,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
   getUserById, 
   getUserStats 
 } = require('../controllers/userController');
+const {
+  getMySales,
+  getMySalesStats,
+  getProductSaleDetails,
+  updateSaleStatus
+} = require('../controllers/salesController');
 const { authenticate } = require('../middleware/authMiddleware');
-const { validateProfileUpdate } = require('../middleware/validation');
+const {
+  validateProfileUpdate,
+  validateAddress,
+  validateAddressUpdate,
+  validateStatusUpdate,
+  validateAccountDeletion
+} = require('../middleware/validation');
 
 /**
  * User Routes
@@ -26,11 +46,71 @@ router.get('/me', authenticate, getUserProfile);
 // @access  Private
 router.put('/me', authenticate, validateProfileUpdate, updateUserProfile);
 
+// @route   DELETE /api/users/me
+// @desc    Delete current user account, their listings and cart
+// @access  Private
+router.delete('/me', authenticate, validateAccountDeletion, deleteAccount);
+
 // @route   GET /api/users/me/stats
 // @desc    Get current user statistics for dashboard
 // @access  Private
 router.get('/me/stats', authenticate, getUserStats);
 
+// @route   GET /api/users/me/blocked
+// @desc    Get users the current user has blocked
+// @access  Private
+router.get('/me/blocked', authenticate, getBlockedUsers);
+
+// @route   POST /api/users/me/blocked/:userId
+// @desc    Block a user; locks any conversations with them
+// @access  Private
+router.post('/me/blocked/:userId', authenticate, blockUser);
+
+// @route   DELETE /api/users/me/blocked/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete('/me/blocked/:userId', authenticate, unblockUser);
+
+// @route   GET /api/users/me/addresses
+// @desc    Get the current user's saved delivery addresses
+// @access  Private
+router.get('/me/addresses', authenticate, getAddresses);
+
+// @route   POST /api/users/me/addresses
+// @desc    Save a delivery address
+// @access  Private
+router.post('/me/addresses', authenticate, validateAddress, addAddress);
+
+// @route   PUT /api/users/me/addresses/:addressId
+// @desc    Edit a saved address or make it the default
+// @access  Private
+router.put('/me/addresses/:addressId', authenticate, validateAddressUpdate, updateAddress);
+
+// @route   DELETE /api/users/me/addresses/:addressId
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/me/addresses/:addressId', authenticate, deleteAddress);
+
+// @route   GET /api/users/me/sales
+// @desc    Get current user's sales history with pagination
+// @access  Private
+router.get('/me/sales', authenticate, getMySales);
+
+// @route   GET /api/users/me/sales/stats
+// @desc    Get sales statistics and monthly revenue for seller dashboard
+// @access  Private
+router.get('/me/sales/stats', authenticate, getMySalesStats);
+
+// @route   GET /api/users/me/sales/products/:productId
+// @desc    Get sale details for one of the current user's products
+// @access  Private
+router.get('/me/sales/products/:productId', authenticate, getProductSaleDetails);
+
+// @route   PUT /api/users/me/sales/:purchaseId/status
+// @desc    Confirm, ship, cancel or refund an order (seller)
+// @access  Private
+router.put('/me/sales/:purchaseId/status', authenticate, validateStatusUpdate, updateSaleStatus);
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public profile)
 // @access  Public
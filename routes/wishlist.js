@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateAddToWishlist } = require('../middleware/validation');
+
+// Import controllers
+const {
+  getWishlist,
+  getWishlistIds,
+  addToWishlist,
+  removeFromWishlist
+} = require('../controllers/wishlistController');
+
+/**
+ * Wishlist Routes
+ * Base path: /api/wishlist
+ * All routes require authentication
+ */
+
+// @route   GET /api/wishlist
+// @desc    Get saved products with how much each has dropped in price
+// @access  Protected
+router.get('/', authenticate, getWishlist);
+
+// @route   GET /api/wishlist/ids
+// @desc    Get the IDs of every saved product
+// @access  Protected
+router.get('/ids', authenticate, getWishlistIds);
+
+// @route   POST /api/wishlist
+// @desc    Save a product
+// @access  Protected
+router.post('/', authenticate, validateAddToWishlist, addToWishlist);
+
+// @route   DELETE /api/wishlist/:productId
+// @desc    Remove a saved product
+// @access  Protected
+router.delete('/:productId', authenticate, removeFromWishlist);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { geocode } = require('../utils/geocode');
+
+/**
+ * Geocode every listing's and user's location into geoLocation. Run it once on
+ * databases created before "near me" search, and after editing the place
+ * table, so locations it now recognises (or no longer does) are picked up.
+ *
+ * Usage: npm run geocode-locations
+ */
+
+/**
+ * Bring one collection's points in line with the place table
+ * @param {Object} model - Model whose documents have location and geoLocation
+ * @returns {Object} - { updated, unknown, total }
+ */
+const geocodeCollection = async (model) => {
+  const documents = await model.collection
+    .find({}, { projection: { location: 1, geoLocation: 1 } })
+    .toArray();
+
+  const updates = [];
+  let unknown = 0;
+
+  for (const document of documents) {
+    const point = geocode(document.location);
+    if (document.location && !point) unknown++;
+
+    const current = document.geoLocation && document.geoLocation.coordinates;
+    const unchanged = point
+      ? Boolean(current) && current[0] === point.coordinates[0] && current[1] === point.coordinates[1]
+      : !current;
+    if (unchanged) continue;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: point ? { $set: { geoLocation: point } } : { $unset: { geoLocation: '' } }
+      }
+    });
+  }
+
+  if (updates.length > 0) {
+    await model.collection.bulkWrite(updates);
+  }
+
+  return { updated: updates.length, unknown, total: documents.length };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const model of [Product, User]) {
+    const { updated, unknown, total } = await geocodeCollection(model);
+    console.log(`Updated ${updated} of ${total} ${model.collection.collectionName}; ${unknown} have a location the place table doesn't know`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Geocoding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,116 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Purchase = require('../models/Purchase');
+const Offer = require('../models/Offer');
+const WishlistItem = require('../models/WishlistItem');
+const SavedSearch = require('../models/SavedSearch');
+const { CENTS_PER_UNIT } = require('../utils/money');
+
+/**
+ * One-off migration for databases created while money was stored as decimal
+ * numbers. Rewrites every stored amount as integer cents. Stop the server
+ * before running it, since new writes are already in cents. Each document is
+ * flagged as it is converted and each collection is recorded once finished, so
+ * an interrupted run can be resumed without converting anything twice.
+ *
+ * Usage: npm run migrate:money-to-cents
+ */
+const MIGRATION_ID = 'money-to-cents';
+
+// Set on each document in the same update that converts it
+const CONVERTED_FLAG = 'migratedToCents';
+
+/**
+ * Aggregation expression converting an amount to cents, leaving missing values alone.
+ * Rounds half up after trimming binary noise, like toCents() in utils/money.js.
+ * @param {string} path - Expression for the amount, e.g. '$price' or '$$line.priceAtPurchase'
+ * @returns {Object} - Expression
+ */
+const cents = (path) => ({
+  $cond: [
+    { $isNumber: path },
+    { $floor: { $add: [{ $round: [{ $multiply: [path, CENTS_PER_UNIT] }, 6] }, 0.5] } },
+    path
+  ]
+});
+
+/**
+ * Update pipeline converting the amounts in each array entry
+ * @param {string} field - Array field
+ * @param {string} amountField - Amount field inside each entry
+ * @returns {Object} - $map expression
+ */
+const centsInArray = (field, amountField) => ({
+  $map: {
+    input: { $ifNull: [`$${field}`, []] },
+    as: 'entry',
+    in: {
+      $cond: [
+        { $isNumber: `$$entry.${amountField}` },
+        { $mergeObjects: ['$$entry', { [amountField]: cents(`$$entry.${amountField}`) }] },
+        '$$entry'
+      ]
+    }
+  }
+});
+
+const STEPS = [
+  {
+    model: Product,
+    update: { price: cents('$price'), basePrice: cents('$basePrice') }
+  },
+  {
+    model: Purchase,
+    update: { total: cents('$total'), products: centsInArray('products', 'priceAtPurchase') }
+  },
+  {
+    model: Offer,
+    update: { amount: cents('$amount'), listPrice: cents('$listPrice'), history: centsInArray('history', 'amount') }
+  },
+  {
+    model: WishlistItem,
+    update: { priceWhenSaved: cents('$priceWhenSaved'), lastAlertedPrice: cents('$lastAlertedPrice') }
+  },
+  {
+    model: SavedSearch,
+    update: { 'filters.minPrice': cents('$filters.minPrice'), 'filters.maxPrice': cents('$filters.maxPrice') }
+  }
+];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const migrations = mongoose.connection.collection('migrations');
+  const record = await migrations.findOne({ _id: MIGRATION_ID });
+  const done = new Set(record ? record.collections : []);
+
+  for (const { model, update } of STEPS) {
+    const name = model.collection.collectionName;
+
+    if (done.has(name)) {
+      console.log(`Skipped ${name}: already in cents`);
+      continue;
+    }
+
+    // Raw pipeline update, so schema setters don't convert the amounts a second time
+    const result = await model.collection.updateMany(
+      { [CONVERTED_FLAG]: { $ne: true } },
+      [{ $set: { ...update, [CONVERTED_FLAG]: true } }]
+    );
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $addToSet: { collections: name }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    console.log(`Converted ${result.modifiedCount} ${name}`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Money migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Purchase = require('../models/Purchase');
+
+/**
+ * One-off migration for purchases created before the order lifecycle existed.
+ * Maps the legacy statuses onto the new ones, seeds statusHistory and sets the
+ * top-level seller for orders that only contain one seller's items.
+ *
+ * Usage: npm run migrate:order-statuses
+ */
+const LEGACY_STATUS_MAP = {
+  pending: 'placed',
+  completed: 'received',
+  cancelled: 'cancelled'
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read raw documents so legacy statuses are not rejected by the schema enum
+  const purchases = await Purchase.collection
+    .find({ $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }] })
+    .toArray();
+
+  let migrated = 0;
+
+  for (const purchase of purchases) {
+    const status = LEGACY_STATUS_MAP[purchase.status] || purchase.status;
+    const sellerIds = [...new Set(purchase.products.map(item => item.seller.toString()))];
+
+    const update = {
+      status,
+      statusHistory: [{
+        _id: new mongoose.Types.ObjectId(),
+        status,
+        changedAt: purchase.purchasedAt || new Date(),
+        role: 'system',
+        note: 'Migrated from legacy order status'
+      }]
+    };
+
+    if (sellerIds.length === 1) {
+      update.seller = purchase.products[0].seller;
+    }
+
+    await Purchase.collection.updateOne({ _id: purchase._id }, { $set: update });
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} of ${purchases.length} purchases`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Order status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
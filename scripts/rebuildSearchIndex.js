@@ -0,0 +1,46 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { buildSearchGrams } = require('../utils/search');
+
+/**
+ * Rebuild every listing's searchGrams from its title, description and tags,
+ * and drop the text index listing search used before. Run it once on databases
+ * created before typo-tolerant search, and after changing how utils/search.js
+ * builds trigrams.
+ *
+ * Usage: npm run rebuild-search-index
+ */
+const rebuild = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const indexes = await Product.collection.indexes();
+  for (const index of indexes.filter(index => index.key._fts === 'text')) {
+    await Product.collection.dropIndex(index.name);
+    console.log(`Dropped text index ${index.name}`);
+  }
+
+  const products = await Product.collection
+    .find({}, { projection: { title: 1, description: 1, tags: 1 } })
+    .toArray();
+
+  const updates = products.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: { $set: { searchGrams: buildSearchGrams(product) } }
+    }
+  }));
+
+  if (updates.length > 0) {
+    await Product.collection.bulkWrite(updates);
+  }
+
+  console.log(`Indexed ${updates.length} products`);
+};
+
+rebuild()
+  .catch((error) => {
+    console.error('Search index rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
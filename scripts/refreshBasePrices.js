@@ -0,0 +1,51 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { getBaseCurrency, convert } = require('../utils/currency');
+const { toCents, fromCents } = require('../utils/money');
+
+/**
+ * Recompute every listing's basePrice from its price and currency. Run it
+ * after editing the exchange rate table, and once on databases created before
+ * listings had a currency; those listings are given the base currency.
+ *
+ * Usage: npm run refresh-base-prices
+ */
+const refresh = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const base = getBaseCurrency();
+  const products = await Product.collection
+    .find({}, { projection: { price: 1, currency: 1, basePrice: 1 } })
+    .toArray();
+
+  const updates = [];
+
+  for (const product of products) {
+    const currency = product.currency || base;
+    // Raw documents hold cents
+    const basePrice = toCents(convert(fromCents(product.price), currency, base));
+
+    if (product.currency !== currency || product.basePrice !== basePrice) {
+      updates.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { currency, basePrice } }
+        }
+      });
+    }
+  }
+
+  if (updates.length > 0) {
+    await Product.collection.bulkWrite(updates);
+  }
+
+  console.log(`Updated ${updates.length} of ${products.length} products`);
+};
+
+refresh()
+  .catch((error) => {
+    console.error('Base price refresh failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
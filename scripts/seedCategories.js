@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const SavedSearch = require('../models/SavedSearch');
+
+/**
+ * Adds any categories from config/categories.json (or CATEGORIES_FILE) that the
+ * database doesn't have yet, then moves listings and saved searches off the
+ * retired "Miscellaneous" category, which the default tree calls "Other".
+ *
+ * Safe to run more than once. Usage: npm run seed:categories
+ */
+const RENAMED_CATEGORIES = {
+  Miscellaneous: 'Other'
+};
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const created = await Category.seedDefaults();
+  console.log(`Created ${created} categories`);
+
+  for (const [from, to] of Object.entries(RENAMED_CATEGORIES)) {
+    if (await Category.exists({ name: from })) continue;
+
+    // Raw updates so listings are not revalidated against their other fields
+    const products = await Product.collection.updateMany({ category: from }, { $set: { category: to } });
+    const searches = await SavedSearch.collection.updateMany(
+      { 'filters.category': from },
+      { $set: { 'filters.category': to } }
+    );
+
+    console.log(`Moved ${products.modifiedCount} listings and ${searches.modifiedCount} saved searches from "${from}" to "${to}"`);
+  }
+};
+
+seed()
+  .catch((error) => {
+    console.error('Category seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
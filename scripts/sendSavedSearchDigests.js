@@ -0,0 +1,25 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { sendDigests } = require('../utils/savedSearchAlerts');
+
+/**
+ * Emails saved search digests that are due. Safe to run as often as you like:
+ * each search is only included once its daily or weekly period has elapsed,
+ * so schedule it hourly from cron or a similar scheduler.
+ *
+ * Usage: npm run digest:saved-searches
+ */
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { searches, emails } = await sendDigests();
+
+  console.log(`Processed ${searches} due saved searches and sent ${emails} digest emails`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Saved search digest failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
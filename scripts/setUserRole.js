@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Give an existing account a role. Used to create the first admin, since
+ * only admins can change roles through the API.
+ *
+ * Usage: npm run set-role -- <email> [role]   (role defaults to admin)
+ */
+const setRole = async () => {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    throw new Error('Usage: npm run set-role -- <email> [role]');
+  }
+  if (!User.getRoles().includes(role)) {
+    throw new Error(`Role must be one of: ${User.getRoles().join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findByEmail(email);
+  if (!user) {
+    throw new Error(`No user with email ${email}; register the account first`);
+  }
+
+  user.role = role;
+  await user.save();
+
+  console.log(`${user.username} <${user.email}> is now ${role}`);
+};
+
+setRole()
+  .catch((error) => {
+    console.error('Setting user role failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
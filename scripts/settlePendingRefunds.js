@@ -0,0 +1,26 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Purchase = require('../models/Purchase');
+
+/**
+ * Makes the refunds still owed on cancelled orders, e.g. those of deleted
+ * accounts that the payment provider refused at the time. Safe to run as often
+ * as you like: refunds reuse their idempotency key, and refused ones stay
+ * pending for the next run, so schedule it hourly from cron or a similar scheduler.
+ *
+ * Usage: npm run settle-refunds
+ */
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { refunded, pending } = await Purchase.settlePendingRefunds();
+
+  console.log(`Refunded ${refunded} orders; ${pending} refunds are still pending`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Settling pending refunds failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
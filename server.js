@@ -13,12 +13,31 @@ const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const purchaseRoutes = require('./routes/purchases');
+const uploadRoutes = require('./routes/uploads');
+const conversationRoutes = require('./routes/conversations');
+const offerRoutes = require('./routes/offers');
+const reviewRoutes = require('./routes/reviews');
+const wishlistRoutes = require('./routes/wishlist');
+const savedSearchRoutes = require('./routes/savedSearches');
+const notificationRoutes = require('./routes/notifications');
+const reportRoutes = require('./routes/reports');
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+
+// Import storage for serving locally uploaded files
+const { getUploadDir } = require('./utils/storage');
+const { checkPaymentConfig } = require('./utils/payments');
 
 /**
  * Initialize Express application
  */
 const app = express();
 
+/**
+ * Refuse to start without a payment provider
+ */
+checkPaymentConfig();
+
 /**
  * Connect to MongoDB
  */
@@ -45,9 +64,22 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+// Payment webhooks keep the raw body, since their signature covers the exact bytes sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
 
+// Serve locally stored uploads; allow the frontend on another origin to embed them
+app.use('/uploads', express.static(getUploadDir(), {
+  fallthrough: false,
+  maxAge: '7d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 /**
  * Health Check Route
  * @route GET /api/health
@@ -79,6 +111,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/purchases', purchaseRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
 
 /**
  * Root route
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { CENTS_PER_UNIT, toCents, fromCents } = require('./money');
+
+/**
+ * Currency conversion and money formatting.
+ *
+ * Rates come from a local JSON table ({ base, rates }) so the marketplace
+ * never depends on a live rate service. Each rate is how much of that
+ * currency one unit of the base currency buys. Point EXCHANGE_RATES_FILE at
+ * another table to change them; run `npm run refresh-base-prices` afterwards
+ * so price filters and sorting use the new rates.
+ */
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchangeRates.json');
+
+let rateTable = null;
+
+/**
+ * Read and check the rate table once
+ * @returns {Object} - { base, rates }
+ */
+const loadRateTable = () => {
+  if (rateTable) return rateTable;
+
+  const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+  const { base, rates } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!rates || rates[base] !== 1) {
+    throw new Error(`Exchange rate table ${file} must list its base currency ${base} with a rate of 1`);
+  }
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) {
+      throw new Error(`Exchange rate table ${file} has an invalid rate for ${code}`);
+    }
+    if (getMinorUnits(code) > 2) {
+      throw new Error(`Exchange rate table ${file} lists ${code}, but amounts are stored in hundredths`);
+    }
+  }
+
+  rateTable = { base, rates };
+  return rateTable;
+};
+
+/**
+ * Get the currency rates are quoted against and aggregates fall back to
+ * @returns {string} - ISO 4217 code
+ */
+const getBaseCurrency = () => loadRateTable().base;
+
+/**
+ * Get every currency in the rate table
+ * @returns {Array} - ISO 4217 codes
+ */
+const getSupportedCurrencies = () => Object.keys(loadRateTable().rates);
+
+/**
+ * Get a copy of the rate table
+ * @returns {Object} - { base, rates }
+ */
+const getRates = () => {
+  const { base, rates } = loadRateTable();
+  return { base, rates: { ...rates } };
+};
+
+const isSupportedCurrency = (code) => typeof code === 'string' && getSupportedCurrencies().includes(code);
+
+const getDefaultLocale = () => process.env.DEFAULT_LOCALE || 'en-US';
+
+/**
+ * Check a BCP 47 locale tag such as en-GB
+ * @param {string} locale - Locale tag
+ * @returns {boolean} - True if Intl understands it
+ */
+const isValidLocale = (locale) => {
+  try {
+    return typeof locale === 'string' && Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get how many decimals a currency uses, e.g. 2 for EUR and 0 for JPY
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Minor unit digits
+ */
+const getMinorUnits = (currency) => (
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+);
+
+/**
+ * Round an amount to the currency's smallest unit
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Rounded amount
+ */
+const roundMoney = (amount, currency = getBaseCurrency()) => {
+  // Round in whole cents first, then to the currency's unit, e.g. 100 cents for JPY
+  const step = CENTS_PER_UNIT / 10 ** getMinorUnits(currency);
+  return fromCents(Math.round(toCents(amount) / step) * step);
+};
+
+/**
+ * Convert an amount between two currencies in the rate table
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {number} - Amount in the target currency, rounded to its smallest unit
+ */
+const convert = (amount, from, to) => {
+  if (from === to) return amount;
+
+  const { rates } = loadRateTable();
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate between ${from} and ${to}`);
+  }
+
+  return roundMoney((amount / rates[from]) * rates[to], to);
+};
+
+/**
+ * Format an amount for display, e.g. "$1,234.50" or "1.234,50 €"
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @param {string} locale - BCP 47 locale; defaults to DEFAULT_LOCALE
+ * @returns {string} - Localized money string
+ */
+const formatMoney = (amount, currency = getBaseCurrency(), locale = getDefaultLocale()) => (
+  new Intl.NumberFormat(isValidLocale(locale) ? locale : getDefaultLocale(), { style: 'currency', currency })
+    .format(amount)
+);
+
+/**
+ * Aggregation expression converting an amount into another currency
+ * @param {*} amount - Expression for the amount, e.g. '$total'
+ * @param {string} currencyField - Field path of the amount's currency, e.g. '$currency'
+ * @param {string} to - Target currency
+ * @returns {Object} - $multiply expression; amounts without a currency count as the base currency
+ */
+const convertExpression = (amount, currencyField, to) => {
+  const { base, rates } = loadRateTable();
+
+  return {
+    $multiply: [
+      amount,
+      {
+        $switch: {
+          branches: Object.entries(rates).map(([code, rate]) => ({
+            case: { $eq: [currencyField, code] },
+            then: rates[to] / rate
+          })),
+          default: rates[to] / rates[base]
+        }
+      }
+    ]
+  };
+};
+
+module.exports = {
+  getBaseCurrency,
+  getSupportedCurrencies,
+  getRates,
+  isSupportedCurrency,
+  getDefaultLocale,
+  isValidLocale,
+  getMinorUnits,
+  roundMoney,
+  convert,
+  formatMoney,
+  convertExpression
+};
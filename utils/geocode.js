@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline geocoding for listing and user locations.
+ *
+ * Free-text locations such as "Camden, London" or "SW9 8HE" are matched
+ * against a bundled table of cities and postcode areas ({ cities, postcodes })
+ * so the marketplace never calls a geocoding service. Points are GeoJSON, with
+ * coordinates in [longitude, latitude] order as MongoDB expects. Point
+ * PLACES_FILE at another table to change it; run `npm run geocode-locations`
+ * afterwards so existing listings and users pick up the new points.
+ */
+
+const DEFAULT_PLACES_FILE = path.join(__dirname, '..', 'config', 'places.json');
+
+// Mean radius used for distances and for converting them to radians
+const EARTH_RADIUS_KM = 6371;
+
+// UK postcodes end in a three-character inward code; the outward code before it names the area
+const UK_POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*\d[A-Z]{2}\b/i;
+// Canadian postcodes are looked up by their forward sortation area, e.g. M5V
+const CA_POSTCODE_PATTERN = /\b([A-Z]\d[A-Z])\s*\d[A-Z]\d\b/i;
+// US ZIP (optionally ZIP+4), Australian and Indian codes are all digits
+const NUMERIC_POSTCODE_PATTERN = /\b(\d{4,6})(?:-\d{4})?\b/;
+
+let placeTable = null;
+
+/**
+ * Lower-case a place name and strip accents and punctuation, e.g. "Köln" -> "koln"
+ * @param {string} text - Place name
+ * @returns {string} - Comparable form
+ */
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Build a GeoJSON point
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {Object} - { type: 'Point', coordinates: [lng, lat] }
+ */
+const toPoint = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+/**
+ * Read and index the place table once
+ * @returns {Object} - { cities, postcodes } maps from normalized name or code to a point
+ */
+const loadPlaceTable = () => {
+  if (placeTable) return placeTable;
+
+  const file = process.env.PLACES_FILE || DEFAULT_PLACES_FILE;
+  const { cities = [], postcodes = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const cityPoints = new Map();
+  const postcodePoints = new Map();
+
+  for (const { name, lat, lng, aliases = [] } of cities) {
+    if (!isValidLatLng(lat, lng)) {
+      throw new Error(`Place table ${file} has invalid coordinates for ${name}`);
+    }
+    for (const alias of [name, ...aliases]) {
+      cityPoints.set(normalize(alias), toPoint(lng, lat));
+    }
+  }
+
+  for (const { code, lat, lng } of postcodes) {
+    if (!isValidLatLng(lat, lng)) {
+      throw new Error(`Place table ${file} has invalid coordinates for ${code}`);
+    }
+    postcodePoints.set(code.toUpperCase().replace(/\s+/g, ''), toPoint(lng, lat));
+  }
+
+  placeTable = { cities: cityPoints, postcodes: postcodePoints };
+  return placeTable;
+};
+
+/**
+ * Check that a latitude and longitude are numbers on the globe
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} - True if both are in range
+ */
+const isValidLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+/**
+ * Find the postcode area a location mentions
+ * @param {string} text - Free-text location
+ * @returns {Object|null} - GeoJSON point, or null if no known postcode is found
+ */
+const geocodePostcode = (text) => {
+  const { postcodes } = loadPlaceTable();
+
+  for (const pattern of [UK_POSTCODE_PATTERN, CA_POSTCODE_PATTERN, NUMERIC_POSTCODE_PATTERN]) {
+    const match = text.match(pattern);
+    if (match && postcodes.has(match[1].toUpperCase())) {
+      return postcodes.get(match[1].toUpperCase());
+    }
+  }
+
+  // A bare outward code such as "SW9"
+  return postcodes.get(text.toUpperCase().replace(/\s+/g, '')) || null;
+};
+
+/**
+ * Turn a free-text location into a point. Postcodes win over place names, and
+ * comma-separated parts are tried from the most specific, so "Camden, London"
+ * finds Camden and "Hoxton, London" falls back to London.
+ * @param {string} text - Free-text location
+ * @returns {Object|null} - GeoJSON point, or null if the location is unknown
+ */
+const geocode = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const postcodePoint = geocodePostcode(text.trim());
+  if (postcodePoint) return postcodePoint;
+
+  const { cities } = loadPlaceTable();
+  const candidates = [text, ...text.split(',')].map(normalize).filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (cities.has(candidate)) return cities.get(candidate);
+  }
+
+  return null;
+};
+
+/**
+ * Read a "latitude,longitude" pair, e.g. "51.5074,-0.1278"
+ * @param {string} text - Coordinates from a query string
+ * @returns {Object|null} - GeoJSON point, or null if the text is not a valid pair
+ */
+const parseCoordinates = (text) => {
+  const match = typeof text === 'string' && text.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return isValidLatLng(lat, lng) ? toPoint(lng, lat) : null;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @returns {number} - Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const toRadians = degrees => degrees * Math.PI / 180;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Convert a distance to the radians $centerSphere takes
+ * @param {number} km - Distance in kilometres
+ * @returns {number} - Angle in radians
+ */
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+/**
+ * Schema path definition for a GeoJSON point. Documents without one store
+ * nothing, which keeps them out of 2dsphere indexes.
+ * @returns {Object} - Nested { type, coordinates } path
+ */
+const pointField = () => ({
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  // [longitude, latitude]
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+/**
+ * Check whether a document's point path holds a point
+ * @param {Object} point - Value of a pointField() path
+ * @returns {boolean} - True if it has coordinates
+ */
+const hasPoint = (point) => Boolean(point && Array.isArray(point.coordinates) && point.coordinates.length === 2);
+
+module.exports = {
+  geocode,
+  parseCoordinates,
+  distanceKm,
+  kmToRadians,
+  pointField,
+  hasPoint
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+/**
+ * Image helpers for uploads: detect the real file type, resize, build a
+ * thumbnail and hand both to the storage backend.
+ */
+
+// File signatures; the client-supplied mimetype and extension are never trusted
+const SIGNATURES = [
+  { type: 'image/jpeg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii')) },
+  {
+    type: 'image/webp',
+    matches: buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP'
+  }
+];
+
+const IMAGE_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 400;
+
+/**
+ * Detect an image type from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - MIME type, or null if not a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = SIGNATURES.find(entry => entry.matches(buffer));
+  return signature ? signature.type : null;
+};
+
+/**
+ * Resize an image and create a square thumbnail, both as WebP.
+ * Re-encoding also strips EXIF data such as GPS coordinates.
+ * @param {Buffer} buffer - Original file contents
+ * @param {Object} options - { maxDimension, thumbnailSize }
+ * @returns {Object} - { image, thumbnail } each with { buffer, width, height }
+ */
+const processImage = async (buffer, { maxDimension = IMAGE_MAX_DIMENSION, thumbnailSize = THUMBNAIL_SIZE } = {}) => {
+  // rotate() with no arguments applies the EXIF orientation before metadata is dropped
+  const source = sharp(buffer, { animated: false }).rotate();
+
+  const [image, thumbnail] = await Promise.all([
+    source.clone()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true }),
+    source.clone()
+      .resize({ width: thumbnailSize, height: thumbnailSize, fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer({ resolveWithObject: true })
+  ]);
+
+  return {
+    image: { buffer: image.data, width: image.info.width, height: image.info.height },
+    thumbnail: { buffer: thumbnail.data, width: thumbnail.info.width, height: thumbnail.info.height }
+  };
+};
+
+/**
+ * Validate, process and store one uploaded image
+ * @param {Object} file - Multer file with an in-memory buffer
+ * @param {string} prefix - Storage key prefix, e.g. "products/<userId>"
+ * @param {Object} options - Passed to processImage
+ * @returns {Object} - { url, thumbnailUrl, width, height, size }
+ */
+const storeImage = async (file, prefix, options = {}) => {
+  const detectedType = detectImageType(file.buffer);
+
+  if (!detectedType) {
+    const error = new Error(`"${file.originalname}" is not a JPEG, PNG, GIF or WebP image`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let processed;
+  try {
+    processed = await processImage(file.buffer, options);
+  } catch (processingError) {
+    const error = new Error(`"${file.originalname}" could not be read as an image`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const id = crypto.randomBytes(12).toString('hex');
+  const storage = getStorage();
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.save(`${prefix}/${id}.webp`, processed.image.buffer, 'image/webp'),
+    storage.save(`${prefix}/${id}_thumb.webp`, processed.thumbnail.buffer, 'image/webp')
+  ]);
+
+  return {
+    url,
+    thumbnailUrl,
+    width: processed.image.width,
+    height: processed.image.height,
+    size: processed.image.buffer.length
+  };
+};
+
+module.exports = {
+  detectImageType,
+  processImage,
+  storeImage
+};
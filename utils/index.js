@@ -1,12 +1,16 @@
 // Utils Directory
 // This directory contains utility functions and helpers
 
+// - mailer.js - Email sending through a pluggable transport
+
 // Utils to be implemented:
 // - tokenUtils.js - JWT token generation and verification helpers
 // - responseUtils.js - Standardized API response helpers
 // - validationUtils.js - Custom validation helpers
 // - fileUtils.js - File handling utilities (for image uploads later)
 
+const mailer = require('./mailer');
+
 module.exports = {
-  // Utility functions will be exported here as they are created
+  mailer
 };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mailer
+ * Sends email through a pluggable transport. A transport is any object with an
+ * async `send(message)` method. The built-in transports write mail locally so
+ * development and tests work without an SMTP server:
+ *   - console: prints each message to stdout (default)
+ *   - file: appends each message as a JSON line to MAIL_FILE_PATH
+ * Call setTransport() at startup to plug in a real provider.
+ */
+
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+};
+
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const filePath = path.resolve(process.env.MAIL_FILE_PATH || 'tmp/mail.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+    return { accepted: [message.to] };
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Replace the transport used for all outgoing mail
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * Get the current transport, falling back to MAIL_TRANSPORT from the environment
+ * @returns {Object} - Active transport
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = builtInTransports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(builtInTransports).join(', ')}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Object} - Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and a subject');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'EcoFinds <no-reply@ecofinds.local>',
+    to,
+    subject,
+    text: text || '',
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,69 @@
+/**
+ * Money storage and arithmetic
+ * Amounts are stored as integer cents (hundredths of the currency unit) so
+ * sums and aggregates never pick up floating-point drift. Models declare their
+ * money paths with moneyField(), whose getter and setter let the rest of the
+ * app keep reading and writing decimal amounts. Code that bypasses documents,
+ * such as aggregations, range filters and raw collection access, works in cents
+ * and converts with toCents() and fromCents().
+ */
+
+const CENTS_PER_UNIT = 100;
+
+/**
+ * Convert a decimal amount to integer cents
+ * @param {number} amount - Amount, e.g. 12.34
+ * @returns {number} - Cents, e.g. 1234
+ */
+const toCents = (amount) => (
+  // toPrecision drops the binary noise that would make 1.005 * 100 round down
+  Math.round(Number((amount * CENTS_PER_UNIT).toPrecision(15)))
+);
+
+/**
+ * Convert integer cents to a decimal amount
+ * @param {number} cents - Cents
+ * @returns {number} - Amount
+ */
+const fromCents = (cents) => cents / CENTS_PER_UNIT;
+
+/**
+ * Add up amounts exactly
+ * @param {Array} amounts - Decimal amounts
+ * @returns {number} - Total
+ */
+const sumMoney = (amounts) => fromCents(amounts.reduce((sum, amount) => sum + toCents(amount), 0));
+
+/**
+ * Multiply an amount by a whole quantity exactly
+ * @param {number} amount - Unit amount
+ * @param {number} quantity - Quantity
+ * @returns {number} - Line total
+ */
+const multiplyMoney = (amount, quantity) => fromCents(toCents(amount) * quantity);
+
+/**
+ * Schema path definition for an amount stored in cents
+ * @param {Object} definition - Other path options, e.g. { required, min }. Bounds are in cents.
+ * @returns {Object} - Number path with the cents getter and setter
+ */
+const moneyField = (definition = {}) => ({
+  type: Number,
+  ...definition,
+  get: (cents) => (typeof cents === 'number' ? fromCents(cents) : cents),
+  // Request bodies may carry numeric strings; anything else is left for the cast to reject
+  set: (amount) => {
+    if (amount === null || amount === undefined || amount === '') return amount;
+    const value = Number(amount);
+    return Number.isFinite(value) ? toCents(value) : amount;
+  }
+});
+
+module.exports = {
+  CENTS_PER_UNIT,
+  toCents,
+  fromCents,
+  sumMoney,
+  multiplyMoney,
+  moneyField
+};
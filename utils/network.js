@@ -0,0 +1,109 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Outbound requests to user-supplied URLs.
+ * Webhooks are POSTed by the server, so a URL naming an internal host would let
+ * any user reach services that are not exposed to the internet, such as the
+ * database or a cloud metadata endpoint. Only hosts resolving to public
+ * addresses are accepted, and the check is repeated at delivery with the
+ * request pinned to the checked address, so a DNS change after saving can't
+ * get around it.
+ */
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check that an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  // IPv4 addresses written as IPv6, e.g. ::ffff:127.0.0.1, are checked against the IPv4 ranges
+  return !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve the host of an http or https URL and check that it is public
+ * @param {string} url - URL to check
+ * @returns {Object} - { address, family } to connect to
+ * @throws {Error} - If the URL is malformed, its host can't be resolved or any
+ *   address it resolves to is not public
+ */
+const resolvePublicUrl = async (url) => {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw new Error('URL must be a valid http or https URL');
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`Host "${hostname}" could not be resolved`);
+    }
+  }
+
+  // A host with any internal address could be steered to it
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`Host "${hostname}" is not a public internet address`);
+  }
+
+  return addresses[0];
+};
+
+/**
+ * Build a `lookup` option for http.request that connects to an address
+ * already checked by resolvePublicUrl instead of resolving the host again
+ * @param {Object} resolved - { address, family } from resolvePublicUrl
+ * @returns {Function} - dns.lookup-compatible function
+ */
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) => {
+  if (options.all) {
+    callback(null, [{ address, family }]);
+  } else {
+    callback(null, address, family);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicUrl,
+  pinnedLookup
+};
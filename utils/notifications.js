@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { resolvePublicUrl, pinnedLookup } = require('./network');
+
+/**
+ * Notifications
+ * Delivers a message to a user on every channel they have turned on. A
+ * channel is any object with a `name` and an async `deliver(message, user)`
+ * method. Built-in channels:
+ *   - inApp: stores the message for the notification center
+ *   - email: sends it through the mailer's transport
+ *   - webhook: POSTs it as signed JSON to the user's webhook URL
+ * Call registerChannel() at startup to add or replace a channel; users turn
+ * channels on and off in notificationPreferences.channels by name.
+ *
+ * Controllers report what happened with emit(event, payload). Each event
+ * decides who to tell and what to say; delivery happens in the background.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * POST a JSON body, resolving once the receiver answers with a 2xx status
+ * @param {string} url - Destination URL
+ * @param {string} body - Serialized JSON
+ * @param {Object} headers - Extra request headers
+ * @param {Object} resolved - { address, family } to connect to, from resolvePublicUrl
+ * @returns {Promise<number>} - Response status code
+ */
+const postJson = (url, body, headers, resolved) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    lookup: pinnedLookup(resolved),
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout: WEBHOOK_TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      resolve(response.statusCode);
+    } else {
+      reject(new Error(`Webhook responded with status ${response.statusCode}`));
+    }
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const inAppChannel = {
+  name: 'inApp',
+  deliver: (message, user) => Notification.create({ user: user._id, ...message })
+};
+
+const emailChannel = {
+  name: 'email',
+  deliver: (message, user) => sendMail({
+    to: user.email,
+    subject: message.title,
+    text: `Hi ${user.username},\n\n${message.body}\n\n${getClientUrl()}${message.link}`
+  })
+};
+
+const webhookChannel = {
+  name: 'webhook',
+  deliver: async (message, user) => {
+    const { webhookUrl, webhookSecret } = user.notificationPreferences;
+    if (!webhookUrl) return;
+
+    // The host may have been pointed at an internal address since the URL was saved
+    const resolved = await resolvePublicUrl(webhookUrl);
+
+    const body = JSON.stringify({ ...message, userId: user._id, sentAt: new Date() });
+    const signature = crypto.createHmac('sha256', webhookSecret || '').update(body).digest('hex');
+
+    await postJson(webhookUrl, body, {
+      'X-EcoFinds-Event': message.type,
+      'X-EcoFinds-Signature': `sha256=${signature}`
+    }, resolved);
+  }
+};
+
+const channels = new Map([inAppChannel, emailChannel, webhookChannel].map(channel => [channel.name, channel]));
+
+/**
+ * Add a delivery channel, or replace a built-in one with the same name
+ * @param {Object} channel - Object with a name and an async deliver(message, user) method
+ */
+const registerChannel = (channel) => {
+  if (!channel || !channel.name || typeof channel.deliver !== 'function') {
+    throw new Error('Notification channel must have a name and implement deliver(message, user)');
+  }
+  channels.set(channel.name, channel);
+};
+
+/**
+ * Get the names of the registered channels
+ * @returns {Array} - Channel names
+ */
+const getChannelNames = () => [...channels.keys()];
+
+/**
+ * Deliver a message to one user on each channel they have turned on
+ * @param {string} userId - Recipient user ID
+ * @param {Object} message - { type, title, body, link, data }
+ * @param {Object} options - { channels } to limit delivery to some channels
+ * @returns {Array} - Names of the channels the message was delivered on
+ */
+const notify = async (userId, message, options = {}) => {
+  const user = await User.findById(userId)
+    .select('username email notificationPreferences +notificationPreferences.webhookSecret');
+
+  // The recipient may have deleted their account since
+  if (!user) return [];
+
+  const preferences = user.notificationPreferences;
+  if (preferences.mutedTypes.includes(message.type)) return [];
+
+  const delivered = [];
+
+  for (const [name, channel] of channels) {
+    if (options.channels && !options.channels.includes(name)) continue;
+    if (!preferences.channels || !preferences.channels[name]) continue;
+
+    try {
+      await channel.deliver({ link: '', data: {}, ...message }, user);
+      delivered.push(name);
+    } catch (error) {
+      console.error(`Notification ${message.type} to user ${userId} via ${name} failed:`, error.message);
+    }
+  }
+
+  return delivered;
+};
+
+// Item titles for a message body, e.g. "Lamp", "Desk" and 2 more
+const formatItems = (products) => {
+  const titles = products.slice(0, 3).map(item => `"${item.title}"`);
+  const rest = products.length - titles.length;
+  return rest > 0 ? `${titles.join(', ')} and ${rest} more` : titles.join(', ');
+};
+
+/**
+ * Events controllers can emit. Each returns the messages to send, with the recipient as `user`.
+ */
+const events = {
+  // payload: { purchase, buyerName } - one purchase per seller from checkout
+  'order.placed': ({ purchase, buyerName }) => [{
+    user: purchase.seller || purchase.products[0].seller,
+    type: 'order_placed',
+    title: 'You made a sale',
+    body: `${buyerName} ordered ${formatItems(purchase.products)} for ${purchase.formattedTotal}` +
+      (purchase.delivery.method === 'shipping' ? ', to be shipped.' : ', for pickup.'),
+    link: '/sales',
+    data: { purchaseId: purchase._id }
+  }],
+
+  // payload: { purchase, status, changedBy: 'buyer' | 'seller' } - tells the other side
+  'order.status_changed': ({ purchase, status, changedBy }) => {
+    const items = formatItems(purchase.products);
+
+    if (changedBy === 'seller') {
+      return [{
+        user: purchase.user,
+        type: 'order_status',
+        title: `Your order was ${status}`,
+        body: `The seller marked your order of ${items} as ${status}.`,
+        link: '/purchases',
+        data: { purchaseId: purchase._id, status }
+      }];
+    }
+
+    const sellerIds = [...new Set(purchase.products.map(item => item.seller.toString()))];
+    return sellerIds.map(sellerId => ({
+      user: sellerId,
+      type: 'order_status',
+      title: `An order was ${status}`,
+      body: `The buyer marked their order of ${items} as ${status}.`,
+      link: '/sales',
+      data: { purchaseId: purchase._id, status }
+    }));
+  },
+
+  // payload: { product } - a buyer put the seller's product in their cart
+  'cart.item_added': ({ product }) => [{
+    user: product.user,
+    type: 'cart_added',
+    title: 'A buyer is interested in your listing',
+    body: `Someone added "${product.title}" to their cart.`,
+    link: '/my-listings',
+    data: { productId: product._id }
+  }],
+
+  // payload: { product, reason } - a moderator took the seller's listing down
+  'listing.taken_down': ({ product, reason }) => [{
+    user: product.user,
+    type: 'listing_moderated',
+    title: 'Your listing was taken down',
+    body: `A moderator removed "${product.title}" from the marketplace${reason ? `: ${reason}` : '.'}`,
+    link: '/my-listings',
+    data: { productId: product._id }
+  }],
+
+  // payload: { product, reason } - the listing was hidden pending review, by a moderator or after reports
+  'listing.hidden': ({ product, reason }) => [{
+    user: product.user,
+    type: 'listing_moderated',
+    title: 'Your listing is hidden pending review',
+    body: `"${product.title}" is hidden from buyers until a moderator reviews it${reason ? `: ${reason}` : '.'}`,
+    link: '/my-listings',
+    data: { productId: product._id }
+  }],
+
+  // payload: { product } - a moderator put a hidden or taken-down listing back
+  'listing.restored': ({ product }) => [{
+    user: product.user,
+    type: 'listing_moderated',
+    title: 'Your listing was restored',
+    body: `A moderator restored "${product.title}".`,
+    link: '/my-listings',
+    data: { productId: product._id }
+  }]
+};
+
+/**
+ * Report an event without holding up the response
+ * @param {string} event - Event name, one of the keys of `events`
+ * @param {Object} payload - Event data
+ */
+const emit = (event, payload) => {
+  const buildMessages = events[event];
+  if (!buildMessages) {
+    console.error(`Unknown notification event "${event}"`);
+    return;
+  }
+
+  // Messages are built right away, before the caller goes on to populate or change the payload
+  let messages;
+  try {
+    messages = buildMessages(payload);
+  } catch (error) {
+    console.error(`Notification event ${event} error:`, error);
+    return;
+  }
+
+  (async () => {
+    for (const { user, ...message } of messages) {
+      await notify(user, message);
+    }
+  })().catch(error => console.error(`Notification event ${event} error:`, error));
+};
+
+module.exports = {
+  notify,
+  emit,
+  registerChannel,
+  getChannelNames
+};
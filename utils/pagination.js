@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination.
+ *
+ * A cursor is an opaque token holding the sort values of the last item on a
+ * page. The next page continues after that item instead of skipping a number
+ * of items, so items added in the meantime don't shift the pages and the
+ * database seeks along the index rather than walking past skipped documents.
+ * Sorts end on _id so every item has a distinct position.
+ */
+
+/**
+ * Describe a sort, so a cursor can only continue the sort it came from
+ * @param {Object} sort - Sort spec, e.g. { createdAt: -1, _id: -1 }
+ * @returns {string} - e.g. "createdAt:-1,_id:-1"
+ */
+const getSortKey = (sort) => Object.entries(sort).map(([field, order]) => `${field}:${order}`).join(',');
+
+/**
+ * Error for a cursor that can't be read, answered with 400
+ * @returns {Error} - Error with statusCode
+ */
+const createCursorError = () => Object.assign(
+  new Error('Invalid cursor. Pass the nextCursor of the previous page with the same sort'),
+  { statusCode: 400 }
+);
+
+/**
+ * Turn a sort value into JSON that keeps its type
+ * @param {*} value - Stored value
+ * @returns {*} - JSON-safe value; dates and ObjectIds are tagged
+ */
+const toCursorValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Read a sort value back from a cursor
+ * @param {*} value - From toCursorValue
+ * @returns {*} - Value to query with
+ */
+const fromCursorValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.$date === 'string' && !isNaN(Date.parse(value.$date))) return new Date(value.$date);
+  if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+  throw createCursorError();
+};
+
+/**
+ * Read the values a document is sorted by, as stored; money paths are compared in cents
+ * @param {Object} doc - Document or plain object
+ * @param {Object} sort - Sort spec
+ * @returns {Array} - One value per sort field
+ */
+const getSortValues = (doc, sort) => Object.keys(sort).map(field => (
+  typeof doc.get === 'function' ? doc.get(field, null, { getters: false }) : doc[field]
+));
+
+/**
+ * Make the cursor for the page after an item
+ * @param {Object} sort - Sort spec the page was read in
+ * @param {Object} doc - Last item on the page
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (sort, doc) => Buffer
+  .from(JSON.stringify({ sort: getSortKey(sort), values: getSortValues(doc, sort).map(toCursorValue) }))
+  .toString('base64url');
+
+/**
+ * Read a cursor a client sent back
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - Sort spec of the page being read
+ * @returns {Array} - The sort values the page continues after
+ * @throws {Error} - With statusCode 400 if the cursor is malformed or belongs to another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createCursorError();
+  }
+
+  const { sort: sortKey, values } = decoded || {};
+  if (sortKey !== getSortKey(sort) || !Array.isArray(values) || values.length !== Object.keys(sort).length) {
+    throw createCursorError();
+  }
+
+  return values.map(fromCursorValue);
+};
+
+/**
+ * Build the filter for the items after a cursor: those past it on the first
+ * sort field, or level on it and past it on the next, and so on. Ties use
+ * $gte and $lte because range operators skip schema setters, so the stored
+ * value is compared as it is, e.g. cents for money paths.
+ * @param {Object} sort - Sort spec
+ * @param {Array} values - From decodeCursor
+ * @returns {Object} - Filter
+ */
+const getCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+
+  return {
+    $or: fields.map((field, i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map((previous, j) => [previous, { $gte: values[j], $lte: values[j] }])),
+      [field]: { [sort[field] === 1 ? '$gt' : '$lt']: values[i] }
+    }))
+  };
+};
+
+/**
+ * Compare two items in a sort's order, for lists ranked in code
+ * @param {Object} sort - Sort spec
+ * @param {Array} a - Sort values of the first item
+ * @param {Array} b - Sort values of the second item
+ * @returns {number} - Negative if a comes first, positive if b does, 0 if level
+ */
+const compareSortValues = (sort, a, b) => {
+  const orders = Object.values(sort);
+
+  for (let i = 0; i < orders.length; i++) {
+    // ObjectIds and dates compare by their string and time forms
+    const left = a[i] instanceof Date ? a[i].getTime() : a[i] instanceof mongoose.Types.ObjectId ? a[i].toString() : a[i];
+    const right = b[i] instanceof Date ? b[i].getTime() : b[i] instanceof mongoose.Types.ObjectId ? b[i].toString() : b[i];
+    if (left < right) return -orders[i];
+    if (left > right) return orders[i];
+  }
+
+  return 0;
+};
+
+/**
+ * Read one page of a query, by cursor when one is given and by page number otherwise
+ * @param {Object} model - Model to query
+ * @param {Object} filter - Items to page through
+ * @param {Object} sort - Sort spec, ending on _id
+ * @param {Object} options - { page, limit, cursor }
+ * @param {Function} prepare - Adds populate or select calls to the query
+ * @returns {Object} - { items, nextCursor }; nextCursor is null on the last page
+ */
+const findPage = async (model, filter, sort, { page = 1, limit, cursor }, prepare = query => query) => {
+  const values = cursor ? decodeCursor(cursor, sort) : null;
+
+  let query = model.find(values ? { $and: [filter, getCursorFilter(sort, values)] } : filter).sort(sort);
+  if (!values) query = query.skip((page - 1) * limit);
+
+  // One extra item shows whether there is a next page
+  const docs = await prepare(query.limit(limit + 1));
+  const items = docs.slice(0, limit);
+
+  return {
+    items,
+    nextCursor: docs.length > limit ? encodeCursor(sort, items[items.length - 1]) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  getSortValues,
+  compareSortValues,
+  findPage
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+/**
+ * Payments
+ * Charges buyers through a pluggable payment provider. A provider is any object with:
+ *   - async authorize({ amount, currency, paymentMethod, reference, idempotencyKey })
+ *       -> { id, status: 'authorized' | 'declined', message }
+ *   - async capture({ paymentId, amount, currency, idempotencyKey })
+ *       -> { id, status: 'captured' | 'failed', message }
+ *   - async refund({ paymentId, amount, currency, idempotencyKey })
+ *       -> { id, status: 'refunded' | 'failed', message }
+ *   - async void({ paymentId, idempotencyKey })
+ *       -> { id, status: 'voided' | 'captured' | 'failed', message }, where
+ *          'captured' means the authorization was captured before it could be voided
+ *   - verifyWebhook(rawBody, headers) -> { type, paymentId }, throwing if the signature is wrong
+ * Amounts are integer cents. Providers should treat a repeated idempotencyKey as
+ * the same request, since refunds the provider refused are retried later.
+ * The built-in mock provider keeps everything in memory so checkout works offline.
+ * Call setPaymentProvider() at startup to plug in a real gateway. In production
+ * PAYMENT_PROVIDER must be set, so a missing setting can't fall back to the mock.
+ */
+
+// Test payment methods the mock provider understands; any other token is charged successfully
+const MOCK_PAYMENT_METHODS = {
+  approved: 'mock_card_visa',
+  declined: 'mock_card_declined',
+  captureFails: 'mock_card_capture_fails'
+};
+
+// Idempotency keys the mock remembers results for; the oldest are forgotten first
+const MAX_MOCK_RESULTS = 1000;
+
+const WEBHOOK_EVENTS = ['payment.captured', 'payment.failed', 'payment.refunded'];
+
+const mockPayments = new Map();
+const mockResults = new Map();
+
+// Replay the stored result for a repeated idempotency key
+const once = (idempotencyKey, run) => {
+  if (idempotencyKey && mockResults.has(idempotencyKey)) return mockResults.get(idempotencyKey);
+  const result = run();
+  if (idempotencyKey) {
+    mockResults.set(idempotencyKey, result);
+    if (mockResults.size > MAX_MOCK_RESULTS) {
+      mockResults.delete(mockResults.keys().next().value);
+    }
+  }
+  return result;
+};
+
+const mockProvider = {
+  name: 'mock',
+  authorize: async ({ amount, currency, paymentMethod, idempotencyKey }) => once(idempotencyKey, () => {
+    const id = `mock_pay_${crypto.randomBytes(12).toString('hex')}`;
+
+    if (!paymentMethod) {
+      return { id, status: 'declined', message: 'A payment method is required' };
+    }
+    if (paymentMethod === MOCK_PAYMENT_METHODS.declined) {
+      return { id, status: 'declined', message: 'Card declined' };
+    }
+
+    mockPayments.set(id, { amount, currency, paymentMethod, captured: 0, refunded: 0 });
+    return { id, status: 'authorized' };
+  }),
+  capture: async ({ paymentId, amount, idempotencyKey }) => once(idempotencyKey, () => {
+    const payment = mockPayments.get(paymentId);
+
+    if (!payment) return { id: paymentId, status: 'failed', message: 'Unknown payment' };
+    if (payment.paymentMethod === MOCK_PAYMENT_METHODS.captureFails) {
+      return { id: paymentId, status: 'failed', message: 'Capture failed' };
+    }
+    if (amount > payment.amount) {
+      return { id: paymentId, status: 'failed', message: 'Capture exceeds the authorized amount' };
+    }
+
+    payment.captured = amount;
+    return { id: paymentId, status: 'captured' };
+  }),
+  refund: async ({ paymentId, amount, idempotencyKey }) => once(idempotencyKey, () => {
+    // Payments made before a restart are forgotten; refund them anyway
+    const payment = mockPayments.get(paymentId);
+
+    if (payment && payment.refunded + amount > payment.captured) {
+      return { id: paymentId, status: 'failed', message: 'Refund exceeds the captured amount' };
+    }
+    // A fully refunded payment is settled and needs no tracking
+    if (payment && payment.refunded + amount >= payment.captured) {
+      mockPayments.delete(paymentId);
+    } else if (payment) {
+      payment.refunded += amount;
+    }
+
+    return { id: paymentId, status: 'refunded' };
+  }),
+  void: async ({ paymentId, idempotencyKey }) => once(idempotencyKey, () => {
+    // Authorizations made before a restart are forgotten, so there is nothing left to void
+    const payment = mockPayments.get(paymentId);
+
+    if (payment && payment.captured > 0) {
+      return { id: paymentId, status: 'captured' };
+    }
+
+    mockPayments.delete(paymentId);
+    return { id: paymentId, status: 'voided' };
+  }),
+  // Expects an `X-Mock-Signature: sha256=<hex>` HMAC of the body keyed with PAYMENT_WEBHOOK_SECRET
+  verifyWebhook: (rawBody, headers) => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex')}`;
+    const received = String(headers['x-mock-signature'] || '');
+
+    if (received.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const { type, data = {} } = JSON.parse(rawBody.toString());
+    return { type, paymentId: data.paymentId };
+  }
+};
+
+const builtInProviders = {
+  mock: mockProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Replace the provider used for all payments
+ * @param {Object} provider - Object implementing authorize, capture, refund, void and verifyWebhook
+ */
+const setPaymentProvider = (provider) => {
+  if (!provider || ['authorize', 'capture', 'refund', 'void', 'verifyWebhook'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error('Payment provider must implement authorize, capture, refund, void and verifyWebhook');
+  }
+  activeProvider = provider;
+};
+
+/**
+ * Look up the built-in provider PAYMENT_PROVIDER names. Outside production an
+ * unset PAYMENT_PROVIDER means the mock.
+ * @returns {Object} - Built-in provider
+ * @throws {Error} - If PAYMENT_PROVIDER is unset in production or names no provider
+ */
+const getConfiguredProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'mock');
+
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER must be set in production, or a provider plugged in with setPaymentProvider()');
+  }
+
+  const provider = builtInProviders[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}". Use one of: ${Object.keys(builtInProviders).join(', ')}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Get the current provider, falling back to PAYMENT_PROVIDER from the environment
+ * @returns {Object} - Active provider
+ */
+const getPaymentProvider = () => activeProvider || getConfiguredProvider();
+
+/**
+ * Check at startup that payments are configured, so a deploy missing
+ * PAYMENT_PROVIDER fails to start instead of taking orders through the mock
+ * @throws {Error} - If no provider can be used
+ */
+const checkPaymentConfig = () => {
+  getPaymentProvider();
+};
+
+module.exports = {
+  setPaymentProvider,
+  getPaymentProvider,
+  checkPaymentConfig,
+  MOCK_PAYMENT_METHODS,
+  WEBHOOK_EVENTS
+};
@@ -0,0 +1,118 @@
+const SavedSearch = require('../models/SavedSearch');
+const Category = require('../models/Category');
+const { sendMail } = require('./mailer');
+const { notify } = require('./notifications');
+const { formatMoney } = require('./currency');
+
+/**
+ * Saved Search Alerts
+ * Records new listings on the saved searches they match and notifies the
+ * searches' owners right away, in the app and by webhook. Email goes out as a
+ * digest of each user's new matches on the schedule they picked instead.
+ */
+
+const getSavedSearchesUrl = () => `${process.env.CLIENT_URL || 'http://localhost:5173'}/searches`;
+
+/**
+ * Record a newly created listing on every other user's matching saved searches
+ * and notify their owners
+ * @param {Object} product - Product that was just created
+ * @returns {number} - Number of saved searches it matched
+ */
+const matchNewListing = async (product) => {
+  if (!product.isAvailable) return 0;
+
+  // Searches on a parent category match listings in its subcategories
+  const categories = await Category.getLineageNames(product.category);
+  if (categories.length === 0) categories.push(product.category);
+
+  const candidates = await SavedSearch.findCandidates(product, categories);
+  const matched = candidates.filter(search => search.matchesProduct(product, categories));
+
+  if (matched.length > 0) {
+    await SavedSearch.recordMatch(matched.map(search => search._id), product._id);
+  }
+
+  for (const search of matched) {
+    await notify(search.user, {
+      type: 'saved_search_match',
+      title: `New listing for "${search.name}"`,
+      body: `"${product.title}" was just listed for ${product.formattedPrice}.`,
+      link: '/searches',
+      data: { savedSearchId: search._id, productId: product._id }
+    }, { channels: ['inApp', 'webhook'] });
+  }
+
+  return matched.length;
+};
+
+/**
+ * Email every user whose digest is due one message covering all their due searches
+ * @param {Date} now - Time the digest run started
+ * @returns {Object} - { searches, emails } processed and sent
+ */
+const sendDigests = async (now = new Date()) => {
+  const searches = await SavedSearch.findDueForDigest(now);
+  const sectionsByEmail = new Map();
+  // Searches whose period is over: those with nothing to send and those in a sent email
+  const settledIds = [];
+
+  for (const search of searches) {
+    // Matches deleted, sold or hidden since are left out
+    const fresh = search.matches.filter(match =>
+      match.matchedAt > search.lastDigestAt && match.product && match.product.isListed
+    );
+    if (fresh.length === 0 || !search.user || !search.user.email) {
+      settledIds.push(search._id);
+      continue;
+    }
+
+    const lines = fresh.map(({ product }) =>
+      `  - ${product.title} (${formatMoney(product.price, product.currency, search.user.locale)})`
+    );
+    const entry = sectionsByEmail.get(search.user.email) || { user: search.user, sections: [], searchIds: [] };
+    entry.searchIds.push(search._id);
+    entry.sections.push(`${search.name}: ${fresh.length} new listing${fresh.length !== 1 ? 's' : ''}\n${lines.join('\n')}`);
+    sectionsByEmail.set(search.user.email, entry);
+  }
+
+  let emails = 0;
+
+  for (const [email, { user, sections, searchIds }] of sectionsByEmail) {
+    try {
+      await sendMail({
+        to: email,
+        subject: 'New listings for your saved searches',
+        text: `Hi ${user.username},\n\n${sections.join('\n\n')}\n\nSee your saved searches: ${getSavedSearchesUrl()}`
+      });
+      emails++;
+      settledIds.push(...searchIds);
+    } catch (error) {
+      // Its matches stay fresh, so the next run tries them again
+      console.error(`Saved search digest to ${email} failed:`, error.message);
+    }
+  }
+
+  if (settledIds.length > 0) {
+    await SavedSearch.updateMany(
+      { _id: { $in: settledIds } },
+      { $set: { lastDigestAt: now } }
+    );
+  }
+
+  return { searches: searches.length, emails };
+};
+
+/**
+ * Run the matcher without holding up the response
+ * @param {Promise} alert - Promise from matchNewListing
+ */
+const dispatch = (alert) => {
+  alert.catch(error => console.error('Saved search matcher error:', error));
+};
+
+module.exports = {
+  matchNewListing,
+  sendDigests,
+  dispatch
+};
@@ -0,0 +1,285 @@
+/**
+ * Listing search.
+ *
+ * Listings keep the trigrams of the words in their title, description and tags
+ * in `searchGrams`. A search fetches the listings sharing the most trigrams
+ * with the query, then scores every query word against the words of each
+ * field, allowing a typo or two in longer words. Title matches count most,
+ * then tags, then the description. Run `npm run rebuild-search-index` after
+ * changing how trigrams are built so existing listings are searchable.
+ */
+
+// How much a match in each field is worth
+const FIELD_BOOSTS = {
+  title: 3,
+  tags: 2,
+  description: 1
+};
+
+// Later words in a query are ignored, which bounds the work a search can cause
+const MAX_QUERY_TERMS = 8;
+
+// Length of the description excerpt returned with a search result
+const SNIPPET_LENGTH = 160;
+// Characters of context kept before the first match in an excerpt
+const SNIPPET_LEAD = 40;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw search text
+ * @returns {string} - Text that matches literally
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lower-case a word and strip accents, e.g. "Café" -> "cafe"
+ * @param {string} word - Word as written
+ * @returns {string} - Comparable form
+ */
+const normalizeWord = (word) => word
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Reduce a normalized word to the form words are compared in; a trailing
+ * plural "s" is dropped so "chairs" finds "chair"
+ * @param {string} word - Normalized word
+ * @returns {string} - Stem
+ */
+const toStem = (word) => (word.length > 3 ? word.replace(/s$/, '') : word);
+
+/**
+ * Split text into words, keeping where each one is
+ * @param {string} text - Text to split
+ * @returns {Array} - { word, normalized, start, end } for each word
+ */
+const toWords = (text) => [...(text || '').matchAll(WORD_PATTERN)].map(match => ({
+  word: match[0],
+  normalized: normalizeWord(match[0]),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+/**
+ * Distinct normalized words of a search query, in order
+ * @param {string} query - Search text
+ * @returns {Array} - At most MAX_QUERY_TERMS words
+ */
+const toTerms = (query) => [...new Set(toWords(query).map(word => word.normalized))].slice(0, MAX_QUERY_TERMS);
+
+/**
+ * Trigrams of a normalized word, padded so its start and end are marked,
+ * e.g. "oak" -> [" oa", "oak", "ak "]
+ * @param {string} word - Normalized word
+ * @param {boolean} prefix - Leave the end unpadded, for a word still being typed
+ * @returns {Array} - Trigrams
+ */
+const toTrigrams = (word, prefix = false) => {
+  const padded = prefix ? ` ${word}` : ` ${word} `;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Build the `searchGrams` a listing is found by
+ * @param {Object} listing - { title, description, tags }
+ * @returns {Array} - Distinct trigrams of every word
+ */
+const buildSearchGrams = ({ title, description, tags = [] }) => {
+  const words = toWords([title, description, ...tags].join(' '));
+  return [...new Set(words.flatMap(word => toTrigrams(word.normalized)))];
+};
+
+/**
+ * Trigrams to look listings up by for a query
+ * @param {Array} terms - From toTerms
+ * @returns {Array} - Distinct trigrams
+ */
+const getQueryGrams = (terms) => [...new Set(terms.flatMap(term => toTrigrams(term)))];
+
+/**
+ * Edit distance counting an insertion, deletion, substitution or swap of two
+ * neighbouring letters as one edit, giving up once it exceeds `max`
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Typos tolerated in a query word; short words must match exactly
+ * @param {string} term - Query word
+ * @returns {number} - Edits allowed
+ */
+const getMaxEdits = (term) => {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+};
+
+/**
+ * How well a listing word matches a query word
+ * @param {string} term - Normalized query word
+ * @param {string} word - Normalized listing word
+ * @returns {number} - 1 for the same word, less for a prefix or a typo, 0 for no match
+ */
+const getSimilarity = (term, word) => {
+  const termStem = toStem(term);
+  const wordStem = toStem(word);
+  if (termStem === wordStem) return 1;
+  // Words still being typed, e.g. "vint" for "vintage"
+  if (term.length >= 3 && word.startsWith(term)) return 0.8;
+
+  const maxEdits = getMaxEdits(termStem);
+  if (maxEdits === 0) return 0;
+  const distance = editDistance(termStem, wordStem, maxEdits);
+  return distance <= maxEdits ? 1 - distance / 4 : 0;
+};
+
+/**
+ * Words of each searchable field of a listing
+ * @param {Object} listing - { title, description, tags }
+ * @returns {Object} - Normalized words by field
+ */
+const getFieldWords = (listing) => ({
+  title: toWords(listing.title).map(word => word.normalized),
+  tags: toWords((listing.tags || []).join(' ')).map(word => word.normalized),
+  description: toWords(listing.description).map(word => word.normalized)
+});
+
+/**
+ * Score a listing against query words. Each word scores its best match in any
+ * field times that field's boost, and a listing scores the sum.
+ * @param {Array} terms - From toTerms
+ * @param {Object} listing - { title, description, tags }
+ * @returns {number} - Relevance; 0 if no word matches
+ */
+const scoreListing = (terms, listing) => {
+  const fieldWords = getFieldWords(listing);
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, boost] of Object.entries(FIELD_BOOSTS)) {
+      for (const word of fieldWords[field]) {
+        best = Math.max(best, boost * getSimilarity(term, word));
+      }
+    }
+    score += best;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Check whether any word of a search matches a listing, the way listing search does
+ * @param {string} query - Search text
+ * @param {Object} listing - { title, description, tags }
+ * @returns {boolean} - True if the listing would be found
+ */
+const matchesText = (query, listing) => scoreListing(toTerms(query), listing) > 0;
+
+/**
+ * Where query words match in a piece of text
+ * @param {Array} terms - From toTerms
+ * @param {string} text - Text to search
+ * @returns {Array} - [start, end] character ranges
+ */
+const findMatches = (terms, text) => toWords(text)
+  .filter(word => terms.some(term => getSimilarity(term, word.normalized) > 0))
+  .map(word => [word.start, word.end]);
+
+/**
+ * Cut an excerpt of a description around its first match
+ * @param {Array} terms - From toTerms
+ * @param {string} text - Description
+ * @returns {Object} - { text, matches } with ranges relative to the excerpt
+ */
+const toSnippet = (terms, text = '') => {
+  const matches = findMatches(terms, text);
+  if (text.length <= SNIPPET_LENGTH) return { text, matches };
+
+  // Start and end on word boundaries
+  let start = matches.length > 0 ? Math.max(0, matches[0][0] - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space >= matches[0][0] ? matches[0][0] : space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+/**
+ * Mark where a search matched a listing, for showing it in results
+ * @param {string} query - Search text
+ * @param {Object} listing - { title, description, tags }
+ * @returns {Object} - { title, description, tags }: the title and a description
+ *   excerpt as { text, matches } with [start, end] ranges, and the matching tags
+ */
+const highlight = (query, listing) => {
+  const terms = toTerms(query);
+
+  return {
+    title: { text: listing.title, matches: findMatches(terms, listing.title) },
+    description: toSnippet(terms, listing.description),
+    tags: (listing.tags || []).filter(tag => findMatches(terms, tag).length > 0)
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  normalizeWord,
+  toWords,
+  toTerms,
+  toTrigrams,
+  buildSearchGrams,
+  getQueryGrams,
+  scoreListing,
+  matchesText,
+  highlight
+};
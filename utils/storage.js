@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Storage
+ * Stores uploaded files through a pluggable backend. A backend is any object with:
+ *   - async save(key, buffer, contentType) -> public URL
+ *   - async remove(key)
+ *   - keyFromUrl(url) -> key, or null if the URL is not stored by this backend
+ * The default backend writes to UPLOAD_DIR on local disk; server.js serves that
+ * directory at /uploads. Call setStorage() at startup to use S3 or similar.
+ */
+
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const getPublicBaseUrl = () => (
+  process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+).replace(/\/+$/, '');
+
+// Keys are generated by the server, but guard against path traversal anyway
+const resolveKeyPath = (key) => {
+  const uploadDir = getUploadDir();
+  const filePath = path.resolve(uploadDir, key);
+  if (!filePath.startsWith(uploadDir + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const localDiskStorage = {
+  name: 'local',
+  save: async (key, buffer) => {
+    const filePath = resolveKeyPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return `${getPublicBaseUrl()}/${key}`;
+  },
+  remove: async (key) => {
+    await fs.promises.rm(resolveKeyPath(key), { force: true });
+  },
+  keyFromUrl: (url) => {
+    const prefix = `${getPublicBaseUrl()}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+};
+
+let activeStorage = localDiskStorage;
+
+/**
+ * Replace the storage backend used for uploads
+ * @param {Object} storage - Object implementing save, remove and keyFromUrl
+ */
+const setStorage = (storage) => {
+  if (!storage || ['save', 'remove', 'keyFromUrl'].some(method => typeof storage[method] !== 'function')) {
+    throw new Error('Storage backend must implement save, remove and keyFromUrl');
+  }
+  activeStorage = storage;
+};
+
+const getStorage = () => activeStorage;
+
+/**
+ * Delete stored files by URL, ignoring URLs the backend does not own.
+ * Only keys under `prefix` are removed so one user's request can't delete another user's files.
+ * Failures are logged rather than thrown; a leftover file is not worth failing a request over.
+ * @param {Array} urls - Public URLs of files to delete
+ * @param {string} prefix - Key prefix the files must live under
+ */
+const removeByUrls = async (urls, prefix) => {
+  const keys = urls
+    .map(url => activeStorage.keyFromUrl(url))
+    .filter(key => key && key.startsWith(prefix));
+
+  await Promise.all(keys.map(key => activeStorage.remove(key).catch((error) => {
+    console.error(`Failed to remove stored file ${key}:`, error.message);
+  })));
+};
+
+module.exports = {
+  setStorage,
+  getStorage,
+  getUploadDir,
+  removeByUrls
+};
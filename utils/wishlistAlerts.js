@@ -0,0 +1,108 @@
+const WishlistItem = require('../models/WishlistItem');
+const Product = require('../models/Product');
+const { notify } = require('./notifications');
+const { formatMoney } = require('./currency');
+
+/**
+ * Wishlist Alerts
+ * Notifies users who saved a product when its price drops or it becomes
+ * available again, on the channels each user has turned on. Alerts are
+ * best-effort: a failed delivery is logged and never fails the request that
+ * changed the product.
+ */
+
+/**
+ * Notify the saver of each item, one at a time
+ * @param {Array} items - Saved items
+ * @param {Object} message - Notification to send, see utils/notifications.js
+ * @returns {Array} - Saved items whose saver was notified on at least one channel
+ */
+const notifySavers = async (items, message) => {
+  const notified = [];
+
+  for (const item of items) {
+    const channels = await notify(item.user, message);
+    if (channels.length > 0) notified.push(item);
+  }
+
+  return notified;
+};
+
+/**
+ * Tell savers a product got cheaper. Each saver is alerted once per new low price.
+ * @param {Object} product - Product after the update
+ * @param {number} previousPrice - Price before the update
+ * @returns {number} - Number of alerts sent
+ */
+const notifyPriceDrop = async (product, previousPrice) => {
+  if (!product.isListed || product.price >= previousPrice) return 0;
+
+  const items = await WishlistItem.findDueForPriceAlert(product._id, product.price);
+  const sent = await notifySavers(items, {
+    type: 'price_drop',
+    title: `Price drop: ${product.title} is now ${product.formattedPrice}`,
+    body: `"${product.title}" on your saved list dropped from ${formatMoney(previousPrice, product.currency)} to ${product.formattedPrice}.`,
+    link: '/saved',
+    data: { productId: product._id }
+  });
+
+  if (sent.length > 0) {
+    await WishlistItem.updateMany(
+      { _id: { $in: sent.map(item => item._id) } },
+      { $set: { lastAlertedPrice: product.price } }
+    );
+  }
+
+  return sent.length;
+};
+
+/**
+ * Tell savers a product can be bought again
+ * @param {Object} product - Product that became available
+ * @returns {number} - Number of alerts sent
+ */
+const notifyBackInStock = async (product) => {
+  if (!product.isListed) return 0;
+
+  const items = await WishlistItem.find({ product: product._id });
+  const sent = await notifySavers(items, {
+    type: 'back_in_stock',
+    title: `Back in stock: ${product.title}`,
+    body: `"${product.title}" on your saved list is available again for ${product.formattedPrice}.`,
+    link: '/saved',
+    data: { productId: product._id }
+  });
+
+  return sent.length;
+};
+
+/**
+ * Tell savers of every listed product that is available again, e.g. after an order is cancelled
+ * @param {Array} productIds - Product IDs that may have become available
+ * @returns {number} - Number of alerts sent
+ */
+const notifyProductsRestocked = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds }, ...Product.getListedFilter() });
+  let sent = 0;
+
+  for (const product of products) {
+    sent += await notifyBackInStock(product);
+  }
+
+  return sent;
+};
+
+/**
+ * Run an alert without holding up the response
+ * @param {Promise} alert - Promise from notifyPriceDrop or notifyBackInStock
+ */
+const dispatch = (alert) => {
+  alert.catch(error => console.error('Wishlist alert error:', error));
+};
+
+module.exports = {
+  notifyPriceDrop,
+  notifyBackInStock,
+  notifyProductsRestocked,
+  dispatch
+};